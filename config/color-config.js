@@ -2,12 +2,15 @@
  * Color Configuration System for Console Output
  *
  * Provides ANSI color codes and color management:
- * - Per-level color customization (DEBUG, INFO, WARN, ERROR)
+ * - Per-level color customization (TRACE, DEBUG, INFO, WARN, ERROR, FATAL)
+ * - Colors for custom levels registered through LevelRegistry
  * - TTY detection for automatic color toggling
  * - Support for 256-color and 16 million color mode
  * - Color theme presets
  */
 
+import { LogLevel } from '../utils/types.js';
+
 /**
  * ANSI Color Codes
  */
@@ -133,6 +136,8 @@ class ColorTheme {
    * @param {string} config.info - Info level color
    * @param {string} config.warn - Warn level color
    * @param {string} config.error - Error level color
+   * @param {string} [config.trace] - Trace level color (default: dimmed debug color)
+   * @param {string} [config.fatal] - Fatal level color (default: bold error color)
    * @param {string} [config.module] - Module name color
    * @param {string} [config.timestamp] - Timestamp color
    * @param {string} [config.context] - Context color
@@ -143,6 +148,8 @@ class ColorTheme {
     this.info = config.info;
     this.warn = config.warn;
     this.error = config.error;
+    this.trace = config.trace || ANSIColors.DIM + config.debug;
+    this.fatal = config.fatal || ANSIColors.BOLD + config.error;
     this.module = config.module || ANSIColors.CYAN;
     this.timestamp = config.timestamp || ANSIColors.BRIGHT_BLACK;
     this.context = config.context || ANSIColors.BRIGHT_BLACK;
@@ -165,11 +172,18 @@ class ColorTheme {
 
   /**
    * Get color for level
-   * @param {number} level - Log level (0-3)
+   * @param {number} level - Log level (LogLevel value)
    * @returns {string} Color code
    */
   getColor(level) {
-    const colors = [this.debug, this.info, this.warn, this.error];
+    const colors = {
+      [LogLevel.FATAL]: this.fatal,
+      [LogLevel.ERROR]: this.error,
+      [LogLevel.WARN]: this.warn,
+      [LogLevel.INFO]: this.info,
+      [LogLevel.DEBUG]: this.debug,
+      [LogLevel.TRACE]: this.trace,
+    };
     return colors[level] || this.info;
   }
 
@@ -183,6 +197,8 @@ class ColorTheme {
       info: this.info,
       warn: this.warn,
       error: this.error,
+      trace: this.trace,
+      fatal: this.fatal,
       module: this.module,
       timestamp: this.timestamp,
       context: this.context,
@@ -198,6 +214,7 @@ class ColorConfig {
   static #themes = new Map();
   static #currentTheme = null;
   static #colorsEnabled = true;
+  static #levelColors = new Map(); // level value => color (custom levels)
 
   /**
    * Register built-in themes
@@ -346,13 +363,41 @@ class ColorConfig {
     this.setColorsEnabled(this.detectTTY());
   }
 
+  /**
+   * Set the color of a specific level (used for custom levels)
+   * @param {number} level - Log level value
+   * @param {string} color - Color code
+   */
+  static setLevelColor(level, color) {
+    if (typeof color !== 'string' || !color) {
+      throw new Error('Level color must be a non-empty string');
+    }
+    this.#levelColors.set(level, color);
+  }
+
+  /**
+   * Remove a level color override
+   * @param {number} level - Log level value
+   * @returns {boolean} True if a color was removed
+   */
+  static removeLevelColor(level) {
+    return this.#levelColors.delete(level);
+  }
+
   /**
    * Get color for log level
-   * @param {number} level - Log level (0-3)
+   * Level overrides (custom levels) win over the current theme.
+   * @param {number} level - Log level (LogLevel value)
    * @returns {string} Color code
    */
   static getColor(level) {
-    if (!this.#currentTheme || !this.#colorsEnabled) {
+    if (!this.#colorsEnabled) {
+      return '';
+    }
+    if (this.#levelColors.has(level)) {
+      return this.#levelColors.get(level);
+    }
+    if (!this.#currentTheme) {
       return '';
     }
     return this.#currentTheme.getColor(level);
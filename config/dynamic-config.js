@@ -8,6 +8,8 @@
  * - Zero downtime updates
  */
 
+import { LevelRegistry } from '../utils/level-registry.js';
+
 export class DynamicConfigurationManager {
   constructor(config = {}) {
     this.currentConfig = this._deepClone(config);
@@ -347,8 +349,8 @@ export class DynamicConfigurationManager {
    */
   _registerDefaultValidators() {
     this.registerValidator('logLevel', (value) => {
-      const levels = ['DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'];
-      return levels.includes(value);
+      // Built-in and custom level names (see LevelRegistry)
+      return typeof value === 'string' && LevelRegistry.toValue(value) !== undefined;
     });
 
     this.registerValidator('sampleRate', (value) => {
@@ -11,3 +11,4 @@ export { DynamicConfigIntegration } from './dynamic-config-integration.js';
 export { CoreLoggerConfig } from '../core/core-logger-config.js';
 export { EnhancedLoggerConfig } from '../core/core-logger-config.js';
 export { ColorConfig } from './color-config.js';
+export { RetentionPolicy } from './retention-policy.js';
@@ -13,13 +13,15 @@ import {
   DefaultFormatter,
   JSONFormatter,
   CompactFormatter,
-} from 'internal/utils/log-formatter.js';
+} from '../internal/utils/log-formatter.js';
 import { ColorConfig, ColorTheme, ANSIColors } from './color-config.js';
 import {
   OutputCustomizer,
   PrefixTransformer,
   FilterTransformer,
-} from 'internal/utils/output-customizer.js';
+} from '../internal/utils/output-customizer.js';
+import { LogLevel } from '../utils/types.js';
+import { LevelRegistry } from '../utils/level-registry.js';
 
 /**
  * Preset Configuration
@@ -34,7 +36,8 @@ class PresetConfig {
     this.description = config.description;
     this.formatter = config.formatter;
     this.colorTheme = config.colorTheme;
-    this.minLevel = config.minLevel ?? 0; // 0=DEBUG, 1=INFO, 2=WARN, 3=ERROR
+    // Least severe LogLevel shown (LogLevel.TRACE shows everything, lower values are more severe)
+    this.minLevel = config.minLevel ?? LogLevel.TRACE;
     this.transports = config.transports || [];
     this.outputCustomizer = config.outputCustomizer;
     this.contextIncluded = config.contextIncluded ?? true;
@@ -81,7 +84,7 @@ class LogPresets {
         description: 'Verbose output with colors for development',
         formatter: 'default',
         colorTheme: 'vibrant',
-        minLevel: 0, // Show all levels
+        minLevel: LogLevel.TRACE, // Show all levels
         contextIncluded: true,
         stackTraceIncluded: true,
         correlationIdIncluded: true,
@@ -92,7 +95,7 @@ class LogPresets {
 
     // Production Preset
     const prodCustomizer = new OutputCustomizer().addTransformer(
-      new FilterTransformer((entry) => entry.level >= 1)
+      new FilterTransformer((entry) => entry.level <= LogLevel.INFO)
     ); // INFO and above
 
     LogPresets.registerPreset(
@@ -102,7 +105,7 @@ class LogPresets {
         description: 'Performance-optimized, minimal output',
         formatter: 'json',
         colorTheme: null,
-        minLevel: 1, // INFO and above
+        minLevel: LogLevel.INFO, // INFO and above
         contextIncluded: false,
         stackTraceIncluded: false,
         correlationIdIncluded: true,
@@ -113,7 +116,7 @@ class LogPresets {
 
     // Testing Preset
     const testCustomizer = new OutputCustomizer().addTransformer(
-      new FilterTransformer((entry) => entry.level >= 2)
+      new FilterTransformer((entry) => entry.level <= LogLevel.WARN)
     ); // WARN and above
 
     LogPresets.registerPreset(
@@ -123,7 +126,7 @@ class LogPresets {
         description: 'Quiet output, suitable for test runners',
         formatter: 'compact',
         colorTheme: null,
-        minLevel: 2, // WARN and above
+        minLevel: LogLevel.WARN, // WARN and above
         contextIncluded: false,
         stackTraceIncluded: false,
         correlationIdIncluded: false,
@@ -144,7 +147,7 @@ class LogPresets {
         description: 'Maximum detail with stack traces and context',
         formatter: 'default',
         colorTheme: 'standard',
-        minLevel: 0, // Show all levels
+        minLevel: LogLevel.TRACE, // Show all levels
         contextIncluded: true,
         stackTraceIncluded: true,
         correlationIdIncluded: true,
@@ -248,7 +251,7 @@ class LogPresets {
       description: config.description || 'Custom preset',
       formatter: config.formatter || 'default',
       colorTheme: config.colorTheme || 'standard',
-      minLevel: config.minLevel ?? 0,
+      minLevel: LevelRegistry.toValue(config.minLevel) ?? LogLevel.TRACE,
       contextIncluded: config.contextIncluded ?? true,
       stackTraceIncluded: config.stackTraceIncluded ?? true,
       correlationIdIncluded: config.correlationIdIncluded ?? true,
@@ -267,14 +270,13 @@ class LogPresets {
    */
   static getPresetInfo(name) {
     const preset = this.getPreset(name);
-    const levels = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
 
     return {
       name: preset.name,
       description: preset.description,
       formatter: preset.formatter,
       colorTheme: preset.colorTheme,
-      minLevel: levels[preset.minLevel],
+      minLevel: LevelRegistry.getName(preset.minLevel),
       contextIncluded: preset.contextIncluded,
       stackTraceIncluded: preset.stackTraceIncluded,
       correlationIdIncluded: preset.correlationIdIncluded,
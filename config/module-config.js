@@ -12,7 +12,7 @@
  * config.getLogLevelForModule('math-lib'); // => LogLevel.DEBUG
  */
 
-import { ModulePatternMatcher } from 'internal/utils/module-pattern-matcher.js';
+import { ModulePatternMatcher } from '../internal/utils/module-pattern-matcher.js';
 import { LogLevel } from '../utils/types.js';
 import { LoggingError } from '../error-handling/errors.js';
 
@@ -23,12 +23,44 @@ export class ModuleConfig {
   constructor(defaultLevel = LogLevel.INFO) {
     this._validateLogLevel(defaultLevel);
 
-    this.defaultLevel = defaultLevel;
+    this._defaultLevel = defaultLevel;
     this.moduleLevels = new Map(); // { moduleName => level }
     this.patternLevels = new Map(); // { pattern => level }
     this.listeners = [];
   }
 
+  /**
+   * Level of modules without a module or pattern level
+   * @returns {number}
+   */
+  get defaultLevel() {
+    return this._defaultLevel;
+  }
+
+  /**
+   * Change the default level; listeners are notified
+   *
+   * @param {number} level - LogLevel value
+   * @throws {LoggingError} If the level is invalid
+   *
+   * @example
+   * config.defaultLevel = LogLevel.WARN;
+   */
+  set defaultLevel(level) {
+    this._validateLogLevel(level);
+
+    const oldLevel = this._defaultLevel;
+    this._defaultLevel = level;
+
+    if (oldLevel !== level) {
+      this._notifyListeners({
+        type: 'defaultLevel',
+        oldLevel,
+        newLevel: level,
+      });
+    }
+  }
+
   /**
    *
    * @private
@@ -260,6 +292,9 @@ export class ModuleConfig {
   }
 
   /**
+   * Remove every module and pattern level and reset the default level to INFO
+   *
+   * Listeners stay subscribed and are notified with { type: 'cleared' }.
    *
    * @example
    * config.clear();
@@ -267,8 +302,8 @@ export class ModuleConfig {
   clear() {
     this.moduleLevels.clear();
     this.patternLevels.clear();
-    this.listeners = [];
-    this.defaultLevel = LogLevel.INFO;
+    this._defaultLevel = LogLevel.INFO;
+    this._notifyListeners({ type: 'cleared' });
   }
 
   /**
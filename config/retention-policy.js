@@ -0,0 +1,186 @@
+/**
+ * RetentionPolicy - Retention classes for log entries
+ *
+ * Entries carry a retention class (LogEntry.retention) such as 'debug-7d',
+ * 'security-1y' or 'audit-7y':
+ * - Set explicitly (`retention` in the log metadata), else by module
+ *   (names or patterns), else by level, else the default class (may be null)
+ * - A class name ending in -<n>h|d|w|m|y defines its max age (m = 30 days,
+ *   y = 365 days); classes can also be defined or refined with
+ *   { maxAge, maxTotalSize, archiveAfter }
+ * - RotatingFileTransport writes each class to its own file family
+ *   (`app.log` => `app.security-1y.log`), so LogCleanupPolicy and
+ *   LogArchiver.archiveOldLogs can find the class in the file name and
+ *   apply its max age and size instead of one value for the whole directory
+ *
+ * USAGE EXAMPLE:
+ * const retention = new RetentionPolicy({
+ *   byLevel: { DEBUG: 'debug-7d', TRACE: 'debug-7d' },
+ *   byModule: { 'auth*': 'security-1y' },
+ *   classes: { 'security-1y': { maxTotalSize: 5 * 1024 ** 3 } },
+ * });
+ * retention.classify(LogLevel.WARN, 'auth-api'); // => 'security-1y'
+ * retention.resolve('audit-7y'); // => { name, maxAge: 220752000000, maxTotalSize: null, archiveAfter: null }
+ */
+
+import { ModulePatternMatcher } from '../internal/utils/module-pattern-matcher.js';
+import { LevelRegistry } from '../utils/level-registry.js';
+import { LoggingError } from '../error-handling/errors.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const UNITS = { h: DAY / 24, d: DAY, w: 7 * DAY, m: 30 * DAY, y: 365 * DAY };
+const CLASS_NAME = /^[a-z][a-z0-9_]*-(\d+)([hdwmy])$/;
+
+export class RetentionPolicy {
+  /**
+   * @param {Object} [options={}] - Policy options
+   * @param {Object} [options.classes={}] - Class definitions by name:
+   *   { maxAge, maxTotalSize, archiveAfter } (maxAge defaults to the name's suffix)
+   * @param {Object} [options.byLevel={}] - Class by level name (e.g. { DEBUG: 'debug-7d' })
+   * @param {Object} [options.byModule={}] - Class by module name or pattern
+   *   (e.g. { 'auth*': 'security-1y' }), checked in insertion order
+   * @param {string|null} [options.defaultClass=null] - Class of all other entries
+   * @throws {LoggingError} If a class is unknown or a definition is invalid
+   */
+  constructor(options = {}) {
+    this.classes = new Map();
+    for (const [name, definition] of Object.entries(options.classes ?? {})) {
+      this.classes.set(name, this._define(name, definition));
+    }
+
+    this.byLevel = new Map(
+      Object.entries(options.byLevel ?? {}).map(([level, name]) => [
+        this._levelKey(level),
+        this.resolve(name).name,
+      ])
+    );
+    this.byModule = new Map(
+      Object.entries(options.byModule ?? {}).map(([pattern, name]) => [
+        pattern,
+        this.resolve(name).name,
+      ])
+    );
+    this.defaultClass = options.defaultClass ? this.resolve(options.defaultClass).name : null;
+  }
+
+  /**
+   * Retention class of an entry
+   *
+   * @param {number} level - Entry level
+   * @param {string} moduleName - Entry module
+   * @param {string} [explicit] - Class given with the entry (wins over the rules)
+   * @returns {string|null} Class name, or null for the unclassified family
+   * @throws {LoggingError} If the explicit class is unknown
+   */
+  classify(level, moduleName, explicit) {
+    if (explicit !== undefined && explicit !== null) {
+      return this.resolve(explicit).name;
+    }
+    for (const [pattern, name] of this.byModule) {
+      if (ModulePatternMatcher.matches(moduleName, pattern)) {
+        return name;
+      }
+    }
+    return this.byLevel.get(this._levelKey(level)) ?? this.defaultClass;
+  }
+
+  /**
+   * Definition of a class
+   *
+   * @param {string} name - Class name
+   * @returns {{name: string, maxAge: number, maxTotalSize: number|null,
+   *   archiveAfter: number|null}}
+   * @throws {LoggingError} If the class is neither defined nor named -<n><unit>
+   */
+  resolve(name) {
+    const defined = this.classes.get(name);
+    if (defined) {
+      return defined;
+    }
+    if (typeof name === 'string' && CLASS_NAME.test(name)) {
+      return this._define(name, {});
+    }
+    throw new LoggingError('INVALID_RETENTION_CLASS', `Unknown retention class: ${name}`, {
+      retentionClass: name,
+    });
+  }
+
+  /**
+   * Retention class of a log file, from its name (`app.security-1y.2026-10-19T….log.gz`)
+   *
+   * @param {string} fileName - File name or path
+   * @returns {string|null} Class name, or null if the file is unclassified
+   */
+  classOfFile(fileName) {
+    const segments = fileName.split(/[\\/]/).at(-1).split('.');
+    return (
+      segments.find((segment) => this.classes.has(segment) || CLASS_NAME.test(segment)) ?? null
+    );
+  }
+
+  /**
+   * Split files by retention class
+   *
+   * @param {Array<{name: string}>} files - Files with a name
+   * @returns {Map<string|null, Array<Object>>} Files by class (null = unclassified)
+   */
+  groupFiles(files) {
+    const groups = new Map();
+    for (const file of files) {
+      const name = this.classOfFile(file.name);
+      if (!groups.has(name)) {
+        groups.set(name, []);
+      }
+      groups.get(name).push(file);
+    }
+    return groups;
+  }
+
+  /**
+   *
+   * @private
+   */
+  _define(name, definition) {
+    const match = CLASS_NAME.exec(name);
+    const maxAge = definition.maxAge ?? (match ? Number(match[1]) * UNITS[match[2]] : undefined);
+    if (typeof maxAge !== 'number' || !(maxAge > 0)) {
+      throw new LoggingError(
+        'INVALID_RETENTION_CLASS',
+        `Retention class ${name} needs a positive maxAge (or a -<n>h|d|w|m|y name)`,
+        { retentionClass: name }
+      );
+    }
+    for (const key of ['maxTotalSize', 'archiveAfter']) {
+      const value = definition[key];
+      if (value !== undefined && value !== null && !(typeof value === 'number' && value > 0)) {
+        throw new LoggingError('INVALID_RETENTION_CLASS', `${name}.${key} must be positive`, {
+          retentionClass: name,
+        });
+      }
+    }
+    if (name.includes('.') || name.includes('/')) {
+      throw new LoggingError('INVALID_RETENTION_CLASS', `${name} cannot be part of a file name`, {
+        retentionClass: name,
+      });
+    }
+    return {
+      name,
+      maxAge,
+      maxTotalSize: definition.maxTotalSize ?? null,
+      archiveAfter: definition.archiveAfter ?? null,
+    };
+  }
+
+  /**
+   * Level names are kept as given; numbers become names when registered
+   * @private
+   */
+  _levelKey(level) {
+    const numeric = typeof level === 'number' ? level : Number(level);
+    return (
+      LevelRegistry.isValid(numeric) ? LevelRegistry.getName(numeric) : String(level)
+    ).toUpperCase();
+  }
+}
+
+export default RetentionPolicy;
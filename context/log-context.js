@@ -96,6 +96,7 @@ class LogContext {
   static #store = new ContextStore();
   static #currentId = null;
   static #requestContext = null;
+  static #traceContext = null;
 
   /**
    * Initialize context for new operation
@@ -144,6 +145,13 @@ class LogContext {
    * @param {object} requestContext - Request context object
    */
   static setRequestContext(requestContext) {
+    // Inside runWithContext() the request belongs to that async scope only
+    const scoped = this.#store.storage.getStore();
+    if (scoped) {
+      scoped.requestContext = requestContext;
+      return;
+    }
+
     this.#requestContext = requestContext;
     const ctx = this.#store.getContext() || {};
     ctx.requestContext = requestContext;
@@ -159,6 +167,32 @@ class LogContext {
     return ctx?.requestContext || this.#requestContext;
   }
 
+  /**
+   * Set trace context (e.g. a TraceContext continued from incoming headers)
+   * @param {object} traceContext - Object exposing traceId and spanId
+   */
+  static setTraceContext(traceContext) {
+    const scoped = this.#store.storage.getStore();
+    if (scoped) {
+      scoped.traceContext = traceContext;
+      return;
+    }
+
+    this.#traceContext = traceContext;
+    const ctx = this.#store.getContext() || {};
+    ctx.traceContext = traceContext;
+    this.#store.setGlobalContext(ctx);
+  }
+
+  /**
+   * Get trace context
+   * @returns {object|null} Trace context or null
+   */
+  static getTraceContext() {
+    const ctx = this.#store.getContext();
+    return ctx?.traceContext || this.#traceContext;
+  }
+
   /**
    * Get complete context
    * @returns {object} Complete context object
@@ -168,6 +202,7 @@ class LogContext {
       this.#store.getContext() || {
         correlationId: this.#currentId,
         requestContext: this.#requestContext,
+        traceContext: this.#traceContext,
       }
     );
   }
@@ -184,6 +219,7 @@ class LogContext {
       correlationId: id,
       createdAt: new Date().toISOString(),
       requestContext: this.#requestContext,
+      traceContext: this.#traceContext,
     };
 
     return this.#store.runWithContext(context, callback);
@@ -195,6 +231,7 @@ class LogContext {
   static clear() {
     this.#currentId = null;
     this.#requestContext = null;
+    this.#traceContext = null;
     this.#store.clear();
   }
 
@@ -0,0 +1,149 @@
+/**
+ * AuditLogger - Structured audit events on top of CoreLogger
+ *
+ * One shape for "who did what to which resource, and how did it end":
+ * - audit({ actor, action, resource, outcome, reason, before, after, metadata })
+ * - Events are validated against StandardSchemas.auditEvent() (LogSchema);
+ *   invalid events and unknown fields are rejected with a LoggingError
+ * - Logged at their own level (AUDIT, registered through LevelRegistry when
+ *   missing) under context.audit, so every team queries the same fields;
+ *   only actor/resource { id, type }, action and outcome are written as given,
+ *   everything else (reason, before, after, metadata, other actor and
+ *   resource fields) is sanitized like any context
+ * - With field encryption covering `id` (DataSanitizer encryption.fields) and a
+ *   subject for the event, the actor id is encrypted and the message names the
+ *   actor type instead
+ * - Never filtered by level, sampled, deduplicated or rate limited: audit()
+ *   skips those stages, processors cannot drop audit entries, and a full
+ *   buffer is flushed instead of dropping the event
+ * - Own transports (an AuditLogger is a separate root logger)
+ *
+ * USAGE EXAMPLE:
+ * const audit = new AuditLogger({ transports: [new FileTransport({ logDirectory: './audit' })] });
+ * await audit.audit({
+ *   actor: { id: 'u-42', type: 'user' },
+ *   action: 'invoice.update',
+ *   resource: { type: 'invoice', id: 'inv-7' },
+ *   outcome: 'success',
+ *   before: { status: 'draft' },
+ *   after: { status: 'sent' },
+ * });
+ * // => "u-42 invoice.update invoice:inv-7 (success)"
+ * //    context.audit = { actor: { id, type }, action, resource: { type, id }, outcome, before, after }
+ */
+
+import { CoreLogger } from './core-logger.js';
+import { StandardSchemas, LogSchema } from './structured-logging-schema.js';
+import {
+  resolveAuditLevel,
+  auditMessage,
+  splitAuditEvent,
+  mergeAuditEvent,
+} from '../utils/audit-event.js';
+import { LoggingError } from '../error-handling/errors.js';
+
+export class AuditLogger extends CoreLogger {
+  /**
+   * @param {Object} [config={}] - CoreLogger configuration plus:
+   * @param {string} [config.name='audit'] - Module name of audit entries
+   * @param {number|string} [config.level='AUDIT'] - Level of audit entries (value or name)
+   * @param {LogSchema} [config.schema] - Event schema (default: StandardSchemas.auditEvent())
+   * @throws {LoggingError} If configuration is invalid
+   */
+  constructor(config = {}) {
+    if (config.schema !== undefined && !(config.schema instanceof LogSchema)) {
+      throw new LoggingError('Audit schema must be a LogSchema');
+    }
+
+    const auditLevel = resolveAuditLevel(config.level);
+
+    super({ ...config, name: config.name ?? 'audit' });
+
+    this.auditLevel = auditLevel;
+    this.schema = config.schema ?? StandardSchemas.auditEvent();
+  }
+
+  /**
+   * Log an audit event
+   *
+   * @param {Object} event - Audit event
+   * @param {string|Object} event.actor - Who acted: an id or { id, type, ... }
+   * @param {string} event.action - What was done (e.g. 'invoice.update')
+   * @param {string|Object} event.resource - What it was done to: an id or { type, id, ... }
+   * @param {string} event.outcome - 'success' | 'failure' | 'denied'
+   * @param {string} [event.reason] - Why (e.g. the denial reason)
+   * @param {Object} [event.before] - State before the change
+   * @param {Object} [event.after] - State after the change
+   * @param {Object} [event.metadata] - Anything else worth keeping with the event
+   * @throws {LoggingError} INVALID_AUDIT_EVENT if the event does not match the schema
+   * @returns {Promise<boolean>} true if the event was buffered
+   */
+  async audit(event) {
+    const { identity, details } = splitAuditEvent(this._validateEvent(event));
+    // An actor id covered by field encryption is encrypted with the details and
+    // left out of the message
+    let context = { audit: { ...details, actor: { ...details.actor, id: identity.actor.id } } };
+    if (this.sanitizer?.encryptsField(context, 'id')) {
+      delete identity.actor.id;
+    } else {
+      context = { audit: details };
+    }
+    const record = {
+      level: this.auditLevel,
+      moduleName: this.name,
+      message: auditMessage(identity),
+      context,
+    };
+
+    try {
+      // No level filter, BEFORE_RATE_LIMIT processors, dedup or rate limit; later
+      // processors may change the entry (e.g. redact) but a drop (sampling) is ignored
+      const entry = await this._buildEntry(record, { allowDrop: false });
+      // Identity fields are validated ids, added after sanitization: key-based
+      // redaction would mask `id` fields and make events impossible to query
+      entry.context = {
+        ...entry.context,
+        audit: mergeAuditEvent(identity, entry.context?.audit),
+      };
+      return await this._pushEntry(entry, { flushWhenFull: true });
+    } catch (error) {
+      this.stats.errors++;
+      this._emitError(error, { message: 'Error logging audit event' });
+      return false;
+    }
+  }
+
+  /**
+   * Check an event against the schema and normalize actor/resource
+   *
+   * @private
+   * @throws {LoggingError} INVALID_AUDIT_EVENT
+   */
+  _validateEvent(event) {
+    if (event === null || typeof event !== 'object' || Array.isArray(event)) {
+      throw new LoggingError('INVALID_AUDIT_EVENT', 'Audit event must be an object', {});
+    }
+
+    const { valid, errors, entry } = this.schema.validate(event);
+    // Free-form fields go under metadata, so field names stay the same everywhere
+    const unknown = Object.keys(event).filter((key) => !this.schema.fields.has(key));
+    const problems = [...errors, ...unknown.map((key) => `Unknown audit field '${key}'`)];
+    if (!valid || problems.length > 0) {
+      throw new LoggingError('INVALID_AUDIT_EVENT', `Invalid audit event: ${problems.join('; ')}`, {
+        errors: problems,
+      });
+    }
+
+    const audit = {};
+    for (const [key, value] of Object.entries(entry)) {
+      if (value !== undefined) {
+        audit[key] = value;
+      }
+    }
+    audit.actor = typeof audit.actor === 'string' ? { id: audit.actor } : audit.actor;
+    audit.resource = typeof audit.resource === 'string' ? { id: audit.resource } : audit.resource;
+    return audit;
+  }
+}
+
+export default AuditLogger;
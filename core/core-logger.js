@@ -63,11 +63,54 @@
  * @see {@link LogLevel} for available log levels
  */
 
+import { EventEmitter } from 'events';
 import { AdaptiveLogBuffer } from '../transports/adaptive-log-buffer.js';
 import { RateLimiter } from '../rate-limiting/rate-limiter.js';
+import { LogDeduplicator } from '../rate-limiting/log-deduplicator.js';
 import { LogEntry } from '../utils/log-entry.js';
 import { LogLevel } from '../utils/types.js';
+import { LevelRegistry } from '../utils/level-registry.js';
 import { LoggingError } from '../error-handling/errors.js';
+import { ModuleConfig } from '../config/module-config.js';
+import { ModulePatternMatcher } from '../internal/utils/module-pattern-matcher.js';
+import { LogContext } from '../context/log-context.js';
+import { RequestContextStorage } from '../context/request-context.js';
+import { DistributedTracingIntegration } from '../internal/tracing/tracing-integration.js';
+import { ErrorSerializer } from '../utils/error-serializer.js';
+import { FailoverTransport } from '../transports/failover-transport.js';
+import { BatchSigner } from '../utils/batch-signer.js';
+import { DataSanitizer } from '../sanitizer/data-sanitizer.js';
+import { RetentionPolicy } from '../config/retention-policy.js';
+
+/**
+ * Processor stages, in pipeline order
+ *
+ * - BEFORE_RATE_LIMIT: after level filtering; sees the call-site metadata only
+ *   (no bindings or context enrichment). Dropping here spares the rate limit budget.
+ * - BEFORE_SANITIZE: after rate limiting, bindings and context enrichment.
+ *   Fields added here are sanitized like any other metadata.
+ * - AFTER_SANITIZE: receives the sanitized LogEntry right before it is buffered.
+ *   Fields added here are NOT sanitized.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const ProcessorStage = Object.freeze({
+  BEFORE_RATE_LIMIT: 'beforeRateLimit',
+  BEFORE_SANITIZE: 'beforeSanitize',
+  AFTER_SANITIZE: 'afterSanitize',
+});
+
+// Histogram buckets (ms) for timer durations fed to a MetricsCollector
+const TIMER_BUCKETS_MS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Create an empty processor list per stage
+ * @private
+ */
+function createProcessorStages() {
+  return Object.fromEntries(Object.values(ProcessorStage).map((stage) => [stage, []]));
+}
 
 /**
  * CoreLogger - Main Logger Class
@@ -82,9 +125,31 @@ import { LoggingError } from '../error-handling/errors.js';
  * @param {string} [config.name='Logger'] - Logger instance name for identification
  * @param {Object} [config.buffer] - AdaptiveLogBuffer configuration
  * @param {Object} [config.rateLimiter] - RateLimiter configuration
- * @param {Array} [config.transports] - Array of transport instances
+ * @param {boolean|Object} [config.dedup] - Suppress repeated entries before rate limiting
+ *   (true for defaults, or LogDeduplicator options such as windowMs, keys and modules)
+ * @param {Array<Object>} [config.transports] - Transport instances, or
+ *   { transport, minLevel, modules, filter, stream } route specs that send the transport a
+ *   subset of the entries (see addTransport)
  * @param {boolean} [config.enableTransformLogging=true] - Enable transform context tracking
  * @param {Map} [config.transformContext] - Existing transform context (optional)
+ * @param {ModuleConfig} [config.moduleConfig] - Per-module/pattern log levels (takes precedence over minLevel)
+ * @param {number} [config.minLevel] - Least severe level accepted (e.g. LogLevel.INFO drops DEBUG)
+ * @param {boolean} [config.enrichContext=false] - Stamp entries with correlation, trace and
+ *   request fields from the current async context (see LogContext)
+ * @param {Object} [config.bindings] - Fields merged into the metadata of every entry
+ * @param {CoreLogger} [config.parent] - Parent logger (set by child(); shares its buffer,
+ *   rate limiter and transports instead of creating new ones)
+ * @param {Array<Function|{processor: Function, stage: string}>} [config.processors] - Processors
+ *   registered with use() at construction (see ProcessorStage)
+ * @param {MetricsCollector} [config.metrics] - Collector receiving timer durations as
+ *   `<name>_duration_ms` histograms (see startTimer)
+ * @param {BatchSigner|Object} [config.signing] - Sign every flushed batch: a BatchSigner or
+ *   its options ({ keyId, algorithm: 'hmac-sha256' | 'ed25519', secret | privateKey });
+ *   each transport receives the signature entries right after its entries
+ * @param {DataSanitizer} [config.sanitizer] - Sanitizer for entry contexts instead of the
+ *   default one (e.g. with `encryption` for per-subject field encryption)
+ * @param {RetentionPolicy|Object} [config.retention] - Retention classes for entries: a
+ *   RetentionPolicy or its options; a `retention` metadata field sets the class explicitly
  *
  * USAGE EXAMPLE:
  * ─────────────────────────────────────────────────────────────────────────────
@@ -100,19 +165,47 @@ import { LoggingError } from '../error-handling/errors.js';
  * logger.registerObject('obj-1', { position: [0, 0, 0] });
  * logger.infoWithContext('obj-1', 'Object transform updated');
  *
+ * EVENTS:
+ * ─────────────────────────────────────────────────────────────────────────────
+ * CoreLogger is an EventEmitter. Events of a child logger are also emitted
+ * on its ancestors, so listeners on the root see the whole tree.
+ * - 'entry' (LogEntry): an entry was accepted into the buffer
+ * - 'dropped' ({ reason, level, moduleName, message, stage?, entry? }): reason is
+ *   'filtered', 'processor', 'deduplicated', 'rateLimited' or 'backpressure'
+ *   (message is null while still lazy; entry is set for backpressure drops)
+ * - 'flush' ({ entries, delivered, failed, durationMs }): a batch went to the transports
+ * - 'transportError' ({ error, transport, entries }): a transport rejected a batch
+ * - 'drain' ({ dropped }): the buffer accepts entries again after backpressure
+ * - 'close' (): close() finished
+ *
+ * logger.on('dropped', ({ reason, moduleName }) => alerts.count(reason, moduleName));
+ *
  * @throws {LoggingError} If configuration is invalid
  * @class CoreLogger
  */
-export class CoreLogger {
+export class CoreLogger extends EventEmitter {
   /**
    *
    * @param {Map} config.transformContext - Transform context instance (optional)
    *
    */
   constructor(config = {}) {
+    super();
     this._validateConfig(config);
 
-    this.name = config.name ?? 'Logger';
+    // Parent logger when this instance was created through child()
+    this.parent = config.parent ?? null;
+
+    this.name = config.name ?? this.parent?.name ?? 'Logger';
+
+    // Fields bound to this logger (inherited from the parent, then overridden)
+    this.bindings = Object.freeze({ ...(this.parent?.bindings ?? {}), ...(config.bindings ?? {}) });
+
+    if (this.parent) {
+      this._initFromParent(this.parent);
+      this._registerProcessors(config.processors);
+      return;
+    }
 
     // ═════════════════════════════════════════════════════════════════
     // CORE COMPONENTS INITIALIZATION
@@ -124,8 +217,31 @@ export class CoreLogger {
     // Initialize rate limiter to control logging rate and prevent spam
     this.rateLimiter = new RateLimiter(config.rateLimiter);
 
+    // Optional dedup stage ahead of the rate limiter; summaries are logged by
+    // the logger (root or child) that logged the first entry of a window
+    this.deduplicator = config.dedup
+      ? new LogDeduplicator(config.dedup === true ? {} : config.dedup)
+      : null;
+    if (this.deduplicator) {
+      this.deduplicator.onSummary = (record, source) => (source ?? this)._logDedupSummary(record);
+    }
+
     // Transport layer for outputting logs (validate shapes)
-  this.transports = (config.transports ?? []).filter((t) => this._isValidTransport(t));
+    // transport => { minLevel, modules, filter }; transports without a route get every entry
+    this.transportRoutes = new Map();
+    // transport => signing stream id; transports without one get the next free number
+    // on their first signed flush
+    this.signingStreams = new Map();
+    this._nextSigningStream = 0;
+    this.transports = [];
+    for (const item of config.transports ?? []) {
+      const { transport, stream, ...route } = this._isRouteSpec(item) ? item : { transport: item };
+      if (this._isValidTransport(transport)) {
+        this._setSigningStream(transport, stream);
+        this.transports.push(transport);
+        this._setTransportRoute(transport, route);
+      }
+    }
     if (config.transports && this.transports.length !== config.transports.length) {
       // eslint-disable-next-line no-console
       console.warn(
@@ -148,8 +264,50 @@ export class CoreLogger {
       flushed: 0, // Log entries sent to transports
       errors: 0, // Errors during logging operations
       rateLimited: 0, // Log entries rejected due to rate limiting
+      filtered: 0, // Log entries below the configured level
+      dropped: 0, // Log entries dropped by processors
+      deduplicated: 0, // Repeated log entries counted by the dedup stage
     };
 
+    // Level filtering: per-module levels from ModuleConfig, or a single minimum level
+    this.moduleConfig = config.moduleConfig ?? null;
+    this.minLevel = config.minLevel ?? null;
+
+    // Opt-in enrichment from LogContext / tracing (correlationId, traceId, spanId, request)
+    this.enrichContext = config.enrichContext === true;
+
+    // Processor pipeline registered through use(), grouped by stage
+    this._processors = createProcessorStages();
+
+    // Set by captureProcessErrors()
+    this._stopCapturingProcessErrors = null;
+
+    // Optional MetricsCollector for timer durations; histogram handles by metric name
+    this.metrics = config.metrics ?? null;
+    this._timerHistograms = new Map();
+
+    // Running profile() timers by name
+    this._profiles = new Map();
+
+    // Optional batch signing in _handleFlush (see BatchSigner)
+    this.signer = this._createSigner(config.signing);
+
+    // null = LogEntry's default sanitizer
+    this.sanitizer = config.sanitizer ?? null;
+
+    // Retention class of each entry (see RetentionPolicy); null leaves entries unclassified
+    this.retention = this._createRetention(config.retention);
+
+    // Backpressure drops since the buffer paused (reported with 'drain')
+    this._awaitingDrain = false;
+    this._backpressureDrops = 0;
+
+    // Resolved level per module name; invalidated whenever ModuleConfig changes
+    this._levelCache = new Map();
+    this._unsubscribeModuleConfig = this.moduleConfig
+      ? this.moduleConfig.onChange(() => this._levelCache.clear())
+      : null;
+
     // Global error handler (preferred) and legacy onError hook support
     this.errorHandler =
       typeof config.errorHandler === 'function'
@@ -163,10 +321,12 @@ export class CoreLogger {
       await this._handleFlush(entries);
     });
 
-    // Periodic cleanup of expired rate limit entries (every 5 seconds)
+    // Periodic cleanup of expired rate limit entries (every 5 seconds).
+    // Unref'd so an idle logger never keeps the process alive.
     this.cleanupInterval = setInterval(() => {
       this.rateLimiter.cleanup();
     }, 5000);
+    this.cleanupInterval.unref?.();
 
     // ═════════════════════════════════════════════════════════════════
     // TRANSFORM CONTEXT TRACKING
@@ -197,6 +357,75 @@ export class CoreLogger {
 
     // Setup hooks for automatic transform context tracking
     this._setupTransformHooks();
+
+    this._registerProcessors(config.processors);
+  }
+
+  /**
+   * Initialize a child logger from its parent
+   *
+   * Children share the parent's buffer, rate limiter, transports and error
+   * handler. They register no flush listener and start no timers, so creating
+   * many of them is cheap and disposing them never affects the parent.
+   *
+   * @private
+   * @param {CoreLogger} parent - Parent logger
+   * @returns {void}
+   */
+  _initFromParent(parent) {
+    this.buffer = parent.buffer;
+    this.rateLimiter = parent.rateLimiter;
+    this.deduplicator = parent.deduplicator;
+    this.transports = parent.transports;
+    this.transportRoutes = parent.transportRoutes;
+    this.signingStreams = parent.signingStreams;
+    this.errorHandler = parent.errorHandler;
+    this.cleanupInterval = null;
+
+    // Level filtering reads the parent's configuration on every call (resolved for
+    // the child's name), so later changes on the parent apply to its children
+    Object.defineProperties(this, {
+      moduleConfig: { get: () => parent.moduleConfig, enumerable: true },
+      minLevel: { get: () => parent.minLevel, enumerable: true },
+    });
+    this._levelCache = parent._levelCache;
+    this._unsubscribeModuleConfig = null;
+    this.enrichContext = parent.enrichContext;
+
+    // Own processors; the parent's processors run first (see _getProcessors)
+    this._processors = createProcessorStages();
+    this._stopCapturingProcessErrors = null;
+
+    this.metrics = parent.metrics;
+    this._timerHistograms = parent._timerHistograms;
+    this._profiles = new Map();
+    this.signer = parent.signer;
+    this.sanitizer = parent.sanitizer;
+    this.retention = parent.retention;
+
+    // Children count their own log path; flushes are counted by the root logger
+    this.stats = {
+      logged: 0,
+      rejected: 0,
+      flushed: 0,
+      errors: 0,
+      rateLimited: 0,
+      filtered: 0,
+      dropped: 0,
+      deduplicated: 0,
+    };
+
+    this.transformContext = parent.transformContext;
+    this.enableTransformLogging = parent.enableTransformLogging;
+    this.objectStates = parent.objectStates;
+    this.objectHierarchy = parent.objectHierarchy;
+    this.contextSnapshots = parent.contextSnapshots;
+    this.transformStats = {
+      contextLogs: 0,
+      transformUpdates: 0,
+      hierarchyChanges: 0,
+      stateSnapshots: 0,
+    };
   }
 
   /**
@@ -217,6 +446,83 @@ export class CoreLogger {
     console.error(`[${this.name}]`, context?.message || 'Logger error', error?.message || error);
   }
 
+  /**
+   * Emit an event on this logger and its ancestors
+   *
+   * A throwing listener is reported through the error handler and does not
+   * affect logging.
+   *
+   * @private
+   * @param {string} event - Event name
+   * @param {*} [payload] - Event payload
+   * @returns {void}
+   */
+  _emitEvent(event, payload) {
+    for (let logger = this; logger; logger = logger.parent) {
+      if (logger.listenerCount(event) === 0) {
+        continue;
+      }
+      try {
+        logger.emit(event, payload);
+      } catch (error) {
+        this._emitError(error, { message: `Error in '${event}' listener` });
+      }
+    }
+  }
+
+  /**
+   * Emit 'dropped' (the payload is only built when someone listens)
+   *
+   * @private
+   * @param {string} reason - 'filtered' | 'processor' | 'deduplicated' | 'rateLimited' |
+   *   'backpressure'
+   * @param {Object} record - Record or entry being dropped
+   * @param {Object} [extra] - Additional payload fields (stage, entry)
+   * @returns {void}
+   */
+  _emitDropped(reason, record, extra) {
+    let listening = false;
+    for (let logger = this; logger && !listening; logger = logger.parent) {
+      listening = logger.listenerCount('dropped') > 0;
+    }
+    if (!listening) {
+      return;
+    }
+
+    this._emitEvent('dropped', {
+      reason,
+      level: record.level,
+      moduleName: record.moduleName,
+      message: typeof record.message === 'string' ? record.message : null,
+      ...extra,
+    });
+  }
+
+  /**
+   * Emit 'drain' on the root logger once the shared buffer resumes
+   *
+   * @private
+   * @returns {void}
+   */
+  _watchDrain() {
+    let root = this;
+    while (root.parent) {
+      root = root.parent;
+    }
+
+    root._backpressureDrops++;
+    if (root._awaitingDrain) {
+      return;
+    }
+    root._awaitingDrain = true;
+    root.buffer.onDrain(() => {
+      const dropped = root._backpressureDrops;
+      root._awaitingDrain = false;
+      root._backpressureDrops = 0;
+      root._emitEvent('drain', { dropped });
+    });
+  }
+
   /**
    * Validate logger configuration
    *
@@ -243,6 +549,71 @@ export class CoreLogger {
     ) {
       throw new LoggingError('enableTransformLogging must be a boolean');
     }
+
+    if (config.enrichContext !== undefined && typeof config.enrichContext !== 'boolean') {
+      throw new LoggingError('enrichContext must be a boolean');
+    }
+
+    if (
+      config.bindings !== undefined &&
+      (config.bindings === null ||
+        typeof config.bindings !== 'object' ||
+        Array.isArray(config.bindings))
+    ) {
+      throw new LoggingError('Bindings must be a plain object');
+    }
+
+    if (config.moduleConfig !== undefined && !(config.moduleConfig instanceof ModuleConfig)) {
+      throw new LoggingError('moduleConfig must be an instance of ModuleConfig');
+    }
+
+    if (
+      config.minLevel !== undefined &&
+      (typeof config.minLevel !== 'number' || !(config.minLevel in LogLevel))
+    ) {
+      throw new LoggingError(`Invalid minimum log level: ${config.minLevel}`);
+    }
+
+    if (config.parent !== undefined && !(config.parent instanceof CoreLogger)) {
+      throw new LoggingError('Parent must be a CoreLogger instance');
+    }
+
+    if (config.processors !== undefined && !Array.isArray(config.processors)) {
+      throw new LoggingError('Processors must be an array');
+    }
+
+    if (
+      config.metrics !== undefined &&
+      (config.metrics === null || typeof config.metrics.createHistogram !== 'function')
+    ) {
+      throw new LoggingError('metrics must be a MetricsCollector');
+    }
+
+    if (
+      config.signing !== undefined &&
+      (config.signing === null || typeof config.signing !== 'object')
+    ) {
+      throw new LoggingError('signing must be a BatchSigner or signing options');
+    }
+
+    if (config.sanitizer !== undefined && !(config.sanitizer instanceof DataSanitizer)) {
+      throw new LoggingError('sanitizer must be a DataSanitizer');
+    }
+
+    if (
+      config.retention !== undefined &&
+      (config.retention === null || typeof config.retention !== 'object')
+    ) {
+      throw new LoggingError('retention must be a RetentionPolicy or retention options');
+    }
+
+    if (
+      config.dedup !== undefined &&
+      typeof config.dedup !== 'boolean' &&
+      (config.dedup === null || typeof config.dedup !== 'object' || Array.isArray(config.dedup))
+    ) {
+      throw new LoggingError('dedup must be a boolean or an options object');
+    }
   }
 
   /**
@@ -266,18 +637,43 @@ export class CoreLogger {
    * Core logging method that handles rate limiting, buffer management,
    * and backpressure detection. Returns false if the log entry was rejected.
    *
+   * LEVEL FILTERING:
+   * Entries less severe than the level configured for this logger's module
+   * (ModuleConfig or minLevel) are dropped before the entry is built,
+   * sanitized or counted against the rate limit.
+   *
+   * LAZY EVALUATION:
+   * message and metadata may be functions (sync or async) returning the
+   * value. They are called only once the entry passed level filtering,
+   * the processors ahead of the rate limiter (e.g. sampling) and rate
+   * limiting, so hot paths don't pay for disabled DEBUG output. Those
+   * processors receive the functions unevaluated. When deduplication is
+   * enabled for the module, the functions are called just before the dedup
+   * check, which needs the message for its fingerprint.
+   *
+   * DEDUPLICATION:
+   * With the dedup option, repeats of an entry (same module, level, message
+   * and selected keys) inside the window are counted instead of logged, and
+   * a summary entry is logged when the window closes.
+   *
    * RATE LIMITING:
    * If rate limiting is active for this logger module, the entry may be
    * rejected to prevent log flooding.
    *
+   * PROCESSORS:
+   * Processors registered with use() run at their stage: before rate
+   * limiting, after rate limiting (before sanitization, the default) or after
+   * sanitization. Any of them may enrich, rewrite or drop the entry.
+   *
    * BACKPRESSURE:
    * If the buffer is full (high water mark reached), the entry is rejected
    * to prevent memory issues and signal backpressure.
    *
    * @param {number} level - Log level (see LogLevel constants)
-   * @param {string} message - Log message content
-   * @param {Object} [metadata={}] - Additional metadata for the log entry
-   * @returns {boolean} true if logged successfully, false if rejected
+   * @param {string|Function} message - Log message content, or a function returning it
+   * @param {Object|Function} [metadata={}] - Additional metadata for the log entry, or a
+   *   function returning it
+   * @returns {boolean} true if logged successfully, false if rejected or filtered
    *
    * @example
    * // Log with metadata
@@ -286,27 +682,52 @@ export class CoreLogger {
    *   email: 'user@example.com',
    *   timestamp: Date.now()
    * });
+   *
+   * // Only describe the object when DEBUG is enabled for this module
+   * logger.debug(() => `Cache state: ${describe(cache)}`, () => ({ keys: cache.size }));
    */
   async log(level, message, metadata = {}) {
     try {
+      // Level check (cheapest rejection, runs first)
+      if (!this.isLevelEnabled(level)) {
+        this.stats.filtered++;
+        this._emitDropped('filtered', { level, moduleName: this.name, message });
+        return false;
+      }
+
+      let record = { level, moduleName: this.name, message, context: metadata };
+
+      // Processors ahead of the rate limiter only see the call-site metadata
+      record = await this._runProcessors(ProcessorStage.BEFORE_RATE_LIMIT, record);
+      if (!record) {
+        return false;
+      }
+
+      // Repeats are counted before they can use up the rate limit
+      if (this.deduplicator?.getOptions(record.moduleName).enabled) {
+        await this._resolveLazy(record);
+        if (!this.deduplicator.check(record, this)) {
+          this.stats.deduplicated++;
+          this._emitDropped('deduplicated', record);
+          return false;
+        }
+      }
+
       // Rate limit check
-      if (!this.rateLimiter.canLog(this.name)) {
+      if (!this.rateLimiter.canLog(record.moduleName)) {
         this.stats.rateLimited++;
         this.stats.rejected++;
+        this._emitDropped('rateLimited', record);
         return false;
       }
 
-      const entry = new LogEntry(level, this.name, message, metadata);
-      this.stats.logged++;
-
-      // Backpressure-aware push
-      const accepted = await this.buffer.push(entry);
-      if (!accepted) {
-        this.stats.rejected++;
+      await this._resolveLazy(record);
+      const entry = await this._buildEntry(record);
+      if (!entry) {
         return false;
       }
 
-      return true;
+      return await this._pushEntry(entry);
     } catch (error) {
       this.stats.errors++;
       // Pluggable hook + concise fallback
@@ -316,205 +737,1155 @@ export class CoreLogger {
   }
 
   /**
-   * Log a debug-level message
+   * Push a built entry into the buffer
    *
-   * Convenience method for logging debug messages. Debug logs are typically
-   * used for detailed diagnostic information during development.
+   * @private
+   * @param {LogEntry} entry - Entry to buffer
+   * @param {Object} [options={}] - Push options
+   * @param {boolean} [options.flushWhenFull=false] - On backpressure, flush the buffer and
+   *   retry once instead of dropping the entry (AuditLogger)
+   * @returns {Promise<boolean>} true if accepted, false on backpressure
+   */
+  async _pushEntry(entry, options = {}) {
+    this.stats.logged++;
+
+    // Backpressure-aware push
+    let accepted = await this.buffer.push(entry);
+    if (!accepted && options.flushWhenFull) {
+      await this.buffer.flush();
+      accepted = await this.buffer.push(entry);
+    }
+    if (!accepted) {
+      this.stats.rejected++;
+      this._emitDropped('backpressure', entry, { entry });
+      this._watchDrain();
+      return false;
+    }
+
+    this._emitEvent('entry', entry);
+    return true;
+  }
+
+  /**
+   * Call a lazy message and metadata (functions) and store their results
    *
-   * @param {string} message - Debug message
-   * @param {Object} [metadata] - Additional metadata
-   * @returns {boolean} true if logged successfully, false if rejected
+   * @private
+   * @param {Object} record - { level, moduleName, message, context }, updated in place
+   * @returns {Promise<Object>} The record
    */
-  async debug(message, metadata) {
-    return this.log(LogLevel.DEBUG, message, metadata);
+  async _resolveLazy(record) {
+    if (typeof record.message === 'function') {
+      record.message = await record.message();
+    }
+    if (typeof record.context === 'function') {
+      record.context = (await record.context()) ?? {};
+    }
+    return record;
   }
 
   /**
-   * Log an info-level message
+   * Turn a record that passed rate limiting into a LogEntry
    *
-   * Convenience method for logging informational messages. Info logs are used
-   * for important application events and state changes.
+   * Applies bindings and context enrichment, then the processors around
+   * sanitization (LogEntry sanitizes the context).
    *
-   * @param {string} message - Info message
-   * @param {Object} [metadata] - Additional metadata
-   * @returns {boolean} true if logged successfully, false if rejected
+   * @private
+   * @param {Object} record - { level, moduleName, message, context }
+   * @param {Object} [options] - Passed to _runProcessors (e.g. { allowDrop: false })
+   * @returns {Promise<LogEntry|null>} Entry, or null if a processor dropped it
    */
-  async info(message, metadata) {
-    return this.log(LogLevel.INFO, message, metadata);
+  async _buildEntry(record, options) {
+    record.context = this._applyBindings(record.context);
+    if (this.enrichContext) {
+      record.context = this._enrichFromContext(record.context);
+    }
+
+    record = await this._runProcessors(ProcessorStage.BEFORE_SANITIZE, record, options);
+    if (!record) {
+      return null;
+    }
+
+    let { context } = record;
+    let retention = null;
+    if (this.retention) {
+      // An explicit class travels on the entry, not in its metadata
+      let explicit;
+      if (context && typeof context === 'object' && 'retention' in context) {
+        ({ retention: explicit, ...context } = context);
+      }
+      try {
+        retention = this.retention.classify(record.level, record.moduleName, explicit);
+      } catch (error) {
+        // An unknown class must not lose the entry: warn and apply the rules
+        this._emitError(error, { message: 'retention', moduleName: record.moduleName });
+        retention = this.retention.classify(record.level, record.moduleName);
+      }
+    }
+
+    const entry = new LogEntry(record.level, record.moduleName, record.message, context, {
+      sanitizer: this.sanitizer ?? undefined,
+      retention,
+    });
+    return this._runProcessors(ProcessorStage.AFTER_SANITIZE, entry, options);
+  }
+
+  /**
+   * Log a dedup summary entry
+   *
+   * Summaries bypass the rate limiter: they stand in for the entries the
+   * dedup stage already suppressed.
+   *
+   * @private
+   * @param {Object} record - Summary record from LogDeduplicator
+   * @returns {Promise<boolean>} true if the summary was buffered
+   */
+  async _logDedupSummary(record) {
+    try {
+      const entry = await this._buildEntry(record);
+      if (!entry) {
+        return false;
+      }
+
+      return await this._pushEntry(entry);
+    } catch (error) {
+      this.stats.errors++;
+      this._emitError(error, { message: 'Error logging dedup summary' });
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a level would be accepted by this logger
+   *
+   * Uses the level ModuleConfig assigns to this logger's name (module or
+   * pattern level, falling back to its default), or minLevel when no
+   * ModuleConfig is configured. Without either, every level is accepted.
+   *
+   * @param {number} level - Log level (see LogLevel constants)
+   * @returns {boolean} true if entries at this level are logged
+   *
+   * @example
+   * if (logger.isLevelEnabled(LogLevel.DEBUG)) {
+   *   await logger.debug('State dump', buildExpensiveDump());
+   * }
+   */
+  isLevelEnabled(level) {
+    const threshold = this._resolveLevel();
+    return threshold === null || level <= threshold;
+  }
+
+  /**
+   * Resolve the least severe level accepted for this logger's name
+   *
+   * @private
+   * @returns {number|null} Level threshold, or null when no filtering applies
+   */
+  _resolveLevel() {
+    if (!this.moduleConfig) {
+      return this.minLevel;
+    }
+
+    let level = this._levelCache.get(this.name);
+    if (level === undefined) {
+      level = this.moduleConfig.getLogLevelForModule(this.name);
+      this._levelCache.set(this.name, level);
+    }
+    return level;
+  }
+
+  /**
+   * Merge bound fields into entry metadata
+   *
+   * Fields passed at the call site win over bound fields with the same key.
+   *
+   * @private
+   * @param {Object} metadata - Metadata passed to log()
+   * @returns {Object} Metadata including bound fields
+   */
+  _applyBindings(metadata) {
+    if (Object.keys(this.bindings).length === 0) {
+      return metadata;
+    }
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      return { ...this.bindings };
+    }
+    return { ...this.bindings, ...metadata };
+  }
+
+  /**
+   * Add correlation, trace and request fields from the current async context
+   *
+   * Reads LogContext (AsyncLocalStorage) for the correlation ID, trace context
+   * and request context, falling back to DistributedTracingIntegration and
+   * RequestContextStorage. Fields already present in the metadata win.
+   *
+   * @private
+   * @param {Object} metadata - Entry metadata (after bindings)
+   * @returns {Object} Metadata including context fields
+   */
+  _enrichFromContext(metadata) {
+    if (metadata !== undefined && metadata !== null) {
+      if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+        // Leave invalid metadata for LogEntry validation to report
+        return metadata;
+      }
+    }
+
+    const fields = {};
+    const ctx = LogContext.getContext();
+
+    const correlationId = ctx?.correlationId ?? LogContext.getCorrelationId();
+    if (correlationId) {
+      fields.correlationId = correlationId;
+    }
+
+    const trace = ctx?.traceContext ?? DistributedTracingIntegration.enrichLogEntry({});
+    if (trace?.traceId) {
+      fields.traceId = trace.traceId;
+      if (trace.spanId) {
+        fields.spanId = trace.spanId;
+      }
+    }
+
+    const request = ctx?.requestContext ?? RequestContextStorage.getCurrent();
+    if (request) {
+      fields.request = typeof request.getSummary === 'function' ? request.getSummary() : request;
+    }
+
+    return { ...fields, ...metadata };
+  }
+
+  /**
+   * Create a child logger with bound context
+   *
+   * The child shares this logger's buffer, rate limiter and transports, and
+   * merges the bound fields into the metadata of every entry it logs. The
+   * special `module` field becomes the child's name and therefore the
+   * `LogEntry.moduleName` (and rate limiting key) of its entries. Children can
+   * be nested; bindings accumulate from the root down.
+   *
+   * @param {Object} [bindings={}] - Fields to bind (e.g. module, tenantId, requestId)
+   * @param {string} [bindings.module] - Module name for entries logged by the child
+   * @throws {LoggingError} If bindings are invalid
+   * @returns {CoreLogger} Child logger
+   *
+   * @example
+   * const requestLogger = logger.child({ module: 'orders', tenantId: 't-1', requestId });
+   * await requestLogger.info('Order created', { orderId: 42 });
+   * // => moduleName 'orders', context { tenantId: 't-1', requestId, orderId: 42 }
+   */
+  child(bindings = {}) {
+    if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+      throw new LoggingError('Bindings must be a plain object');
+    }
+
+    const { module: moduleName, ...fields } = bindings;
+    if (moduleName !== undefined && (typeof moduleName !== 'string' || !moduleName.trim())) {
+      throw new LoggingError('Child module name must be a non-empty string');
+    }
+
+    return new CoreLogger({
+      name: moduleName ?? this.name,
+      bindings: fields,
+      parent: this,
+    });
+  }
+
+  /**
+   * Log a trace-level message
+   *
+   * Convenience method for the most verbose diagnostics (below DEBUG), such as
+   * function entry/exit or per-item loop details.
+   *
+   * @param {string|Function} message - Trace message (or a function returning it)
+   * @param {Object|Function} [metadata] - Additional metadata
+   * @returns {boolean} true if logged successfully, false if rejected
+   */
+  async trace(message, metadata) {
+    return this.log(LogLevel.TRACE, message, metadata);
+  }
+
+  /**
+   * Log a debug-level message
+   *
+   * Convenience method for logging debug messages. Debug logs are typically
+   * used for detailed diagnostic information during development.
+   *
+   * @param {string|Function} message - Debug message (or a function returning it)
+   * @param {Object|Function} [metadata] - Additional metadata
+   * @returns {boolean} true if logged successfully, false if rejected
+   */
+  async debug(message, metadata) {
+    return this.log(LogLevel.DEBUG, message, metadata);
+  }
+
+  /**
+   * Log an info-level message
+   *
+   * Convenience method for logging informational messages. Info logs are used
+   * for important application events and state changes.
+   *
+   * @param {string|Function} message - Info message (or a function returning it)
+   * @param {Object|Function} [metadata] - Additional metadata
+   * @returns {boolean} true if logged successfully, false if rejected
+   */
+  async info(message, metadata) {
+    return this.log(LogLevel.INFO, message, metadata);
+  }
+
+  /**
+   * Log a warning-level message
+   *
+   * Convenience method for logging warnings. Warnings indicate potentially
+   * problematic conditions that should be addressed but don't prevent operation.
+   *
+   * @param {string|Function} message - Warning message (or a function returning it)
+   * @param {Object|Function} [metadata] - Additional metadata
+   * @returns {boolean} true if logged successfully, false if rejected
+   */
+  async warn(message, metadata) {
+    return this.log(LogLevel.WARN, message, metadata);
+  }
+
+  /**
+   * Log an error-level message
+   *
+   * Convenience method for logging errors. Errors indicate serious problems
+   * that require immediate attention and may affect functionality.
+   *
+   * @param {string|Function} message - Error message (or a function returning it)
+   * @param {Object|Function} [metadata] - Additional metadata (usually includes error object or stack trace)
+   * @returns {boolean} true if logged successfully, false if rejected
+   */
+  async error(message, metadata) {
+    return this.log(LogLevel.ERROR, message, metadata);
+  }
+
+  /**
+   * Log a fatal-level message
+   *
+   * Convenience method for unrecoverable failures, typically logged right
+   * before the process exits.
+   *
+   * @param {string|Function} message - Fatal message (or a function returning it)
+   * @param {Object|Function} [metadata] - Additional metadata
+   * @returns {boolean} true if logged successfully, false if rejected
+   */
+  async fatal(message, metadata) {
+    return this.log(LogLevel.FATAL, message, metadata);
+  }
+
+  /**
+   * Handle buffered log entries flush
+   *
+   * Internal method called when the buffer reaches its flush threshold.
+   * Sends accumulated log entries to all registered transports.
+   *
+   * ERROR HANDLING:
+   * Errors in individual transports are caught and logged, allowing
+   * other transports to continue operating.
+   *
+   * @private
+   * @param {Array} entries - Array of LogEntry objects to flush
+   * @returns {void}
+   */
+  async _handleFlush(entries) {
+    const started = Date.now();
+    let delivered = 0;
+    let failed = 0;
+    const sequence = this.signer?.nextSequence(entries);
+
+    const deliveries = [];
+    for (const transport of this.transports) {
+      const routed = this._routeEntries(transport, entries);
+      if (routed.length === 0) {
+        continue;
+      }
+      // Each transport gets blocks for exactly the entries routed to it, linked per stream
+      const batch = this.signer
+        ? [...routed, ...this.signer.sign(routed, sequence, this._signingStreamOf(transport))]
+        : routed;
+      deliveries.push({ transport, routed, batch });
+    }
+    if (this.signer) {
+      // Once per flush, before delivery: a restart must not reuse the sequence
+      try {
+        await this.signer.saveState();
+      } catch (error) {
+        this.stats.errors++;
+        this._emitError(error, { message: 'Error saving signing state' });
+      }
+    }
+
+    for (const { transport, routed, batch } of deliveries) {
+      try {
+        if (typeof transport.write === 'function') {
+          await transport.write(batch);
+        } else if (typeof transport.log === 'function') {
+          // Fallback for single-entry transports
+          for (const e of batch) {
+            // eslint-disable-next-line no-await-in-loop
+            await transport.log(e);
+          }
+        }
+        this.stats.flushed += routed.length;
+        delivered += routed.length;
+      } catch (error) {
+        this.stats.errors++;
+        failed++;
+        this._emitError(error, { message: 'Transport error' });
+        this._emitEvent('transportError', { error, transport, entries: routed.length });
+      }
+    }
+
+    this._emitEvent('flush', {
+      entries: entries.length,
+      delivered,
+      failed,
+      durationMs: Date.now() - started,
+    });
+  }
+
+  /**
+   * Manually flush the buffer
+   *
+   * Forces immediate flush of all buffered log entries to transports.
+   * Useful for ensuring logs are sent before application shutdown.
+   *
+   * CHAINABLE API:
+   * Returns this logger instance for method chaining.
+   *
+   * @returns {CoreLogger} this instance for chaining
+   *
+   * @example
+   * logger.info('Starting shutdown').flush();
+   */
+  async flush() {
+    await this.buffer.flush();
+    return this;
+  }
+
+  /**
+   * Wait for the buffer to drain
+   *
+   * Returns a promise that resolves when the buffer has been fully drained
+   * and all backpressure signals have been cleared.
+   *
+   * BACKPRESSURE HANDLING:
+   * Useful for coordinating with the logging system when backpressure is active.
+   *
+   * @returns {Promise<void>} Resolves when buffer is drained
+   *
+   * @example
+   * // Wait for buffer to drain before shutdown
+   * await logger.drain();
+   * process.exit(0);
+   */
+  async drain() {
+    return new Promise((resolve) => {
+      if (this.buffer.isPaused) {
+        this.buffer.onDrain(resolve);
+      } else {
+        resolve();
+      }
+    });
+  }
+
+  /**
+   * Count entries not yet written out
+   *
+   * Includes entries still in the buffer and entries queued inside
+   * transports that report them through getPendingCount().
+   *
+   * @returns {number} Pending entries
+   */
+  getPendingCount() {
+    let pending = this.buffer.buffer.length;
+    for (const transport of this.transports) {
+      if (typeof transport.getPendingCount === 'function') {
+        pending += transport.getPendingCount();
+      }
+    }
+    return pending;
+  }
+
+  /**
+   * Add a transport to the logger
+   *
+   * Registers a new transport for receiving log entries. The transport can be
+   * console, file, HTTP, or any custom implementation.
+   *
+   * CHAINABLE API:
+   * Returns this logger instance for method chaining.
+   *
+   * ROUTING:
+   * By default a transport receives every flushed entry. With options it only
+   * receives entries that match all of them:
+   * - minLevel: least severe level accepted (e.g. LogLevel.ERROR)
+   * - modules: module names or patterns ('auth-*', 'auth.*'); any match is enough
+   * - filter(entry): predicate on the sanitized LogEntry (a throwing filter
+   *   is reported through the error handler and rejects the entry)
+   *
+   * SIGNING:
+   * With the signing option, the transport's signature blocks are linked under
+   * its stream id. Give it a `stream` when it must keep its links whatever the
+   * order transports are added in (e.g. across restarts with a stateFile);
+   * otherwise it gets the next free number.
+   *
+   * @param {Object} transport - Transport instance with write() method
+   * @param {Object} [options] - Routing options
+   * @param {number} [options.minLevel] - Least severe level sent to this transport
+   * @param {string|string[]} [options.modules] - Module names or patterns sent to this transport
+   * @param {Function} [options.filter] - Predicate deciding per entry
+   * @param {string|number} [options.stream] - Signing stream id, unique among the transports
+   * @throws {LoggingError} If transport is not provided or options are invalid
+   * @returns {CoreLogger} this instance for chaining
+   *
+   * @example
+   * logger.addTransport(consoleTransport)
+   *       .addTransport(fileTransport)
+   *       .info('Now outputs to both console and file');
+   *
+   * // Errors to the HTTP collector, auth.* modules to a dedicated audit file
+   * logger.addTransport(httpTransport, { minLevel: LogLevel.ERROR })
+   *       .addTransport(auditFile, { modules: ['auth.*'] });
+   */
+  addTransport(transport, options) {
+    if (!transport) {
+      throw new LoggingError('Transport must be provided');
+    }
+    if (!this._isValidTransport(transport)) {
+      // eslint-disable-next-line no-console
+      console.warn(
+        `[${this.name}] Ignoring invalid transport (expected write(entries) or log(entry))`
+      );
+      return this;
+    }
+    const { stream, ...route } = options ?? {};
+    this._setSigningStream(transport, stream);
+    this._setTransportRoute(transport, route);
+    // Inject error handler into transport if supported
+    if (typeof transport.setErrorHandler === 'function') {
+      transport.setErrorHandler((err, ctx) => this._emitError(err, { message: 'transport', ...ctx }));
+    }
+    this.transports.push(transport);
+    return this;
+  }
+
+  /**
+   * Remove a transport from the logger
+   *
+   * Unregisters a previously added transport. Log entries will no longer be
+   * sent to this transport.
+   *
+   * CHAINABLE API:
+   * Returns this logger instance for method chaining.
+   *
+   * @param {Object} transport - Transport instance to remove
+   * @returns {CoreLogger} this instance for chaining
+   */
+  removeTransport(transport) {
+    const index = this.transports.indexOf(transport);
+    if (index > -1) {
+      this.transports.splice(index, 1);
+    }
+    this.transportRoutes.delete(transport);
+    this.signingStreams.delete(transport);
+    return this;
+  }
+
+  /**
+   * Get the routing options of a transport
+   *
+   * @param {Object} transport - Registered transport
+   * @returns {{minLevel?: number, modules?: string[], filter?: Function}|null} Options, or
+   *   null if the transport receives every entry
+   */
+  getTransportRoute(transport) {
+    const route = this.transportRoutes.get(transport);
+    return route ? { ...route.options } : null;
+  }
+
+  /**
+   * Validate transport shape: must expose write(entries) or log(entry)
+   * @private
+   */
+  _isValidTransport(transport) {
+    return (
+      transport && (typeof transport.write === 'function' || typeof transport.log === 'function')
+    );
+  }
+
+  /**
+   * RetentionPolicy from the retention option (null when entries are unclassified)
+   * @private
+   */
+  _createRetention(retention) {
+    if (!retention) {
+      return null;
+    }
+    return retention instanceof RetentionPolicy ? retention : new RetentionPolicy(retention);
+  }
+
+  /**
+   * BatchSigner from the signing option (null when signing is off)
+   * @private
+   */
+  _createSigner(signing) {
+    if (!signing) {
+      return null;
+    }
+    return signing instanceof BatchSigner ? signing : new BatchSigner(signing);
+  }
+
+  /**
+   * Store the signing stream id given for a transport
+   *
+   * @private
+   * @param {Object} transport - Transport instance
+   * @param {string|number} [stream] - Stream id (none: assigned on the first signed flush)
+   * @throws {LoggingError} If the id is invalid or taken by another transport
+   * @returns {void}
+   */
+  _setSigningStream(transport, stream) {
+    if (stream === undefined) {
+      return;
+    }
+    if (
+      !(typeof stream === 'string' && stream.trim()) &&
+      !(Number.isInteger(stream) && stream >= 0)
+    ) {
+      throw new LoggingError('Transport stream must be a non-empty string or an integer');
+    }
+    for (const [other, id] of this.signingStreams) {
+      if (id === stream && other !== transport) {
+        throw new LoggingError(`Transport stream ${stream} is already used by another transport`);
+      }
+    }
+    this.signingStreams.set(transport, stream);
+  }
+
+  /**
+   * Signing stream id of a transport, assigning the next free number if it has none
+   *
+   * Numbers are never reused while the logger runs, so a transport added later
+   * never continues the blocks of a removed one.
+   *
+   * @private
+   * @param {Object} transport - Registered transport
+   * @returns {string|number} Stream id
+   */
+  _signingStreamOf(transport) {
+    let stream = this.signingStreams.get(transport);
+    if (stream === undefined) {
+      const taken = new Set(this.signingStreams.values());
+      while (taken.has(this._nextSigningStream)) {
+        this._nextSigningStream++;
+      }
+      stream = this._nextSigningStream++;
+      this.signingStreams.set(transport, stream);
+    }
+    return stream;
+  }
+
+  /**
+   * A { transport, ...options } route spec (as opposed to a transport)
+   * @private
+   */
+  _isRouteSpec(item) {
+    return Boolean(item?.transport) && !this._isValidTransport(item);
+  }
+
+  /**
+   * Validate and store routing options for a transport
+   *
+   * @private
+   * @param {Object} transport - Transport instance
+   * @param {Object} [options] - { minLevel, modules, filter }
+   * @throws {LoggingError} If options are invalid
+   * @returns {void}
+   */
+  _setTransportRoute(transport, options = {}) {
+    const { minLevel, filter } = options;
+    const modules = typeof options.modules === 'string' ? [options.modules] : options.modules;
+
+    if (minLevel !== undefined && (typeof minLevel !== 'number' || !(minLevel in LogLevel))) {
+      throw new LoggingError(`Invalid transport minLevel: ${minLevel}`);
+    }
+    if (
+      modules !== undefined &&
+      (!Array.isArray(modules) ||
+        modules.length === 0 ||
+        !modules.every((m) => typeof m === 'string' && m.trim()))
+    ) {
+      throw new LoggingError('Transport modules must be a non-empty array of names or patterns');
+    }
+    if (filter !== undefined && typeof filter !== 'function') {
+      throw new LoggingError('Transport filter must be a function');
+    }
+
+    if (minLevel === undefined && modules === undefined && filter === undefined) {
+      this.transportRoutes.delete(transport);
+      return;
+    }
+
+    const resolved = {};
+    if (minLevel !== undefined) {
+      resolved.minLevel = minLevel;
+    }
+    if (modules !== undefined) {
+      resolved.modules = [...modules];
+    }
+    if (filter !== undefined) {
+      resolved.filter = filter;
+    }
+
+    // moduleName => matched; module names repeat across flushes
+    this.transportRoutes.set(transport, { options: resolved, moduleCache: new Map() });
   }
 
   /**
-   * Log a warning-level message
-   *
-   * Convenience method for logging warnings. Warnings indicate potentially
-   * problematic conditions that should be addressed but don't prevent operation.
+   * Select the entries a transport should receive
    *
-   * @param {string} message - Warning message
-   * @param {Object} [metadata] - Additional metadata
-   * @returns {boolean} true if logged successfully, false if rejected
+   * @private
+   * @param {Object} transport - Transport instance
+   * @param {LogEntry[]} entries - Flushed entries
+   * @returns {LogEntry[]} Entries matching the transport's route (all if it has none)
    */
-  async warn(message, metadata) {
-    return this.log(LogLevel.WARN, message, metadata);
+  _routeEntries(transport, entries) {
+    const route = this.transportRoutes.get(transport);
+    if (!route) {
+      return entries;
+    }
+
+    const { minLevel, modules, filter } = route.options;
+    return entries.filter((entry) => {
+      if (minLevel !== undefined && !(entry.level <= minLevel)) {
+        return false;
+      }
+      if (modules) {
+        let matched = route.moduleCache.get(entry.moduleName);
+        if (matched === undefined) {
+          matched = modules.some((p) => ModulePatternMatcher.matches(entry.moduleName, p));
+          route.moduleCache.set(entry.moduleName, matched);
+        }
+        if (!matched) {
+          return false;
+        }
+      }
+      if (filter) {
+        try {
+          return Boolean(filter(entry));
+        } catch (error) {
+          this.stats.errors++;
+          this._emitError(error, { message: 'Transport filter failed' });
+          return false;
+        }
+      }
+      return true;
+    });
   }
 
+  // ═════════════════════════════════════════════════════════════════
+  // TIMERS & PROFILING
+  // ═════════════════════════════════════════════════════════════════
+
   /**
-   * Log an error-level message
+   * Start timing an operation
    *
-   * Convenience method for logging errors. Errors indicate serious problems
-   * that require immediate attention and may affect functionality.
+   * done() logs one entry "<name> completed" with `timer` and `durationMs`
+   * (measured with process.hrtime.bigint()) merged into its metadata, and
+   * records the duration in the `<name>_duration_ms` histogram of the
+   * configured MetricsCollector, even if the entry itself is filtered out.
+   * The correlation ID active when the timer starts (e.g. inside
+   * LogContext.runWithContext) is kept, wherever done() is called.
    *
-   * @param {string} message - Error message
-   * @param {Object} [metadata] - Additional metadata (usually includes error object or stack trace)
-   * @returns {boolean} true if logged successfully, false if rejected
+   * @param {string} name - Operation name (e.g. 'db.query')
+   * @param {Object} [options={}] - Timer options
+   * @param {number} [options.level=LogLevel.INFO] - Level of the entry logged by done()
+   * @param {string} [options.message] - Message (default: '<name> completed')
+   * @throws {LoggingError} If name or level is invalid
+   * @returns {{name: string, elapsed: Function, done: Function}} Timer; elapsed() returns the
+   *   ms so far, done(metadata?) logs the entry once and resolves like log() (false if already done)
+   *
+   * @example
+   * const t = logger.startTimer('db.query');
+   * const rows = await db.query(sql);
+   * await t.done({ rows: rows.length }); // "db.query completed" { rows, timer, durationMs: 12.3 }
    */
-  async error(message, metadata) {
-    return this.log(LogLevel.ERROR, message, metadata);
+  startTimer(name, options = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new LoggingError('Timer name must be a non-empty string');
+    }
+    const level = options.level ?? LogLevel.INFO;
+    if (typeof level !== 'number' || !(level in LogLevel)) {
+      throw new LoggingError(`Invalid timer level: ${level}`);
+    }
+
+    const message = options.message ?? `${name} completed`;
+    const correlationId = LogContext.getCorrelationId();
+    const start = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - start) / 1e6;
+    let finished = false;
+
+    return {
+      name,
+      elapsed,
+      done: async (metadata = {}) => {
+        if (finished) {
+          return false;
+        }
+        finished = true;
+
+        const durationMs = Math.round(elapsed() * 1000) / 1000;
+        this._observeDuration(name, durationMs);
+
+        const fields = { timer: name, durationMs };
+        if (correlationId) {
+          fields.correlationId = correlationId;
+        }
+        return this.log(level, message, { ...metadata, ...fields });
+      },
+    };
   }
 
   /**
-   * Handle buffered log entries flush
+   * Start or stop a named profile
    *
-   * Internal method called when the buffer reaches its flush threshold.
-   * Sends accumulated log entries to all registered transports.
+   * The first call with a name starts a timer (see startTimer); the next
+   * call with the same name stops it and logs the entry.
    *
-   * ERROR HANDLING:
-   * Errors in individual transports are caught and logged, allowing
-   * other transports to continue operating.
+   * @param {string} name - Profile name
+   * @param {Object} [metadata] - Metadata for the entry (used when stopping)
+   * @returns {Promise<boolean>} false when starting; when stopping, the result of the log call
    *
+   * @example
+   * logger.profile('render');
+   * renderPage();
+   * await logger.profile('render', { widgets: 12 }); // "render completed" { durationMs, ... }
+   */
+  async profile(name, metadata) {
+    const running = this._profiles.get(name);
+    if (running) {
+      this._profiles.delete(name);
+      return running.done(metadata);
+    }
+
+    this._profiles.set(name, this.startTimer(name));
+    return false;
+  }
+
+  /**
+   * Record a timer duration in the configured MetricsCollector
    * @private
-   * @param {Array} entries - Array of LogEntry objects to flush
-   * @returns {void}
    */
-  async _handleFlush(entries) {
-    for (const transport of this.transports) {
-      try {
-        if (typeof transport.write === 'function') {
-          await transport.write(entries);
-        } else if (typeof transport.log === 'function') {
-          // Fallback for single-entry transports
-          for (const e of entries) {
-            // eslint-disable-next-line no-await-in-loop
-            await transport.log(e);
-          }
-        }
-        this.stats.flushed += entries.length;
-      } catch (error) {
-        this.stats.errors++;
-        this._emitError(error, { message: 'Transport error' });
-      }
+  _observeDuration(name, durationMs) {
+    if (!this.metrics) {
+      return;
     }
+
+    const metricName = `${name}_duration_ms`;
+    let histogram = this._timerHistograms.get(metricName);
+    if (!histogram) {
+      histogram = this.metrics.createHistogram(metricName, {
+        buckets: TIMER_BUCKETS_MS,
+        description: `Duration of ${name} in milliseconds`,
+      });
+      this._timerHistograms.set(metricName, histogram);
+    }
+    histogram.observe(durationMs);
   }
 
+  // ═════════════════════════════════════════════════════════════════
+  // PROCESSOR PIPELINE
+  // ═════════════════════════════════════════════════════════════════
+
   /**
-   * Manually flush the buffer
+   * Register a processor
    *
-   * Forces immediate flush of all buffered log entries to transports.
-   * Useful for ensuring logs are sent before application shutdown.
+   * A processor is called with the entry being logged and may enrich, rewrite
+   * or drop it before it reaches the buffer:
+   * - return nothing (undefined) to keep the entry, including in-place changes
+   * - return an object to replace the entry
+   * - return null or false to drop the entry (counted in stats.dropped)
+   *
+   * Processors may be async. Before sanitization the entry is a plain record
+   * `{ level, moduleName, message, context }`; after sanitization it is the
+   * LogEntry itself. Processors run in registration order within a stage, and
+   * a child logger runs its parent's processors before its own. A processor
+   * that throws is reported through the error handler and skipped.
    *
    * CHAINABLE API:
    * Returns this logger instance for method chaining.
    *
+   * @param {Function} processor - (entry) => entry | undefined | null | false (or a Promise of it)
+   * @param {Object} [options={}] - Processor options
+   * @param {string} [options.stage=ProcessorStage.BEFORE_SANITIZE] - Pipeline stage
+   * @throws {LoggingError} If the processor is not a function or the stage is unknown
    * @returns {CoreLogger} this instance for chaining
    *
    * @example
-   * logger.info('Starting shutdown').flush();
+   * logger
+   *   .use((entry) => { entry.context = { ...entry.context, host: os.hostname() }; })
+   *   .use((entry) => (entry.message.startsWith('healthcheck') ? null : entry), {
+   *     stage: ProcessorStage.BEFORE_RATE_LIMIT,
+   *   });
    */
-  async flush() {
-    await this.buffer.flush();
+  use(processor, options = {}) {
+    if (typeof processor !== 'function') {
+      throw new LoggingError('Processor must be a function');
+    }
+
+    const stage = options.stage ?? ProcessorStage.BEFORE_SANITIZE;
+    if (!Object.hasOwn(this._processors, stage)) {
+      throw new LoggingError(`Invalid processor stage: ${stage}`);
+    }
+
+    this._processors[stage].push(processor);
     return this;
   }
 
   /**
-   * Wait for the buffer to drain
-   *
-   * Returns a promise that resolves when the buffer has been fully drained
-   * and all backpressure signals have been cleared.
-   *
-   * BACKPRESSURE HANDLING:
-   * Useful for coordinating with the logging system when backpressure is active.
+   * Remove a processor registered on this logger
    *
-   * @returns {Promise<void>} Resolves when buffer is drained
+   * CHAINABLE API:
+   * Returns this logger instance for method chaining.
    *
-   * @example
-   * // Wait for buffer to drain before shutdown
-   * await logger.drain();
-   * process.exit(0);
+   * @param {Function} processor - Processor to remove
+   * @returns {CoreLogger} this instance for chaining
    */
-  async drain() {
-    return new Promise((resolve) => {
-      if (this.buffer.isPaused) {
-        this.buffer.onDrain(resolve);
+  removeProcessor(processor) {
+    for (const processors of Object.values(this._processors)) {
+      const index = processors.indexOf(processor);
+      if (index > -1) {
+        processors.splice(index, 1);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Register processors given in the constructor config
+   * @private
+   */
+  _registerProcessors(processors = []) {
+    for (const item of processors) {
+      if (typeof item === 'function') {
+        this.use(item);
       } else {
-        resolve();
+        this.use(item?.processor, { stage: item?.stage });
       }
-    });
+    }
   }
 
   /**
-   * Add a transport to the logger
-   *
-   * Registers a new transport for receiving log entries. The transport can be
-   * console, file, HTTP, or any custom implementation.
-   *
-   * CHAINABLE API:
-   * Returns this logger instance for method chaining.
-   *
-   * @param {Object} transport - Transport instance with write() method
-   * @throws {LoggingError} If transport is not provided
-   * @returns {CoreLogger} this instance for chaining
-   *
-   * @example
-   * logger.addTransport(consoleTransport)
-   *       .addTransport(fileTransport)
-   *       .info('Now outputs to both console and file');
+   * Get the processors for a stage, including those inherited from parents
+   * @private
    */
-  addTransport(transport) {
-    if (!transport) {
-      throw new LoggingError('Transport must be provided');
+  _getProcessors(stage) {
+    const own = this._processors[stage];
+    if (!this.parent) {
+      return own;
     }
-    if (!this._isValidTransport(transport)) {
-      // eslint-disable-next-line no-console
-      console.warn(
-        `[${this.name}] Ignoring invalid transport (expected write(entries) or log(entry))`
-      );
-      return this;
+
+    const inherited = this.parent._getProcessors(stage);
+    if (inherited.length === 0) {
+      return own;
     }
-    // Inject error handler into transport if supported
-    if (typeof transport.setErrorHandler === 'function') {
-      transport.setErrorHandler((err, ctx) => this._emitError(err, { message: 'transport', ...ctx }));
+    return own.length === 0 ? inherited : [...inherited, ...own];
+  }
+
+  /**
+   * Run the processors of a stage over an entry
+   *
+   * @private
+   * @param {string} stage - ProcessorStage value
+   * @param {Object} entry - Record or LogEntry
+   * @param {Object} [options={}] - Run options
+   * @param {boolean} [options.allowDrop=true] - false ignores drops, so processors can
+   *   change the entry but not discard it (AuditLogger)
+   * @returns {Promise<Object|null>} Processed entry, or null if dropped
+   */
+  async _runProcessors(stage, entry, options = {}) {
+    const processors = this._getProcessors(stage);
+    let current = entry;
+
+    for (const processor of processors) {
+      let result;
+      try {
+        result = processor(current);
+        if (result && typeof result.then === 'function') {
+          result = await result;
+        }
+      } catch (error) {
+        this.stats.errors++;
+        this._emitError(error, { message: 'Processor failed', stage });
+        continue;
+      }
+
+      if ((result === null || result === false) && options.allowDrop === false) {
+        continue;
+      }
+      if (result === null || result === false) {
+        this.stats.dropped++;
+        this._emitDropped('processor', current, { stage });
+        return null;
+      }
+      if (result && typeof result === 'object') {
+        current = result;
+      }
     }
-    this.transports.push(transport);
-    return this;
+
+    return current;
   }
 
+  // ═════════════════════════════════════════════════════════════════
+  // PROCESS ERROR CAPTURE
+  // ═════════════════════════════════════════════════════════════════
+
   /**
-   * Remove a transport from the logger
+   * Log uncaught exceptions, unhandled rejections and process warnings
    *
-   * Unregisters a previously added transport. Log entries will no longer be
-   * sent to this transport.
+   * Crashes are logged as structured entries with the error serialized by
+   * ErrorSerializer (type, message, code, stack frames parsed by
+   * StackTraceExtractor, cause). The crash entry
+   * bypasses rate limiting and the buffer: pending entries are flushed first,
+   * then the crash entry is written and the transports are closed (which
+   * makes queued transports such as FileTransport write to disk) before the
+   * process exits; with a shutdownManager, the manager closes them instead.
+   * Warnings are logged at WARN through the normal pipeline and never exit.
    *
-   * CHAINABLE API:
-   * Returns this logger instance for method chaining.
+   * Calling it again replaces the previous capture.
    *
-   * @param {Object} transport - Transport instance to remove
-   * @returns {CoreLogger} this instance for chaining
+   * @param {Object} [options={}] - Capture options
+   * @param {boolean} [options.exitOnError=true] - Exit after logging a crash (as Node does
+   *   by default); when false the crash is logged at ERROR and the process keeps running
+   * @param {number} [options.exitCode=1] - Exit code used after a crash
+   * @param {number} [options.timeout=2000] - Max ms spent writing before exiting anyway
+   * @param {boolean} [options.warnings=true] - Also log process 'warning' events
+   * @param {ShutdownManager} [options.shutdownManager] - Drain and close every logger it
+   *   manages before exiting (create it with handleFatalErrors: false)
+   * @returns {Function} Stops capturing
+   *
+   * @example
+   * logger.captureProcessErrors({ timeout: 1000 });
+   * // uncaught TypeError => FATAL 'Uncaught exception: ...' entry
+   * //   { origin: 'uncaughtException', error: { type, message, code, stack: [...], cause } }
    */
-  removeTransport(transport) {
-    const index = this.transports.indexOf(transport);
-    if (index > -1) {
-      this.transports.splice(index, 1);
+  captureProcessErrors(options = {}) {
+    const {
+      exitOnError = true,
+      exitCode = 1,
+      timeout = 2000,
+      warnings = true,
+      shutdownManager = null,
+    } = options;
+
+    if (shutdownManager && typeof shutdownManager.shutdown !== 'function') {
+      throw new LoggingError('shutdownManager must be a ShutdownManager instance');
     }
-    return this;
+    shutdownManager?.register(this);
+
+    this._stopCapturingProcessErrors?.();
+
+    let exiting = false;
+    const onCrash = async (origin, error) => {
+      const fatal = exitOnError && !exiting;
+      if (fatal) {
+        exiting = true;
+      }
+
+      let timer;
+      const deadline = new Promise((resolve) => {
+        timer = setTimeout(resolve, timeout);
+      });
+      // One owner closes the transports: the ShutdownManager if any, else the crash entry
+      const closeTransports = fatal && !shutdownManager;
+      await Promise.race([this._writeCrashEntry(origin, error, fatal, closeTransports), deadline]);
+      if (fatal && shutdownManager) {
+        await Promise.race([shutdownManager.shutdown(origin), deadline]);
+      }
+      clearTimeout(timer);
+
+      if (fatal) {
+        process.exit(exitCode);
+      }
+    };
+
+    const listeners = {
+      uncaughtException: (error) => onCrash('uncaughtException', error),
+      unhandledRejection: (reason) => onCrash('unhandledRejection', reason),
+    };
+    if (warnings) {
+      listeners.warning = (warning) =>
+        this.warn(`Process warning: ${warning.message}`, {
+          origin: 'warning',
+          warning: ErrorSerializer.serialize(warning),
+        });
+    }
+
+    for (const [event, listener] of Object.entries(listeners)) {
+      process.on(event, listener);
+    }
+
+    const stop = () => {
+      for (const [event, listener] of Object.entries(listeners)) {
+        process.removeListener(event, listener);
+      }
+      if (this._stopCapturingProcessErrors === stop) {
+        this._stopCapturingProcessErrors = null;
+      }
+    };
+    this._stopCapturingProcessErrors = stop;
+    return stop;
   }
 
   /**
-   * Validate transport shape: must expose write(entries) or log(entry)
+   * Write a crash entry straight to the transports
+   *
    * @private
+   * @param {string} origin - 'uncaughtException' or 'unhandledRejection'
+   * @param {*} error - Thrown value or rejection reason
+   * @param {boolean} fatal - Whether the process will exit afterwards
+   * @param {boolean} closeTransports - Close the transports after writing
+   * @returns {Promise<void>}
    */
-  _isValidTransport(transport) {
-    return (
-      transport && (typeof transport.write === 'function' || typeof transport.log === 'function')
-    );
+  async _writeCrashEntry(origin, error, fatal, closeTransports) {
+    try {
+      const details = ErrorSerializer.serialize(error);
+      const label = origin === 'uncaughtException' ? 'Uncaught exception' : 'Unhandled rejection';
+      const record = {
+        level: fatal ? LogLevel.FATAL : LogLevel.ERROR,
+        moduleName: this.name,
+        message: `${label}: ${details.message || details.type}`,
+        context: { origin, error: details },
+      };
+      let entry;
+      try {
+        entry = await this._buildEntry({ ...record });
+      } catch (buildError) {
+        // Enrichment, retention or the configured sanitizer failed: the crash is
+        // still recorded, sanitized by the default sanitizer
+        this._emitError(buildError, { message: 'Error building crash entry' });
+        entry = new LogEntry(record.level, record.moduleName, record.message, record.context);
+      }
+
+      // Keep ordering: whatever is buffered was logged before the crash
+      if (fatal) {
+        await this.deduplicator?.flush();
+      }
+      await this.flush();
+      if (entry) {
+        this.stats.logged++;
+        await this._handleFlush([entry]);
+      }
+      if (closeTransports) {
+        await this._closeTransports();
+      }
+    } catch (writeError) {
+      this.stats.errors++;
+      this._emitError(writeError, { message: 'Error logging process error' });
+    }
   }
 
   // ═════════════════════════════════════════════════════════════════
@@ -909,6 +2280,7 @@ export class CoreLogger {
       },
       buffer: bufferStats,
       rateLimit: rateLimitStats,
+      dedup: this.deduplicator?.getStatistics() ?? null,
       transforms: this.transformStats,
       context: {
         objectsCount: this.transformContext.size,
@@ -916,6 +2288,10 @@ export class CoreLogger {
         snapshotsCount: this.contextSnapshots.size,
       },
       transports: this.transports.length,
+      // Per-hop stats of FailoverTransport groups, in transport order
+      failover: this.transports
+        .filter((transport) => transport instanceof FailoverTransport)
+        .map((transport) => transport.getStatistics()),
     };
   }
 
@@ -948,6 +2324,9 @@ export class CoreLogger {
       flushed: 0,
       errors: 0,
       rateLimited: 0,
+      filtered: 0,
+      dropped: 0,
+      deduplicated: 0,
     };
 
     this.transformStats = {
@@ -1003,10 +2382,23 @@ export class CoreLogger {
    *
    */
   destroy() {
+    this._stopCapturingProcessErrors?.();
+
+    // Children own no buffer, timers or transports; leave the shared ones alone
+    if (this.parent) {
+      this.flush();
+      return;
+    }
+
     this.flush();
     clearInterval(this.cleanupInterval);
+    this._unsubscribeModuleConfig?.();
+    this.deduplicator?.destroy();
     this.clearAll();
+    this._profiles.clear();
     this.transports = [];
+    this.transportRoutes = new Map();
+    this.signingStreams = new Map();
 
     if (this.buffer?.destroy) {
       this.buffer.destroy();
@@ -1018,27 +2410,89 @@ export class CoreLogger {
    * Attempts to flush buffers and call close() on each transport if provided (or shutdown()).
    */
   async close() {
+    this._stopCapturingProcessErrors?.();
+
+    if (this.parent) {
+      await this.flush();
+      return;
+    }
+
     try {
+      // Summaries of open dedup windows go out with the final flush
+      await this.deduplicator?.flush();
       await this.flush();
-      // Close transports
-      for (const transport of this.transports) {
-        try {
-          if (typeof transport.close === 'function') {
-            // eslint-disable-next-line no-await-in-loop
-            await transport.close();
-          } else if (typeof transport.shutdown === 'function') {
-            // eslint-disable-next-line no-await-in-loop
-            await transport.shutdown();
-          }
-        } catch (tErr) {
-          this._emitError(tErr, { message: 'Error closing transport' });
-        }
-      }
+      await this._closeTransports();
     } finally {
       clearInterval(this.cleanupInterval);
+      this._unsubscribeModuleConfig?.();
+      this.deduplicator?.destroy();
+    }
+    this._emitEvent('close');
+  }
+
+  /**
+   * Call close() (or shutdown()) on each transport
+   * @private
+   */
+  async _closeTransports() {
+    for (const transport of this.transports) {
+      try {
+        if (typeof transport.close === 'function') {
+          // eslint-disable-next-line no-await-in-loop
+          await transport.close();
+        } else if (typeof transport.shutdown === 'function') {
+          // eslint-disable-next-line no-await-in-loop
+          await transport.shutdown();
+        }
+      } catch (tErr) {
+        this._emitError(tErr, { message: 'Error closing transport' });
+      }
     }
   }
 }
 
+// ═══════════════════════════════════════════════════════════════
+// CUSTOM LEVEL METHODS
+// ═══════════════════════════════════════════════════════════════
+
+// Method names installed for custom levels (so they can be removed again)
+const customLevelMethods = new Set();
+
+/**
+ * Install a convenience method for a custom level (e.g. AUDIT => logger.audit())
+ * Names that clash with existing CoreLogger members are skipped with a warning;
+ * such levels remain usable through log(level, ...).
+ * @private
+ */
+function installLevelMethod(name, value) {
+  const method = name.toLowerCase();
+  if (method in CoreLogger.prototype && !customLevelMethods.has(method)) {
+    // eslint-disable-next-line no-console
+    console.warn(`[CoreLogger] Level ${name} has no convenience method: '${method}' is reserved`);
+    return;
+  }
+  CoreLogger.prototype[method] = async function (message, metadata) {
+    return this.log(value, message, metadata);
+  };
+  customLevelMethods.add(method);
+}
+
+for (const { name, value, custom, method } of LevelRegistry.getLevels()) {
+  if (custom && method) {
+    installLevelMethod(name, value);
+  }
+}
+
+LevelRegistry.onChange((change) => {
+  const method = change.name.toLowerCase();
+  if (change.type === 'registered') {
+    if (change.method) {
+      installLevelMethod(change.name, change.value);
+    }
+  } else if (change.type === 'unregistered' && customLevelMethods.delete(method)) {
+    delete CoreLogger.prototype[method];
+  }
+});
+
 export default CoreLogger;
 export { LogLevel };
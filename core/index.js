@@ -11,6 +11,9 @@
 
 // ⭐ OFFICIAL PRODUCTION LOGGER
 export { CoreLogger } from './core-logger.js';
+export { ProcessorStage } from './core-logger.js';
+export { ShutdownManager } from './shutdown-manager.js';
+export { AuditLogger } from './audit-logger.js';
 export { CoreLogger as EnhancedLogger } from './core-logger.js';
 export { CoreLogger as EnhancedLoggerV2 } from './core-logger.js';
 export { CoreLogger as EnhancedLoggerV3 } from './core-logger.js';
@@ -0,0 +1,284 @@
+/**
+ * Shutdown Manager - Graceful shutdown for CoreLogger instances
+ *
+ * Opt-in coordinator that flushes every registered logger when the process
+ * is about to stop:
+ * - SIGTERM / SIGINT (then exits with 128 + signal number)
+ * - beforeExit (event loop is empty; nothing else keeps the process alive)
+ * - uncaughtException / unhandledRejection (then exits with code 1)
+ *
+ * For each logger it calls drain() and then close(), which closes the
+ * logger's transports. All loggers shut down in parallel under a single
+ * deadline; whatever is still buffered in a logger or queued in a transport
+ * when the deadline passes is reported as lost.
+ *
+ * USAGE EXAMPLE:
+ * const shutdown = new ShutdownManager({ timeout: 3000, onShutdown: (r) => console.error(r) });
+ * shutdown.register(appLogger).register(auditLogger).install();
+ *
+ * // Or trigger it yourself (e.g. from a server's close handler)
+ * const report = await shutdown.shutdown('deploy');
+ * // => { reason: 'deploy', flushed: 42, lost: 0, timedOut: false, loggers: [...] }
+ */
+
+import os from 'os';
+import { LoggingError } from '../error-handling/errors.js';
+import { CoreLogger } from './core-logger.js';
+
+const TIMED_OUT = Symbol('timedOut');
+
+export class ShutdownManager {
+  /**
+   * @param {Object} [config={}] - Shutdown configuration
+   * @param {number} [config.timeout=5000] - Deadline in ms for draining and closing all loggers
+   * @param {string[]} [config.signals=['SIGTERM', 'SIGINT']] - Signals that trigger a shutdown
+   * @param {boolean} [config.handleBeforeExit=true] - Shut down on 'beforeExit'
+   * @param {boolean} [config.handleFatalErrors=true] - Shut down on uncaughtException and
+   *   unhandledRejection
+   * @param {boolean} [config.exitProcess=true] - Exit after a signal or fatal error shutdown
+   * @param {Function} [config.onShutdown] - Receives the shutdown report
+   * @throws {LoggingError} If configuration is invalid
+   */
+  constructor(config = {}) {
+    this.timeout = config.timeout ?? 5000;
+    if (typeof this.timeout !== 'number' || !(this.timeout > 0)) {
+      throw new LoggingError('Shutdown timeout must be a positive number');
+    }
+
+    this.signals = config.signals ?? ['SIGTERM', 'SIGINT'];
+    if (!Array.isArray(this.signals)) {
+      throw new LoggingError('Shutdown signals must be an array');
+    }
+
+    if (config.onShutdown !== undefined && typeof config.onShutdown !== 'function') {
+      throw new LoggingError('onShutdown must be a function');
+    }
+
+    this.handleBeforeExit = config.handleBeforeExit !== false;
+    this.handleFatalErrors = config.handleFatalErrors !== false;
+    this.exitProcess = config.exitProcess !== false;
+    this.onShutdown = config.onShutdown ?? null;
+
+    this.loggers = new Set();
+    this.installed = false;
+
+    this._shutdownPromise = null;
+    this._handlers = new Map(); // event => listener
+  }
+
+  /**
+   * Register a logger to be drained and closed on shutdown
+   *
+   * Child loggers are resolved to their root logger, which owns the shared
+   * buffer and transports.
+   *
+   * @param {CoreLogger} logger - Logger to register
+   * @throws {LoggingError} If logger is not a CoreLogger
+   * @returns {ShutdownManager} this instance for chaining
+   */
+  register(logger) {
+    if (!(logger instanceof CoreLogger)) {
+      throw new LoggingError('Only CoreLogger instances can be registered for shutdown');
+    }
+
+    this.loggers.add(this._rootOf(logger));
+    return this;
+  }
+
+  /**
+   * Stop managing a logger
+   *
+   * @param {CoreLogger} logger - Logger to unregister
+   * @returns {boolean} true if the logger was registered
+   */
+  unregister(logger) {
+    return logger instanceof CoreLogger && this.loggers.delete(this._rootOf(logger));
+  }
+
+  /**
+   * Attach the process handlers (idempotent)
+   *
+   * @returns {ShutdownManager} this instance for chaining
+   */
+  install() {
+    if (this.installed) {
+      return this;
+    }
+
+    for (const signal of this.signals) {
+      this._listen(signal, () => this._onSignal(signal));
+    }
+    if (this.handleBeforeExit) {
+      this._listen('beforeExit', () => {
+        if (!this._shutdownPromise) {
+          this.shutdown('beforeExit');
+        }
+      });
+    }
+    if (this.handleFatalErrors) {
+      this._listen('uncaughtException', (error) => this._onFatal('uncaughtException', error));
+      this._listen('unhandledRejection', (reason) => this._onFatal('unhandledRejection', reason));
+    }
+
+    this.installed = true;
+    return this;
+  }
+
+  /**
+   * Detach the process handlers
+   *
+   * @returns {ShutdownManager} this instance for chaining
+   */
+  uninstall() {
+    for (const [event, listener] of this._handlers) {
+      process.removeListener(event, listener);
+    }
+    this._handlers.clear();
+    this.installed = false;
+    return this;
+  }
+
+  /**
+   * Drain and close all registered loggers
+   *
+   * Runs once; later calls return the same report. Entries still buffered
+   * in a logger or queued in a transport when the work finishes (or the
+   * deadline passes) are counted as lost.
+   *
+   * @param {string} [reason='manual'] - What triggered the shutdown
+   * @returns {Promise<Object>} Report: { reason, flushed, lost, errors, timedOut,
+   *   durationMs, loggers: [{ name, flushed, lost, errors, error? }] }
+   */
+  shutdown(reason = 'manual') {
+    if (!this._shutdownPromise) {
+      this._shutdownPromise = this._run(reason);
+    }
+    return this._shutdownPromise;
+  }
+
+  /**
+   * Whether a shutdown has started
+   *
+   * @returns {boolean} true once shutdown() was called
+   */
+  isShuttingDown() {
+    return this._shutdownPromise !== null;
+  }
+
+  /**
+   *
+   * @private
+   */
+  async _run(reason) {
+    const started = Date.now();
+    const loggers = [...this.loggers];
+    const baselines = loggers.map((logger) => ({
+      flushed: logger.buffer.stats.totalFlushed,
+      errors: logger.stats.errors,
+    }));
+
+    const failures = new Map();
+    const work = Promise.all(
+      loggers.map(async (logger) => {
+        try {
+          await logger.drain();
+          await logger.close();
+        } catch (error) {
+          failures.set(logger, error);
+        }
+      })
+    );
+
+    let timer;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(TIMED_OUT), this.timeout);
+    });
+    const outcome = await Promise.race([work, deadline]);
+    clearTimeout(timer);
+
+    const results = loggers.map((logger, i) => {
+      const result = {
+        name: logger.name,
+        flushed: logger.buffer.stats.totalFlushed - baselines[i].flushed,
+        lost: logger.getPendingCount(),
+        errors: logger.stats.errors - baselines[i].errors,
+      };
+      if (failures.has(logger)) {
+        result.error = failures.get(logger).message;
+      }
+      return result;
+    });
+
+    const report = {
+      reason,
+      flushed: results.reduce((sum, r) => sum + r.flushed, 0),
+      lost: results.reduce((sum, r) => sum + r.lost, 0),
+      errors: results.reduce((sum, r) => sum + r.errors, 0) + failures.size,
+      timedOut: outcome === TIMED_OUT,
+      durationMs: Date.now() - started,
+      loggers: results,
+    };
+
+    if (this.onShutdown) {
+      try {
+        this.onShutdown(report);
+      } catch (error) {
+        console.error('Error in onShutdown callback:', error);
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * A second signal while shutting down exits immediately
+   * @private
+   */
+  async _onSignal(signal) {
+    const code = 128 + (os.constants.signals[signal] ?? 0);
+    if (this._shutdownPromise && this.exitProcess) {
+      process.exit(code);
+    }
+
+    await this.shutdown(signal);
+    if (this.exitProcess) {
+      process.exit(code);
+    }
+  }
+
+  /**
+   * Handlers replace Node's default crash output, so report the error first
+   * @private
+   */
+  async _onFatal(type, error) {
+    console.error(`[ShutdownManager] ${type}:`, error);
+
+    await this.shutdown(type);
+    if (this.exitProcess) {
+      process.exit(1);
+    }
+  }
+
+  /**
+   *
+   * @private
+   */
+  _listen(event, listener) {
+    this._handlers.set(event, listener);
+    process.on(event, listener);
+  }
+
+  /**
+   *
+   * @private
+   */
+  _rootOf(logger) {
+    let root = logger;
+    while (root.parent) {
+      root = root.parent;
+    }
+    return root;
+  }
+}
+
+export default ShutdownManager;
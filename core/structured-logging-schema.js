@@ -334,7 +334,7 @@ export class SchemaRegistry {
       level: {
         type: 'string',
         required: true,
-        enum: ['DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'],
+        enum: ['TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'],
         description: 'Log level',
       },
       module: {
@@ -365,6 +365,23 @@ export class SchemaRegistry {
   }
 }
 
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validator for actor/resource fields: an id string or an object with a string id
+ */
+const identity = (name) => (value) =>
+  (typeof value === 'string' && value.trim() !== '') ||
+  (isPlainObject(value) && typeof value.id === 'string' && value.id.trim() !== '') ||
+  `Field '${name}' must be a non-empty id or an object with an id`;
+
+/**
+ * Validator for optional object fields (FieldSchema does not reject arrays or strings)
+ */
+const plainObject = (name) => (value) =>
+  isPlainObject(value) || `Field '${name}' must be an object`;
+
 /**
  * Standard schemas
  */
@@ -380,7 +397,7 @@ export const StandardSchemas = {
         level: {
           type: 'string',
           required: true,
-          enum: ['DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'],
+          enum: ['TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'],
         },
         message: { type: 'string', required: true },
         module: { type: 'string', required: false },
@@ -399,7 +416,7 @@ export const StandardSchemas = {
         level: {
           type: 'string',
           required: true,
-          enum: ['DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'],
+          enum: ['TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'],
         },
         message: { type: 'string', required: true },
         module: { type: 'string', required: true },
@@ -429,4 +446,23 @@ export const StandardSchemas = {
       },
     });
   },
+
+  /**
+   * Create audit event schema (who did what to which resource, and the outcome)
+   */
+  auditEvent() {
+    return new LogSchema({
+      name: 'audit_event',
+      fields: {
+        actor: { type: 'any', required: true, validator: identity('actor') },
+        action: { type: 'string', required: true, pattern: '^[A-Za-z][\\w.:-]*$' },
+        resource: { type: 'any', required: true, validator: identity('resource') },
+        outcome: { type: 'string', required: true, enum: ['success', 'failure', 'denied'] },
+        reason: { type: 'string', required: false, maxLength: 1000 },
+        before: { type: 'object', required: false, validator: plainObject('before') },
+        after: { type: 'object', required: false, validator: plainObject('after') },
+        metadata: { type: 'object', required: false, validator: plainObject('metadata') },
+      },
+    });
+  },
 };
@@ -6,12 +6,16 @@
 // Core Logger
 export { CoreLogger } from './core/core-logger.js';
 export { CoreLogger as Logger } from './core/core-logger.js';
+export { ProcessorStage } from './core/core-logger.js';
+export { ShutdownManager } from './core/shutdown-manager.js';
+export { AuditLogger } from './core/audit-logger.js';
 
 // Configuration
 export { CoreLoggerConfig } from './core/core-logger-config.js';
 export { LoggerConfig } from './config/logger-config.js';
 export { ModuleConfig } from './config/module-config.js';
 export { DynamicConfigurationManager as DynamicConfig } from './config/dynamic-config.js';
+export { RetentionPolicy } from './config/retention-policy.js';
 
 // Context
 export { LogContext } from './context/log-context.js';
@@ -21,11 +25,16 @@ export { RequestContext } from './context/request-context.js';
 export { ConsoleTransport } from './transports/console-transport.js';
 export { FileTransport } from './transports/file-transport.js';
 export { AdvancedHttpTransport as HttpTransport } from './transports/http-transport.js';
+export { FailoverTransport } from './transports/failover-transport.js';
+export { SyslogTransport, SyslogFacility } from './transports/syslog-transport.js';
+export { OtlpLogTransport } from './transports/otlp-log-transport.js';
+export { ElasticsearchTransport } from './transports/elasticsearch-transport.js';
 export { default as LogBuffer } from './transports/log-buffer.js';
 export { AdaptiveLogBuffer } from './transports/adaptive-log-buffer.js';
 
 // Rate limiting (basic)
 export { RateLimiter } from './rate-limiting/rate-limiter.js';
+export { LogDeduplicator } from './rate-limiting/log-deduplicator.js';
 
 // Errors
 export { LoggingError } from './error-handling/errors.js';
@@ -39,4 +48,12 @@ export { Mutex } from './sync/mutex.js';
 
 // General types
 export { LogLevel } from './utils/types.js';
+export { LevelRegistry } from './utils/level-registry.js';
+export { ErrorSerializer } from './utils/error-serializer.js';
+export { HashChain, verifyChain } from './utils/hash-chain.js';
+export { BatchSigner, verifySignedLog } from './utils/batch-signer.js';
+export { MerkleCheckpoint, verifyInclusionProof } from './utils/merkle-checkpoint.js';
+export { WormPolicy } from './utils/worm-policy.js';
+export { LegalHoldRegistry } from './utils/legal-hold.js';
+export { SubjectKeyStore, readShreddedLog } from './utils/subject-keystore.js';
 export { LogEntry } from './utils/log-entry.js';
@@ -20,7 +20,7 @@
  * @version 1.0.0
  */
 
-import { TraceContext } from './distributed-tracing.js';
+import { TraceContext } from '../../tracing/distributed-tracing.js';
 
 export class DistributedTracingIntegration {
   static #globalContext = null;
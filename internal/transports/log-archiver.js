@@ -12,12 +12,17 @@
  * - Archive file integrity verification
  * - Error handling and logging
  * - Configurable age threshold
+ * - Retention classes (options.retention): class families (`app.audit-7y.log`,
+ *   see RetentionPolicy) are archived after the class's archiveAfter, and
+ *   early (oldest first) while their uncompressed files exceed its maxTotalSize
+ * - Legal hold (options.legalHold): held files are neither archived nor removed
+ *   (see LegalHoldRegistry)
  *
  * @author audit-core
  * @version 1.0.0
  */
 
-import { LoggingError } from '../error-handling/errors.js';
+import { LoggingError } from '../../error-handling/errors.js';
 import fs from 'fs';
 import path from 'path';
 import zlib from 'zlib';
@@ -33,6 +38,10 @@ class LogArchiver {
    * @param {number} [options.maxAge=2592000000] - Max age in ms (default: 30 days)
    * @param {string} [options.pattern='*.log'] - File pattern to match
    * @param {boolean} [options.removeOriginal=true] - Delete original after archiving
+   * @param {RetentionPolicy} [options.retention] - Per-class age and size by file name
+   *   (unclassified files keep maxAge)
+   * @param {LegalHoldRegistry} [options.legalHold] - Holds whose files are left as they are
+   *   (listed in results.held)
    * @returns {Promise<Object>} Archiving result with statistics
    * @throws {LoggingError} If archiving fails
    */
@@ -44,11 +53,14 @@ class LogArchiver {
       const pattern = options.pattern ?? '*.log';
       const removeOriginal = options.removeOriginal ?? true;
 
-      const files = LogArchiver._findFilesOlderThan(directory, maxAge, pattern);
+      const files = options.retention
+        ? LogArchiver._selectByRetention(directory, options.retention, maxAge, pattern)
+        : LogArchiver._findFilesOlderThan(directory, maxAge, pattern);
 
       const results = {
         archived: [],
         failed: [],
+        held: [],
         stats: {
           filesProcessed: files.length,
           originalSize: 0,
@@ -62,11 +74,19 @@ class LogArchiver {
 
       for (const file of files) {
         try {
+          const holds = options.legalHold ? await options.legalHold.holdsFor(file.path) : [];
+          if (holds.length > 0) {
+            results.held.push({ file: file.path, holds });
+            continue;
+          }
+
           const result = await LogArchiver.compressFile(file.path, {
             removeOriginal,
           });
 
-          results.archived.push(result);
+          results.archived.push(
+            options.retention ? { ...result, retentionClass: file.retentionClass } : result
+          );
           results.stats.originalSize += result.originalSize;
           results.stats.compressedSize += result.compressedSize;
         } catch (error) {
@@ -102,6 +122,7 @@ class LogArchiver {
    * @param {string} filePath - Path to file to compress
    * @param {Object} [options={}] - Compression options
    * @param {boolean} [options.removeOriginal=true] - Delete original after compression
+   * @param {LegalHoldRegistry} [options.legalHold] - A held original is kept (result.holds)
    * @returns {Promise<Object>} Compression result
    * @throws {LoggingError} If compression fails
    */
@@ -109,7 +130,8 @@ class LogArchiver {
     try {
       LogArchiver._validateFile(filePath);
 
-      const removeOriginal = options.removeOriginal ?? true;
+      const holds = options.legalHold ? await options.legalHold.holdsFor(filePath) : [];
+      const removeOriginal = (options.removeOriginal ?? true) && holds.length === 0;
       const archivePath = `${filePath}.gz`;
 
       // Check if already compressed
@@ -153,6 +175,7 @@ class LogArchiver {
         compressedSize,
         compressionRatio: (1 - compressedSize / originalSize) * 100,
         timestamp: new Date().toISOString(),
+        ...(holds.length > 0 && { holds }),
       };
     } catch (error) {
       if (error instanceof LoggingError) {
@@ -415,6 +438,51 @@ class LogArchiver {
     });
   }
 
+  /**
+   * Select files to archive class by class
+   * @private
+   * @static
+   * @param {string} directory - Directory to search
+   * @param {RetentionPolicy} retention - Retention classes
+   * @param {number} maxAge - Max age of unclassified files
+   * @param {string} pattern - File pattern
+   * @returns {Array<Object>} Files to archive, with their retentionClass
+   */
+  static _selectByRetention(directory, retention, maxAge, pattern) {
+    const now = Date.now();
+    const files = LogArchiver._findFiles(directory, pattern).map((file) => ({
+      ...file,
+      stats: fs.statSync(file.path),
+    }));
+    const selected = [];
+
+    for (const [name, group] of retention.groupFiles(files)) {
+      const limits = name ? retention.resolve(name) : { archiveAfter: null, maxTotalSize: null };
+      const archiveAfter = limits.archiveAfter ?? maxAge;
+      const isOld = (file) => now - file.stats.mtime.getTime() > archiveAfter;
+      const chosen = group.filter(isOld);
+
+      if (limits.maxTotalSize) {
+        // Oldest remaining files are archived until the class fits its size
+        let liveSize = group.reduce((sum, file) => sum + file.stats.size, 0);
+        liveSize -= chosen.reduce((sum, file) => sum + file.stats.size, 0);
+        const remaining = group
+          .filter((file) => !isOld(file))
+          .sort((a, b) => a.stats.mtime - b.stats.mtime);
+        for (const file of remaining) {
+          if (liveSize <= limits.maxTotalSize) {
+            break;
+          }
+          chosen.push(file);
+          liveSize -= file.stats.size;
+        }
+      }
+
+      selected.push(...chosen.map((file) => ({ ...file, retentionClass: name })));
+    }
+    return selected;
+  }
+
   /**
    * Convert glob pattern to regex
    * @private
@@ -12,12 +12,25 @@
  * - Priority-based cleanup (oldest first or largest first)
  * - Scheduled automatic cleanup
  * - Size calculation and reporting
+ * - WORM policy (options.worm): deletions go through WormPolicy.remove(), so
+ *   unsealed and retained files are refused (WORM_VIOLATION, audited) and kept
+ * - Retention classes (options.retention): files of a class family
+ *   (`app.audit-7y.log`, see RetentionPolicy) get the class's max age and
+ *   size; unclassified files keep maxAge / maxTotalSize
+ * - Legal hold (options.legalHold): files under an active hold are kept and
+ *   reported in result.heldFiles (see LegalHoldRegistry)
+ * - Merkle checkpoints (`<file>.checkpoint.json`) and WORM manifests are not
+ *   cleaned up on their own: they go with their log file
  *
  * @author audit-core
  * @version 1.0.0
  */
 
-import { LoggingError } from '../error-handling/errors.js';
+import { LoggingError } from '../../error-handling/errors.js';
+import { WormPolicy } from '../../utils/worm-policy.js';
+import { MerkleCheckpoint } from '../../utils/merkle-checkpoint.js';
+import { RetentionPolicy } from '../../config/retention-policy.js';
+import { LegalHoldRegistry } from '../../utils/legal-hold.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -32,6 +45,9 @@ class LogCleanupPolicy {
    * @param {string} [options.priority='age'] - Cleanup priority: 'age' | 'size'
    * @param {boolean} [options.autoStart=false] - Auto-start cleanup scheduler
    * @param {string} [options.pattern='*.log*'] - File pattern to match
+   * @param {WormPolicy} [options.worm] - Write-once policy to delete through (e.g. transport.worm)
+   * @param {RetentionPolicy} [options.retention] - Per-class max age and size by file name
+   * @param {LegalHoldRegistry} [options.legalHold] - Holds that exempt files from deletion
    * @throws {LoggingError} If configuration is invalid
    */
   constructor(options = {}) {
@@ -42,6 +58,9 @@ class LogCleanupPolicy {
     this.checkInterval = options.checkInterval ?? 24 * 60 * 60 * 1000; // 24 hours
     this.priority = options.priority ?? 'age'; // 'age' | 'size'
     this.pattern = options.pattern ?? '*.log*';
+    this.worm = options.worm ?? null;
+    this.retention = options.retention ?? null;
+    this.legalHold = options.legalHold ?? null;
 
     this._checkTimer = null;
     this._isRunning = false;
@@ -87,6 +106,18 @@ class LogCleanupPolicy {
         { receivedPriority: options.priority }
       );
     }
+
+    if (options.worm !== undefined && !(options.worm instanceof WormPolicy)) {
+      throw new LoggingError('INVALID_CONFIG', 'worm must be a WormPolicy', {});
+    }
+
+    if (options.retention !== undefined && !(options.retention instanceof RetentionPolicy)) {
+      throw new LoggingError('INVALID_CONFIG', 'retention must be a RetentionPolicy', {});
+    }
+
+    if (options.legalHold !== undefined && !(options.legalHold instanceof LegalHoldRegistry)) {
+      throw new LoggingError('INVALID_CONFIG', 'legalHold must be a LegalHoldRegistry', {});
+    }
   }
 
   /**
@@ -96,7 +127,8 @@ class LogCleanupPolicy {
    * @param {string} directory - Directory to clean
    * @param {Object} [overrides={}] - Override options for this cleanup
    * @returns {Promise<Object>} Cleanup result with statistics
-   * @throws {LoggingError} If cleanup fails
+   * @throws {LoggingError} If cleanup fails, or WORM_VIOLATION (context.result holds the
+   *   result, context.refused the kept files) after deleting what the WORM policy allows
    */
   async cleanup(directory, overrides = {}) {
     try {
@@ -110,6 +142,8 @@ class LogCleanupPolicy {
         directory,
         deletedFiles: [],
         failedDeletions: [],
+        refusedDeletions: [],
+        heldFiles: [],
         stats: {
           originalSize: 0,
           deletedSize: 0,
@@ -131,8 +165,9 @@ class LogCleanupPolicy {
         result.stats.originalSize += stats.size;
       }
 
-      // Check if cleanup is needed
-      const shouldCleanup = await this._shouldCleanup(directory, maxAge, maxTotalSize);
+      // Check if cleanup is needed (retention classes are checked per class below)
+      const shouldCleanup =
+        this.retention !== null || (await this._shouldCleanup(directory, maxAge, maxTotalSize));
 
       if (!shouldCleanup) {
         result.stats.remainingSize = result.stats.originalSize;
@@ -141,25 +176,48 @@ class LogCleanupPolicy {
       }
 
       // Determine files to delete
-      const filesToDelete = this._selectFilesToDelete(files, maxAge, maxTotalSize, priority);
+      const filesToDelete = this.retention
+        ? this._selectByRetention(files, maxAge, maxTotalSize, priority)
+        : this._selectFilesToDelete(files, maxAge, maxTotalSize, priority);
 
       // Delete files
       for (const file of filesToDelete) {
         try {
-          fs.unlinkSync(file.path);
+          // eslint-disable-next-line no-await-in-loop
+          const holds = this.legalHold ? await this.legalHold.holdsFor(file.path) : [];
+          if (holds.length > 0) {
+            result.heldFiles.push({ file: file.path, holds });
+            continue;
+          }
+          if (this.worm) {
+            // eslint-disable-next-line no-await-in-loop
+            await this.worm.remove(file.path);
+          } else {
+            fs.unlinkSync(file.path);
+          }
+          // eslint-disable-next-line no-await-in-loop
+          await MerkleCheckpoint.removeFor(file.path);
           result.deletedFiles.push({
             file: file.path,
             size: file.stats.size,
             age: Date.now() - file.stats.mtime.getTime(),
+            ...(this.retention && { retentionClass: file.retentionClass }),
           });
           result.stats.deletedSize += file.stats.size;
           result.stats.filesDeleted++;
           result.stats.filesRemaining--;
         } catch (error) {
-          result.failedDeletions.push({
-            file: file.path,
-            error: error.message,
-          });
+          if (error.code === 'WORM_VIOLATION') {
+            result.refusedDeletions.push({
+              file: file.path,
+              retainUntil: error.context.retainUntil,
+            });
+          } else {
+            result.failedDeletions.push({
+              file: file.path,
+              error: error.message,
+            });
+          }
         }
       }
 
@@ -168,8 +226,19 @@ class LogCleanupPolicy {
 
       this._lastCheckTime = Date.now();
 
+      if (result.refusedDeletions.length > 0) {
+        throw new LoggingError(
+          'WORM_VIOLATION',
+          `Refused to delete ${result.refusedDeletions.length} file(s) under WORM retention`,
+          { directory, refused: result.refusedDeletions, result }
+        );
+      }
+
       return result;
     } catch (error) {
+      if (error.code === 'WORM_VIOLATION') {
+        throw error;
+      }
       throw new LoggingError(
         'CLEANUP_FAILED',
         `Failed to cleanup directory ${directory}: ${error.message}`,
@@ -309,6 +378,31 @@ class LogCleanupPolicy {
     return filesToDelete;
   }
 
+  /**
+   * Select files to delete class by class
+   * @private
+   * @param {Array<Object>} files - Files to consider
+   * @param {number} maxAge - Max age of unclassified files
+   * @param {number} maxTotalSize - Max total size of unclassified files, and of classes
+   *   without their own maxTotalSize
+   * @param {string} priority - 'age' or 'size'
+   * @returns {Array<Object>} Files to delete, with their retentionClass
+   */
+  _selectByRetention(files, maxAge, maxTotalSize, priority) {
+    const filesToDelete = [];
+    for (const [name, group] of this.retention.groupFiles(files)) {
+      const limits = name ? this.retention.resolve(name) : { maxAge, maxTotalSize };
+      const selected = this._selectFilesToDelete(
+        group,
+        limits.maxAge,
+        limits.maxTotalSize ?? maxTotalSize,
+        priority
+      );
+      filesToDelete.push(...selected.map((file) => ({ ...file, retentionClass: name })));
+    }
+    return filesToDelete;
+  }
+
   /**
    * Find files matching pattern
    * @private
@@ -324,7 +418,9 @@ class LogCleanupPolicy {
     const regex = this._globToRegex(this.pattern);
 
     return files
-      .filter((f) => regex.test(f))
+      .filter(
+        (f) => regex.test(f) && !WormPolicy.isManifest(f) && !MerkleCheckpoint.isCheckpoint(f)
+      )
       .map((f) => {
         const filePath = path.join(directory, f);
         return {
@@ -436,6 +532,8 @@ class LogCleanupPolicy {
       checkInterval: this.checkInterval,
       priority: this.priority,
       pattern: this.pattern,
+      retention: this.retention ? [...this.retention.classes.keys()] : null,
+      legalHolds: this.legalHold ? this.legalHold.list().length : null,
       isRunning: this._isRunning,
       lastCheckTime: this._lastCheckTime,
     };
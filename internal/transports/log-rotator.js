@@ -7,10 +7,15 @@
  * Log Rotation System
  *
  * Handles automatic log file rotation based on size and date
+ * With options.worm, rotated files are sealed and old files are only deleted
+ * through the WormPolicy (refusals throw WORM_VIOLATION)
+ * With options.legalHold, old files under an active legal hold are kept
  */
 
 import fs from 'fs';
 import path from 'path';
+import { WormPolicy } from '../../utils/worm-policy.js';
+import { LegalHoldRegistry } from '../../utils/legal-hold.js';
 
 /**
  * Rotation Strategy
@@ -33,6 +38,8 @@ class LogRotator {
    * @param {number} [options.maxFiles] - Max number of files to keep (5 default)
    * @param {string} [options.strategy] - Rotation strategy (daily, size, both)
    * @param {string} [options.dateFormat] - Date format for rotated files
+   * @param {WormPolicy} [options.worm] - Write-once policy (e.g. transport.worm)
+   * @param {LegalHoldRegistry} [options.legalHold] - Holds that exempt files from cleanup
    */
   constructor(options = {}) {
     this.maxFileSize = options.maxFileSize ?? 10 * 1024 * 1024; // 10MB
@@ -40,6 +47,8 @@ class LogRotator {
     this.strategy = options.strategy ?? RotationStrategy.DAILY;
     this.dateFormat = options.dateFormat ?? 'YYYY-MM-DD_HH-mm-ss';
     this.lastRotationDate = new Date();
+    this.worm = options.worm ?? null;
+    this.legalHold = options.legalHold ?? null;
     this.validateOptions();
   }
 
@@ -57,6 +66,9 @@ class LogRotator {
     if (!Object.values(RotationStrategy).includes(this.strategy)) {
       throw new Error(`Invalid strategy: ${this.strategy}`);
     }
+    if (this.legalHold && !(this.legalHold instanceof LegalHoldRegistry)) {
+      throw new Error('legalHold must be a LegalHoldRegistry');
+    }
   }
 
   /**
@@ -109,6 +121,7 @@ class LogRotator {
    * @param {string} filePath - Path to log file
    * @returns {Promise<string>} Path to rotated file
    * @throws {Error} If rotation fails
+   * @throws {LoggingError} WORM_VIOLATION if cleanup was refused (the file was rotated)
    */
   async rotate(filePath) {
     try {
@@ -130,11 +143,18 @@ class LogRotator {
       // Update last rotation date
       this.lastRotationDate = new Date();
 
+      if (this.worm) {
+        await this.worm.seal(rotatedPath);
+      }
+
       // Clean old files
       await this._cleanupOldFiles(dir, basename, ext);
 
       return rotatedPath;
     } catch (error) {
+      if (error.code === 'WORM_VIOLATION') {
+        throw error;
+      }
       throw new Error(`Failed to rotate log file: ${error.message}`);
     }
   }
@@ -167,8 +187,10 @@ class LogRotator {
    * @param {string} basename - File basename
    * @param {string} ext - File extension
    * @returns {Promise<void>}
+   * @throws {LoggingError} WORM_VIOLATION if the WORM policy refused a deletion
    */
   async _cleanupOldFiles(dir, basename, ext) {
+    let refused = null;
     try {
       const files = await fs.promises.readdir(dir);
 
@@ -189,8 +211,20 @@ class LogRotator {
 
         for (const file of toDelete) {
           try {
-            await fs.promises.unlink(file.path);
+            if (this.legalHold && (await this.legalHold.holdsFor(file.path)).length > 0) {
+              continue;
+            }
+            if (this.worm) {
+              await this.worm.remove(file.path);
+            } else {
+              await fs.promises.unlink(file.path);
+            }
           } catch (error) {
+            if (error.code === 'WORM_VIOLATION') {
+              // The other files are still cleaned up
+              refused ??= error;
+              continue;
+            }
             console.error(`Failed to delete old log file ${file.path}:`, error);
           }
         }
@@ -198,6 +232,10 @@ class LogRotator {
     } catch (error) {
       console.error('Error cleaning up old files:', error);
     }
+
+    if (refused) {
+      throw refused;
+    }
   }
 
   /**
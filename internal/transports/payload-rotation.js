@@ -13,6 +13,12 @@
  * - Advanced log rotation + compression + archiving
  */
 
+import fs from 'fs';
+import path from 'path';
+
+// Files named by AdvancedLogRotator.getNextFilename() (compressed or not)
+const ROTATED_FILE = /\.\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.\d+\.log(\.gz)?$/;
+
 /**
  * Large Payloads Handling - Fix #14
  */
@@ -221,6 +227,8 @@ export class AdvancedLogRotator {
     this.archiveOldFiles = config.archiveOldFiles !== false;
     this.archivePath = config.archivePath || './logs/archive';
     this.retentionDays = config.retentionDays || 30;
+    this.legalHold = config.legalHold || null; // LegalHoldRegistry: held files are never deleted
+    this.deleteOldFiles = config.deleteOldFiles === true; // Opt-in: really delete rotated files
 
     this.currentFile = null;
     this.currentSize = 0;
@@ -231,6 +239,7 @@ export class AdvancedLogRotator {
       compressed: 0,
       archived: 0,
       deleted: 0,
+      held: 0,
       totalSize: 0,
     };
   }
@@ -302,12 +311,55 @@ export class AdvancedLogRotator {
 
   /**
    * Cleanup old files
+   * With deleteOldFiles, deletes rotated files in basePath beyond maxFiles or older
+   * than retentionDays, except files under a legal hold
    */
   async _cleanupOldFiles() {
-    // Keep only maxFiles
-    // Delete files older than retentionDays
-    // In real implementation: file system operations
-    this.stats.deleted++;
+    if (!this.deleteOldFiles) {
+      // Keep only maxFiles
+      // Delete files older than retentionDays
+      // In real implementation: file system operations
+      this.stats.deleted++;
+      return;
+    }
+
+    let names;
+    try {
+      names = await fs.promises.readdir(this.basePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const files = await Promise.all(
+      names
+        .filter((name) => ROTATED_FILE.test(name))
+        .map(async (name) => {
+          const filePath = path.join(this.basePath, name);
+          const stats = await fs.promises.stat(filePath);
+          return { path: filePath, mtime: stats.mtimeMs };
+        })
+    );
+    files.sort((a, b) => b.mtime - a.mtime); // Newest first
+
+    const maxAge = this.retentionDays * 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const expired = files.filter(
+      (file, index) => index >= this.maxFiles || now - file.mtime > maxAge
+    );
+
+    for (const file of expired) {
+      // eslint-disable-next-line no-await-in-loop
+      if (this.legalHold && (await this.legalHold.holdsFor(file.path)).length > 0) {
+        this.stats.held++;
+        continue;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await fs.promises.unlink(file.path);
+      this.stats.deleted++;
+    }
   }
 
   /**
@@ -328,6 +380,8 @@ export class AdvancedLogRotator {
       compressionEnabled: this.compressOldFiles,
       archivingEnabled: this.archiveOldFiles,
       archivePath: this.archivePath,
+      deleteOldFiles: this.deleteOldFiles,
+      legalHold: this.legalHold !== null,
     };
   }
 }
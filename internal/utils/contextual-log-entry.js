@@ -13,10 +13,11 @@
  * - System metadata
  */
 
-import { ErrorContext, StackTraceExtractor } from 'internal/utils/stack-trace.js';
-import { LogContext } from '../context/log-context.js';
-import { RequestContextStorage } from '../context/request-context.js';
-import { LogEntry } from '../utils/log-entry.js';
+import { ErrorContext, StackTraceExtractor } from './stack-trace.js';
+import { LogContext } from '../../context/log-context.js';
+import { RequestContextStorage } from '../../context/request-context.js';
+import { LogEntry } from '../../utils/log-entry.js';
+import { LevelRegistry } from '../../utils/level-registry.js';
 import os from 'os';
 
 /**
@@ -235,8 +236,7 @@ class ContextualLogEntry extends LogEntry {
    * @returns {string} Level name
    */
   static getLevelName(level) {
-    const levels = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
-    return levels[level] || 'UNKNOWN';
+    return LevelRegistry.getName(level);
   }
 }
 
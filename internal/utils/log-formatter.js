@@ -13,6 +13,8 @@
  * - Custom: Template-based formatting with variable substitution
  */
 
+import { LevelRegistry } from '../../utils/level-registry.js';
+
 /**
  * Base Formatter Class
  */
@@ -68,8 +70,7 @@ class DefaultFormatter extends BaseFormatter {
   }
 
   _getLevelName(level) {
-    const levels = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
-    return levels[level] || 'UNKNOWN';
+    return LevelRegistry.getName(level);
   }
 }
 
@@ -109,8 +110,7 @@ class JSONFormatter extends BaseFormatter {
   }
 
   _getLevelName(level) {
-    const levels = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
-    return levels[level] || 'UNKNOWN';
+    return LevelRegistry.getName(level);
   }
 }
 
@@ -128,8 +128,7 @@ class CompactFormatter extends BaseFormatter {
   }
 
   _getLevelName(level) {
-    const levels = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
-    return levels[level] || 'UNKNOWN';
+    return LevelRegistry.getName(level);
   }
 }
 
@@ -257,8 +256,7 @@ class CustomFormatter extends BaseFormatter {
   }
 
   _getLevelName(level) {
-    const levels = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
-    return levels[level] || 'UNKNOWN';
+    return LevelRegistry.getName(level);
   }
 }
 
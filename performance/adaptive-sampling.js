@@ -8,6 +8,8 @@
  */
 
 import { EventEmitter } from 'events';
+import { LogLevel } from '../utils/types.js';
+import { LevelRegistry } from '../utils/level-registry.js';
 
 export class AdaptiveSamplingManager extends EventEmitter {
   /**
@@ -53,10 +55,10 @@ export class AdaptiveSamplingManager extends EventEmitter {
    * @private
    */
   _initializeDefaultRules() {
-    // Rule 1: Error logging always samples (100%)
+    // Rule 1: Error logging always samples (100%), including FATAL and more severe custom levels
     this.addRule('error-always-sample', {
       description: 'Sample all error-level logs',
-      condition: (entry) => entry.level === 'error' || entry.level === 'fatal',
+      condition: (entry) => this._levelValue(entry) <= LogLevel.ERROR,
       samplingRate: 1.0,
       priority: 100,
     });
@@ -69,10 +71,10 @@ export class AdaptiveSamplingManager extends EventEmitter {
       priority: 80,
     });
 
-    // Rule 3: Debug logs lower sampling (5%)
+    // Rule 3: Debug logs lower sampling (5%), including TRACE and less severe custom levels
     this.addRule('debug-sample-low', {
       description: 'Sample debug logs at lower rate',
-      condition: (entry) => entry.level === 'debug' || entry.level === 'trace',
+      condition: (entry) => this._levelValue(entry) >= LogLevel.DEBUG,
       samplingRate: 0.05,
       priority: 20,
     });
@@ -103,6 +105,16 @@ export class AdaptiveSamplingManager extends EventEmitter {
     });
   }
 
+  /**
+   * Resolve an entry's level (LogLevel value or level name) to its numeric value
+   * @private
+   * @param {Object} entry - Log entry
+   * @returns {number} Level value, or NaN when the level is unknown
+   */
+  _levelValue(entry) {
+    return LevelRegistry.toValue(entry?.level) ?? NaN;
+  }
+
   /**
    * Add a custom sampling rule
    * @param {string} name - Rule name
@@ -4,5 +4,6 @@
  */
 
 export { RateLimiter } from './rate-limiter.js';
+export { LogDeduplicator } from './log-deduplicator.js';
 export { RateLimiterAdvanced } from './rate-limiter-advanced.js';
 export { StrictBurstLimiter, MultiLayerRateLimiter } from './rate-limiter-strict.js';
@@ -0,0 +1,311 @@
+/**
+ * Log Deduplicator
+ *
+ * Suppresses repeated entries before they reach the rate limiter, so a
+ * tight retry loop cannot push out the entries around it:
+ * - Fingerprint: module name, level, message and selected metadata keys
+ * - The first entry of a fingerprint is logged; repeats inside the window
+ *   are counted instead
+ * - When the window closes, one summary entry reports the count, firstSeen
+ *   and lastSeen (only if something was suppressed)
+ * - Options per module name or pattern (exact names win, then the first
+ *   matching pattern, as in ModuleConfig)
+ *
+ * USAGE EXAMPLE:
+ * const dedup = new LogDeduplicator({
+ *   windowMs: 10000,
+ *   keys: ['code'],
+ *   modules: { payments: { windowMs: 2000, keys: ['orderId'] }, 'audit-*': false },
+ * });
+ * dedup.check({ level, moduleName, message, context }); // => true (log) / false (suppressed)
+ */
+
+import { ModulePatternMatcher } from '../internal/utils/module-pattern-matcher.js';
+import { LoggingError } from '../error-handling/errors.js';
+
+export class LogDeduplicator {
+  /**
+   * @param {Object} [config={}] - Deduplication configuration
+   * @param {boolean} [config.enabled=true] - Default for modules without own options
+   * @param {number} [config.windowMs=10000] - Suppression window, starting at the first entry
+   * @param {string[]} [config.keys=[]] - Metadata keys that are part of the fingerprint
+   * @param {number} [config.maxFingerprints=1000] - Max windows tracked at once; entries with
+   *   new fingerprints pass through untracked when full
+   * @param {Object<string, Object|boolean>} [config.modules] - Options (or false) per module
+   *   name or pattern, merged over the defaults
+   * @param {number} [config.sweepIntervalMs] - How often closed windows are summarized
+   *   (default: min(windowMs, 1000))
+   * @throws {LoggingError} If configuration is invalid
+   */
+  constructor(config = {}) {
+    this.defaults = this._normalizeOptions(
+      {
+        enabled: config.enabled ?? true,
+        windowMs: config.windowMs ?? 10000,
+        keys: config.keys ?? [],
+      },
+      'dedup'
+    );
+
+    this.maxFingerprints = config.maxFingerprints ?? 1000;
+    if (!Number.isInteger(this.maxFingerprints) || this.maxFingerprints < 1) {
+      throw new LoggingError('maxFingerprints must be a positive integer');
+    }
+
+    this.moduleOptions = new Map(); // name => options
+    this.patternOptions = new Map(); // pattern => options
+    this._optionsCache = new Map();
+    for (const [nameOrPattern, options] of Object.entries(config.modules ?? {})) {
+      this.setModuleOptions(nameOrPattern, options);
+    }
+
+    // fingerprint => { record, source, options, count, firstSeen, lastSeen }
+    this.windows = new Map();
+
+    // Receives (summaryRecord, source); set by the owning logger
+    this.onSummary = null;
+
+    this.stats = {
+      suppressed: 0, // Entries counted instead of logged
+      summaries: 0, // Summary entries emitted
+      untracked: 0, // Entries passed through because maxFingerprints was reached
+    };
+
+    const sweepIntervalMs = config.sweepIntervalMs ?? Math.min(this.defaults.windowMs, 1000);
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Set deduplication options for a module name or pattern
+   *
+   * @param {string} nameOrPattern - Module name or pattern (e.g. 'db', 'auth-*')
+   * @param {Object|boolean} options - { enabled, windowMs, keys } merged over the
+   *   defaults, or false to disable deduplication for matching modules
+   * @throws {LoggingError} If options are invalid
+   * @returns {LogDeduplicator} this instance for chaining
+   */
+  setModuleOptions(nameOrPattern, options) {
+    if (typeof nameOrPattern !== 'string' || !nameOrPattern.trim()) {
+      throw new LoggingError('Module name or pattern must be a non-empty string');
+    }
+
+    const resolved =
+      options === false
+        ? { ...this.defaults, enabled: false }
+        : this._normalizeOptions({ ...this.defaults, enabled: true, ...options }, nameOrPattern);
+
+    const target = nameOrPattern.includes('*') ? this.patternOptions : this.moduleOptions;
+    target.set(nameOrPattern, resolved);
+    this._optionsCache.clear();
+    return this;
+  }
+
+  /**
+   * Get the options that apply to a module
+   *
+   * @param {string} moduleName - Module name
+   * @returns {{enabled: boolean, windowMs: number, keys: string[]}} Options
+   */
+  getOptions(moduleName) {
+    let options = this._optionsCache.get(moduleName);
+    if (options) {
+      return options;
+    }
+
+    options = this.moduleOptions.get(moduleName);
+    if (!options) {
+      for (const [pattern, patternOptions] of this.patternOptions) {
+        if (ModulePatternMatcher.matches(moduleName, pattern)) {
+          options = patternOptions;
+          break;
+        }
+      }
+    }
+
+    options ??= this.defaults;
+    this._optionsCache.set(moduleName, options);
+    return options;
+  }
+
+  /**
+   * Decide whether an entry should be logged
+   *
+   * @param {Object} record - { level, moduleName, message, context }
+   * @param {*} [source] - Passed back with the summary (e.g. the logger that logged the first entry)
+   * @param {number} [now=Date.now()] - Current time in ms
+   * @returns {boolean} true to log the entry, false if it is a suppressed repeat
+   */
+  check(record, source = null, now = Date.now()) {
+    const options = this.getOptions(record.moduleName);
+    if (!options.enabled) {
+      return true;
+    }
+
+    const fingerprint = this._fingerprint(record, options.keys);
+    const window = this.windows.get(fingerprint);
+
+    if (window) {
+      if (now - window.firstSeen < window.options.windowMs) {
+        window.count++;
+        window.lastSeen = now;
+        this.stats.suppressed++;
+        return false;
+      }
+      // Window over: summarize it and start a new one with this entry
+      this._close(fingerprint, window);
+    }
+
+    if (this.windows.size >= this.maxFingerprints) {
+      this.stats.untracked++;
+      return true;
+    }
+
+    this.windows.set(fingerprint, {
+      record: {
+        level: record.level,
+        moduleName: record.moduleName,
+        message: record.message,
+        context: this._pickKeys(record.context, options.keys),
+      },
+      source,
+      options,
+      count: 1,
+      firstSeen: now,
+      lastSeen: now,
+    });
+    return true;
+  }
+
+  /**
+   * Summarize and forget windows that have closed
+   *
+   * @param {number} [now=Date.now()] - Current time in ms
+   * @returns {Promise<void>} Resolves when onSummary handled every summary
+   */
+  async sweep(now = Date.now()) {
+    const pending = [];
+    for (const [fingerprint, window] of this.windows) {
+      if (now - window.firstSeen >= window.options.windowMs) {
+        pending.push(this._close(fingerprint, window));
+      }
+    }
+    await Promise.all(pending);
+  }
+
+  /**
+   * Summarize and forget all windows, open or not (e.g. on close)
+   *
+   * @returns {Promise<void>} Resolves when onSummary handled every summary
+   */
+  async flush() {
+    const pending = [];
+    for (const [fingerprint, window] of this.windows) {
+      pending.push(this._close(fingerprint, window));
+    }
+    await Promise.all(pending);
+  }
+
+  /**
+   * Get deduplication statistics
+   *
+   * @returns {Object} Counters plus the number of open windows
+   */
+  getStatistics() {
+    return { ...this.stats, openWindows: this.windows.size };
+  }
+
+  /**
+   * Stop the sweep timer and drop open windows without summarizing them
+   *
+   * @returns {void}
+   */
+  destroy() {
+    clearInterval(this.sweepTimer);
+    this.windows.clear();
+  }
+
+  /**
+   *
+   * @private
+   */
+  async _close(fingerprint, window) {
+    this.windows.delete(fingerprint);
+
+    const suppressed = window.count - 1;
+    if (suppressed === 0 || typeof this.onSummary !== 'function') {
+      return;
+    }
+
+    this.stats.summaries++;
+    const { record } = window;
+    const times = suppressed === 1 ? 'time' : 'times';
+    const summary = {
+      level: record.level,
+      moduleName: record.moduleName,
+      message: `${record.message} (repeated ${suppressed} more ${times})`,
+      context: {
+        ...record.context,
+        dedup: {
+          count: window.count,
+          suppressed,
+          firstSeen: new Date(window.firstSeen).toISOString(),
+          lastSeen: new Date(window.lastSeen).toISOString(),
+          windowMs: window.options.windowMs,
+        },
+      },
+    };
+
+    try {
+      await this.onSummary(summary, window.source);
+    } catch (error) {
+      console.error('Error in LogDeduplicator summary handler:', error);
+    }
+  }
+
+  /**
+   *
+   * @private
+   */
+  _fingerprint(record, keys) {
+    let selected = '';
+    if (keys.length > 0) {
+      try {
+        selected = JSON.stringify(keys.map((key) => record.context?.[key]));
+      } catch {
+        selected = keys.map((key) => String(record.context?.[key])).join('\u0000');
+      }
+    }
+    return `${record.moduleName}\u0000${record.level}\u0000${record.message}\u0000${selected}`;
+  }
+
+  /**
+   *
+   * @private
+   */
+  _pickKeys(context, keys) {
+    const picked = {};
+    for (const key of keys) {
+      if (context && context[key] !== undefined) {
+        picked[key] = context[key];
+      }
+    }
+    return picked;
+  }
+
+  /**
+   *
+   * @private
+   */
+  _normalizeOptions(options, label) {
+    if (typeof options.windowMs !== 'number' || !(options.windowMs > 0)) {
+      throw new LoggingError(`Invalid dedup windowMs for ${label}: ${options.windowMs}`);
+    }
+    if (!Array.isArray(options.keys) || !options.keys.every((k) => typeof k === 'string')) {
+      throw new LoggingError(`Dedup keys for ${label} must be an array of strings`);
+    }
+    return { enabled: options.enabled !== false, windowMs: options.windowMs, keys: options.keys };
+  }
+}
+
+export default LogDeduplicator;
@@ -3,13 +3,30 @@
  * Advanced detection and removal of sensitive data
  * Includes detection of encoded data (Base64, URL encoding, Hex, etc)
  * ✅ Handles circular references thoroughly
+ * Optional field encryption (config.encryption): selected fields are replaced by
+ * per-subject envelopes (see SubjectKeyStore); sanitization leaves intact only the
+ * envelopes this sanitizer created
  */
 
 import { EncodingDetector } from './encoding-detector.js';
 import { CircularReferenceDetector } from '../utils/circular-reference-detector.js';
+import { SubjectKeyStore } from '../utils/subject-keystore.js';
+import { LoggingError } from '../error-handling/errors.js';
 
 export class DataSanitizer {
+  /**
+   * @param {Object} [config={}] - Sanitizer configuration
+   * @param {Object} [config.encryption] - Crypto-shredding of selected fields:
+   *   { keystore: SubjectKeyStore, fields: ['userId', 'email'], subject: 'userId' } where
+   *   subject is the context key (or a function of the context) naming the data subject;
+   *   entries without a subject are only sanitized
+   * @throws {LoggingError} If the encryption configuration is invalid
+   */
   constructor(config = {}) {
+    if (config.encryption !== undefined) {
+      DataSanitizer._validateEncryption(config.encryption);
+    }
+
     this.config = {
       sensitiveKeys: new Set([
         'password',
@@ -175,6 +192,9 @@ export class DataSanitizer {
       ...config,
     };
 
+    // Envelopes made by encryptFields(); only these skip redaction
+    this._envelopes = new WeakSet();
+
     this.statistics = {
       sensitiveKeysFound: new Map(),
       patternsMatched: new Map(),
@@ -182,6 +202,79 @@ export class DataSanitizer {
     };
   }
 
+  /**
+   * Encrypt the configured fields of a context for its subject (config.encryption)
+   *
+   * Runs before sanitize(): the envelopes it creates are passed through unchanged;
+   * anything else shaped like an envelope is sanitized as usual.
+   *
+   * @param {Object} context - Log context
+   * @returns {Object} Copy with envelopes in place of the configured fields, or the
+   *   context itself without encryption or subject
+   */
+  encryptFields(context) {
+    const { encryption } = this.config;
+    if (!encryption || !context || typeof context !== 'object') {
+      return context;
+    }
+
+    const subject = this._subjectOf(context);
+    if (subject === null) {
+      return context;
+    }
+
+    const fields = new Set(encryption.fields);
+    const encrypt = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(encrypt);
+      }
+      if (value === null || typeof value !== 'object' || this._envelopes.has(value)) {
+        return value;
+      }
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => {
+          if (!fields.has(key) || item === undefined) {
+            return [key, encrypt(item)];
+          }
+          const envelope = encryption.keystore.encrypt(subject, item);
+          this._envelopes.add(envelope);
+          return [key, envelope];
+        })
+      );
+    };
+    return encrypt(context);
+  }
+
+  /**
+   * Whether encryptFields() encrypts a field of this context
+   *
+   * @param {Object} context - Log context
+   * @param {string} field - Field name
+   * @returns {boolean} true if encryption covers the field and the context names a subject
+   */
+  encryptsField(context, field) {
+    const fields = this.config.encryption?.fields ?? [];
+    return fields.includes(field) && this._subjectOf(context) !== null;
+  }
+
+  /**
+   * Data subject of a context (config.encryption.subject)
+   *
+   * @private
+   * @returns {*} Subject, or null if the context names none
+   */
+  _subjectOf(context) {
+    const { encryption } = this.config;
+    if (!encryption || !context || typeof context !== 'object') {
+      return null;
+    }
+    const subject =
+      typeof encryption.subject === 'function'
+        ? encryption.subject(context)
+        : context[encryption.subject ?? 'userId'];
+    return subject === undefined || subject === null || subject === '' ? null : subject;
+  }
+
   /**
    *
    */
@@ -190,6 +283,10 @@ export class DataSanitizer {
       return obj;
     }
 
+    if (this._envelopes.has(obj)) {
+      return obj;
+    }
+
     if (typeof obj === 'string') {
       return this._sanitizeString(obj, trackStats);
     }
@@ -213,6 +310,10 @@ export class DataSanitizer {
       return obj;
     }
 
+    if (this._envelopes.has(obj)) {
+      return obj;
+    }
+
     if (typeof obj === 'string') {
       const detected = EncodingDetector.detectEncoded(obj);
 
@@ -244,6 +345,11 @@ export class DataSanitizer {
 
     const sanitized = {};
     for (const [key, value] of Object.entries(obj)) {
+      if (this._envelopes.has(value)) {
+        sanitized[key] = value;
+        continue;
+      }
+
       if (this._isSensitiveKey(key)) {
         sanitized[key] = '***REDACTED***';
         if (trackStats) {
@@ -337,7 +443,9 @@ export class DataSanitizer {
 
     const sanitized = {};
     for (const [key, value] of Object.entries(obj)) {
-      if (this._isSensitiveKey(key)) {
+      if (this._envelopes.has(value)) {
+        sanitized[key] = value;
+      } else if (this._isSensitiveKey(key)) {
         sanitized[key] = this._getMasked(String(value));
         if (trackStats) {
           const currentCount = this.statistics.sensitiveKeysFound.get(key) || 0;
@@ -558,4 +666,28 @@ export class DataSanitizer {
   analyzeObjectStructure(obj, maxDepth = 5) {
     return CircularReferenceDetector.analyzeStructure(obj, maxDepth);
   }
+
+  /**
+   *
+   * @private
+   */
+  static _validateEncryption(encryption) {
+    if (!(encryption?.keystore instanceof SubjectKeyStore)) {
+      throw new LoggingError('encryption.keystore must be a SubjectKeyStore');
+    }
+    if (
+      !Array.isArray(encryption.fields) ||
+      encryption.fields.length === 0 ||
+      !encryption.fields.every((field) => typeof field === 'string')
+    ) {
+      throw new LoggingError('encryption.fields must be a non-empty array of field names');
+    }
+    if (
+      encryption.subject !== undefined &&
+      typeof encryption.subject !== 'string' &&
+      typeof encryption.subject !== 'function'
+    ) {
+      throw new LoggingError('encryption.subject must be a context key or a function');
+    }
+  }
 }
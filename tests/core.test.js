@@ -1,10 +1,51 @@
 import assert from 'assert';
+import { spawnSync } from 'child_process';
+import crypto from 'crypto';
+import dgram from 'dgram';
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
 import { AdaptiveLogBuffer } from '../transports/adaptive-log-buffer.js';
 import { RateLimiter } from '../rate-limiting/rate-limiter.js';
-import { CoreLogger } from '../core/core-logger.js';
+import { CoreLogger, ProcessorStage } from '../core/core-logger.js';
+import { ShutdownManager } from '../core/shutdown-manager.js';
+import { AuditLogger } from '../core/audit-logger.js';
+import { DatabaseTransport } from '../transports/database-transport.js';
+import { FailoverTransport } from '../transports/failover-transport.js';
+import { FileTransport } from '../transports/file-transport.js';
+import { SyslogTransport } from '../transports/syslog-transport.js';
+import { OtlpLogTransport } from '../transports/otlp-log-transport.js';
+import { ElasticsearchTransport } from '../transports/elasticsearch-transport.js';
+import RotatingFileTransport from '../transports/rotating-file-transport.js';
 import { LogLevel } from '../utils/types.js';
 import { DataSanitizer } from '../sanitizer/data-sanitizer.js';
 import { AdvancedHttpTransport } from '../transports/http-transport.js';
+import { ModuleConfig } from '../config/module-config.js';
+import { LogContext } from '../context/log-context.js';
+import { RequestContext } from '../context/request-context.js';
+import { TraceContext } from '../tracing/distributed-tracing.js';
+import { LevelRegistry } from '../utils/level-registry.js';
+import { MetricsCollector } from '../metrics/metrics-collector.js';
+import { ErrorSerializer } from '../utils/error-serializer.js';
+import { LogEntry } from '../utils/log-entry.js';
+import { HashChain, verifyChain } from '../utils/hash-chain.js';
+import { BatchSigner, verifySignedLog } from '../utils/batch-signer.js';
+import { MerkleCheckpoint, verifyInclusionProof } from '../utils/merkle-checkpoint.js';
+import { WormPolicy } from '../utils/worm-policy.js';
+import { LegalHoldRegistry } from '../utils/legal-hold.js';
+import { SubjectKeyStore, readShreddedLog, ERASED } from '../utils/subject-keystore.js';
+import LogCleanupPolicy from '../internal/transports/log-cleanup-policy.js';
+import { LogRotator } from '../internal/transports/log-rotator.js';
+import LogArchiver from '../internal/transports/log-archiver.js';
+import { AdvancedLogRotator } from '../internal/transports/payload-rotation.js';
+import { RetentionPolicy } from '../config/retention-policy.js';
+import { LoggingError } from '../error-handling/errors.js';
+import { ColorConfig, ANSIColors } from '../config/color-config.js';
+import { LogFormatterManager } from '../internal/utils/log-formatter.js';
+import { AdaptiveSamplingManager } from '../performance/adaptive-sampling.js';
 
 async function testRateLimiterBasics() {
   const rl = new RateLimiter({ tokensPerSecond: 1, burstCapacity: 1 });
@@ -192,6 +233,2398 @@ async function testAdaptiveLogBufferDiagnostics() {
   assert.ok(Array.isArray(stats.utilizationHistory));
 }
 
+async function testCoreLoggerChild() {
+  class CaptureTransport {
+    constructor() {
+      this.captured = [];
+    }
+    async write(entries) {
+      this.captured.push(...entries);
+    }
+  }
+  const t = new CaptureTransport();
+  const logger = new CoreLogger({ name: 'root', transports: [t], buffer: { maxSize: 10 } });
+  const child = logger.child({ module: 'orders', tenantId: 't-1' });
+  const grandChild = child.child({ requestId: 'r-1' });
+
+  assert.strictEqual(child.buffer, logger.buffer, 'child should share the parent buffer');
+  assert.strictEqual(child.rateLimiter, logger.rateLimiter, 'child should share the rate limiter');
+  assert.strictEqual(child.cleanupInterval, null, 'child should not start timers');
+
+  await grandChild.info('created', { orderId: 42, tenantId: 't-2' });
+  await logger.flush();
+  assert.strictEqual(t.captured.length, 1);
+  const [entry] = t.captured;
+  assert.strictEqual(entry.moduleName, 'orders');
+  assert.deepStrictEqual(entry.context, { tenantId: 't-2', requestId: 'r-1', orderId: 42 });
+
+  // Disposing a child must leave the shared pipeline intact
+  grandChild.destroy();
+  await logger.info('still works');
+  await logger.flush();
+  assert.strictEqual(t.captured.length, 2);
+  assert.throws(() => logger.child({ module: '' }), /non-empty string/);
+  logger.destroy();
+}
+
+async function testCoreLoggerModuleLevels() {
+  const captured = [];
+  const transport = { write: async (entries) => captured.push(...entries) };
+  const moduleConfig = new ModuleConfig(LogLevel.INFO);
+  const logger = new CoreLogger({ name: 'db', transports: [transport], moduleConfig });
+  const auth = logger.child({ module: 'auth-api' });
+
+  assert.strictEqual(
+    await logger.debug('hidden'),
+    false,
+    'DEBUG should be filtered by default level'
+  );
+  assert.strictEqual(logger.stats.filtered, 1);
+  assert.strictEqual(
+    logger.rateLimiter.stats.totalAllowed,
+    0,
+    'filtered entries skip rate limiting'
+  );
+
+  // Changes through ModuleConfig apply immediately, including pattern levels
+  moduleConfig.setModuleLevel('db', LogLevel.DEBUG);
+  moduleConfig.setPatternLevel('auth-*', LogLevel.ERROR);
+  assert.strictEqual(await logger.debug('visible'), true);
+  assert.strictEqual(await auth.warn('hidden'), false);
+  assert.strictEqual(await auth.error('visible'), true);
+  await logger.flush();
+  assert.deepStrictEqual(
+    captured.map((e) => e.message),
+    ['visible', 'visible']
+  );
+
+  // The default level and clear() notify listeners, so cached levels are dropped
+  const changes = [];
+  moduleConfig.onChange((change) => changes.push(change.type));
+  const cache = logger.child({ module: 'cache' });
+  assert.strictEqual(cache.isLevelEnabled(LogLevel.INFO), true);
+  moduleConfig.defaultLevel = LogLevel.WARN;
+  assert.strictEqual(cache.isLevelEnabled(LogLevel.INFO), false);
+  assert.strictEqual(logger.isLevelEnabled(LogLevel.DEBUG), true, 'module level wins');
+  moduleConfig.clear();
+  assert.strictEqual(logger.isLevelEnabled(LogLevel.DEBUG), false);
+  assert.strictEqual(auth.isLevelEnabled(LogLevel.INFO), true);
+  assert.deepStrictEqual(changes, ['defaultLevel', 'cleared']);
+  assert.throws(() => (moduleConfig.defaultLevel = 'loud'), LoggingError);
+
+  logger.destroy();
+  assert.strictEqual(
+    moduleConfig.listeners.length,
+    1,
+    'destroy should unsubscribe from ModuleConfig'
+  );
+
+  // Children read the parent's minLevel, including later changes
+  const minLevel = new CoreLogger({ name: 'min', minLevel: LogLevel.WARN });
+  const minChild = minLevel.child({ module: 'min-child' });
+  assert.strictEqual(minLevel.isLevelEnabled(LogLevel.INFO), false);
+  assert.strictEqual(minLevel.isLevelEnabled(LogLevel.ERROR), true);
+  minLevel.minLevel = LogLevel.INFO;
+  assert.strictEqual(minChild.isLevelEnabled(LogLevel.INFO), true);
+  minLevel.destroy();
+}
+
+async function testCoreLoggerContextEnrichment() {
+  const captured = [];
+  const transport = { write: async (entries) => captured.push(...entries) };
+  const logger = new CoreLogger({ name: 'http', transports: [transport], enrichContext: true });
+  const plain = new CoreLogger({ name: 'plain', transports: [transport] });
+  const trace = new TraceContext({ traceId: 'trace-1', spanId: 'span-1' });
+
+  await LogContext.runWithContext(async () => {
+    LogContext.setTraceContext(trace);
+    LogContext.setRequestContext(new RequestContext({ id: 'req-1', method: 'GET', url: '/x' }));
+    await logger.info('handled', { status: 200 });
+    await plain.info('untouched');
+  }, 'corr-abcdefghijk');
+  assert.strictEqual(LogContext.getTraceContext(), null, 'scoped trace should not leak');
+  assert.strictEqual(LogContext.getRequestContext(), null, 'scoped request should not leak');
+
+  await logger.flush();
+  await plain.flush();
+  const [enriched, untouched] = captured;
+  assert.strictEqual(enriched.context.correlationId, 'corr-abcdefghijk');
+  assert.strictEqual(enriched.context.traceId, 'trace-1');
+  assert.strictEqual(enriched.context.spanId, 'span-1');
+  assert.strictEqual(enriched.context.request.url, '/x');
+  assert.strictEqual(enriched.context.status, 200);
+  assert.deepStrictEqual(untouched.context, {}, 'enrichment should be opt-in');
+  logger.destroy();
+  plain.destroy();
+}
+
+async function testLogLevelsAndCustomLevels() {
+  assert.strictEqual(LogLevel.FATAL < LogLevel.ERROR, true, 'FATAL is more severe than ERROR');
+  assert.strictEqual(LogLevel.TRACE > LogLevel.DEBUG, true, 'TRACE is less severe than DEBUG');
+
+  const captured = [];
+  const transport = { write: async (entries) => captured.push(...entries) };
+  const logger = new CoreLogger({ name: 'levels', transports: [transport] });
+
+  LevelRegistry.register('AUDIT', 1.5, { color: ANSIColors.MAGENTA });
+  try {
+    assert.strictEqual(LogLevel.AUDIT, 1.5);
+    assert.strictEqual(LevelRegistry.getName(1.5), 'AUDIT');
+    assert.strictEqual(LevelRegistry.toValue('audit'), 1.5);
+    assert.strictEqual(ColorConfig.getColor(LogLevel.AUDIT), ANSIColors.MAGENTA);
+    assert.throws(() => LevelRegistry.register('OTHER', LogLevel.INFO), /already used/);
+    assert.doesNotThrow(() => new ModuleConfig(LogLevel.AUDIT), 'custom levels are valid levels');
+
+    await logger.audit('user exported report');
+    await logger.fatal('disk gone');
+    await logger.trace('entering loop');
+    await logger.flush();
+    assert.deepStrictEqual(
+      captured.map((e) => LevelRegistry.getName(e.level)),
+      ['AUDIT', 'FATAL', 'TRACE']
+    );
+
+    const json = JSON.parse(LogFormatterManager.format('json', captured[0]));
+    assert.strictEqual(json.level, 'AUDIT');
+
+    const sampler = new AdaptiveSamplingManager();
+    const fatalRule = sampler.rules.get('error-always-sample');
+    assert.strictEqual(fatalRule.condition({ level: LogLevel.FATAL }), true);
+    assert.strictEqual(fatalRule.condition({ level: 'fatal' }), true);
+    assert.strictEqual(
+      sampler.rules.get('debug-sample-low').condition({ level: LogLevel.TRACE }),
+      true
+    );
+  } finally {
+    LevelRegistry.unregister('AUDIT');
+  }
+  assert.strictEqual('audit' in logger, false, 'unregistering removes the convenience method');
+  assert.strictEqual(LogLevel[1.5], undefined);
+  logger.destroy();
+}
+
+async function testCoreLoggerProcessors() {
+  const captured = [];
+  const transport = { write: async (entries) => captured.push(...entries) };
+  const errors = [];
+  const logger = new CoreLogger({
+    name: 'proc',
+    transports: [transport],
+    errorHandler: (err) => errors.push(err),
+    processors: [(entry) => void (entry.context.region = 'eu')],
+  });
+  const seen = [];
+
+  logger
+    .use((entry) => (entry.message === 'noise' ? null : undefined), {
+      stage: ProcessorStage.BEFORE_RATE_LIMIT,
+    })
+    .use(async (entry) => ({ ...entry, context: { ...entry.context, password: 'hunter2' } }))
+    .use(
+      (entry) => {
+        seen.push(entry.context.password);
+        entry.context.hash = 'sha:abc';
+      },
+      { stage: ProcessorStage.AFTER_SANITIZE }
+    );
+  const child = logger.child({ module: 'proc-child' });
+  child.use(() => {
+    throw new Error('boom');
+  });
+
+  assert.strictEqual(await logger.info('noise'), false, 'dropped before rate limiting');
+  assert.strictEqual(logger.stats.dropped, 1);
+  assert.strictEqual(logger.rateLimiter.stats.totalAllowed, 0);
+
+  assert.strictEqual(await logger.info('kept'), true);
+  assert.strictEqual(await child.info('from child'), true, 'failing processors are skipped');
+  assert.strictEqual(errors.length, 1);
+  await logger.flush();
+
+  assert.deepStrictEqual(
+    captured.map((e) => e.message),
+    ['kept', 'from child']
+  );
+  const [entry] = captured;
+  assert.strictEqual(entry.context.region, 'eu');
+  assert.notStrictEqual(entry.context.password, 'hunter2', 'added before sanitization');
+  assert.strictEqual(seen[0], entry.context.password, 'AFTER_SANITIZE sees sanitized values');
+  assert.strictEqual(entry.context.hash, 'sha:abc');
+
+  assert.throws(() => logger.use('nope'), /must be a function/);
+  assert.throws(() => logger.use(() => {}, { stage: 'later' }), /Invalid processor stage/);
+  logger.destroy();
+}
+
+async function testShutdownManager() {
+  const captured = [];
+  const transport = {
+    write: async (entries) => captured.push(...entries),
+    close: async () => captured.push('closed'),
+  };
+  const logger = new CoreLogger({ name: 'svc', transports: [transport] });
+  const reports = [];
+  const manager = new ShutdownManager({
+    timeout: 200,
+    exitProcess: false,
+    onShutdown: (report) => reports.push(report),
+  });
+  manager.register(logger.child({ module: 'svc-child' }));
+  assert.strictEqual(manager.loggers.has(logger), true, 'children resolve to their root');
+
+  await logger.info('one');
+  await logger.info('two');
+  manager.install();
+  process.emit('SIGTERM', 'SIGTERM');
+  const report = await manager.shutdown();
+  manager.uninstall();
+  assert.strictEqual(process.listenerCount('beforeExit'), 0, 'uninstall removes handlers');
+
+  assert.strictEqual(report.reason, 'SIGTERM', 'shutdown runs once');
+  assert.strictEqual(report.flushed, 2);
+  assert.strictEqual(report.lost, 0);
+  assert.strictEqual(report.timedOut, false);
+  assert.deepStrictEqual(reports, [report]);
+  assert.strictEqual(captured.at(-1), 'closed', 'transports are closed after the flush');
+
+  // Entries left in a transport queue when the deadline passes are lost
+  const db = new DatabaseTransport({
+    database: { insertMany: () => new Promise((resolve) => setTimeout(resolve, 150)) },
+    batchSize: 1,
+  });
+  const stuck = new CoreLogger({ name: 'stuck', transports: [db] });
+  await stuck.info('a');
+  await stuck.info('b');
+  const timedOut = await new ShutdownManager({ timeout: 50, exitProcess: false })
+    .register(stuck)
+    .shutdown();
+  assert.strictEqual(timedOut.timedOut, true);
+  assert.strictEqual(timedOut.flushed, 2);
+  assert.strictEqual(timedOut.lost, 1, 'one batch in flight, one still queued');
+
+  assert.throws(() => manager.register({}), /CoreLogger/);
+  assert.throws(() => new ShutdownManager({ timeout: 0 }), /positive number/);
+
+  // FileTransport holds the process open only while lines are queued
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-shutdown-'));
+  const files = new FileTransport({ logDirectory: dir });
+  try {
+    await files.initialize();
+    assert.strictEqual(files._flushTimer.hasRef(), false);
+    await files.write([new LogEntry(LogLevel.INFO, 'svc', 'queued')]);
+    assert.strictEqual(files._flushTimer.hasRef(), true);
+    await files._processWriteQueue();
+    assert.strictEqual(files._flushTimer.hasRef(), false);
+  } finally {
+    await files.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testCaptureProcessErrors() {
+  const captured = [];
+  const transport = {
+    write: async (entries) => captured.push(...entries),
+    close: async () => captured.push('closed'),
+  };
+  const logger = new CoreLogger({ name: 'crashy', transports: [transport] });
+  const stop = logger.captureProcessErrors({ exitOnError: false });
+
+  await logger.info('before crash');
+  const error = new TypeError('Cannot read properties of undefined');
+  error.code = 'E_CRASH';
+  await Promise.all(process.listeners('uncaughtException').map((l) => l(error)));
+  await Promise.all(process.listeners('unhandledRejection').map((l) => l('nope')));
+  // Node's own warning printer is registered first; call only the logger's listener
+  await process.listeners('warning').at(-1)(new Error('Too many listeners'));
+  await logger.flush();
+
+  const [before, crash, rejection, warning] = captured;
+  assert.strictEqual(before.message, 'before crash', 'buffered entries are written first');
+  assert.strictEqual(crash.message, 'Uncaught exception: Cannot read properties of undefined');
+  assert.strictEqual(crash.level, LogLevel.ERROR, 'non-exiting policy logs at ERROR');
+  assert.strictEqual(crash.context.origin, 'uncaughtException');
+  assert.strictEqual(crash.context.error.type, 'TypeError');
+  assert.strictEqual(crash.context.error.code, 'E_CRASH');
+  assert.ok(crash.context.error.stack.length > 0, 'stack frames are parsed');
+  assert.ok(crash.context.error.stack[0].fileName.endsWith('core.test.js'));
+  assert.strictEqual(rejection.message, 'Unhandled rejection: nope');
+  assert.deepStrictEqual(rejection.context.error.stack, []);
+  assert.strictEqual(warning.level, LogLevel.WARN);
+  assert.strictEqual(warning.context.origin, 'warning');
+  assert.strictEqual(captured.includes('closed'), false, 'transports stay open');
+
+  const listeners = process.listenerCount('uncaughtException');
+  stop();
+  assert.strictEqual(process.listenerCount('uncaughtException'), listeners - 1);
+  logger.destroy();
+
+  // Fatal crash: the ShutdownManager alone closes the transports, and a failing
+  // retention policy does not lose the crash entry
+  const fatalCaptured = [];
+  const fatalLogger = new CoreLogger({
+    name: 'fatal',
+    transports: [
+      {
+        write: async (entries) => fatalCaptured.push(...entries),
+        close: async () => fatalCaptured.push('closed'),
+      },
+    ],
+    retention: { defaultClass: 'archive-30d' },
+    errorHandler: () => {},
+  });
+  fatalLogger.retention.classify = () => {
+    throw new Error('retention unavailable');
+  };
+  const manager = new ShutdownManager({ exitProcess: false, handleFatalErrors: false });
+  const stopFatal = fatalLogger.captureProcessErrors({ shutdownManager: manager });
+  const exit = process.exit;
+  const exitCodes = [];
+  process.exit = (code) => exitCodes.push(code);
+  try {
+    await process.listeners('uncaughtException').at(-1)(new Error('boom'));
+  } finally {
+    process.exit = exit;
+    stopFatal();
+  }
+  assert.deepStrictEqual(exitCodes, [1]);
+  assert.strictEqual(fatalCaptured[0].message, 'Uncaught exception: boom');
+  assert.strictEqual(fatalCaptured[0].level, LogLevel.FATAL);
+  assert.deepStrictEqual(fatalCaptured.slice(1), ['closed'], 'closed once');
+}
+
+function testErrorSerializer() {
+  const dbError = new Error('connect failed: password=hunter2');
+  dbError.code = 'ECONNREFUSED';
+  const loggingError = new LoggingError('E_QUERY', 'Query failed', { table: 'orders' });
+  const aggregate = new AggregateError([dbError, loggingError], 'Batch failed', {
+    cause: loggingError,
+  });
+
+  const entry = new LogEntry(LogLevel.ERROR, 'orders', 'Import failed', { err: aggregate });
+  const { err } = entry.context;
+  assert.strictEqual(err.type, 'AggregateError');
+  assert.strictEqual(err.message, 'Batch failed');
+  assert.ok(err.stack.length > 0 && err.stack[0].fileName.endsWith('core.test.js'));
+  assert.deepStrictEqual(
+    err.errors.map((e) => [e.type, e.code]),
+    [
+      ['Error', 'ECONNREFUSED'],
+      ['LoggingError', 'E_QUERY'],
+    ]
+  );
+  assert.strictEqual(err.errors[0].message, 'connect failed: password=[REDACTED]');
+  assert.deepStrictEqual(err.cause.context, { table: 'orders' }, 'LoggingError context kept');
+
+  // An Error passed as the whole context is nested under `error`
+  const direct = new LogEntry(LogLevel.ERROR, 'orders', 'Failed', new TypeError('bad input'));
+  assert.strictEqual(direct.context.error.type, 'TypeError');
+
+  // Depth cap and circular causes
+  const looped = new Error('outer');
+  looped.cause = new Error('inner', { cause: looped });
+  const capped = ErrorSerializer.serialize(new Error('top', { cause: looped }), { maxDepth: 1 });
+  assert.strictEqual(capped.cause.message, 'outer');
+  assert.strictEqual(capped.cause.truncated, true);
+  assert.strictEqual(ErrorSerializer.serialize(looped).cause.cause.message, '[Circular]');
+  assert.deepStrictEqual(ErrorSerializer.serialize('plain reason'), {
+    type: 'string',
+    message: 'plain reason',
+    code: null,
+    stack: [],
+  });
+}
+
+async function testCoreLoggerDedup() {
+  const captured = [];
+  const transport = { write: async (entries) => captured.push(...entries) };
+  const logger = new CoreLogger({
+    name: 'worker',
+    transports: [transport],
+    dedup: { windowMs: 60000, keys: ['code'], modules: { 'audit-*': false } },
+  });
+  const audit = logger.child({ module: 'audit-trail' });
+
+  for (let i = 0; i < 5; i++) {
+    await logger.warn('Retrying upstream', { code: 'ETIMEDOUT', attempt: i });
+  }
+  await logger.warn('Retrying upstream', { code: 'ECONNRESET' });
+  await audit.info('exported');
+  await audit.info('exported');
+
+  assert.strictEqual(logger.stats.deduplicated, 4);
+  assert.strictEqual(logger.rateLimiter.stats.totalAllowed, 4, 'repeats skip the rate limiter');
+
+  await logger.deduplicator.sweep(Date.now() + 60000);
+  await logger.flush();
+  assert.deepStrictEqual(
+    captured.map((e) => e.message),
+    [
+      'Retrying upstream',
+      'Retrying upstream',
+      'exported',
+      'exported',
+      'Retrying upstream (repeated 4 more times)',
+    ]
+  );
+  const summary = captured.at(-1);
+  assert.strictEqual(summary.level, LogLevel.WARN);
+  assert.strictEqual(summary.context.code, 'ETIMEDOUT');
+  assert.strictEqual(summary.context.dedup.count, 5);
+  assert.strictEqual(summary.context.dedup.suppressed, 4);
+  assert.ok(summary.context.dedup.firstSeen <= summary.context.dedup.lastSeen);
+  assert.strictEqual(logger.getStatistics().dedup.summaries, 1);
+
+  // Open windows are summarized on close
+  await logger.warn('Disk almost full');
+  await logger.warn('Disk almost full');
+  await logger.close();
+  assert.strictEqual(captured.at(-1).message, 'Disk almost full (repeated 1 more time)');
+
+  assert.throws(() => new CoreLogger({ dedup: 'yes' }), /dedup must be/);
+}
+
+async function testCoreLoggerLazyEvaluation() {
+  const captured = [];
+  const transport = { write: async (entries) => captured.push(...entries) };
+  const logger = new CoreLogger({
+    name: 'lazy',
+    transports: [transport],
+    minLevel: LogLevel.INFO,
+    rateLimiter: new RateLimiter({ tokensPerSecond: 1, burstCapacity: 1 }),
+    errorHandler: (error) => errors.push(error),
+  });
+  const errors = [];
+  let calls = 0;
+  const describe = () => {
+    calls++;
+    return 'expensive';
+  };
+
+  // Filtered by level: neither function runs
+  assert.strictEqual(await logger.debug(describe, () => ({ calls: ++calls })), false);
+  assert.strictEqual(calls, 0);
+
+  // Dropped by a processor ahead of the rate limiter (e.g. sampling)
+  const sampler = () => null;
+  logger.use(sampler, { stage: ProcessorStage.BEFORE_RATE_LIMIT });
+  assert.strictEqual(await logger.info(describe), false);
+  assert.strictEqual(calls, 0);
+  logger.removeProcessor(sampler);
+
+  // Passes: message and (async) metadata are resolved once
+  assert.strictEqual(await logger.info(describe, async () => ({ size: 3 })), true);
+  assert.strictEqual(calls, 1);
+
+  // Rate limited: not called
+  assert.strictEqual(await logger.info(describe), false);
+  assert.strictEqual(calls, 1);
+
+  await logger.flush();
+  assert.strictEqual(captured.length, 1);
+  assert.strictEqual(captured[0].message, 'expensive');
+  assert.deepStrictEqual(captured[0].context, { size: 3 });
+
+  // A throwing factory counts as a logging error
+  logger.rateLimiter = new RateLimiter({ tokensPerSecond: 100, burstCapacity: 100 });
+  const failing = () => {
+    throw new Error('describe failed');
+  };
+  assert.strictEqual(await logger.info(failing), false);
+  assert.strictEqual(logger.stats.errors, 1);
+  assert.strictEqual(errors[0].message, 'describe failed');
+
+  // With dedup, functions are resolved for the fingerprint
+  const deduped = new CoreLogger({ name: 'lazy-dedup', transports: [transport], dedup: true });
+  await deduped.warn(() => 'same');
+  await deduped.warn(() => 'same');
+  assert.strictEqual(deduped.stats.deduplicated, 1);
+  deduped.destroy();
+  logger.destroy();
+}
+
+async function testCoreLoggerTransportRouting() {
+  const all = [];
+  const errors = [];
+  const audit = [];
+  const urgent = [];
+  const capture = (into) => ({ write: async (entries) => into.push(...entries) });
+  const logger = new CoreLogger({
+    name: 'api',
+    transports: [
+      capture(all),
+      { transport: capture(errors), minLevel: LogLevel.ERROR },
+      { transport: capture(audit), modules: ['auth.*'] },
+    ],
+  });
+  const urgentTransport = capture(urgent);
+  logger.addTransport(urgentTransport, {
+    minLevel: LogLevel.WARN,
+    filter: (entry) => entry.context.page === true,
+  });
+
+  await logger.info('request');
+  await logger.error('request failed');
+  await logger.child({ module: 'auth.login' }).info('signed in');
+  await logger.child({ module: 'authz' }).warn('denied', { page: true });
+  await logger.flush();
+
+  assert.strictEqual(all.length, 4);
+  assert.deepStrictEqual(
+    errors.map((e) => e.message),
+    ['request failed']
+  );
+  assert.deepStrictEqual(
+    audit.map((e) => e.message),
+    ['signed in']
+  );
+  assert.deepStrictEqual(
+    urgent.map((e) => e.message),
+    ['denied']
+  );
+  assert.strictEqual(logger.stats.flushed, 7);
+  assert.strictEqual(logger.getTransportRoute(urgentTransport).minLevel, LogLevel.WARN);
+  assert.strictEqual(logger.getTransportRoute(logger.transports[0]), null);
+
+  assert.throws(() => logger.addTransport(capture([]), { minLevel: 'loud' }), LoggingError);
+  assert.throws(() => logger.addTransport(capture([]), { modules: [] }), LoggingError);
+  await logger.close();
+}
+
+async function testFailoverTransport() {
+  const primaryEntries = [];
+  const secondaryEntries = [];
+  let primaryDown = false;
+  let secondaryDown = false;
+  const primary = {
+    name: 'collector',
+    write: async (entries) => {
+      if (primaryDown) {
+        throw new Error('collector unavailable');
+      }
+      primaryEntries.push(...entries);
+    },
+  };
+  const secondary = {
+    write: async (entries) => {
+      if (secondaryDown) {
+        throw new Error('disk full');
+      }
+      secondaryEntries.push(...entries);
+    },
+  };
+  const group = new FailoverTransport({
+    transports: [primary, secondary],
+    failureThreshold: 1,
+    resetTimeout: 20,
+    retryInterval: 60000,
+  });
+  const errors = [];
+  const logger = new CoreLogger({
+    name: 'failover',
+    transports: [group],
+    errorHandler: (error) => errors.push(error),
+  });
+  const logAndFlush = async (message) => {
+    await logger.info(message);
+    await logger.flush();
+  };
+
+  await logAndFlush('a');
+  primaryDown = true;
+  await logAndFlush('b'); // primary fails, breaker opens
+  await logAndFlush('c'); // breaker open: primary skipped
+  assert.deepStrictEqual(
+    secondaryEntries.map((e) => e.message),
+    ['b', 'c']
+  );
+
+  primaryDown = false;
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  await logAndFlush('d');
+  assert.deepStrictEqual(
+    primaryEntries.map((e) => e.message),
+    ['a', 'b', 'c', 'd'],
+    'spooled entries are replayed in order before new ones'
+  );
+
+  const [stats] = logger.getStatistics().failover;
+  assert.strictEqual(stats.failovers, 2);
+  assert.strictEqual(stats.replayed, 2);
+  assert.strictEqual(stats.spooled, 0);
+  assert.strictEqual(stats.hops[0].name, 'collector');
+  assert.strictEqual(stats.hops[0].state, 'CLOSED');
+  assert.strictEqual(stats.hops[0].failures, 1);
+  assert.strictEqual(stats.hops[0].skipped, 1);
+  assert.strictEqual(stats.hops[1].written, 2);
+
+  // No hop accepts the batch: reported as a transport error, kept for replay
+  primaryDown = true;
+  secondaryDown = true;
+  await logAndFlush('e');
+  assert.strictEqual(errors.at(-1).code, 'FAILOVER_EXHAUSTED');
+  assert.strictEqual(group.getStatistics().spooled, 1);
+  assert.strictEqual(group.getPendingCount(), 1, 'entries no hop received are pending');
+
+  primaryDown = false;
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  await logger.close();
+  assert.strictEqual(primaryEntries.at(-1).message, 'e');
+
+  assert.strictEqual(group.getPendingCount(), 0);
+
+  // Closing while no hop takes them gives the entries up, reported and still pending
+  const down = { write: async () => Promise.reject(new Error('down')) };
+  const stranded = new FailoverTransport({ transports: [down, down], retryInterval: 60000 });
+  await assert.rejects(() => stranded.write([new LogEntry(LogLevel.INFO, 'svc', 'f')]));
+  await assert.rejects(
+    () => stranded.close(),
+    (error) => error.code === 'FAILOVER_UNDELIVERED' && error.context.entries[0].message === 'f'
+  );
+  assert.strictEqual(stranded.getStatistics().discarded, 1);
+  assert.strictEqual(stranded.getPendingCount(), 1);
+
+  // Bundled transports report failures instead of rejecting. Reported while writing
+  // (FileTransport cannot create its directory): the batch fails over
+  const notADirectory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-failover-')), 'f');
+  fs.writeFileSync(notADirectory, '');
+  const fallback = [];
+  const reported = [];
+  const fileGroup = new FailoverTransport({
+    transports: [
+      new FileTransport({ logDirectory: path.join(notADirectory, 'logs') }),
+      { write: async (entries) => fallback.push(...entries) },
+    ],
+    retryInterval: 60000,
+  });
+  fileGroup.setErrorHandler((error, context) => reported.push(context));
+  await fileGroup.write([new LogEntry(LogLevel.INFO, 'svc', 'g')]);
+  assert.deepStrictEqual(
+    fallback.map((e) => e.message),
+    ['g']
+  );
+  assert.strictEqual(fileGroup.getStatistics().failovers, 1);
+  assert.strictEqual(fileGroup.getStatistics().hops[0].failures, 1);
+  assert.strictEqual(reported[0].failover, 'FileTransportImpl#0');
+  await fileGroup.close();
+
+  // Reported later (OTLP export rejected in the background): opens the breaker,
+  // so the next batch fails over
+  const collector = http.createServer((request, response) => {
+    request.resume();
+    request.on('end', () => response.writeHead(400).end('{}'));
+  });
+  await new Promise((resolve) => collector.listen(0, '127.0.0.1', resolve));
+  const otlp = new OtlpLogTransport({
+    url: `http://127.0.0.1:${collector.address().port}/v1/logs`,
+    batchSize: 1,
+  });
+  const otlpGroup = new FailoverTransport({
+    transports: [otlp, { write: async (entries) => fallback.push(...entries) }],
+    failureThreshold: 1,
+    retryInterval: 60000,
+  });
+  otlpGroup.setErrorHandler((error) => reported.push(error));
+  try {
+    await otlpGroup.write([new LogEntry(LogLevel.INFO, 'svc', 'h')]);
+    await otlp.flush();
+    await otlpGroup.write([new LogEntry(LogLevel.INFO, 'svc', 'i')]);
+  } finally {
+    collector.close();
+  }
+  assert.strictEqual(fallback.at(-1).message, 'i');
+  assert.strictEqual(reported.at(-1).statusCode, 400);
+  const otlpStats = otlpGroup.getStatistics();
+  assert.strictEqual(otlpStats.failovers, 1);
+  assert.strictEqual(otlpStats.hops[0].state, 'OPEN');
+  assert.strictEqual(otlpStats.hops[0].skipped, 1);
+  assert.strictEqual(otlp.getDeadLetterEntries().length, 1, 'accepted entries stay with the hop');
+  await otlpGroup.close();
+
+  assert.throws(() => new FailoverTransport({ transports: [primary] }), LoggingError);
+}
+
+async function testCoreLoggerTimers() {
+  const captured = [];
+  const metrics = new MetricsCollector({ serviceName: 'timers' });
+  const logger = new CoreLogger({
+    name: 'timers',
+    transports: [{ write: async (entries) => captured.push(...entries) }],
+    minLevel: LogLevel.DEBUG,
+    metrics,
+  });
+
+  // The correlation ID of the scope the timer started in is kept
+  const timer = await LogContext.runWithContext(
+    async () => logger.startTimer('db.query'),
+    'corr-timer-1'
+  );
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.strictEqual(await timer.done({ rows: 3 }), true);
+  assert.strictEqual(await timer.done(), false, 'done() logs once');
+
+  assert.strictEqual(await logger.profile('render'), false);
+  assert.strictEqual(await logger.profile('render', { widgets: 2 }), true);
+
+  // Filtered entries still feed the histogram
+  const quiet = logger.startTimer('db.query', { level: LogLevel.TRACE });
+  assert.strictEqual(await quiet.done(), false);
+
+  await logger.flush();
+  assert.strictEqual(captured.length, 2);
+  const [query, render] = captured;
+  assert.strictEqual(query.message, 'db.query completed');
+  assert.strictEqual(query.context.rows, 3);
+  assert.strictEqual(query.context.timer, 'db.query');
+  assert.strictEqual(query.context.correlationId, 'corr-timer-1');
+  assert.ok(query.context.durationMs >= 4, `durationMs ${query.context.durationMs}`);
+  assert.strictEqual(render.context.widgets, 2);
+  assert.strictEqual(typeof render.context.durationMs, 'number');
+
+  const histograms = metrics.getAllMetrics();
+  assert.strictEqual(histograms['db.query_duration_ms'].stats.count, 2);
+  assert.strictEqual(histograms['render_duration_ms'].stats.count, 1);
+
+  assert.throws(() => logger.startTimer(''), LoggingError);
+  assert.throws(() => new CoreLogger({ metrics: {} }), /metrics must be/);
+  metrics.stopAggregation();
+  logger.destroy();
+}
+
+async function testCoreLoggerEvents() {
+  const failing = {
+    write: async () => {
+      throw new Error('sink down');
+    },
+  };
+  const logger = new CoreLogger({
+    name: 'events',
+    transports: [{ write: async () => {} }, failing],
+    minLevel: LogLevel.INFO,
+    buffer: { maxSize: 2, highWaterMark: 0.5 },
+    rateLimiter: new RateLimiter({ tokensPerSecond: 0.001, burstCapacity: 2 }),
+    errorHandler: () => {},
+  });
+  const events = [];
+  for (const name of ['entry', 'dropped', 'flush', 'transportError', 'drain', 'close']) {
+    logger.on(name, (payload) => events.push({ name, payload }));
+  }
+  const named = (name) => events.filter((e) => e.name === name).map((e) => e.payload);
+
+  await logger.debug('too verbose');
+  await logger.child({ module: 'http' }).info('child entry');
+  await logger.info('second'); // buffer paused at the high water mark
+  await logger.info('rejected'); // backpressure
+  await logger.info('over budget'); // rate limited
+
+  logger.use(() => null, { stage: ProcessorStage.BEFORE_RATE_LIMIT });
+  await logger.warn('dropped by processor');
+
+  assert.deepStrictEqual(
+    named('dropped').map((d) => [d.reason, d.message]),
+    [
+      ['filtered', 'too verbose'],
+      ['backpressure', 'rejected'],
+      ['rateLimited', 'over budget'],
+      ['processor', 'dropped by processor'],
+    ]
+  );
+  assert.strictEqual(named('dropped')[1].entry.message, 'rejected');
+  assert.strictEqual(named('dropped')[3].stage, ProcessorStage.BEFORE_RATE_LIMIT);
+  assert.deepStrictEqual(
+    named('entry').map((e) => [e.moduleName, e.message]),
+    [
+      ['http', 'child entry'],
+      ['events', 'second'],
+    ],
+    'child entries are emitted on the parent'
+  );
+
+  await logger.flush();
+  assert.deepStrictEqual(named('drain'), [{ dropped: 1 }]);
+  const [flush] = named('flush');
+  assert.strictEqual(flush.entries, 2);
+  assert.strictEqual(flush.delivered, 2);
+  assert.strictEqual(flush.failed, 1);
+  assert.strictEqual(named('transportError')[0].error.message, 'sink down');
+  assert.strictEqual(named('transportError')[0].transport, failing);
+
+  // A throwing listener does not break logging
+  logger.on('dropped', () => {
+    throw new Error('listener bug');
+  });
+  assert.strictEqual(await logger.debug('still fine'), false);
+
+  await logger.close();
+  assert.strictEqual(named('close').length, 1);
+}
+
+async function testHashChain() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-chain-'));
+  const filePath = path.join(dir, 'audit.log');
+  const entries = (from, count) =>
+    Array.from(
+      { length: count },
+      (_, i) => new LogEntry(LogLevel.INFO, 'audit', `event ${from + i}`, { n: from + i })
+    );
+
+  try {
+    // Canonical form: key order does not change the hash
+    assert.strictEqual(
+      HashChain.hashRecord({ b: 1, a: { d: 2, c: 3 } }),
+      HashChain.hashRecord({ a: { c: 3, d: 2 }, b: 1 })
+    );
+
+    const transport = new RotatingFileTransport({
+      filePath,
+      chain: true,
+      maxFileSize: 200,
+      rotationStrategy: 'size',
+    });
+    await transport.log(entries(0, 3)); // rotated after this write
+    await transport.shutdown();
+
+    // Restart: continues from the persisted head in the new file
+    const restarted = new RotatingFileTransport({
+      filePath,
+      chain: true,
+      rotationStrategy: 'size',
+    });
+    await restarted.log(entries(3, 2));
+    await restarted.log(entries(5, 2));
+    assert.deepStrictEqual(restarted.getInfo().chainHead.seq, 6);
+    await restarted.shutdown();
+
+    const logs = fs.readdirSync(dir).filter((name) => name.endsWith('.log'));
+    assert.strictEqual(logs.length, 2, 'one rotated file plus the current one');
+    let report = await verifyChain(dir);
+    assert.strictEqual(report.valid, true);
+    assert.strictEqual(report.entries, 7);
+    assert.deepStrictEqual([report.firstSeq, report.lastSeq], [0, 6]);
+
+    const original = fs.readFileSync(filePath, 'utf8');
+    const lines = original.trimEnd().split('\n');
+    const first = JSON.parse(lines[0]);
+    assert.strictEqual(first.seq, 3);
+    assert.strictEqual(first.message, 'event 3');
+
+    // Edited record
+    fs.writeFileSync(filePath, original.replace('"event 4"', '"event 40"'));
+    report = await verifyChain(dir);
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(report.brokenAt, {
+      file: filePath,
+      line: 2,
+      seq: 4,
+      reason: 'hash-mismatch',
+    });
+
+    // Deleted record
+    fs.writeFileSync(filePath, [lines[0], ...lines.slice(2)].join('\n') + '\n');
+    report = await verifyChain(dir);
+    assert.deepStrictEqual(report.brokenAt, { file: filePath, line: 2, seq: 4, reason: 'seq-gap' });
+
+    // Cut-off tail: the file ends before the persisted head
+    fs.writeFileSync(filePath, lines.slice(0, 3).join('\n') + '\n');
+    report = await verifyChain(dir);
+    assert.strictEqual(report.brokenAt.reason, 'truncated');
+    assert.strictEqual(report.brokenAt.seq, 6);
+
+    // Missing start: the current file alone lacks the genesis record unless partial
+    fs.writeFileSync(filePath, original);
+    report = await verifyChain(filePath);
+    assert.deepStrictEqual(report.brokenAt, {
+      file: filePath,
+      line: 1,
+      seq: 0,
+      reason: 'missing-genesis',
+    });
+    report = await verifyChain(filePath, { partial: true });
+    assert.deepStrictEqual([report.valid, report.firstSeq], [true, 3]);
+
+    // Rotations within one second keep every file, in chain order
+    const burstDir = path.join(dir, 'burst');
+    const burst = new RotatingFileTransport({
+      filePath: path.join(burstDir, 'audit.log'),
+      chain: true,
+      maxFileSize: 10,
+      maxFiles: 20,
+      rotationStrategy: 'size',
+    });
+    for (let i = 0; i < 8; i++) {
+      await burst.log(entries(i, 1));
+    }
+    await burst.shutdown();
+    report = await verifyChain(burstDir);
+    assert.deepStrictEqual([report.valid, report.entries, report.firstSeq], [true, 8, 0]);
+
+    // maxFiles cleanup sees the numbered rotations and keeps the newest
+    const pruned = new RotatingFileTransport({
+      filePath: path.join(burstDir, 'pruned.log'),
+      maxFileSize: 10,
+      maxFiles: 3,
+      rotationStrategy: 'size',
+    });
+    for (let i = 0; i < 6; i++) {
+      await pruned.log(entries(i, 1));
+    }
+    await pruned.shutdown();
+    const kept = fs.readdirSync(burstDir).filter((name) => name.startsWith('pruned.'));
+    assert.strictEqual(kept.length, 2);
+    assert.ok(
+      kept.every((name) =>
+        /event 4|event 5/.test(fs.readFileSync(path.join(burstDir, name), 'utf8'))
+      )
+    );
+
+    // FileTransport: one chain per module directory, across restarts
+    const logDirectory = path.join(dir, 'modules');
+    const fileTransport = new FileTransport({ logDirectory, chain: true });
+    await fileTransport.write(entries(0, 2));
+    await fileTransport.close();
+    const reopened = new FileTransport({ logDirectory, chain: true });
+    await reopened.log(entries(2, 1)[0]);
+    await reopened.close();
+
+    report = await verifyChain(path.join(logDirectory, 'audit'));
+    assert.strictEqual(report.valid, true);
+    assert.strictEqual(report.entries, 3);
+    assert.strictEqual(report.lastSeq, 2);
+
+    // A batch that fails to reach the file does not move the chain
+    const failing = new FileTransport({ logDirectory, chain: true });
+    const getStream = failing._getStream;
+    failing._getStream = async () => ({
+      write: (content, encoding, callback) => callback(new Error('ENOSPC: no space left')),
+    });
+    await failing.write(entries(3, 2));
+    await failing._processWriteQueue();
+    failing._getStream = getStream;
+    await failing.write(entries(5, 1));
+    await failing.close();
+    report = await verifyChain(path.join(logDirectory, 'audit'));
+    assert.deepStrictEqual([report.valid, report.entries, report.lastSeq], [true, 4, 3]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testBatchSigning() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-signed-'));
+  const keys = { 'hmac-1': 'shared-secret' };
+
+  try {
+    // HMAC: FileTransport files plus a routed in-memory transport
+    const errors = [];
+    const fileTransport = new FileTransport({ logDirectory: path.join(dir, 'hmac') });
+    const logger = new CoreLogger({
+      name: 'api',
+      transports: [
+        fileTransport,
+        {
+          transport: { write: async (entries) => errors.push(entries) },
+          minLevel: LogLevel.ERROR,
+        },
+      ],
+      signing: { keyId: 'hmac-1', secret: 'shared-secret' },
+    });
+    await logger.info('first');
+    await logger.child({ module: 'db' }).error('query failed', { table: 'orders' });
+    await logger.flush();
+    await logger.info('second');
+    await logger.flush();
+    await logger.close();
+    await fileTransport.close();
+
+    // The routed transport received its one entry and the block covering it
+    const [received] = errors;
+    assert.deepStrictEqual(
+      received.map((e) => e.message),
+      ['query failed', 'Batch signature']
+    );
+    const block = received[1].context.signature;
+    assert.deepStrictEqual([block.sequence, block.moduleName, block.count], [0, 'db', 1]);
+    assert.strictEqual(BatchSigner.verifyBatch([received[0]], block, keys).valid, true);
+    assert.strictEqual(
+      BatchSigner.verifyBatch([received[0]], block, { 'hmac-1': 'other' }).reason,
+      'bad-signature'
+    );
+    assert.strictEqual(BatchSigner.verifyBatch([received[0]], block, {}).reason, 'unknown-key');
+
+    let report = await verifySignedLog(path.join(dir, 'hmac'), { keys });
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual([report.files, report.entries, report.batches], [2, 3, 3]);
+    assert.deepStrictEqual(report.keyIds, ['hmac-1']);
+
+    const [apiLog] = fs.readdirSync(path.join(dir, 'hmac', 'api'));
+    const apiPath = path.join(dir, 'hmac', 'api', apiLog);
+    const original = fs.readFileSync(apiPath, 'utf8');
+    fs.writeFileSync(apiPath, original.replace('second', 'changed'));
+    report = await verifySignedLog(apiPath, { keys });
+    assert.deepStrictEqual(report.brokenAt, {
+      file: apiPath,
+      line: 4,
+      sequence: 1,
+      reason: 'digest-mismatch',
+    });
+    fs.writeFileSync(apiPath, original + original.split('\n')[0] + '\n');
+    report = await verifySignedLog(apiPath, { keys });
+    assert.deepStrictEqual([report.brokenAt.line, report.brokenAt.reason], [5, 'unsigned']);
+
+    // Ed25519 with rotated, gzipped and hash-chained files
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    const filePath = path.join(dir, 'ed25519', 'audit.log');
+    const rotating = new RotatingFileTransport({ filePath, chain: true });
+    const signed = new CoreLogger({
+      name: 'audit',
+      transports: [rotating],
+      signing: new BatchSigner({ keyId: 'ed-1', algorithm: 'ed25519', privateKey }),
+    });
+    await signed.info('granted', { user: 'u1' });
+    await signed.flush();
+    fs.writeFileSync(
+      path.join(path.dirname(filePath), 'audit.1.log.gz'),
+      zlib.gzipSync(fs.readFileSync(filePath))
+    );
+    fs.unlinkSync(filePath);
+    await signed.warn('revoked');
+    await signed.close();
+    await rotating.shutdown();
+
+    const edKeys = { 'ed-1': publicKey.export({ type: 'spki', format: 'pem' }) };
+    report = await verifySignedLog(path.dirname(filePath), { keys: edKeys });
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual([report.files, report.entries, report.batches], [2, 2, 2]);
+    const chained = [path.join(path.dirname(filePath), 'audit.1.log.gz'), filePath];
+    assert.strictEqual((await verifyChain(chained, { headFile: null })).valid, true);
+
+    // Blocks link up across restarts through the state file; a removed batch is a gap
+    const seqPath = path.join(dir, 'seq', 'app.log');
+    const stateFile = path.join(dir, 'seq', 'signing-state.json');
+    const run = async (messages, signing) => {
+      const transport = new RotatingFileTransport({ filePath: seqPath });
+      const seqLogger = new CoreLogger({ name: 'app', transports: [transport], signing });
+      for (const message of messages) {
+        await seqLogger.info(message, { step: message.length });
+        await seqLogger.flush();
+      }
+      await seqLogger.close();
+      await transport.shutdown();
+    };
+    await run(['one', 'two\n  second line\n\n  after a blank line'], {
+      keyId: 'hmac-1',
+      secret: 'shared-secret',
+      stateFile,
+    });
+    await run(['three'], { keyId: 'hmac-1', secret: 'shared-secret', stateFile });
+    report = await verifySignedLog(seqPath, { keys });
+    assert.deepStrictEqual([report.valid, report.entries, report.batches], [true, 3, 3]);
+    const seqLines = fs.readFileSync(seqPath, 'utf8').split('\n');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')), {
+      sequence: 3,
+      streams: { '0:app': 2 },
+    });
+
+    fs.writeFileSync(seqPath, [...seqLines.slice(0, 2), ...seqLines.slice(7)].join('\n'));
+    report = await verifySignedLog(seqPath, { keys });
+    assert.deepStrictEqual(report.brokenAt, {
+      file: seqPath,
+      line: 4,
+      sequence: 2,
+      reason: 'sequence-gap',
+    });
+    fs.writeFileSync(seqPath, seqLines.slice(2).join('\n'));
+    assert.strictEqual((await verifySignedLog(seqPath, { keys })).brokenAt.reason, 'sequence-gap');
+    assert.strictEqual((await verifySignedLog(seqPath, { keys, partial: true })).valid, true);
+
+    // Without the state file a restart starts a new chain of blocks
+    fs.writeFileSync(seqPath, seqLines.join('\n'));
+    await run(['four'], { keyId: 'hmac-1', secret: 'shared-secret' });
+    report = await verifySignedLog(seqPath, { keys });
+    assert.deepStrictEqual([report.brokenAt.line, report.brokenAt.reason], [11, 'sequence-gap']);
+
+    // Streams belong to transports, not to their position: removing one keeps the others linked
+    const [kept, added] = [[], []];
+    const removed = { write: async () => {} };
+    const streamState = path.join(dir, 'streams', 'signing-state.json');
+    const streamed = new CoreLogger({
+      name: 'app',
+      transports: [
+        removed,
+        { transport: { write: async (entries) => kept.push(...entries) }, stream: 'archive' },
+      ],
+      signing: { keyId: 'hmac-1', secret: 'shared-secret', stateFile: streamState },
+    });
+    await streamed.info('one');
+    await streamed.flush();
+    streamed
+      .removeTransport(removed)
+      .addTransport({ write: async (entries) => added.push(...entries) });
+    await streamed.info('two');
+    await streamed.flush();
+    const links = (list) =>
+      list
+        .filter((e) => e.message === 'Batch signature')
+        .map(({ context: { signature } }) => [
+          signature.stream,
+          signature.sequence,
+          signature.prev,
+        ]);
+    assert.deepStrictEqual(links(kept), [
+      ['archive', 0, null],
+      ['archive', 1, 0],
+    ]);
+    assert.deepStrictEqual(links(added), [[1, 1, null]], 'new transports get a new stream');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(streamState, 'utf8')).streams, {
+      '0:app': 0,
+      'archive:app': 1,
+      '1:app': 1,
+    });
+    assert.throws(
+      () => streamed.addTransport({ write: async () => {} }, { stream: 'archive' }),
+      LoggingError
+    );
+    await streamed.close();
+
+    // sign() leaves the state file to saveState(), written once per batch
+    const lazyState = path.join(dir, 'lazy', 'signing-state.json');
+    const lazy = new BatchSigner({
+      keyId: 'hmac-1',
+      secret: 'shared-secret',
+      stateFile: lazyState,
+    });
+    lazy.sign([received[0]], lazy.nextSequence([received[0]]), 'a');
+    assert.strictEqual(fs.existsSync(lazyState), false);
+    await lazy.saveState();
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(lazyState, 'utf8')), {
+      sequence: 1,
+      streams: { 'a:db': 0 },
+    });
+
+    // A public key is never usable as an HMAC secret
+    const forged = new BatchSigner({ keyId: 'ed-1', secret: edKeys['ed-1'] });
+    const [forgedEntry] = forged.sign([received[0]], 7);
+    assert.strictEqual(
+      BatchSigner.verifyBatch([received[0]], forgedEntry.context.signature, edKeys).reason,
+      'bad-signature'
+    );
+
+    assert.throws(() => new CoreLogger({ signing: 'secret' }), LoggingError);
+    assert.throws(() => new BatchSigner({ keyId: 'k', algorithm: 'rsa' }), LoggingError);
+    assert.throws(() => new BatchSigner({ keyId: 'k', algorithm: 'ed25519' }), LoggingError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testAuditLogger() {
+  const captured = [];
+  const logger = new AuditLogger({
+    transports: [{ write: async (entries) => captured.push(...entries) }],
+    minLevel: LogLevel.ERROR,
+    rateLimiter: { tokensPerSecond: 1, burstCapacity: 1 },
+    buffer: { maxSize: 4, highWaterMark: 0.5, flushInterval: 60000 },
+    processors: [
+      () => false, // a sampler dropping everything
+      { processor: () => false, stage: ProcessorStage.BEFORE_RATE_LIMIT },
+    ],
+  });
+
+  try {
+    assert.strictEqual(LevelRegistry.getName(logger.auditLevel), 'AUDIT');
+    // Plain loggers get no audit() for the level: it would skip none of the stages
+    assert.strictEqual('audit' in CoreLogger.prototype, false);
+    await logger.audit({
+      actor: { id: 'u-42', type: 'user' },
+      action: 'invoice.update',
+      resource: { type: 'invoice', id: 'inv-7' },
+      outcome: 'success',
+      before: { status: 'draft' },
+      after: { status: 'sent' },
+    });
+    // Not level filtered, sampled, rate limited or dropped on backpressure
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual(
+        await logger.audit({
+          actor: 'svc-billing',
+          action: 'invoice.read',
+          resource: `inv-${i}`,
+          outcome: 'denied',
+          reason: 'scope',
+        }),
+        true
+      );
+    }
+    assert.strictEqual(await logger.info('regular entry'), false);
+    await logger.flush();
+
+    assert.strictEqual(captured.length, 6);
+    const [first, second] = captured;
+    assert.strictEqual(first.message, 'u-42 invoice.update invoice:inv-7 (success)');
+    assert.deepStrictEqual(first.context.audit, {
+      actor: { id: 'u-42', type: 'user' },
+      action: 'invoice.update',
+      resource: { type: 'invoice', id: 'inv-7' },
+      outcome: 'success',
+      before: { status: 'draft' },
+      after: { status: 'sent' },
+    });
+    assert.deepStrictEqual(second.context.audit.actor, { id: 'svc-billing' });
+    assert.strictEqual(second.context.audit.reason, 'scope');
+    assert.strictEqual(second.moduleName, 'audit');
+    assert.strictEqual(logger.stats.rateLimited, 0);
+    assert.strictEqual(logger.stats.rejected, 0);
+
+    const invalid = async (event, pattern) => {
+      await assert.rejects(
+        () => logger.audit(event),
+        (error) =>
+          error instanceof LoggingError &&
+          error.code === 'INVALID_AUDIT_EVENT' &&
+          pattern.test(error.message)
+      );
+    };
+    const base = { actor: 'u-1', action: 'user.delete', resource: 'u-2', outcome: 'success' };
+    await invalid({ ...base, outcome: undefined }, /'outcome' is required/);
+    await invalid({ ...base, outcome: 'ok' }, /must be one of/);
+    await invalid({ ...base, user: 'u-1' }, /Unknown audit field 'user'/);
+    await invalid({ ...base, actor: { type: 'user' } }, /'actor'/);
+    await invalid({ ...base, before: ['draft'] }, /'before' must be an object/);
+    await invalid(null, /must be an object/);
+
+    assert.throws(() => new AuditLogger({ level: 'LOUD' }), LoggingError);
+
+    // Only actor/resource { id, type } bypass the sanitizer
+    await logger.audit({
+      actor: { id: 'u-42', type: 'user', email: 'jane@example.com', password: 'hunter2' },
+      action: 'user.login',
+      resource: { type: 'session', id: 's-1', token: 'abc123' },
+      outcome: 'success',
+    });
+    await logger.flush();
+    const { actor, resource } = captured.at(-1).context.audit;
+    assert.deepStrictEqual([actor.id, actor.type, resource.id], ['u-42', 'user', 's-1']);
+    assert.notStrictEqual(actor.email, 'jane@example.com');
+    assert.notStrictEqual(actor.password, 'hunter2');
+    assert.notStrictEqual(resource.token, 'abc123');
+
+    // An actor id covered by field encryption is encrypted and left out of the message
+    const keystore = new SubjectKeyStore();
+    const encrypted = [];
+    const shredding = new AuditLogger({
+      transports: [{ write: async (entries) => encrypted.push(...entries) }],
+      sanitizer: new DataSanitizer({
+        encryption: { keystore, fields: ['id'], subject: (context) => context.audit?.actor?.id },
+      }),
+    });
+    await shredding.audit({ ...base, actor: { id: 'u-1', type: 'user' } });
+    await shredding.close();
+    const [shredded] = encrypted;
+    assert.strictEqual(shredded.message, 'user user.delete u-2 (success)');
+    assert.ok(!JSON.stringify(shredded.context).includes('u-1'));
+    assert.strictEqual(shredded.context.audit.resource.id, 'u-2');
+    assert.deepStrictEqual(shredded.revealContext(keystore).audit.actor, {
+      id: 'u-1',
+      type: 'user',
+    });
+  } finally {
+    await logger.close();
+    LevelRegistry.unregister('AUDIT');
+  }
+}
+
+async function testMerkleCheckpoint() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-merkle-'));
+  const file = path.join(dir, 'app.log');
+  const line = (hour, n) => `[2026-10-19T${hour}:0${n % 10}:00.000Z] [api] [INFO]: event ${n}`;
+  const lines = [
+    ...[0, 1, 2, 3, 4].map((n) => line('16', n)),
+    '  at continuation without timestamp',
+    ...[6, 7, 8].map((n) => line('17', n)),
+  ];
+
+  try {
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+
+    // One tree per file; every leaf of an odd-sized tree proves against the root
+    const checkpoint = await MerkleCheckpoint.create(file);
+    assert.strictEqual(checkpoint.entries, 9);
+    assert.strictEqual(checkpoint.trees.length, 1);
+    const { root } = checkpoint.trees[0];
+    for (let n = 1; n <= lines.length; n++) {
+      // eslint-disable-next-line no-await-in-loop
+      const proof = await MerkleCheckpoint.prove(file, n);
+      assert.strictEqual(proof.entry, lines[n - 1]);
+      assert.strictEqual(verifyInclusionProof(proof, root), true, `line ${n}`);
+    }
+
+    // The proof stands alone (JSON round trip) and fails for edits or another root
+    const proof = JSON.parse(JSON.stringify(await MerkleCheckpoint.prove(file, 3)));
+    assert.strictEqual(verifyInclusionProof({ ...proof, entry: `${proof.entry}!` }, root), false);
+    assert.strictEqual(verifyInclusionProof({ ...proof, leafIndex: 3 }, root), false);
+    assert.strictEqual(verifyInclusionProof({ ...proof, path: proof.path.slice(1) }, root), false);
+    assert.strictEqual(verifyInclusionProof(proof, 'f'.repeat(64)), false);
+    assert.throws(() => verifyInclusionProof(proof), LoggingError);
+    await assert.rejects(MerkleCheckpoint.prove(file, 99), LoggingError);
+
+    // One tree per hour; lines without a timestamp stay in the previous hour
+    const hourly = await MerkleCheckpoint.create(file, { period: 'hour' });
+    assert.deepStrictEqual(
+      hourly.trees.map((tree) => [tree.period, tree.firstLine, tree.lastLine, tree.count]),
+      [
+        ['2026-10-19T16', 1, 6, 6],
+        ['2026-10-19T17', 7, 9, 3],
+      ]
+    );
+    const late = await MerkleCheckpoint.prove(file, 8);
+    assert.deepStrictEqual([late.period, late.leafIndex, late.treeSize], ['2026-10-19T17', 1, 3]);
+    assert.strictEqual(verifyInclusionProof(late, hourly.trees[1].root), true);
+    assert.strictEqual(verifyInclusionProof(late, hourly.trees[0].root), false);
+
+    // The checkpoint still applies after compression
+    fs.writeFileSync(`${file}.gz`, zlib.gzipSync(fs.readFileSync(file)));
+    const archived = await MerkleCheckpoint.prove(`${file}.gz`, 2);
+    assert.strictEqual(verifyInclusionProof(archived, hourly.trees[0].root), true);
+
+    // Edited file
+    fs.writeFileSync(file, lines.join('\n').replace('event 7', 'event 70') + '\n');
+    const report = await MerkleCheckpoint.verifyFile(file);
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(
+      report.mismatched.map((tree) => tree.period),
+      ['2026-10-19T17']
+    );
+    await assert.rejects(MerkleCheckpoint.prove(file, 8), { code: 'CHECKPOINT_MISMATCH' });
+    assert.strictEqual(verifyInclusionProof(await MerkleCheckpoint.prove(file, 1), root), false);
+    await assert.rejects(MerkleCheckpoint.prove(path.join(dir, 'none.log'), 1), {
+      code: 'CHECKPOINT_NOT_FOUND',
+    });
+
+    // RotatingFileTransport checkpoints each rotated file
+    assert.throws(
+      () => new RotatingFileTransport({ filePath: file, checkpoint: 'minute' }),
+      LoggingError
+    );
+    const rotating = path.join(dir, 'rotating', 'app.log');
+    const transport = new RotatingFileTransport({
+      filePath: rotating,
+      checkpoint: 'file',
+      maxFileSize: 100,
+      rotationStrategy: 'size',
+    });
+    await transport.log([
+      new LogEntry(LogLevel.INFO, 'api', 'first event'),
+      new LogEntry(LogLevel.INFO, 'api', 'second event'),
+    ]);
+    await transport.shutdown();
+
+    const rotated = fs
+      .readdirSync(path.dirname(rotating))
+      .filter((name) => name !== 'app.log' && name.endsWith('.log'))
+      .map((name) => path.join(path.dirname(rotating), name));
+    assert.strictEqual(rotated.length, 1);
+    const rotatedCheckpoint = await MerkleCheckpoint.load(rotated[0]);
+    assert.strictEqual(rotatedCheckpoint.entries, 2);
+    const rotatedProof = await MerkleCheckpoint.prove(rotated[0], 2);
+    assert.ok(rotatedProof.entry.includes('second event'));
+    assert.strictEqual(verifyInclusionProof(rotatedProof, rotatedCheckpoint.trees[0].root), true);
+
+    // Log cleanup deletes a checkpoint only together with its log file
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const cleaned = await new LogCleanupPolicy({ maxAge: 1 }).cleanup(path.dirname(rotating));
+    assert.deepStrictEqual(
+      cleaned.deletedFiles.map(({ file }) => file),
+      rotated
+    );
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(rotating)), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testWormMode() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-worm-'));
+  const filePath = path.join(dir, 'app.log');
+  const entries = (from, count) =>
+    Array.from(
+      { length: count },
+      (_, i) => new LogEntry(LogLevel.INFO, 'api', `event ${from + i}`)
+    );
+  const isReadOnly = (file) => (fs.statSync(file).mode & 0o222) === 0;
+
+  try {
+    assert.throws(() => new WormPolicy({ retention: 1000 }), LoggingError, 'audit required');
+    assert.throws(
+      () => new RotatingFileTransport({ filePath, worm: { retention: -1 } }),
+      LoggingError
+    );
+
+    const transport = new RotatingFileTransport({
+      filePath,
+      worm: { retention: 60 * 60 * 1000 },
+      maxFiles: 1,
+      maxFileSize: 50,
+      rotationStrategy: 'size',
+    });
+    await transport.log(entries(0, 2)); // rotated
+    await transport.log(entries(2, 2)); // rotated again within the same second
+    transport.maxFileSize = 1024 * 1024;
+    await transport.log(entries(4, 1));
+
+    // Rotated files keep unique names, are read-only and outlive maxFiles while retained
+    const rotated = fs
+      .readdirSync(dir)
+      .filter((name) => name !== 'app.log' && name.endsWith('.log'))
+      .map((name) => path.join(dir, name));
+    assert.strictEqual(rotated.length, 2);
+    assert.ok(
+      rotated.some((file) => /\.\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.001\.log$/.test(file))
+    );
+    for (const file of rotated) {
+      assert.ok(isReadOnly(file), `${file} should be read-only`);
+      // eslint-disable-next-line no-await-in-loop
+      const manifest = await WormPolicy.readManifest(file);
+      assert.strictEqual(manifest.file, path.basename(file));
+      assert.ok(Date.parse(manifest.retainUntil) > Date.now());
+    }
+
+    // Deleting through LogCleanupPolicy or LogRotator is refused and audited
+    const cleanup = new LogCleanupPolicy({ maxAge: 1, worm: transport.worm });
+    await new Promise((r) => setTimeout(r, 5));
+    const refused = await cleanup.cleanup(dir).then(
+      () => null,
+      (error) => error
+    );
+    assert.strictEqual(refused?.code, 'WORM_VIOLATION');
+    assert.strictEqual(refused.context.refused.length, 3); // two rotated + the unsealed current
+    assert.strictEqual(refused.context.result.stats.filesDeleted, 0);
+
+    const rotator = new LogRotator({ maxFiles: 1, worm: transport.worm });
+    await assert.rejects(rotator.rotate(filePath), { code: 'WORM_VIOLATION' });
+    assert.ok(rotated.every((file) => fs.existsSync(file)));
+
+    // Audit entries went to the transport (the rotator moved the first ones to a sealed file)
+    const audited = fs
+      .readdirSync(dir)
+      .filter((name) => name.endsWith('.log'))
+      .flatMap((name) => fs.readFileSync(path.join(dir, name), 'utf8').split('\n'))
+      .filter((line) => line.includes('log.delete'));
+    assert.strictEqual(audited.length, 5);
+    assert.ok(audited.every((line) => line.includes('[worm]') && line.includes('(denied)')));
+    await transport.shutdown();
+
+    // A chained WORM log rotated within one second still verifies in chain order
+    const chainedDir = path.join(dir, 'chained');
+    const chained = new RotatingFileTransport({
+      filePath: path.join(chainedDir, 'audit.log'),
+      chain: true,
+      worm: { retention: 60 * 60 * 1000 },
+      maxFileSize: 10,
+      rotationStrategy: 'size',
+    });
+    for (let i = 0; i < 3; i++) {
+      await chained.log(entries(i, 1));
+    }
+    await chained.shutdown();
+    const chainReport = await verifyChain(chainedDir);
+    assert.deepStrictEqual([chainReport.valid, chainReport.entries], [true, 3]);
+
+    // Past its retention date a sealed file is removed together with its manifest
+    const shortLived = new WormPolicy({ retention: 1, audit: { audit: async () => true } });
+    const expired = path.join(dir, 'expired.log');
+    fs.writeFileSync(expired, 'old\n');
+    await shortLived.seal(expired);
+    await new Promise((r) => setTimeout(r, 5));
+    assert.strictEqual(await shortLived.isDeletable(expired), true);
+    await shortLived.remove(expired);
+    assert.strictEqual(fs.existsSync(expired), false);
+    assert.strictEqual(fs.existsSync(WormPolicy.manifestPath(expired)), false);
+
+    // FileTransport seals the earlier daily files of a module and never reopens them
+    const logDirectory = path.join(dir, 'daily');
+    const moduleDir = path.join(logDirectory, 'api');
+    const yesterday = path.join(moduleDir, '2000-01-01.log');
+    fs.mkdirSync(moduleDir, { recursive: true });
+    fs.writeFileSync(yesterday, 'yesterday\n');
+    const daily = new FileTransport({ logDirectory, worm: { retention: 60 * 60 * 1000 } });
+    await daily.log(entries(0, 1)[0]);
+    await daily.close();
+    assert.ok(isReadOnly(yesterday));
+    assert.ok(await WormPolicy.readManifest(yesterday));
+    await assert.rejects(daily.worm.assertAppendable(yesterday), { code: 'WORM_VIOLATION' });
+  } finally {
+    for (const file of fs.readdirSync(dir, { recursive: true })) {
+      fs.chmodSync(path.join(dir, file), 0o755);
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testCryptoShredding() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-shred-'));
+  const keystoreFile = path.join(dir, 'keys', 'subjects.json');
+
+  try {
+    const keystore = new SubjectKeyStore({ file: keystoreFile });
+    assert.throws(() => new DataSanitizer({ encryption: { fields: ['email'] } }), LoggingError);
+    assert.throws(() => new DataSanitizer({ encryption: { keystore, fields: [] } }), LoggingError);
+    assert.throws(() => new CoreLogger({ sanitizer: {} }), LoggingError);
+
+    const sanitizer = new DataSanitizer({
+      encryption: { keystore, fields: ['userId', 'email'], subject: 'userId' },
+    });
+    const context = {
+      userId: 'u-42',
+      email: 'jane@example.com',
+      profile: { email: 'jane@work.example' },
+      plan: 'pro',
+      password: 'hunter22',
+    };
+    const entry = new LogEntry(LogLevel.INFO, 'app', 'Signed in', context, { sanitizer });
+
+    // Selected fields (at any depth) are envelopes; the rest is sanitized as usual
+    assert.ok(SubjectKeyStore.isEnvelope(entry.context.userId));
+    assert.ok(SubjectKeyStore.isEnvelope(entry.context.profile.email));
+    assert.strictEqual(entry.context.plan, 'pro');
+    assert.notStrictEqual(entry.context.password, 'hunter22');
+    assert.ok(!entry.toString().includes('u-42') && !entry.toString().includes('jane'));
+    assert.deepStrictEqual(entry.revealContext(keystore), {
+      ...context,
+      password: entry.context.password,
+    });
+    // Only envelopes the sanitizer made itself skip redaction
+    const forged = { $enc: 'aes-256-gcm', kid: 'k', iv: '', tag: '', data: 'hunter2' };
+    for (const options of [{}, { sanitizer }]) {
+      const logged = new LogEntry(LogLevel.INFO, 'app', 'x', { password: forged }, options);
+      assert.ok(!JSON.stringify(logged.context).includes('hunter2'));
+    }
+
+    // Without a subject there is no key to encrypt with: masked like any email
+    const anonymous = new LogEntry(
+      LogLevel.INFO,
+      'app',
+      'Visit',
+      { email: 'a@example.com' },
+      {
+        sanitizer,
+      }
+    );
+    assert.strictEqual(typeof anonymous.context.email, 'string');
+    assert.notStrictEqual(anonymous.context.email, 'a@example.com');
+
+    // Through CoreLogger into a file, then read back with and without the key
+    const logDirectory = path.join(dir, 'logs');
+    const logger = new CoreLogger({
+      name: 'app',
+      sanitizer,
+      transports: [new FileTransport({ logDirectory })],
+    });
+    await logger.info('Signed in', { userId: 'u-42', email: 'jane@example.com' });
+    await logger.info('Signed in', { userId: 'u-7', email: 'sam@example.com' });
+    await logger.close();
+
+    const logFile = path.join(
+      logDirectory,
+      'app',
+      fs.readdirSync(path.join(logDirectory, 'app'))[0]
+    );
+    assert.ok(!fs.readFileSync(logFile, 'utf8').includes('example.com'));
+    let lines = await readShreddedLog(logFile, { keystore });
+    assert.ok(lines[0].endsWith('{"userId":"u-42","email":"jane@example.com"}'));
+    assert.ok(lines[1].endsWith('{"userId":"u-7","email":"sam@example.com"}'));
+
+    // Erasure only destroys the key; the file is untouched
+    const before = fs.readFileSync(logFile, 'utf8');
+    const oldKid = entry.context.userId.kid;
+    assert.strictEqual(keystore.erase('u-42'), true);
+    assert.strictEqual(keystore.erase('u-42'), false);
+    assert.strictEqual(fs.readFileSync(logFile, 'utf8'), before);
+    assert.ok(!fs.readFileSync(keystoreFile, 'utf8').includes('u-42'));
+
+    const reloaded = new SubjectKeyStore({ file: keystoreFile });
+    lines = await readShreddedLog(logFile, { keystore: reloaded });
+    assert.ok(lines[0].endsWith(`{"userId":"${ERASED}","email":"${ERASED}"}`));
+    assert.ok(lines[1].endsWith('{"userId":"u-7","email":"sam@example.com"}'));
+    assert.strictEqual(entry.revealContext(reloaded).email, ERASED);
+
+    // New entries for an erased subject get a new key
+    const later = reloaded.encrypt('u-42', 'again');
+    assert.notStrictEqual(later.kid, oldKid);
+    assert.strictEqual(reloaded.decrypt(later), 'again');
+
+    // An altered envelope is an error, not an erasure
+    assert.throws(() => reloaded.decrypt({ ...later, data: Buffer.from('x').toString('base64') }), {
+      code: 'DECRYPT_FAILED',
+    });
+
+    // Two keystores sharing the file: an erasure by one survives the other's next save
+    const sharedFile = path.join(dir, 'keys', 'shared.json');
+    const running = new SubjectKeyStore({ file: sharedFile });
+    const envelope = running.encrypt('u-42', 'jane@example.com');
+    const admin = new SubjectKeyStore({ file: sharedFile });
+    assert.strictEqual(admin.erase('u-42'), true);
+    running.encrypt('u-43', 'sam@example.com');
+    const fresh = new SubjectKeyStore({ file: sharedFile });
+    assert.strictEqual(fresh.has('u-42'), false);
+    assert.strictEqual(fresh.decrypt(envelope), ERASED);
+    assert.strictEqual(fresh.has('u-43'), true);
+    assert.strictEqual(running.decrypt(envelope), ERASED);
+    assert.notStrictEqual(running.encrypt('u-42', 'again').kid, envelope.kid);
+
+    // An erase() while another keystore is between reading and writing the file waits
+    // for its lock instead of being overwritten
+    const other = new SubjectKeyStore({ file: sharedFile, lockTimeout: 50 });
+    const load = running._load.bind(running);
+    let raced = false;
+    running._load = (force) => {
+      load(force);
+      if (force && !raced) {
+        raced = true;
+        assert.throws(() => other.erase('u-43'), { code: 'KEYSTORE_LOCKED' });
+      }
+    };
+    running.encrypt('u-44', 'kim@example.com');
+    assert.strictEqual(raced, true);
+    assert.strictEqual(other.erase('u-43'), true);
+    assert.strictEqual(new SubjectKeyStore({ file: sharedFile }).has('u-43'), false);
+    assert.strictEqual(fs.existsSync(`${sharedFile}.lock`), false);
+
+    // A lock left by a process that exited is taken over
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(`${sharedFile}.lock`, String(pid));
+    assert.strictEqual(other.erase('u-44'), true);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testRetentionClasses() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-retention-'));
+  const DAY = 24 * 60 * 60 * 1000;
+  const age = (file, ms) => {
+    const time = new Date(Date.now() - ms);
+    fs.utimesSync(file, time, time);
+  };
+
+  try {
+    const retention = new RetentionPolicy({
+      classes: { 'security-1y': { archiveAfter: DAY, maxTotalSize: 100 } },
+      byLevel: { DEBUG: 'debug-7d' },
+      byModule: { 'auth*': 'security-1y' },
+    });
+    // Explicit class, then module, then level, then the default (none)
+    assert.strictEqual(retention.classify(LogLevel.DEBUG, 'auth-api', 'audit-7y'), 'audit-7y');
+    assert.strictEqual(retention.classify(LogLevel.DEBUG, 'auth-api'), 'security-1y');
+    assert.strictEqual(retention.classify(LogLevel.DEBUG, 'db'), 'debug-7d');
+    assert.strictEqual(retention.classify(LogLevel.INFO, 'db'), null);
+    assert.strictEqual(retention.resolve('audit-7y').maxAge, 7 * 365 * DAY);
+    assert.strictEqual(
+      retention.classOfFile('app.security-1y.2026-10-19T10-00-00.log.gz'),
+      'security-1y'
+    );
+    assert.throws(() => retention.classify(LogLevel.INFO, 'db', 'forever'), LoggingError);
+    assert.throws(() => new RetentionPolicy({ byLevel: { DEBUG: 'debug' } }), LoggingError);
+    assert.throws(() => new CoreLogger({ retention: 'debug-7d' }), LoggingError);
+
+    // CoreLogger classifies entries; the explicit class leaves the metadata
+    const captured = [];
+    const retentionErrors = [];
+    const logger = new CoreLogger({
+      name: 'db',
+      transports: [{ write: async (entries) => captured.push(...entries) }],
+      minLevel: LogLevel.DEBUG,
+      retention,
+      errorHandler: (error, context) => retentionErrors.push({ error, context }),
+    });
+    await logger.debug('query');
+    await logger.info('export', { retention: 'audit-7y', rows: 3 });
+    await logger.child({ module: 'auth-api' }).warn('lockout');
+    await logger.info('ready');
+    // An unknown explicit class is reported; the entry keeps the rule-based class
+    await logger.debug('purge', { retention: 'forever' });
+    await logger.flush();
+    assert.deepStrictEqual(
+      captured.map((entry) => entry.retention),
+      ['debug-7d', 'audit-7y', 'security-1y', null, 'debug-7d']
+    );
+    assert.deepStrictEqual(captured[1].context, { rows: 3 });
+    assert.strictEqual(retentionErrors.length, 1);
+    assert.strictEqual(retentionErrors[0].error.code, 'INVALID_RETENTION_CLASS');
+    assert.strictEqual(retentionErrors[0].context.message, 'retention');
+
+    // RotatingFileTransport writes each class to its own file family
+    const logDir = path.join(dir, 'logs');
+    const transport = new RotatingFileTransport({ filePath: path.join(logDir, 'app.log') });
+    await transport.log(captured);
+    await transport.shutdown();
+    assert.deepStrictEqual(fs.readdirSync(logDir).sort(), [
+      'app.audit-7y.log',
+      'app.debug-7d.log',
+      'app.log',
+      'app.security-1y.log',
+    ]);
+    assert.ok(fs.readFileSync(path.join(logDir, 'app.audit-7y.log'), 'utf8').includes('export'));
+    assert.ok(!fs.readFileSync(path.join(logDir, 'app.log'), 'utf8').includes('export'));
+    assert.deepStrictEqual(transport.getInfo().families.sort(), [
+      'audit-7y',
+      'debug-7d',
+      'security-1y',
+    ]);
+
+    // Rotation keeps maxFiles for the unclassified file only; families follow their class
+    const rotateDir = path.join(dir, 'rotate');
+    const rotating = new RotatingFileTransport({
+      filePath: path.join(rotateDir, 'app.log'),
+      maxFiles: 1,
+      maxFileSize: 10,
+      rotationStrategy: 'size',
+      retention: new RetentionPolicy({ classes: { 'security-1y': { maxTotalSize: 120 } } }),
+    });
+    const classed = (retentionClass) =>
+      new LogEntry(LogLevel.INFO, 'db', 'rotated entry', undefined, { retention: retentionClass });
+    for (let i = 0; i < 4; i++) {
+      await rotating.log([classed(null), classed('audit-7y'), classed('security-1y')]);
+    }
+    const rotatedOf = (prefix) =>
+      fs
+        .readdirSync(rotateDir)
+        .filter((name) => name.startsWith(`${prefix}.`) && /T\d{2}-\d{2}-\d{2}/.test(name));
+    assert.strictEqual(rotatedOf('app').filter((name) => !/-\d+[a-z]\./.test(name)).length, 0);
+    assert.strictEqual(rotatedOf('app.audit-7y').length, 4);
+    // security-1y keeps what fits in 120 bytes (54-byte files)
+    assert.strictEqual(rotatedOf('app.security-1y').length, 2);
+    // ... and the class's max age
+    for (const name of rotatedOf('app.audit-7y')) {
+      age(path.join(rotateDir, name), 8 * 365 * DAY);
+    }
+    await rotating.log([classed('audit-7y')]);
+    await rotating.shutdown();
+    assert.strictEqual(rotatedOf('app.audit-7y').length, 1);
+
+    // Cleanup applies the class's max age: 10-day-old debug logs go, the rest stays
+    for (const name of fs.readdirSync(logDir)) {
+      age(path.join(logDir, name), 10 * DAY);
+    }
+    assert.throws(() => new LogCleanupPolicy({ retention: {} }), LoggingError);
+    const cleanup = new LogCleanupPolicy({ retention });
+    const result = await cleanup.cleanup(logDir);
+    assert.deepStrictEqual(
+      result.deletedFiles.map((file) => [path.basename(file.file), file.retentionClass]),
+      [['app.debug-7d.log', 'debug-7d']]
+    );
+    assert.strictEqual(fs.readdirSync(logDir).length, 3);
+
+    // Archiving: security-1y after a day, and oldest first while it exceeds 100 bytes
+    const archiveDir = path.join(dir, 'archive');
+    fs.mkdirSync(archiveDir);
+    const write = (name, ms) => {
+      const file = path.join(archiveDir, name);
+      fs.writeFileSync(file, 'x'.repeat(80));
+      age(file, ms);
+    };
+    write('app.log', 2 * DAY);
+    write('app.security-1y.a.log', 2 * DAY);
+    write('app.security-1y.b.log', 60 * 1000);
+    write('app.security-1y.c.log', 0);
+    const archived = await LogArchiver.archiveOldLogs(archiveDir, { retention });
+    assert.deepStrictEqual(
+      archived.archived.map((item) => [path.basename(item.originalFile), item.retentionClass]),
+      [
+        ['app.security-1y.a.log', 'security-1y'],
+        ['app.security-1y.b.log', 'security-1y'],
+      ]
+    );
+    assert.ok(fs.existsSync(path.join(archiveDir, 'app.log')));
+    assert.ok(fs.existsSync(path.join(archiveDir, 'app.security-1y.c.log')));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testLegalHold() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-hold-'));
+  const logDir = path.join(dir, 'logs');
+  const holdFile = path.join(dir, 'holds', 'legal-holds.json');
+  const DAY = 24 * 60 * 60 * 1000;
+  const captured = [];
+  const audit = new AuditLogger({
+    transports: [{ write: async (entries) => captured.push(...entries) }],
+  });
+  // A log file with one line per [daysAgo, module, correlationId], last written after them
+  const writeLog = (directory, name, lines) => {
+    const file = path.join(directory, name);
+    const text = lines.map(
+      ([daysAgo, moduleName, correlationId]) =>
+        `[${new Date(Date.now() - daysAgo * DAY).toISOString()}] [${moduleName}] [INFO]: ` +
+        `request - {"correlationId":"${correlationId}"}\n`
+    );
+    fs.writeFileSync(file, text.join(''));
+    const time = new Date(Date.now() - Math.min(...lines.map(([daysAgo]) => daysAgo)) * DAY);
+    fs.utimesSync(file, time, time);
+    return file;
+  };
+
+  try {
+    fs.mkdirSync(logDir, { recursive: true });
+    assert.throws(() => new LegalHoldRegistry({ audit }), LoggingError);
+    assert.throws(() => new LegalHoldRegistry({ file: holdFile }), LoggingError);
+    const legalHold = new LegalHoldRegistry({ file: holdFile, audit });
+    await assert.rejects(() => legalHold.place({ reason: 'no criteria' }), LoggingError);
+    await assert.rejects(() => legalHold.place({ modules: ['payments*'] }), LoggingError);
+
+    const incident = await legalHold.place({
+      reason: 'INC-1042',
+      from: new Date(Date.now() - 45 * DAY),
+      to: new Date(Date.now() - 35 * DAY),
+      modules: ['payments*'],
+      actor: { id: 'legal@example.com', type: 'user' },
+    });
+    const dispute = await legalHold.place({
+      id: 'dispute-7',
+      reason: 'Dispute',
+      correlationIds: ['c-7'],
+    });
+    // Persisted: another registry on the same file sees both holds
+    assert.strictEqual(new LegalHoldRegistry({ file: holdFile, audit }).list().length, 2);
+    assert.deepStrictEqual(
+      captured.map((entry) => [entry.context.audit.action, entry.context.audit.resource.id]),
+      [
+        ['legal-hold.place', incident.id],
+        ['legal-hold.place', 'dispute-7'],
+      ]
+    );
+    assert.strictEqual(captured[0].context.audit.actor.id, 'legal@example.com');
+
+    // All criteria of a hold must match the same line
+    writeLog(logDir, 'payments.a.log', [[40, 'payments-api', 'c-1']]);
+    writeLog(logDir, 'payments.b.log', [[60, 'payments-api', 'c-2']]);
+    writeLog(logDir, 'auth.a.log', [[40, 'auth', 'c-3']]);
+    writeLog(logDir, 'auth.b.log', [
+      [50, 'auth', 'c-7'],
+      [48, 'auth', 'c-4'],
+    ]);
+    assert.deepStrictEqual(await legalHold.holdsFor(path.join(logDir, 'payments.a.log')), [
+      incident.id,
+    ]);
+    assert.deepStrictEqual(await legalHold.holdsFor(path.join(logDir, 'auth.a.log')), []);
+
+    // Archiving leaves held files alone; a held original survives compressFile()
+    const archived = await LogArchiver.archiveOldLogs(logDir, { maxAge: DAY, legalHold });
+    assert.deepStrictEqual(archived.held.map((item) => path.basename(item.file)).sort(), [
+      'auth.b.log',
+      'payments.a.log',
+    ]);
+    assert.deepStrictEqual(
+      archived.archived.map((item) => path.basename(item.originalFile)).sort(),
+      ['auth.a.log', 'payments.b.log']
+    );
+    const compressed = await LogArchiver.compressFile(path.join(logDir, 'auth.b.log'), {
+      legalHold,
+    });
+    assert.deepStrictEqual(compressed.holds, ['dispute-7']);
+    assert.ok(fs.existsSync(path.join(logDir, 'auth.b.log')));
+
+    // Cleanup deletes the rest; archives are old too, and holds read .gz as well
+    const archiveTime = new Date(Date.now() - 40 * DAY);
+    for (const name of fs.readdirSync(logDir).filter((file) => file.endsWith('.gz'))) {
+      fs.utimesSync(path.join(logDir, name), archiveTime, archiveTime);
+    }
+    assert.throws(() => new LogCleanupPolicy({ legalHold: {} }), LoggingError);
+    const cleanup = new LogCleanupPolicy({ maxAge: 30 * DAY, legalHold });
+    let result = await cleanup.cleanup(logDir);
+    assert.deepStrictEqual(
+      result.heldFiles.map((item) => [path.basename(item.file), item.holds]).sort(),
+      [
+        ['auth.b.log', ['dispute-7']],
+        ['auth.b.log.gz', ['dispute-7']],
+        ['payments.a.log', [incident.id]],
+      ]
+    );
+    assert.deepStrictEqual(fs.readdirSync(logDir).sort(), [
+      'auth.b.log',
+      'auth.b.log.gz',
+      'payments.a.log',
+    ]);
+
+    // Releasing is audited; the file may then be deleted
+    await assert.rejects(() => legalHold.release('unknown'), LoggingError);
+    const released = await legalHold.release(incident.id, { reason: 'Case closed' });
+    assert.ok(released.releasedAt);
+    assert.strictEqual(legalHold.list().length, 1);
+    assert.strictEqual(legalHold.list({ includeReleased: true }).length, 2);
+    assert.strictEqual(captured.at(-1).context.audit.action, 'legal-hold.release');
+    assert.strictEqual(captured.at(-1).context.audit.reason, 'Case closed');
+    result = await cleanup.cleanup(logDir);
+    assert.deepStrictEqual(
+      result.deletedFiles.map((item) => path.basename(item.file)),
+      ['payments.a.log']
+    );
+
+    // LogRotator and AdvancedLogRotator keep held files beyond maxFiles
+    const rotatorDir = path.join(dir, 'rotator');
+    fs.mkdirSync(rotatorDir);
+    writeLog(rotatorDir, 'app.1.log', [[1, 'app', 'c-1']]);
+    writeLog(rotatorDir, 'app.2.log', [[2, 'app', 'c-7']]);
+    writeLog(rotatorDir, 'app.3.log', [[3, 'app', 'c-3']]);
+    await new LogRotator({ maxFiles: 1, legalHold })._cleanupOldFiles(rotatorDir, 'app', '.log');
+    assert.deepStrictEqual(fs.readdirSync(rotatorDir).sort(), ['app.1.log', 'app.2.log']);
+
+    const advancedDir = path.join(dir, 'advanced');
+    fs.mkdirSync(advancedDir);
+    const advanced = new AdvancedLogRotator({
+      basePath: advancedDir,
+      maxFiles: 1,
+      legalHold,
+      deleteOldFiles: true,
+    });
+    const names = [1, 2, 3].map(() => advanced.getNextFilename('app'));
+    writeLog(advancedDir, names[0], [[3, 'app', 'c-7']]);
+    writeLog(advancedDir, names[1], [[2, 'app', 'c-2']]);
+    writeLog(advancedDir, names[2], [[1, 'app', 'c-3']]);
+    fs.writeFileSync(path.join(advancedDir, 'other.log'), 'not rotated\n');
+    // Deleting is opt-in
+    await new AdvancedLogRotator({ basePath: advancedDir, maxFiles: 1 })._cleanupOldFiles();
+    assert.strictEqual(fs.readdirSync(advancedDir).length, 4);
+    await advanced._cleanupOldFiles();
+    assert.deepStrictEqual(
+      fs.readdirSync(advancedDir).sort(),
+      [names[0], names[2], 'other.log'].sort()
+    );
+    assert.strictEqual(advanced.stats.deleted, 1);
+    assert.strictEqual(advanced.stats.held, 1);
+
+    // RotatingFileTransport (and its class families) keep held rotated files too
+    const rotatingDir = path.join(dir, 'rotating');
+    fs.mkdirSync(rotatingDir);
+    writeLog(rotatingDir, 'app.2026-10-01T00-00-00.log', [[3, 'app', 'c-7']]);
+    writeLog(rotatingDir, 'app.2026-10-02T00-00-00.log', [[2, 'app', 'c-2']]);
+    writeLog(rotatingDir, 'app.2026-10-03T00-00-00.001.log', [[1, 'app', 'c-3']]);
+    assert.throws(
+      () =>
+        new RotatingFileTransport({ filePath: path.join(rotatingDir, 'app.log'), legalHold: {} }),
+      LoggingError
+    );
+    const rotating = new RotatingFileTransport({
+      filePath: path.join(rotatingDir, 'app.log'),
+      maxFiles: 1,
+      legalHold,
+    });
+    await rotating._cleanupOldFiles(rotatingDir, 'app', '.log');
+    assert.deepStrictEqual(fs.readdirSync(rotatingDir), ['app.2026-10-01T00-00-00.log']);
+    assert.strictEqual(rotating.getInfo().legalHold, true);
+  } finally {
+    await audit.close();
+    LevelRegistry.unregister('AUDIT');
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testSyslogTransport() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-syslog-'));
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 200 && !condition(); i++) {
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.ok(condition(), 'syslog message not received');
+  };
+  // Stream listener collecting everything received
+  const listen = async (server, target) => {
+    const state = { data: '' };
+    server.on('connection', (socket) => socket.on('data', (chunk) => (state.data += chunk)));
+    await new Promise((resolve) => server.listen(target, resolve));
+    return state;
+  };
+  const entry = (level, message, context) => new LogEntry(level, 'billing', message, context);
+
+  const servers = [];
+  try {
+    assert.throws(() => new SyslogTransport({ protocol: 'smtp' }), LoggingError);
+    assert.throws(() => new SyslogTransport({ facility: 'nope' }), LoggingError);
+    assert.throws(() => new SyslogTransport({ sdId: 'custom' }), LoggingError);
+
+    // RFC 5424: severity, facility and structured data from the context
+    const formatter = new SyslogTransport({
+      facility: 'local0',
+      hostname: 'web-1',
+      appName: 'api',
+    });
+    const message = formatter.formatMessage(
+      entry(LogLevel.WARN, 'Slow query', {
+        durationMs: 812,
+        sql: 'SELECT "a"]',
+        origin: { software: 'api-gw' },
+        nested: { region: 'eu' },
+      })
+    );
+    assert.match(
+      message,
+      new RegExp(`^<132>1 \\S+Z web-1 api ${process.pid} billing \\[context@32473 `)
+    );
+    assert.ok(
+      message.endsWith(
+        '[context@32473 durationMs="812" sql="SELECT \\"a\\"\\]" nested="{\\"region\\":\\"eu\\"}"]' +
+          '[origin software="api-gw"] Slow query'
+      )
+    );
+    assert.strictEqual(formatter.severityOf(LogLevel.FATAL), 2);
+    assert.strictEqual(formatter.severityOf(LogLevel.DEBUG), 7);
+    assert.ok(formatter.formatMessage(entry(LogLevel.INFO, 'Ready')).endsWith(' billing - Ready'));
+
+    // RFC 3164 keeps the context in the message
+    const legacy = new SyslogTransport({ format: 'rfc3164', facility: 4, hostname: 'web-1' });
+    assert.match(
+      legacy.formatMessage(entry(LogLevel.ERROR, 'Denied', { userId: 7 })),
+      /^<35>[A-Z][a-z]{2} [ \d]\d \d{2}:\d{2}:\d{2} web-1 billing\[\d+\]: Denied - \{"userId":7\}$/
+    );
+
+    // UDP: one datagram per message
+    const udpServer = dgram.createSocket('udp4');
+    servers.push(udpServer);
+    const datagrams = [];
+    udpServer.on('message', (data) => datagrams.push(data.toString()));
+    await new Promise((resolve) => udpServer.bind(0, '127.0.0.1', resolve));
+    const udp = new SyslogTransport({ host: '127.0.0.1', port: udpServer.address().port });
+    await udp.write([entry(LogLevel.INFO, 'one'), entry(LogLevel.ERROR, 'two')]);
+    await waitFor(() => datagrams.length === 2);
+    assert.ok(datagrams.some((data) => data.startsWith('<11>1 ') && data.endsWith(' two')));
+    await udp.close();
+
+    // TCP: buffered until the server is up, then sent in order with octet counting
+    const tcpServer = net.createServer();
+    servers.push(tcpServer);
+    await new Promise((resolve) => tcpServer.listen(0, '127.0.0.1', resolve));
+    const { port } = tcpServer.address();
+    await new Promise((resolve) => tcpServer.close(resolve));
+
+    const tcp = new SyslogTransport({
+      protocol: 'tcp',
+      host: '127.0.0.1',
+      port,
+      reconnect: { initialDelay: 20, maxDelay: 40 },
+    });
+    await tcp.write([entry(LogLevel.INFO, 'first'), entry(LogLevel.INFO, 'sécond')]);
+    assert.strictEqual(tcp.getPendingCount(), 2);
+    await waitFor(() => tcp.stats.lastError !== null);
+
+    const received = await listen(tcpServer, { port, host: '127.0.0.1' });
+    await waitFor(() => tcp.getStatistics().connected);
+    await tcp.write(entry(LogLevel.INFO, 'third'));
+    await waitFor(() => received.data.endsWith(' third'));
+    const frames = [];
+    for (let rest = Buffer.from(received.data); rest.length > 0; ) {
+      const space = rest.indexOf(' ');
+      const length = Number(rest.subarray(0, space).toString());
+      frames.push(rest.subarray(space + 1, space + 1 + length).toString());
+      rest = rest.subarray(space + 1 + length);
+    }
+    assert.deepStrictEqual(
+      frames.map((frame) => frame.split(' - ').at(-1)),
+      ['first', 'sécond', 'third']
+    );
+    assert.strictEqual(tcp.getPendingCount(), 0);
+    assert.ok(tcp.stats.reconnects >= 1);
+    assert.strictEqual(tcp.stats.sent, 3);
+    await tcp.close();
+
+    // Unix stream socket with newline framing
+    const socketPath = path.join(dir, 'log.sock');
+    const unixServer = net.createServer();
+    servers.push(unixServer);
+    const unixReceived = await listen(unixServer, socketPath);
+    const unix = new SyslogTransport({ protocol: 'unix', path: socketPath, format: 'rfc3164' });
+    await unix.write(entry(LogLevel.INFO, 'line\nbreak'));
+    await waitFor(() => unixReceived.data.endsWith('\n'));
+    assert.ok(unixReceived.data.endsWith(': line break\n'));
+    await unix.close();
+  } finally {
+    for (const server of servers) {
+      server.close?.(() => {});
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testOtlpLogTransport() {
+  // Collector answering with the queued statuses (then 200), keeping decoded requests
+  const requests = [];
+  const statuses = [];
+  const server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => {
+      const body = Buffer.concat(chunks);
+      requests.push({
+        headers: request.headers,
+        body: JSON.parse(
+          request.headers['content-encoding'] === 'gzip' ? zlib.gunzipSync(body) : body
+        ),
+      });
+      const status = statuses.shift() ?? 200;
+      response.writeHead(status, { 'content-type': 'application/json' });
+      response.end(
+        status === 200
+          ? JSON.stringify({
+              partialSuccess: { rejectedLogRecords: requests.length === 2 ? 1 : 0 },
+            })
+          : '{}'
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/v1/logs`;
+  const options = { url, initialBackoff: 5, jitter: false, batchSize: 2 };
+
+  try {
+    assert.throws(() => new OtlpLogTransport({ url: 'not a url' }), LoggingError);
+    assert.throws(() => new OtlpLogTransport({ batchSize: 0 }), LoggingError);
+
+    // Trace ids from TraceContext (UUID trace ids) become OTLP hex ids
+    const trace = new TraceContext({ service: 'billing' });
+    assert.deepStrictEqual(TraceContext.toOtlpIds('0'.repeat(32), trace.spanId), {});
+    assert.deepStrictEqual(trace.toOpenTelemetryLog(), {
+      traceId: trace.traceId.replace(/-/g, ''),
+      spanId: trace.spanId,
+    });
+
+    // A full batch is exported right away, in the background; a 503 is retried
+    statuses.push(503);
+    const otlp = new OtlpLogTransport({
+      ...options,
+      serviceName: 'billing',
+      resource: { 'deployment.environment': 'test' },
+    });
+    otlp.setErrorHandler(() => {});
+    await otlp.write([
+      new LogEntry(LogLevel.WARN, 'api', 'Slow query', {
+        durationMs: 812,
+        ratio: 0.5,
+        hits: [1, 2],
+        cache: { region: 'eu' },
+        traceId: trace.traceId,
+        spanId: trace.spanId,
+      }),
+      new LogEntry(LogLevel.ERROR, 'db', 'Deadlock'),
+    ]);
+    assert.strictEqual(otlp.getPendingCount(), 2);
+    await otlp.flush();
+    assert.strictEqual(otlp.getPendingCount(), 0);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[1].headers['content-encoding'], 'gzip');
+    const [resourceLogs] = requests[1].body.resourceLogs;
+    assert.deepStrictEqual(resourceLogs.resource.attributes, [
+      { key: 'service.name', value: { stringValue: 'billing' } },
+      { key: 'deployment.environment', value: { stringValue: 'test' } },
+    ]);
+    assert.deepStrictEqual(
+      resourceLogs.scopeLogs.map((scope) => scope.scope.name),
+      ['api', 'db']
+    );
+    const record = resourceLogs.scopeLogs[0].logRecords[0];
+    assert.strictEqual(record.severityNumber, 13);
+    assert.strictEqual(record.severityText, 'WARN');
+    assert.deepStrictEqual(record.body, { stringValue: 'Slow query' });
+    assert.strictEqual(record.traceId, trace.traceId.replace(/-/g, ''));
+    assert.strictEqual(record.spanId, trace.spanId);
+    assert.deepStrictEqual(record.attributes, [
+      { key: 'durationMs', value: { intValue: '812' } },
+      { key: 'ratio', value: { doubleValue: 0.5 } },
+      { key: 'hits', value: { arrayValue: { values: [{ intValue: '1' }, { intValue: '2' }] } } },
+      {
+        key: 'cache',
+        value: { kvlistValue: { values: [{ key: 'region', value: { stringValue: 'eu' } }] } },
+      },
+    ]);
+    assert.match(record.timeUnixNano, /^\d{19}$/);
+    assert.strictEqual(resourceLogs.scopeLogs[1].logRecords[0].severityNumber, 17);
+    assert.deepStrictEqual(
+      [otlp.stats.sent, otlp.stats.rejected, otlp.stats.retries, otlp.stats.batches],
+      [1, 1, 1, 1]
+    );
+
+    // Partial batches wait for flush() / close(); permanent errors are not retried
+    statuses.push(400);
+    await otlp.write(new LogEntry(LogLevel.INFO, 'api', 'Ready'));
+    assert.strictEqual(otlp.getPendingCount(), 1);
+    await otlp.close();
+    assert.strictEqual(requests.length, 3);
+    assert.strictEqual(otlp.stats.failed, 1);
+    assert.strictEqual(otlp.getDeadLetterEntries()[0].entry.message, 'Ready');
+    assert.strictEqual(otlp.getDeadLetterEntries()[0].statusCode, 400);
+    assert.strictEqual(otlp.getDeadLetterEntries()[0].context.errorType, 'permanent');
+    assert.strictEqual(otlp.getStatistics().errors.permanentErrors, 1);
+
+    // Connection errors are temporary: retried, then dead-lettered
+    await new Promise((resolve) => server.close(resolve));
+    const offline = new OtlpLogTransport({ ...options, maxRetries: 1 });
+    offline.setErrorHandler(() => {});
+    await offline.write([
+      new LogEntry(LogLevel.INFO, 'api', 'one'),
+      new LogEntry(LogLevel.INFO, 'api', 'two'),
+    ]);
+    await offline.close();
+    assert.strictEqual(offline.stats.retries, 1);
+    assert.strictEqual(offline.stats.failed, 2);
+    // One per attempt, not one more per dead-lettered entry
+    assert.strictEqual(offline.getStatistics().errors.temporaryErrors, 2);
+  } finally {
+    server.close();
+  }
+}
+
+async function testElasticsearchTransport() {
+  // _bulk stub: answers with the queued per-item statuses (default 201), keeping NDJSON bodies
+  const requests = [];
+  const itemStatuses = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => (body += chunk));
+    request.on('end', () => {
+      const lines = body
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+      requests.push({ url: request.url, headers: request.headers, lines });
+      const statuses = itemStatuses.shift() ?? [];
+      const items = [];
+      for (let i = 0; i < lines.length; i += 2) {
+        const status = statuses[i / 2] ?? 201;
+        items.push({
+          create: {
+            _index: lines[i].create._index,
+            status,
+            ...(status >= 300 && {
+              error: {
+                type:
+                  status === 429 ? 'es_rejected_execution_exception' : 'mapper_parsing_exception',
+                reason: 'failed',
+              },
+            }),
+          },
+        });
+      }
+      response.writeHead(200, { 'content-type': 'application/json' });
+      response.end(
+        JSON.stringify({ took: 1, errors: items.some((item) => item.create.status >= 300), items })
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const node = `http://127.0.0.1:${server.address().port}`;
+  const entryAt = (level, moduleName, message, context) => {
+    const entry = new LogEntry(level, moduleName, message, context);
+    entry.timestamp = new Date('2026-10-19T08:00:00Z');
+    return entry;
+  };
+
+  try {
+    assert.throws(() => new ElasticsearchTransport({ node: 'not a url' }), LoggingError);
+    assert.throws(() => new ElasticsearchTransport({ opType: 'update' }), LoggingError);
+
+    // Index pattern with module and date tokens
+    const elastic = new ElasticsearchTransport({
+      node,
+      auth: { apiKey: 'key-1' },
+      batchSize: 3,
+      initialBackoff: 5,
+      jitter: false,
+    });
+    elastic.setErrorHandler(() => {});
+    assert.strictEqual(
+      elastic.indexFor(entryAt(LogLevel.INFO, 'Payments/EU', 'x')),
+      'logs-payments-eu-2026.10.19'
+    );
+
+    // Item 2 is throttled (retried alone), item 3 rejected by the mapping (dead-lettered)
+    itemStatuses.push([201, 429, 400]);
+    await elastic.write([
+      entryAt(LogLevel.INFO, 'api', 'one', { region: 'eu' }),
+      entryAt(LogLevel.WARN, 'api', 'two'),
+      entryAt(LogLevel.ERROR, 'db', 'three'),
+    ]);
+    assert.strictEqual(elastic.getPendingCount(), 3);
+    await elastic.flush();
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[0].url, '/_bulk');
+    assert.strictEqual(requests[0].headers['content-type'], 'application/x-ndjson');
+    assert.strictEqual(requests[0].headers.authorization, 'ApiKey key-1');
+    assert.deepStrictEqual(requests[0].lines[0], { create: { _index: 'logs-api-2026.10.19' } });
+    assert.deepStrictEqual(requests[0].lines[1], {
+      '@timestamp': '2026-10-19T08:00:00.000Z',
+      level: 'info',
+      module: 'api',
+      message: 'one',
+      context: { region: 'eu' },
+    });
+    assert.deepStrictEqual(requests[0].lines[5].message, 'three');
+    assert.deepStrictEqual(
+      requests[1].lines.map((line) => line.message ?? line.create._index),
+      ['logs-api-2026.10.19', 'two']
+    );
+    assert.deepStrictEqual(
+      [elastic.stats.sent, elastic.stats.retries, elastic.stats.failed, elastic.stats.batches],
+      [2, 1, 1, 2]
+    );
+    const [deadLetter] = elastic.getDeadLetterEntries();
+    assert.strictEqual(deadLetter.entry.message, 'three');
+    assert.strictEqual(deadLetter.statusCode, 400);
+    assert.match(deadLetter.error, /mapper_parsing_exception/);
+    assert.strictEqual(deadLetter.context.permanent, true);
+    // Each failure counted once (429 temporary, 400 permanent), not again when dead-lettered
+    const { temporaryErrors, permanentErrors } = elastic.getStatistics().http;
+    assert.deepStrictEqual([temporaryErrors, permanentErrors], [1, 1]);
+
+    // Elastic Common Schema mapping
+    const ecs = new ElasticsearchTransport({
+      node,
+      ecs: { serviceName: 'billing', fields: { tenantId: 'organization.id' } },
+    });
+    const trace = new TraceContext({ service: 'billing' });
+    const failure = new Error('Card declined');
+    const document = ecs.toDocument(
+      entryAt(LogLevel.ERROR, 'payments', 'Charge failed', {
+        error: failure,
+        tenantId: 't-1',
+        durationMs: 1.5,
+        traceId: trace.traceId,
+        region: 'eu',
+      })
+    );
+    assert.strictEqual(document['@timestamp'], '2026-10-19T08:00:00.000Z');
+    assert.deepStrictEqual(document.log, { level: 'error', logger: 'payments' });
+    assert.deepStrictEqual(document.service, { name: 'billing' });
+    assert.deepStrictEqual(document.organization, { id: 't-1' });
+    assert.strictEqual(document.event.duration, 1500000);
+    assert.strictEqual(document.trace.id, trace.traceId.replace(/-/g, ''));
+    assert.strictEqual(document.error.type, 'Error');
+    assert.strictEqual(document.error.message, 'Card declined');
+    assert.match(document.error.stack_trace, /at /);
+    assert.deepStrictEqual(document.context, { region: 'eu' });
+
+    // Partial batches wait for close(); an unreachable cluster is retried, then dead-lettered
+    await ecs.write(entryAt(LogLevel.INFO, 'api', 'queued'));
+    assert.strictEqual(ecs.getPendingCount(), 1);
+    await ecs.close();
+    assert.strictEqual(requests[2].lines[1].log.logger, 'api');
+
+    await new Promise((resolve) => server.close(resolve));
+    const offline = new ElasticsearchTransport({
+      node,
+      maxRetries: 1,
+      initialBackoff: 5,
+      jitter: false,
+    });
+    offline.setErrorHandler(() => {});
+    await offline.write(entryAt(LogLevel.INFO, 'api', 'lost'));
+    await offline.close();
+    assert.strictEqual(offline.stats.retries, 1);
+    assert.strictEqual(offline.stats.failed, 1);
+    assert.strictEqual(offline.getStatistics().http.deadLetterCount, 1);
+  } finally {
+    server.close();
+  }
+}
+
 export async function run() {
   await testRateLimiterBasics();
   await testAdaptiveLogBufferFlow();
@@ -201,6 +2634,31 @@ export async function run() {
   await testAdvancedHttpTransportFallbackAndFlush();
   await testCoreLoggerInvalidTransportGuard();
   await testAdaptiveLogBufferDiagnostics();
+  await testCoreLoggerChild();
+  await testCoreLoggerModuleLevels();
+  await testCoreLoggerContextEnrichment();
+  await testLogLevelsAndCustomLevels();
+  await testCoreLoggerProcessors();
+  await testShutdownManager();
+  await testCaptureProcessErrors();
+  testErrorSerializer();
+  await testCoreLoggerDedup();
+  await testCoreLoggerLazyEvaluation();
+  await testCoreLoggerTransportRouting();
+  await testFailoverTransport();
+  await testCoreLoggerTimers();
+  await testCoreLoggerEvents();
+  await testHashChain();
+  await testBatchSigning();
+  await testAuditLogger();
+  await testMerkleCheckpoint();
+  await testWormMode();
+  await testCryptoShredding();
+  await testRetentionClasses();
+  await testLegalHold();
+  await testSyslogTransport();
+  await testOtlpLogTransport();
+  await testElasticsearchTransport();
 }
 
 if (import.meta.main) {
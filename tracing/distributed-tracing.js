@@ -75,6 +75,36 @@ export class TraceContext {
     };
   }
 
+  /**
+   * Trace and span ids for OpenTelemetry log records (hex, 16 and 8 bytes)
+   */
+  toOpenTelemetryLog() {
+    return TraceContext.toOtlpIds(this.traceId, this.spanId);
+  }
+
+  /**
+   * Convert trace/span ids (UUID trace ids included) to OTLP hex ids;
+   * invalid or all-zero ids are left out
+   */
+  static toOtlpIds(traceId, spanId) {
+    const hex = (id, length) => {
+      const value = typeof id === 'string' ? id.replace(/-/g, '').toLowerCase() : '';
+      return value.length === length && /^[0-9a-f]+$/.test(value) && /[1-9a-f]/.test(value)
+        ? value
+        : undefined;
+    };
+    const ids = {};
+    const otlpTraceId = hex(traceId, 32);
+    if (otlpTraceId) {
+      ids.traceId = otlpTraceId;
+      const otlpSpanId = hex(spanId, 16);
+      if (otlpSpanId) {
+        ids.spanId = otlpSpanId;
+      }
+    }
+    return ids;
+  }
+
   /**
    * Convert to W3C Trace Context format
    */
@@ -50,7 +50,7 @@ export class CloudWatchTransport {
       lastError: null,
     };
 
-    this._initialize();
+    this._initPromise = this._initialize();
   }
 
   /**
@@ -89,6 +89,11 @@ export class CloudWatchTransport {
       }
 
       this.initialized = true;
+
+      // Entries written before initialization were only queued
+      if (this.queue.length > 0) {
+        this._scheduleBatch();
+      }
     } catch (error) {
       console.error('[CloudWatchTransport] Initialization error:', error);
       this.stats.lastError = error.message;
@@ -266,14 +271,11 @@ export class CloudWatchTransport {
     }
 
     if (!this.initialized) {
-      await new Promise((resolve) => {
-        const checkInterval = setInterval(() => {
-          if (this.initialized) {
-            clearInterval(checkInterval);
-            resolve();
-          }
-        }, 10);
-      });
+      await this._initPromise;
+      if (!this.initialized) {
+        // Initialization failed: keep the queue (reported by getPendingCount)
+        return this;
+      }
     }
 
     while (this.queue.length > 0 && !this.processing) {
@@ -294,6 +296,25 @@ export class CloudWatchTransport {
     return this;
   }
 
+  /**
+   * Number of events queued but not yet sent
+   */
+  getPendingCount() {
+    return this.queue.length;
+  }
+
+  /**
+   * Send the queued events and stop the batch timer
+   */
+  async close() {
+    await this.flush();
+    if (this.batchTimer) {
+      clearTimeout(this.batchTimer);
+      this.batchTimer = null;
+    }
+    return this;
+  }
+
   /**
    *
    */
@@ -334,10 +355,7 @@ export class CloudWatchTransport {
    *
    */
   async destroy() {
-    await this.flush();
-    if (this.batchTimer) {
-      clearTimeout(this.batchTimer);
-    }
+    await this.close();
     this.queue = [];
     return this;
   }
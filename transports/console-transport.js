@@ -1,5 +1,7 @@
 import { BaseTransport } from './base-transport.js';
 import { LogLevel } from '../utils/types.js';
+import { LevelRegistry } from '../utils/level-registry.js';
+import { ColorConfig } from '../config/color-config.js';
 /**
  * Transport that outputs log entries to the console with colored formatting.
  */
@@ -7,10 +9,12 @@ export class ConsoleTransport extends BaseTransport {
   constructor(options = {}) {
     super(options);
     this.colors = {
+      [LogLevel.FATAL]: '\x1b[1m\x1b[31m', // Bold red
       [LogLevel.ERROR]: '\x1b[31m', // Red
       [LogLevel.WARN]: '\x1b[33m', // Yellow
       [LogLevel.INFO]: '\x1b[36m', // Cyan
       [LogLevel.DEBUG]: '\x1b[90m', // Gray
+      [LogLevel.TRACE]: '\x1b[2m\x1b[90m', // Dim gray
     };
     this.resetColor = '\x1b[0m';
   }
@@ -21,8 +25,10 @@ export class ConsoleTransport extends BaseTransport {
    */
   log(entry) {
     try {
-      const color = this.colors[entry.level] || this.resetColor;
-      const levelName = LogLevel[entry.level];
+      // Custom levels take their color from ColorConfig
+      const color =
+        this.colors[entry.level] || ColorConfig.getColor(entry.level) || this.resetColor;
+      const levelName = LevelRegistry.getName(entry.level);
       const timestamp = entry.timestamp.toISOString();
       const message = `${color}[${timestamp}] [${entry.moduleName}] [${levelName}]: ${entry.message}${this.resetColor}`;
       console.log(message);
@@ -41,6 +41,8 @@ export class DatabaseTransport {
     this.cleanupInterval = setInterval(() => {
       this._cleanup();
     }, 60000);
+    // Retention cleanup alone must not keep the process alive
+    this.cleanupInterval.unref?.();
   }
 
   /**
@@ -209,6 +211,29 @@ export class DatabaseTransport {
     return this;
   }
 
+  /**
+   * Number of entries queued but not yet inserted
+   */
+  getPendingCount() {
+    return this.queue.length;
+  }
+
+  /**
+   * Flush the queue and stop timers, keeping entries that could not be inserted
+   */
+  async close() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+    await this.flush();
+    if (this.batchTimer) {
+      clearTimeout(this.batchTimer);
+      this.batchTimer = null;
+    }
+    return this;
+  }
+
   /**
    *
    */
@@ -247,13 +272,7 @@ export class DatabaseTransport {
    *
    */
   async destroy() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-    }
-    await this.flush();
-    if (this.batchTimer) {
-      clearTimeout(this.batchTimer);
-    }
+    await this.close();
     this.queue = [];
     return this;
   }
@@ -0,0 +1,545 @@
+/**
+ * Elasticsearch Transport - _bulk indexing for Elasticsearch and OpenSearch
+ *
+ * Entries are queued and sent as NDJSON `_bulk` requests (batchSize, or every
+ * flushInterval):
+ * - Each entry goes to the index built from the `index` pattern:
+ *   `{module}`, `{level}` and UTC date tokens (`{YYYY.MM.DD}`, `{YYYY-MM}`,
+ *   `{HH}`), e.g. 'logs-{module}-{YYYY.MM.DD}' => 'logs-payments-2026.10.19'
+ * - The bulk response is checked item by item: only the documents that failed
+ *   with a temporary status (429, 5xx) are sent again, with backoff; documents
+ *   rejected permanently (mapping errors, 400) and exhausted retries go to the
+ *   dead letter queue of the AdvancedHttpTransport the transport is built on
+ * - Documents are { '@timestamp', level, module, message, context }, or
+ *   Elastic Common Schema fields with `ecs` (log.level, log.logger,
+ *   trace.id, error.*, ...; unmapped context under `context`)
+ *
+ * USAGE EXAMPLE:
+ * const elastic = new ElasticsearchTransport({
+ *   node: 'https://search.example.com:9200',
+ *   auth: { apiKey: process.env.ES_API_KEY },
+ *   index: 'logs-{module}-{YYYY.MM.DD}',
+ *   ecs: { serviceName: 'billing', fields: { tenantId: 'organization.id' } },
+ * });
+ * const logger = new CoreLogger({ name: 'api', transports: [elastic] });
+ * logger.error('Charge failed', { error, tenantId: 't-1' });
+ * await elastic.close();
+ * elastic.getDeadLetterEntries(); // documents Elasticsearch rejected
+ */
+
+import { BaseTransport } from './base-transport.js';
+import { AdvancedHttpTransport } from './http-transport.js';
+import { LoggingError } from '../error-handling/errors.js';
+import { LevelRegistry } from '../utils/level-registry.js';
+import { TraceContext } from '../tracing/distributed-tracing.js';
+
+const ECS_VERSION = '8.11.0';
+
+// Context field => ECS field (extended or overridden by ecs.fields)
+const ECS_FIELDS = {
+  traceId: 'trace.id',
+  spanId: 'span.id',
+  transactionId: 'transaction.id',
+  userId: 'user.id',
+  hostname: 'host.hostname',
+};
+
+// Characters Elasticsearch does not allow in index names
+const INVALID_INDEX_CHARS = /[\\/*?"<>| ,#:]+/g;
+
+function setPath(target, dotted, value) {
+  const keys = dotted.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (node[key] === null || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function stackTrace(stack) {
+  if (!Array.isArray(stack)) {
+    return stack;
+  }
+  return stack.map((frame) => `    at ${frame.functionName} (${frame.location})`).join('\n');
+}
+
+export class ElasticsearchTransport extends BaseTransport {
+  /**
+   * @param {Object} [config={}] - Transport configuration
+   * @param {string} [config.node='http://localhost:9200'] - Cluster URL (`/_bulk` is appended)
+   * @param {string|Function} [config.index='logs-{module}-{YYYY.MM.DD}'] - Index pattern, or
+   *   (entry) => index name
+   * @param {string} [config.opType='create'] - Bulk action: 'create' (required by data
+   *   streams) or 'index'
+   * @param {Object} [config.auth] - { apiKey } or { username, password }
+   * @param {Object} [config.headers={}] - Extra request headers
+   * @param {boolean|Object} [config.ecs=false] - Map documents to Elastic Common Schema:
+   *   true, or { serviceName, fields } where fields maps context keys to ECS fields
+   * @param {number} [config.batchSize=500] - Documents per bulk request
+   * @param {number} [config.flushInterval=5000] - ms between bulk requests of a partial batch
+   * @param {number} [config.maxQueueSize=10000] - Queued entries kept (oldest dropped)
+   * @param {number} [config.timeout=10000] - Request timeout in ms
+   * @param {number} [config.maxRetries=5] - Retries of a temporarily failed document
+   * @param {number} [config.initialBackoff=100] - First retry delay in ms (doubles per retry)
+   * @param {number} [config.maxBackoff=30000] - Max retry delay in ms
+   * @param {boolean} [config.jitter=true] - Add up to one delay of random jitter
+   * @param {boolean} [config.fallbackEnabled=false] - Also store dead-lettered entries in the
+   *   AdvancedHttpTransport fallback (fallbackStrategy / fallbackFilePath)
+   * @param {AdvancedHttpTransport} [config.http] - Transport providing error classification,
+   *   backoff and the dead letter queue (default: one built from the options above)
+   * @throws {LoggingError} If configuration is invalid
+   */
+  constructor(config = {}) {
+    super(config);
+    this.node = (config.node ?? 'http://localhost:9200').replace(/\/+$/, '');
+    this.bulkUrl = `${this.node}/_bulk`;
+    try {
+      new URL(this.bulkUrl);
+    } catch {
+      throw new LoggingError('INVALID_CONFIG', 'node must be a valid URL', {
+        receivedNode: config.node,
+      });
+    }
+    this.index = config.index ?? 'logs-{module}-{YYYY.MM.DD}';
+    if (typeof this.index !== 'string' && typeof this.index !== 'function') {
+      throw new LoggingError('INVALID_CONFIG', 'index must be a pattern or a function', {
+        receivedIndex: config.index,
+      });
+    }
+    this.opType = config.opType ?? 'create';
+    if (!['create', 'index'].includes(this.opType)) {
+      throw new LoggingError('INVALID_CONFIG', "opType must be 'create' or 'index'", {
+        receivedOpType: config.opType,
+      });
+    }
+    for (const key of ['batchSize', 'flushInterval', 'maxQueueSize', 'timeout']) {
+      const value = config[key];
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        throw new LoggingError('INVALID_CONFIG', `${key} must be a positive integer`, {
+          [key]: value,
+        });
+      }
+    }
+
+    this.headers = { ...this._authHeaders(config.auth), ...config.headers };
+    this.ecs = config.ecs
+      ? {
+          serviceName: config.ecs.serviceName ?? null,
+          fields: { ...ECS_FIELDS, ...config.ecs.fields },
+        }
+      : null;
+    this.batchSize = config.batchSize ?? 500;
+    this.flushInterval = config.flushInterval ?? 5000;
+    this.maxQueueSize = config.maxQueueSize ?? 10000;
+    this.timeout = config.timeout ?? 10000;
+    this.http =
+      config.http ??
+      new AdvancedHttpTransport(this.bulkUrl, {
+        fallbackEnabled: false,
+        ...config,
+        timeout: this.timeout,
+      });
+
+    this.queue = [];
+    this._inFlight = 0;
+    this._chain = Promise.resolve();
+    this._flushTimer = null;
+    this._closed = false;
+
+    this.stats = {
+      sent: 0, // Documents indexed
+      batches: 0, // Bulk requests answered
+      retries: 0, // Documents sent again
+      failed: 0, // Documents dead-lettered
+      dropped: 0, // Oldest queued entries dropped at maxQueueSize
+      lastError: null,
+    };
+  }
+
+  /**
+   * Queue entries; a full batch starts sending right away
+   *
+   * Resolves once queued, without waiting for the bulk request. Indexing
+   * failures do not reject: they are retried or dead-lettered.
+   *
+   * @param {LogEntry|LogEntry[]} entries - Entries to index
+   * @returns {Promise<void>}
+   */
+  async write(entries) {
+    const list = Array.isArray(entries) ? entries : [entries];
+    if (list.length === 0 || this._closed) {
+      return;
+    }
+
+    this.queue.push(...list);
+    const overflow = this.queue.length - this.maxQueueSize;
+    if (overflow > 0) {
+      this.queue.splice(0, overflow);
+      this.stats.dropped += overflow;
+    }
+
+    if (this.queue.length >= this.batchSize) {
+      // Sent in the background, as OtlpLogTransport does; flush() and close() wait for it
+      this.flush().catch(() => {});
+    } else {
+      this._startFlushTimer();
+    }
+  }
+
+  /**
+   * Queue one entry
+   *
+   * @param {LogEntry} entry - Entry to index
+   * @returns {Promise<void>}
+   */
+  log(entry) {
+    return this.write([entry]);
+  }
+
+  /**
+   * Send everything queued, batch by batch
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    const run = this._chain.then(async () => {
+      this._stopFlushTimer();
+      while (this.queue.length > 0) {
+        const batch = this.queue.splice(0, this.batchSize);
+        this._inFlight += batch.length;
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await this._bulk(batch);
+        } finally {
+          this._inFlight -= batch.length;
+        }
+      }
+    });
+    this._chain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Entries queued or being sent
+   * @returns {number}
+   */
+  getPendingCount() {
+    return this.queue.length + this._inFlight;
+  }
+
+  /**
+   * Get transport statistics
+   * @returns {Object} { ...stats, pending, http } (http: AdvancedHttpTransport.getStats())
+   */
+  getStatistics() {
+    return { ...this.stats, pending: this.getPendingCount(), http: this.http.getStats() };
+  }
+
+  /**
+   * Dead-lettered entries (see AdvancedHttpTransport)
+   * @returns {Object[]}
+   */
+  getDeadLetterEntries() {
+    return this.http.getDeadLetterEntries();
+  }
+
+  /**
+   * Send the rest and stop the flush timer
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this._closed) {
+      return;
+    }
+    await this.flush();
+    this._closed = true;
+    this._stopFlushTimer();
+  }
+
+  /**
+   * Index name for an entry
+   *
+   * @param {LogEntry} entry - Entry to index
+   * @returns {string} Lower-case index name
+   */
+  indexFor(entry) {
+    if (typeof this.index === 'function') {
+      return this.index(entry);
+    }
+    const time = entry.timestamp instanceof Date ? entry.timestamp : new Date();
+    const iso = time.toISOString();
+    const dateParts = {
+      YYYY: iso.slice(0, 4),
+      MM: iso.slice(5, 7),
+      DD: iso.slice(8, 10),
+      HH: iso.slice(11, 13),
+    };
+
+    return this.index
+      .replace(/\{([^}]+)\}/g, (token, name) => {
+        if (name === 'module') {
+          return entry.moduleName.replace(INVALID_INDEX_CHARS, '-');
+        }
+        if (name === 'level') {
+          return this._levelName(entry);
+        }
+        return name.replace(/YYYY|MM|DD|HH/g, (part) => dateParts[part]);
+      })
+      .toLowerCase();
+  }
+
+  /**
+   * Document for an entry
+   *
+   * @param {LogEntry} entry - Entry to index
+   * @returns {Object} Plain document, or ECS fields when `ecs` is set
+   */
+  toDocument(entry) {
+    const timestamp = (
+      entry.timestamp instanceof Date ? entry.timestamp : new Date()
+    ).toISOString();
+    const level = this._levelName(entry);
+    const context = entry.context ?? {};
+    if (!this.ecs) {
+      return {
+        '@timestamp': timestamp,
+        level,
+        module: entry.moduleName,
+        message: entry.message,
+        context,
+      };
+    }
+
+    const document = {
+      '@timestamp': timestamp,
+      message: entry.message,
+      log: { level, logger: entry.moduleName },
+      ecs: { version: ECS_VERSION },
+    };
+    if (this.ecs.serviceName) {
+      document.service = { name: this.ecs.serviceName };
+    }
+
+    const rest = {};
+    for (const [key, value] of Object.entries(context)) {
+      if (key === 'error' && value && typeof value === 'object') {
+        // ErrorSerializer form: { type, message, code, stack: [frames] }
+        document.error = {
+          type: value.type,
+          message: value.message,
+          ...(value.code && { code: String(value.code) }),
+          ...(value.stack && { stack_trace: stackTrace(value.stack) }),
+        };
+      } else if (key === 'durationMs' && typeof value === 'number') {
+        setPath(document, 'event.duration', Math.round(value * 1e6)); // nanoseconds
+      } else if (this.ecs.fields[key]) {
+        setPath(document, this.ecs.fields[key], value);
+      } else {
+        rest[key] = value;
+      }
+    }
+
+    // APM correlates on W3C hex ids; TraceContext ids are UUIDs
+    const ids = TraceContext.toOtlpIds(context.traceId, context.spanId);
+    if (ids.traceId && this.ecs.fields.traceId === ECS_FIELDS.traceId) {
+      document.trace.id = ids.traceId;
+    }
+    if (ids.spanId && this.ecs.fields.spanId === ECS_FIELDS.spanId) {
+      document.span.id = ids.spanId;
+    }
+    if (Object.keys(rest).length > 0) {
+      document.context = rest;
+    }
+    return document;
+  }
+
+  /**
+   * Send one batch, retrying the documents that failed temporarily
+   * @private
+   */
+  async _bulk(batch) {
+    const { errorHandler } = this.http;
+    let pending = batch.map((entry) => ({
+      entry,
+      lines: `${JSON.stringify({ [this.opType]: { _index: this.indexFor(entry) } })}\n${JSON.stringify(this.toDocument(entry))}\n`,
+    }));
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      let failures;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const response = await this._post(pending.map((doc) => doc.lines).join(''));
+        this.stats.batches++;
+        failures = this._itemFailures(pending, response);
+        this.stats.sent += pending.length - failures.length;
+        if (attempt > 0) {
+          errorHandler.errorStats.retriedSuccessfully += pending.length - failures.length;
+        }
+      } catch (error) {
+        // The whole request failed (network, 413, 5xx, ...)
+        failures = pending.map((doc) => ({ doc, error }));
+      }
+
+      const retry = [];
+      let delay = 0;
+      for (const { doc, error } of failures) {
+        this.stats.lastError = error.message;
+        const { type, retryable } = errorHandler.classifyError(error.statusCode, error);
+        if (retryable && attempt < this.http.config.maxRetries) {
+          retry.push(doc);
+          delay = Math.max(delay, error.retryAfter ?? 0);
+        } else {
+          // eslint-disable-next-line no-await-in-loop
+          await this._deadLetter(doc.entry, error, attempt + 1, type);
+        }
+      }
+
+      pending = retry;
+      if (pending.length > 0) {
+        this.stats.retries += pending.length;
+        const backoff = Math.min(
+          Math.max(this.http.calculateBackoff(attempt), delay),
+          this.http.config.maxBackoff
+        );
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise((resolve) => setTimeout(resolve, backoff));
+      }
+    }
+  }
+
+  /**
+   * Failed items of a bulk response, as { doc, error } with the item status
+   * @private
+   */
+  _itemFailures(pending, response) {
+    if (!response.errors) {
+      return [];
+    }
+    const failures = [];
+    (response.items ?? []).forEach((item, i) => {
+      const result = Object.values(item)[0] ?? {};
+      if (pending[i] && (result.status < 200 || result.status >= 300)) {
+        const reason = result.error
+          ? `${result.error.type}: ${result.error.reason}`
+          : `status ${result.status}`;
+        const error = new Error(`Bulk item rejected (${result._index}): ${reason}`);
+        error.statusCode = result.status;
+        failures.push({ doc: pending[i], error });
+      }
+    });
+    return failures;
+  }
+
+  /**
+   * Dead-letter one entry on the AdvancedHttpTransport (errorType: as classified)
+   * @private
+   */
+  async _deadLetter(entry, error, attempts, errorType) {
+    this.http.errorHandler.errorStats.failedPermanently++;
+    this.http.errorHandler.addToDeadLetterQueue(entry, error, attempts, errorType);
+    if (this.http.config.fallbackEnabled) {
+      await this.http._enqueueFallback(entry, {
+        reason: 'elasticsearch-rejected',
+        statusCode: error.statusCode,
+      });
+    }
+    this.stats.failed++;
+    this.handleError(error, entry);
+  }
+
+  /**
+   * POST an NDJSON body; non-2xx responses throw with statusCode
+   * @private
+   */
+  async _post(body) {
+    let response;
+    try {
+      response = await fetch(this.bulkUrl, {
+        method: 'POST',
+        headers: { 'content-type': 'application/x-ndjson', ...this.headers },
+        body,
+        signal: AbortSignal.timeout(this.timeout),
+      });
+    } catch (error) {
+      // Network errors carry their code (ECONNREFUSED, ...) on the cause
+      const failure = new Error(`Bulk request failed: ${error.cause?.message ?? error.message}`);
+      failure.code = error.cause?.code ?? (error.name === 'TimeoutError' ? 'ETIMEDOUT' : undefined);
+      throw failure;
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      const failure = new Error(`Bulk request failed with HTTP ${response.status}: ${text}`);
+      failure.statusCode = response.status;
+      const retryAfter = Number(response.headers.get('retry-after'));
+      if (retryAfter > 0) {
+        failure.retryAfter = retryAfter * 1000;
+      }
+      throw failure;
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      const failure = new Error('Bulk response is not JSON');
+      failure.statusCode = 502;
+      throw failure;
+    }
+  }
+
+  /**
+   *
+   * @private
+   */
+  _authHeaders(auth) {
+    if (auth?.apiKey) {
+      return { authorization: `ApiKey ${auth.apiKey}` };
+    }
+    if (auth?.username) {
+      const credentials = Buffer.from(`${auth.username}:${auth.password ?? ''}`).toString('base64');
+      return { authorization: `Basic ${credentials}` };
+    }
+    return {};
+  }
+
+  /**
+   *
+   * @private
+   */
+  _levelName(entry) {
+    const name = LevelRegistry.isValid(entry.level)
+      ? LevelRegistry.getName(entry.level)
+      : String(entry.level);
+    return name.toLowerCase();
+  }
+
+  /**
+   *
+   * @private
+   */
+  _startFlushTimer() {
+    if (this._flushTimer || this._closed) {
+      return;
+    }
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      this.flush().catch(() => {});
+    }, this.flushInterval);
+    // Don't hold the process open; close() (or ShutdownManager) sends the rest
+    this._flushTimer.unref?.();
+  }
+
+  /**
+   *
+   * @private
+   */
+  _stopFlushTimer() {
+    clearTimeout(this._flushTimer);
+    this._flushTimer = null;
+  }
+}
+
+export default ElasticsearchTransport;
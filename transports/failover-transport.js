@@ -0,0 +1,408 @@
+/**
+ * Failover Transport - Ordered failover group for CoreLogger
+ *
+ * Wraps a primary transport and one or more secondaries (hops):
+ * - Each batch goes to the first hop whose circuit breaker is not open
+ * - A failing hop counts towards its breaker; the batch moves on to the next hop
+ * - Entries the primary missed are kept in a bounded spool and replayed to
+ *   the primary, in order, as soon as it accepts writes again (before any
+ *   newer entries, and on a retry timer while the spool is not empty)
+ * - Per-hop statistics (written, failures, skipped, breaker state)
+ *
+ * A hop fails when its write() rejects, or when it reports an error through
+ * handleError() (BaseTransport's error handler, which the group takes over):
+ * - Reported while the batch is being written (e.g. FileTransport failing
+ *   to queue it): the batch fails over like a rejected write
+ * - Reported later, by work the hop does in the background (FileTransport
+ *   writing its queue, OTLP, Elasticsearch and HTTP exports giving up):
+ *   counts towards the hop's breaker, so once it opens the following
+ *   batches fail over. Entries the hop had already accepted stay with it
+ *   (its own retries and dead letter queue)
+ * Transports with neither (no rejecting write(), no setErrorHandler()) never
+ * fail over. Reported errors are passed on to the logger's error handler.
+ *
+ * Batches are delivered one at a time, so replayed and new entries reach
+ * the primary in the order they were logged. If every hop fails, the batch
+ * stays in the spool and write() rejects so CoreLogger reports the error;
+ * such entries count as pending, and close() rejects with them if the
+ * primary still does not take them (FAILOVER_UNDELIVERED).
+ *
+ * USAGE EXAMPLE:
+ * const group = new FailoverTransport({
+ *   transports: [httpTransport, new RotatingFileTransport({ filePath: './logs/spool.log' })],
+ *   failureThreshold: 3,
+ *   resetTimeout: 30000,
+ * });
+ * const logger = new CoreLogger({ name: 'api', transports: [group] });
+ * logger.getStatistics().failover; // => [{ spooled, replayed, failovers, hops: [...] }]
+ */
+
+import { CircuitBreaker } from '../internal/experimental/resilient-logger.js';
+import { LoggingError } from '../error-handling/errors.js';
+
+export class FailoverTransport {
+  /**
+   * @param {Object} config - Failover configuration
+   * @param {Object[]} config.transports - Hops in priority order (primary first); each
+   *   exposes write(entries) or log(entry)
+   * @param {number} [config.failureThreshold=3] - Consecutive failures that open a hop's breaker
+   * @param {number} [config.successThreshold=1] - Successes in half-open state that close it
+   * @param {number} [config.resetTimeout=30000] - ms an open breaker waits before a trial write
+   * @param {number} [config.maxSpoolSize=10000] - Max entries kept for replay (oldest dropped)
+   * @param {number} [config.replayBatchSize=500] - Entries per replay write
+   * @param {number} [config.retryInterval] - ms between replay attempts while entries are
+   *   spooled (default: resetTimeout)
+   * @throws {LoggingError} If configuration is invalid
+   */
+  constructor(config = {}) {
+    const transports = config.transports;
+    if (!Array.isArray(transports) || transports.length < 2) {
+      throw new LoggingError('FailoverTransport needs at least two transports');
+    }
+    if (
+      !transports.every((t) => t && (typeof t.write === 'function' || typeof t.log === 'function'))
+    ) {
+      throw new LoggingError('Failover transports must expose write(entries) or log(entry)');
+    }
+
+    this.maxSpoolSize = config.maxSpoolSize ?? 10000;
+    this.replayBatchSize = config.replayBatchSize ?? 500;
+    const resetTimeout = config.resetTimeout ?? 30000;
+    this.retryInterval = config.retryInterval ?? resetTimeout;
+    for (const [key, value] of Object.entries({
+      maxSpoolSize: this.maxSpoolSize,
+      replayBatchSize: this.replayBatchSize,
+      resetTimeout,
+      retryInterval: this.retryInterval,
+    })) {
+      if (typeof value !== 'number' || !(value > 0)) {
+        throw new LoggingError(`Invalid failover ${key}: ${value}`);
+      }
+    }
+
+    this.hops = transports.map((transport, index) => ({
+      transport,
+      name: transport.name ?? `${transport.constructor?.name ?? 'Transport'}#${index}`,
+      breaker: new CircuitBreaker({
+        failureThreshold: config.failureThreshold ?? 3,
+        successThreshold: config.successThreshold ?? 1,
+        timeout: resetTimeout,
+      }),
+      stats: { written: 0, batches: 0, failures: 0, skipped: 0, lastError: null },
+      writing: false,
+      reported: null, // First error reported while writing
+    }));
+
+    // Bundled transports report failures through handleError() instead of rejecting
+    this._errorHandler = null;
+    for (const hop of this.hops) {
+      if (typeof hop.transport.setErrorHandler === 'function') {
+        hop.transport.setErrorHandler((error, context) => this._onHopError(hop, error, context));
+      }
+    }
+
+    // Entries the primary has not received yet, in logging order
+    this.spool = [];
+    // Spooled entries no hop received
+    this._undelivered = new Set();
+    this.stats = {
+      failovers: 0, // Batches delivered by a secondary
+      replayed: 0, // Spooled entries delivered to the primary later
+      spoolDropped: 0, // Oldest spooled entries dropped at maxSpoolSize
+      undelivered: 0, // Batches no hop accepted
+      discarded: 0, // Entries no hop received, given up at close()
+    };
+
+    this._chain = Promise.resolve();
+    this._retryTimer = null;
+    this._closed = false;
+  }
+
+  /**
+   * Error handler injected by the logger; receives the errors hops report
+   *
+   * @param {(error: any, context?: any) => void} handler
+   */
+  setErrorHandler(handler) {
+    this._errorHandler = typeof handler === 'function' ? handler : null;
+  }
+
+  /**
+   * Deliver a batch through the failover group
+   *
+   * @param {LogEntry[]} entries - Entries to deliver
+   * @throws {LoggingError} If no hop accepted the batch (entries stay spooled)
+   * @returns {Promise<void>}
+   */
+  write(entries) {
+    const batch = Array.isArray(entries) ? entries : [entries];
+    return this._enqueue(() => this._deliver(batch));
+  }
+
+  /**
+   * Replay spooled entries to the primary if its breaker allows a write
+   *
+   * @returns {Promise<number>} Number of entries replayed
+   */
+  flush() {
+    return this._enqueue(() => this._replay());
+  }
+
+  /**
+   * Entries still queued inside the hops, plus spooled entries no hop received
+   * (entries a secondary received are not counted)
+   *
+   * @returns {number} Pending entries
+   */
+  getPendingCount() {
+    const queued = this.hops.reduce(
+      (sum, hop) => sum + (hop.transport.getPendingCount?.() ?? 0),
+      0
+    );
+    return queued + this._undelivered.size;
+  }
+
+  /**
+   * Get failover statistics
+   *
+   * @returns {Object} { ...stats, spooled, hops: [{ name, state, written, batches, failures,
+   *   skipped, lastError }] }
+   */
+  getStatistics() {
+    return {
+      ...this.stats,
+      spooled: this.spool.length,
+      hops: this.hops.map((hop) => ({
+        name: hop.name,
+        state: hop.breaker.state,
+        ...hop.stats,
+      })),
+    };
+  }
+
+  /**
+   * Try a last replay, then close every hop
+   *
+   * Entries no hop received are given up (stats.discarded) but stay in
+   * getPendingCount(), so shutdown reports them as lost.
+   *
+   * @throws {LoggingError} FAILOVER_UNDELIVERED with the given-up entries in context.entries
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this._closed) {
+      return;
+    }
+    await this.flush().catch(() => {});
+    this._closed = true;
+    this._stopRetryTimer();
+
+    for (const { transport } of this.hops) {
+      if (typeof transport.close === 'function') {
+        // eslint-disable-next-line no-await-in-loop
+        await transport.close();
+      } else if (typeof transport.shutdown === 'function') {
+        // eslint-disable-next-line no-await-in-loop
+        await transport.shutdown();
+      }
+    }
+
+    if (this._undelivered.size > 0) {
+      const entries = this.spool.filter((entry) => this._undelivered.has(entry));
+      this.stats.discarded += entries.length;
+      throw new LoggingError(
+        'FAILOVER_UNDELIVERED',
+        `${entries.length} entries were not delivered by any failover transport`,
+        { entries }
+      );
+    }
+  }
+
+  /**
+   * Serialize deliveries so entries keep their order across hops
+   * @private
+   */
+  _enqueue(task) {
+    const run = this._chain.then(task);
+    this._chain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   *
+   * @private
+   */
+  async _deliver(batch) {
+    const [primary, ...secondaries] = this.hops;
+
+    // Older spooled entries must reach the primary before this batch
+    if (this.spool.length > 0) {
+      await this._replay();
+    }
+    if (this.spool.length === 0 && (await this._tryHop(primary, batch))) {
+      return;
+    }
+
+    for (const hop of secondaries) {
+      // eslint-disable-next-line no-await-in-loop
+      if (await this._tryHop(hop, batch)) {
+        this.stats.failovers++;
+        this._addToSpool(batch);
+        return;
+      }
+    }
+
+    this.stats.undelivered++;
+    for (const entry of batch) {
+      this._undelivered.add(entry);
+    }
+    this._addToSpool(batch);
+    throw new LoggingError(
+      'FAILOVER_EXHAUSTED',
+      `All ${this.hops.length} failover transports failed`,
+      { entries: batch.length, errors: this.hops.map((hop) => hop.stats.lastError) }
+    );
+  }
+
+  /**
+   * Send spooled entries to the primary, oldest first
+   * @private
+   */
+  async _replay() {
+    const primary = this.hops[0];
+    let replayed = 0;
+
+    while (this.spool.length > 0) {
+      const chunk = this.spool.slice(0, this.replayBatchSize);
+      // eslint-disable-next-line no-await-in-loop
+      if (!(await this._tryHop(primary, chunk))) {
+        break;
+      }
+      this.spool.splice(0, chunk.length);
+      for (const entry of chunk) {
+        this._undelivered.delete(entry);
+      }
+      replayed += chunk.length;
+    }
+
+    this.stats.replayed += replayed;
+    if (this.spool.length === 0) {
+      this._stopRetryTimer();
+    }
+    return replayed;
+  }
+
+  /**
+   * Write to one hop through its breaker
+   * @private
+   * @returns {Promise<boolean>} true if the hop accepted the batch
+   */
+  async _tryHop(hop, batch) {
+    const { breaker } = hop;
+    if (breaker.state === 'OPEN' && !breaker.shouldAttemptReset()) {
+      hop.stats.skipped++;
+      return false;
+    }
+
+    hop.writing = true;
+    hop.reported = null;
+    try {
+      await breaker.call(async () => {
+        await this._write(hop.transport, batch);
+        if (hop.reported) {
+          throw hop.reported;
+        }
+      });
+      hop.stats.written += batch.length;
+      hop.stats.batches++;
+      return true;
+    } catch (error) {
+      hop.stats.failures++;
+      hop.stats.lastError = error?.message ?? String(error);
+      return false;
+    } finally {
+      hop.writing = false;
+    }
+  }
+
+  /**
+   * Count an error a hop reported through handleError(), then pass it on
+   * @private
+   */
+  _onHopError(hop, error, context) {
+    const err = error instanceof Error ? error : new Error(String(error));
+    if (hop.writing) {
+      // _tryHop fails the batch over
+      hop.reported ??= err;
+    } else {
+      hop.stats.failures++;
+      hop.stats.lastError = err.message;
+      hop.breaker._onFailure();
+    }
+
+    if (this._errorHandler) {
+      this._errorHandler(err, { ...context, failover: hop.name });
+    } else {
+      // eslint-disable-next-line no-console
+      console.error(`[LoggingError] Failover transport ${hop.name} failed:`, err.message);
+    }
+  }
+
+  /**
+   *
+   * @private
+   */
+  async _write(transport, batch) {
+    if (typeof transport.write === 'function') {
+      await transport.write(batch);
+      return;
+    }
+    // Fallback for single-entry transports
+    for (const entry of batch) {
+      // eslint-disable-next-line no-await-in-loop
+      await transport.log(entry);
+    }
+  }
+
+  /**
+   *
+   * @private
+   */
+  _addToSpool(batch) {
+    this.spool.push(...batch);
+    const overflow = this.spool.length - this.maxSpoolSize;
+    if (overflow > 0) {
+      for (const entry of this.spool.splice(0, overflow)) {
+        this._undelivered.delete(entry);
+      }
+      this.stats.spoolDropped += overflow;
+    }
+    this._startRetryTimer();
+  }
+
+  /**
+   *
+   * @private
+   */
+  _startRetryTimer() {
+    if (this._retryTimer || this._closed) {
+      return;
+    }
+    this._retryTimer = setInterval(() => {
+      this.flush().catch(() => {});
+    }, this.retryInterval);
+    // Retrying alone must not keep the process alive
+    this._retryTimer.unref?.();
+  }
+
+  /**
+   *
+   * @private
+   */
+  _stopRetryTimer() {
+    clearInterval(this._retryTimer);
+    this._retryTimer = null;
+  }
+}
+
+export default FailoverTransport;
@@ -1,5 +1,8 @@
 import { BaseTransport } from './base-transport.js';
 import { LoggingError } from '../error-handling/errors.js';
+import { HashChain, CHAIN_HEAD_FILE } from '../utils/hash-chain.js';
+import { WormPolicy } from '../utils/worm-policy.js';
+import { TransportAuditSink } from '../utils/audit-event.js';
 import fs from 'fs';
 import path from 'path';
 import { once } from 'events';
@@ -13,6 +16,12 @@ const __isNode = typeof process !== 'undefined' && process.versions && process.v
  * - Stream-based writing for better performance
  * - Write queue for batch processing
  * - Efficient file handle management
+ * - Optional hash chain per module directory (config.chain): lines become
+ *   chained JSON records and the head is kept in `<module>/chain-head.json`,
+ *   so the chain continues across days and restarts (see verifyChain)
+ * - Optional write-once mode (config.worm): when a module starts a new daily
+ *   file, its earlier files are sealed (read-only, retention manifest) and
+ *   sealed files are never written again (see WormPolicy)
  */
 class FileTransportImpl extends BaseTransport {
   /**
@@ -34,6 +43,18 @@ class FileTransportImpl extends BaseTransport {
     this._maxQueueSize = config.maxQueueSize ?? 50; // Batch process after 50 entries
     this._flushInterval = config.flushInterval ?? 1000; // Flush queue every 1 second
     this._flushTimer = null;
+
+    // Tamper-evident mode: module directory => Promise<HashChain>
+    this.chain = config.chain === true;
+    this._chains = new Map();
+
+    // Write-once mode; violations are audited into this transport unless an AuditLogger is given
+    this.worm = config.worm
+      ? WormPolicy.from(
+          config.worm,
+          () => new TransportAuditSink({ name: 'worm', transport: this })
+        )
+      : null;
   }
 
   /**
@@ -44,9 +65,33 @@ class FileTransportImpl extends BaseTransport {
       this._flushTimer = setInterval(() => {
         this._processWriteQueue();
       }, this._flushInterval);
+      // Only held while lines are queued (see _holdWhileQueued)
+      this._flushTimer.unref?.();
+    }
+  }
+
+  /**
+   * Keep the process alive while lines are queued, so a script that exits
+   * without close() still gets them written; an idle transport does not
+   * hold the process open
+   * @private
+   */
+  _holdWhileQueued() {
+    if (this._writeQueue.length > 0) {
+      this._flushTimer?.ref?.();
+    } else {
+      this._flushTimer?.unref?.();
     }
   }
 
+  /**
+   * Number of lines queued but not yet written
+   * @returns {number}
+   */
+  getPendingCount() {
+    return this._writeQueue.length;
+  }
+
   /**
    * Writes a log entry to the appropriate daily log file.
    * @param entry - The log entry to write.
@@ -69,14 +114,13 @@ class FileTransportImpl extends BaseTransport {
 
       // Add to write queue instead of writing immediately
       const filePath = await this.getLogFilePath(entry.moduleName);
-      const logLine = entry.toString() + '\n';
-
-      this._writeQueue.push({ filePath, logLine });
+      this._writeQueue.push(await this._queueItem(filePath, entry));
 
       // Auto-flush if queue is full
       if (this._writeQueue.length >= this._maxQueueSize) {
         await this._processWriteQueue();
       }
+      this._holdWhileQueued();
     } catch (error) {
       this.handleError(error instanceof Error ? error : new Error(String(error)), entry);
     }
@@ -91,12 +135,12 @@ class FileTransportImpl extends BaseTransport {
       await this.initialize();
       for (const entry of entries) {
         const filePath = await this.getLogFilePath(entry.moduleName);
-        const logLine = entry.toString() + '\n';
-        this._writeQueue.push({ filePath, logLine });
+        this._writeQueue.push(await this._queueItem(filePath, entry));
       }
       if (this._writeQueue.length >= this._maxQueueSize) {
         await this._processWriteQueue();
       }
+      this._holdWhileQueued();
     } catch (error) {
       // Log one representative error
       const err = error instanceof Error ? error : new Error(String(error));
@@ -104,6 +148,47 @@ class FileTransportImpl extends BaseTransport {
     }
   }
 
+  /**
+   * Format an entry for the write queue
+   *
+   * In chain mode the entry is queued as is: it is linked when its batch is
+   * written (see _processWriteQueue), so the chain only moves past records
+   * that reached the file.
+   * @private
+   */
+  async _queueItem(filePath, entry) {
+    return this.chain ? { filePath, entry } : { filePath, logLine: entry.toString() + '\n' };
+  }
+
+  /**
+   * Chain of a module directory, resumed from its head file on first use
+   * @private
+   */
+  _getChain(filePath) {
+    const dir = path.dirname(filePath);
+    let chain = this._chains.get(dir);
+    if (!chain) {
+      chain = HashChain.resumeHead(path.join(dir, CHAIN_HEAD_FILE), this._latestLog(dir)).then(
+        (head) => new HashChain({ head })
+      );
+      this._chains.set(dir, chain);
+    }
+    return chain;
+  }
+
+  /**
+   * Most recent daily file of a module directory (names sort by date)
+   * @private
+   */
+  _latestLog(dir) {
+    try {
+      const logs = fs.readdirSync(dir).filter((name) => name.endsWith('.log'));
+      return logs.length > 0 ? path.join(dir, logs.sort().at(-1)) : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
   /**
    * Process write queue with batch operations
    * @private
@@ -114,37 +199,64 @@ class FileTransportImpl extends BaseTransport {
     }
 
     this._isProcessing = true;
+    // Lines queued while writing (e.g. WORM audit entries) wait for the next run
+    const queue = this._writeQueue;
+    this._writeQueue = [];
     try {
       // Group writes by file path for efficiency
       const groupedWrites = new Map();
 
-      for (const { filePath, logLine } of this._writeQueue) {
-        if (!groupedWrites.has(filePath)) {
-          groupedWrites.set(filePath, []);
+      for (const item of queue) {
+        if (!groupedWrites.has(item.filePath)) {
+          groupedWrites.set(item.filePath, []);
         }
-        groupedWrites.get(filePath).push(logLine);
+        groupedWrites.get(item.filePath).push(item);
       }
 
       // Write grouped entries to their respective files using streams
-      for (const [filePath, lines] of groupedWrites) {
-        const content = lines.join('');
+      for (const [filePath, items] of groupedWrites) {
         try {
-          const stream = await this._getStream(filePath);
-          if (!stream.write(content, 'utf8')) {
-            // Backpressure: wait for drain
-            await once(stream, 'drain');
+          if (this.chain) {
+            await this._writeChained(filePath, items);
+          } else {
+            const stream = await this._getStream(filePath);
+            if (!stream.write(items.map((item) => item.logLine).join(''), 'utf8')) {
+              // Backpressure: wait for drain
+              await once(stream, 'drain');
+            }
           }
         } catch (error) {
-          console.warn(`Failed to write to ${filePath}:`, error.message);
+          this.handleError(error instanceof Error ? error : new Error(String(error)));
         }
       }
-
-      this._writeQueue = [];
     } finally {
       this._isProcessing = false;
+      this._holdWhileQueued();
     }
   }
 
+  /**
+   * Link queued entries to their directory's chain, write them and persist the new head
+   * @private
+   */
+  async _writeChained(filePath, items) {
+    const chain = await this._getChain(filePath);
+    const previousHead = chain.getHead();
+    const content = items.map((item) => JSON.stringify(chain.append(item.entry)) + '\n').join('');
+
+    try {
+      const stream = await this._getStream(filePath);
+      await new Promise((resolve, reject) => {
+        stream.write(content, 'utf8', (error) => (error ? reject(error) : resolve()));
+      });
+    } catch (error) {
+      // Nothing was written, so the next batch links to the old head again
+      chain.head = previousHead;
+      throw error;
+    }
+    await HashChain.saveHead(path.join(path.dirname(filePath), CHAIN_HEAD_FILE), chain.getHead());
+  }
+
   /**
    * Determines and ensures the existence of the log file path for a given module.
    * @param moduleName - The name of the module generating the log.
@@ -200,9 +312,14 @@ class FileTransportImpl extends BaseTransport {
       // ignore EEXIST
     }
 
+    if (this.worm) {
+      await this.worm.assertAppendable(filePath);
+      await this._sealPrevious(filePath);
+    }
+
     stream = fs.createWriteStream(filePath, { flags: 'a', encoding: 'utf8' });
     stream.on('error', (err) => {
-      console.warn('File stream error:', err.message);
+      this.handleError(err);
       try {
         stream.destroy();
       } catch {}
@@ -212,6 +329,30 @@ class FileTransportImpl extends BaseTransport {
     return stream;
   }
 
+  /**
+   * Seal the earlier daily files of a module directory (WORM mode)
+   * @private
+   */
+  async _sealPrevious(filePath) {
+    const dir = path.dirname(filePath);
+    const current = path.basename(filePath);
+    const previous = (await fs.promises.readdir(dir)).filter(
+      (name) => name.endsWith('.log') && name < current
+    );
+
+    for (const name of previous) {
+      const file = path.join(dir, name);
+      const stream = this._fileStreams.get(file);
+      if (stream) {
+        this._fileStreams.delete(file);
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise((resolve) => stream.end(resolve));
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await this.worm.seal(file);
+    }
+  }
+
   /**
    * Shutdown transport (flush queue and close streams)
    */
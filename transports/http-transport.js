@@ -84,7 +84,16 @@ class PermanentErrorHandler {
     return { type: 'unknown', retryable: true };
   }
 
-  addToDeadLetterQueue(entry, error, attemptCount) {
+  /**
+   * Dead-letter an entry
+   *
+   * @param {Object} entry - Entry that could not be sent
+   * @param {Error} error - Last error
+   * @param {number} attemptCount - Attempts made
+   * @param {string} [errorType] - Type from classifyError(), if already classified
+   *   (classifying again would count the error twice in errorStats)
+   */
+  addToDeadLetterQueue(entry, error, attemptCount, errorType) {
     this.deadLetterQueue.push({
       timestamp: new Date().toISOString(),
       entry,
@@ -93,7 +102,7 @@ class PermanentErrorHandler {
       statusCode: error.statusCode,
       context: {
         permanent: this.isPermanentError(error.statusCode, error),
-        errorType: this.classifyError(error.statusCode, error).type,
+        errorType: errorType ?? this.classifyError(error.statusCode, error).type,
       },
     });
 
@@ -195,7 +204,12 @@ class AdvancedHttpTransport {
       // Permanent error - don't retry
       if (!classification.retryable) {
         this.errorHandler.errorStats.failedPermanently++;
-        this.errorHandler.addToDeadLetterQueue(entry, error, attemptNumber + 1);
+        this.errorHandler.addToDeadLetterQueue(
+          entry,
+          error,
+          attemptNumber + 1,
+          classification.type
+        );
         // Enqueue to fallback for durability if enabled
         if (this.config.fallbackEnabled) {
           await this._enqueueFallback(entry, { reason: 'permanent-error', statusCode });
@@ -222,7 +236,7 @@ class AdvancedHttpTransport {
 
       // Max retries exceeded
       this.errorHandler.errorStats.failedPermanently++;
-      this.errorHandler.addToDeadLetterQueue(entry, error, attemptNumber + 1);
+      this.errorHandler.addToDeadLetterQueue(entry, error, attemptNumber + 1, classification.type);
       if (this.config.fallbackEnabled) {
         await this._enqueueFallback(entry, { reason: 'retry-exhausted', statusCode });
       }
@@ -7,6 +7,10 @@ export { ConsoleTransport } from './console-transport.js';
 export { FileTransport } from './file-transport.js';
 // Align with actual export: AdvancedHttpTransport
 export { AdvancedHttpTransport as HttpTransport } from './http-transport.js';
+export { FailoverTransport } from './failover-transport.js';
+export { SyslogTransport, SyslogFacility } from './syslog-transport.js';
+export { OtlpLogTransport } from './otlp-log-transport.js';
+export { ElasticsearchTransport } from './elasticsearch-transport.js';
 export { BatchQueue } from './batch-queue.js';
 export { BatchSequencer } from './batch-sequencer.js';
 // Default export re-exposed as named
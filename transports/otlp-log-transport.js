@@ -0,0 +1,428 @@
+/**
+ * OTLP Log Transport - OpenTelemetry logs over OTLP/HTTP (JSON)
+ *
+ * Maps LogEntry to the OpenTelemetry Logs data model:
+ * - timeUnixNano from the entry timestamp, severityNumber / severityText from
+ *   the level (TRACE 1, DEBUG 5, INFO 9, WARN 13, ERROR 17, FATAL 21)
+ * - body = message, attributes = context (nested values as kvlist / array)
+ * - traceId / spanId from the context (CoreLogger enrichContext stamps them
+ *   from the active TraceContext), converted with TraceContext.toOtlpIds()
+ * - One scope per module (InstrumentationScope name = moduleName) under one
+ *   resource (`service.name` plus `resource` attributes)
+ *
+ * Entries are queued and POSTed as ExportLogsServiceRequest JSON in batches
+ * (batchSize, or every flushInterval), gzip-compressed by default. Failed
+ * exports are classified by PermanentErrorHandler: temporary errors (429, 5xx,
+ * connection errors) are retried with exponential backoff (Retry-After is
+ * honoured), permanent ones and exhausted retries go to its dead letter queue.
+ *
+ * USAGE EXAMPLE:
+ * const otlp = new OtlpLogTransport({
+ *   url: 'http://otel-collector:4318/v1/logs',
+ *   serviceName: 'billing',
+ *   resource: { 'deployment.environment': 'prod' },
+ * });
+ * const logger = new CoreLogger({ name: 'api', enrichContext: true, transports: [otlp] });
+ * LogContext.setTraceContext(new TraceContext({ service: 'billing' }));
+ * logger.warn('Slow query', { durationMs: 812 });
+ * // => logRecords: [{ severityNumber: 13, severityText: 'WARN', body: { stringValue: 'Slow query' },
+ * //      traceId: '…', spanId: '…', attributes: [{ key: 'durationMs', value: { intValue: '812' } }] }]
+ */
+
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { BaseTransport } from './base-transport.js';
+import { PermanentErrorHandler } from './http-transport.js';
+import { LoggingError } from '../error-handling/errors.js';
+import { LevelRegistry } from '../utils/level-registry.js';
+import { TraceContext } from '../tracing/distributed-tracing.js';
+
+const gzip = promisify(zlib.gzip);
+
+// severityNumber by level name (OpenTelemetry Logs data model)
+const SEVERITY_NUMBERS = { TRACE: 1, DEBUG: 5, INFO: 9, WARN: 13, ERROR: 17, FATAL: 21 };
+const DEFAULT_SEVERITY_NUMBER = 9; // INFO
+
+// Context fields that become the record's trace ids instead of attributes
+const TRACE_FIELDS = new Set(['traceId', 'spanId']);
+
+function anyValue(value) {
+  if (typeof value === 'string') {
+    return { stringValue: value };
+  }
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (typeof value === 'number') {
+    // int64 is a string in the protobuf JSON mapping
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(anyValue) } };
+  }
+  if (value !== null && typeof value === 'object') {
+    return { kvlistValue: { values: keyValues(value) } };
+  }
+  return {};
+}
+
+function keyValues(object) {
+  return Object.entries(object)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: anyValue(value) }));
+}
+
+function unixNano(ms) {
+  return (BigInt(Math.round(ms)) * 1000000n).toString();
+}
+
+export class OtlpLogTransport extends BaseTransport {
+  /**
+   * @param {Object} [config={}] - Transport configuration
+   * @param {string} [config.url='http://localhost:4318/v1/logs'] - OTLP/HTTP logs endpoint
+   * @param {Object} [config.headers={}] - Extra request headers (e.g. authorization)
+   * @param {string} [config.serviceName='unknown_service'] - `service.name` resource attribute
+   * @param {Object} [config.resource={}] - Other resource attributes
+   * @param {Object} [config.severities] - severityNumber by level name, merged over the
+   *   defaults (e.g. { AUDIT: 10 })
+   * @param {number} [config.batchSize=512] - Records per export request
+   * @param {number} [config.flushInterval=5000] - ms between exports of a partial batch
+   * @param {number} [config.maxQueueSize=10000] - Queued records kept (oldest dropped)
+   * @param {boolean} [config.gzip=true] - gzip request bodies
+   * @param {number} [config.timeout=10000] - Request timeout in ms
+   * @param {number} [config.maxRetries=5] - Retries of a temporary failure
+   * @param {number} [config.initialBackoff=500] - First retry delay in ms (doubles per retry)
+   * @param {number} [config.maxBackoff=30000] - Max retry delay in ms
+   * @param {boolean} [config.jitter=true] - Add up to one delay of random jitter
+   * @param {PermanentErrorHandler} [config.retryPolicy] - Error classification and dead
+   *   letter queue (default: a new PermanentErrorHandler)
+   * @throws {LoggingError} If configuration is invalid
+   */
+  constructor(config = {}) {
+    super(config);
+    this.url = config.url ?? 'http://localhost:4318/v1/logs';
+    try {
+      new URL(this.url);
+    } catch {
+      throw new LoggingError('INVALID_CONFIG', 'url must be a valid OTLP/HTTP endpoint', {
+        receivedUrl: config.url,
+      });
+    }
+    for (const key of ['batchSize', 'flushInterval', 'maxQueueSize', 'timeout']) {
+      const value = config[key];
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        throw new LoggingError('INVALID_CONFIG', `${key} must be a positive integer`, {
+          [key]: value,
+        });
+      }
+    }
+
+    this.headers = config.headers ?? {};
+    this.resource = { 'service.name': config.serviceName ?? 'unknown_service', ...config.resource };
+    this.severities = { ...SEVERITY_NUMBERS, ...config.severities };
+    this.batchSize = config.batchSize ?? 512;
+    this.flushInterval = config.flushInterval ?? 5000;
+    this.maxQueueSize = config.maxQueueSize ?? 10000;
+    this.gzip = config.gzip !== false;
+    this.timeout = config.timeout ?? 10000;
+    this.maxRetries = config.maxRetries ?? 5;
+    this.initialBackoff = config.initialBackoff ?? 500;
+    this.maxBackoff = config.maxBackoff ?? 30000;
+    this.jitter = config.jitter !== false;
+    this.retryPolicy =
+      config.retryPolicy ?? new PermanentErrorHandler({ maxRetries: this.maxRetries });
+
+    this.queue = [];
+    this._inFlight = 0;
+    this._chain = Promise.resolve();
+    this._flushTimer = null;
+    this._closed = false;
+
+    this.stats = {
+      sent: 0, // Records accepted by the collector
+      batches: 0,
+      rejected: 0, // Records the collector reported in partialSuccess
+      failed: 0, // Records dead-lettered
+      retries: 0,
+      dropped: 0, // Oldest queued records dropped at maxQueueSize
+      lastError: null,
+    };
+  }
+
+  /**
+   * Queue entries; a full batch starts exporting right away
+   *
+   * Resolves once queued, without waiting for the export. Export failures do
+   * not reject: they are retried or dead-lettered.
+   *
+   * @param {LogEntry|LogEntry[]} entries - Entries to export
+   * @returns {Promise<void>}
+   */
+  async write(entries) {
+    const list = Array.isArray(entries) ? entries : [entries];
+    if (list.length === 0 || this._closed) {
+      return;
+    }
+
+    this.queue.push(...list);
+    const overflow = this.queue.length - this.maxQueueSize;
+    if (overflow > 0) {
+      this.queue.splice(0, overflow);
+      this.stats.dropped += overflow;
+    }
+
+    if (this.queue.length >= this.batchSize) {
+      // Exported in the background: a slow or retrying collector must not hold up
+      // the caller; flush() and close() wait for it
+      this.flush().catch(() => {});
+    } else {
+      this._startFlushTimer();
+    }
+  }
+
+  /**
+   * Queue one entry
+   *
+   * @param {LogEntry} entry - Entry to export
+   * @returns {Promise<void>}
+   */
+  log(entry) {
+    return this.write([entry]);
+  }
+
+  /**
+   * Export everything queued, batch by batch
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    const run = this._chain.then(async () => {
+      this._stopFlushTimer();
+      while (this.queue.length > 0) {
+        const batch = this.queue.splice(0, this.batchSize);
+        this._inFlight += batch.length;
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await this._export(batch);
+        } finally {
+          this._inFlight -= batch.length;
+        }
+      }
+    });
+    this._chain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Records queued or being exported
+   * @returns {number}
+   */
+  getPendingCount() {
+    return this.queue.length + this._inFlight;
+  }
+
+  /**
+   * Get transport statistics
+   * @returns {Object} { ...stats, pending, deadLetterCount, errors }
+   */
+  getStatistics() {
+    return {
+      ...this.stats,
+      pending: this.getPendingCount(),
+      deadLetterCount: this.retryPolicy.deadLetterQueue.length,
+      errors: this.retryPolicy.getErrorStats(),
+    };
+  }
+
+  /**
+   * Dead-lettered entries (see PermanentErrorHandler)
+   * @returns {Object[]}
+   */
+  getDeadLetterEntries() {
+    return this.retryPolicy.getDeadLetterQueue();
+  }
+
+  /**
+   * Export the rest and stop the flush timer
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this._closed) {
+      return;
+    }
+    await this.flush();
+    this._closed = true;
+    this._stopFlushTimer();
+  }
+
+  /**
+   * ExportLogsServiceRequest for entries
+   *
+   * @param {LogEntry[]} entries - Entries to map
+   * @returns {Object} { resourceLogs: [{ resource, scopeLogs: [{ scope, logRecords }] }] }
+   */
+  toExportRequest(entries) {
+    const scopes = new Map();
+    for (const entry of entries) {
+      if (!scopes.has(entry.moduleName)) {
+        scopes.set(entry.moduleName, []);
+      }
+      scopes.get(entry.moduleName).push(this.toLogRecord(entry));
+    }
+
+    return {
+      resourceLogs: [
+        {
+          resource: { attributes: keyValues(this.resource) },
+          scopeLogs: [...scopes].map(([name, logRecords]) => ({ scope: { name }, logRecords })),
+        },
+      ],
+    };
+  }
+
+  /**
+   * OpenTelemetry LogRecord for an entry
+   *
+   * @param {LogEntry} entry - Entry to map
+   * @returns {Object} LogRecord (OTLP JSON)
+   */
+  toLogRecord(entry) {
+    const context = entry.context ?? {};
+    const levelName = LevelRegistry.isValid(entry.level)
+      ? LevelRegistry.getName(entry.level)
+      : String(entry.level);
+    const time = entry.timestamp instanceof Date ? entry.timestamp.getTime() : Date.now();
+
+    return {
+      timeUnixNano: unixNano(time),
+      observedTimeUnixNano: unixNano(Date.now()),
+      severityNumber: this.severities[levelName] ?? DEFAULT_SEVERITY_NUMBER,
+      severityText: levelName,
+      body: { stringValue: entry.message },
+      attributes: keyValues(
+        Object.fromEntries(Object.entries(context).filter(([key]) => !TRACE_FIELDS.has(key)))
+      ),
+      ...TraceContext.toOtlpIds(context.traceId, context.spanId),
+    };
+  }
+
+  /**
+   * POST one batch, retrying temporary failures
+   * @private
+   */
+  async _export(batch) {
+    let body = Buffer.from(JSON.stringify(this.toExportRequest(batch)));
+    if (this.gzip) {
+      body = await gzip(body);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const response = await this._post(body);
+        const rejected = Number(response?.partialSuccess?.rejectedLogRecords ?? 0);
+        this.stats.rejected += rejected;
+        this.stats.sent += batch.length - rejected;
+        this.stats.batches++;
+        if (attempt > 0) {
+          this.retryPolicy.errorStats.retriedSuccessfully++;
+        }
+        return;
+      } catch (error) {
+        this.stats.lastError = error.message;
+        const { type, retryable } = this.retryPolicy.classifyError(error.statusCode, error);
+        if (!retryable || attempt >= this.maxRetries) {
+          this.retryPolicy.errorStats.failedPermanently++;
+          for (const entry of batch) {
+            this.retryPolicy.addToDeadLetterQueue(entry, error, attempt + 1, type);
+          }
+          this.stats.failed += batch.length;
+          this.handleError(error, batch[0]);
+          return;
+        }
+        this.stats.retries++;
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise((resolve) => setTimeout(resolve, this._backoff(attempt, error)));
+      }
+    }
+  }
+
+  /**
+   * Send the request; non-2xx responses throw with statusCode
+   * @private
+   */
+  async _post(body) {
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          ...(this.gzip && { 'content-encoding': 'gzip' }),
+          ...this.headers,
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeout),
+      });
+    } catch (error) {
+      // Network errors carry their code (ECONNREFUSED, ...) on the cause
+      const failure = new Error(`OTLP export failed: ${error.cause?.message ?? error.message}`);
+      failure.code = error.cause?.code ?? (error.name === 'TimeoutError' ? 'ETIMEDOUT' : undefined);
+      throw failure;
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      const failure = new Error(`OTLP export failed with HTTP ${response.status}: ${text}`);
+      failure.statusCode = response.status;
+      const retryAfter = Number(response.headers.get('retry-after'));
+      if (retryAfter > 0) {
+        failure.retryAfter = retryAfter * 1000;
+      }
+      throw failure;
+    }
+    try {
+      return text ? JSON.parse(text) : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   *
+   * @private
+   */
+  _backoff(attempt, error) {
+    const delay = Math.min(this.initialBackoff * 2 ** attempt, this.maxBackoff);
+    const jittered = this.jitter ? delay + Math.random() * delay : delay;
+    return Math.min(Math.max(jittered, error.retryAfter ?? 0), this.maxBackoff);
+  }
+
+  /**
+   *
+   * @private
+   */
+  _startFlushTimer() {
+    if (this._flushTimer || this._closed) {
+      return;
+    }
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      this.flush().catch(() => {});
+    }, this.flushInterval);
+    // Don't hold the process open; close() (or ShutdownManager) exports the rest
+    this._flushTimer.unref?.();
+  }
+
+  /**
+   *
+   * @private
+   */
+  _stopFlushTimer() {
+    clearTimeout(this._flushTimer);
+    this._flushTimer = null;
+  }
+}
+
+export default OtlpLogTransport;
@@ -8,6 +8,22 @@
  * - Automatic old file removal (keep max N files)
  * - Asynchronous I/O operations
  * - Error handling and recovery
+ * - Optional hash chain (options.chain): lines become chained JSON records and
+ *   the head is kept in `<filePath>.chain-head.json`, which is not rotated,
+ *   so the chain continues across rotations and restarts (see verifyChain)
+ * - Optional Merkle checkpoint (options.checkpoint): every rotated file gets a
+ *   `<file>.checkpoint.json` for inclusion proofs (see MerkleCheckpoint)
+ * - Rotated files always get unique names: `<name>.<timestamp><ext>`, then
+ *   `<name>.<timestamp>.001<ext>`, `.002`, ... for rotations within one second
+ * - Optional write-once mode (options.worm): rotated files are sealed
+ *   (read-only, retention manifest) and are only removed by maxFiles cleanup
+ *   once their retention has passed (see WormPolicy)
+ * - Entries with a retention class (LogEntry.retention) go to their own file
+ *   family, `<name>.<class><ext>` (e.g. app.audit-7y.log), rotated like the main
+ *   file but cleaned up by the class's maxAge / maxTotalSize instead of
+ *   maxFiles; see RetentionPolicy
+ * - Optional legal hold (options.legalHold): rotated files under an active hold
+ *   are kept by cleanup (see LegalHoldRegistry)
  *
  * @author audit-core
  * @version 1.0.0
@@ -15,9 +31,19 @@
 
 import { BaseTransport } from './base-transport.js';
 import { LoggingError } from '../error-handling/errors.js';
+import { HashChain } from '../utils/hash-chain.js';
+import { MerkleCheckpoint } from '../utils/merkle-checkpoint.js';
+import { WormPolicy } from '../utils/worm-policy.js';
+import { RetentionPolicy } from '../config/retention-policy.js';
+import { TransportAuditSink } from '../utils/audit-event.js';
+import { LegalHoldRegistry } from '../utils/legal-hold.js';
 import fs from 'fs';
 import path from 'path';
 
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 class RotatingFileTransport extends BaseTransport {
   /**
    * Initialize rotating file transport
@@ -29,6 +55,13 @@ class RotatingFileTransport extends BaseTransport {
    * @param {string} [options.rotationStrategy='both'] - 'size' | 'daily' | 'both'
    * @param {string} [options.dateFormat='YYYY-MM-DD'] - Date format for rotation names
    * @param {boolean} [options.compress=false] - Auto-compress rotated files
+   * @param {boolean} [options.chain=false] - Write hash-chained JSON records
+   * @param {string|null} [options.checkpoint=null] - Checkpoint rotated files: 'file' | 'hour'
+   * @param {WormPolicy|Object} [options.worm] - Write-once mode: a WormPolicy or its options
+   *   ({ retention, audit }); violations are audited into this transport by default
+   * @param {RetentionPolicy} [options.retention] - Definitions of the retention classes
+   *   (the same policy as CoreLogger's); classes named -<n><unit> need none
+   * @param {LegalHoldRegistry} [options.legalHold] - Holds that exempt rotated files from cleanup
    * @throws {LoggingError} If configuration is invalid
    */
   constructor(options = {}) {
@@ -49,6 +82,27 @@ class RotatingFileTransport extends BaseTransport {
     this._initialized = false;
     this._pendingWrites = [];
     this._isRotating = false;
+
+    // Tamper-evident mode
+    this.chain = options.chain === true;
+    this._headFile = `${this.filePath}.chain-head.json`;
+    this._hashChain = null;
+    this._chainQueue = Promise.resolve();
+    this.checkpoint = options.checkpoint ?? null;
+    this.worm = options.worm
+      ? WormPolicy.from(
+          options.worm,
+          () => new TransportAuditSink({ name: 'worm', transport: this })
+        )
+      : null;
+
+    // Retention class => transport of its file family (same options); a family
+    // transport has its class set and writes every entry to its own file
+    this.retentionClass = options.retentionClass ?? null;
+    this.retention = options.retention ?? null;
+    this.legalHold = options.legalHold ?? null;
+    this._options = options;
+    this._families = new Map();
   }
 
   /**
@@ -87,6 +141,19 @@ class RotatingFileTransport extends BaseTransport {
         { receivedStrategy: options.rotationStrategy }
       );
     }
+
+    const validCheckpoints = ['file', 'hour'];
+    if (options.checkpoint != null && !validCheckpoints.includes(options.checkpoint)) {
+      throw new LoggingError(
+        'INVALID_CONFIG',
+        `checkpoint must be one of: ${validCheckpoints.join(', ')}`,
+        { receivedCheckpoint: options.checkpoint }
+      );
+    }
+
+    if (options.legalHold !== undefined && !(options.legalHold instanceof LegalHoldRegistry)) {
+      throw new LoggingError('INVALID_CONFIG', 'legalHold must be a LegalHoldRegistry', {});
+    }
   }
 
   /**
@@ -103,6 +170,12 @@ class RotatingFileTransport extends BaseTransport {
         fs.mkdirSync(dir, { recursive: true });
       }
 
+      // Continue the chain from the persisted head (or the current file's last record)
+      if (this.chain && !this._hashChain) {
+        const head = await HashChain.resumeHead(this._headFile, this.filePath);
+        this._hashChain = new HashChain({ head });
+      }
+
       // Check current file size and rotate if needed
       if (fs.existsSync(this.filePath)) {
         await this._checkAndRotateIfNeeded();
@@ -125,6 +198,64 @@ class RotatingFileTransport extends BaseTransport {
    * @throws {LoggingError} If logging fails
    */
   async log(entries) {
+    const list = Array.isArray(entries) ? entries : [entries];
+    if (!this.retentionClass && list.some((entry) => entry?.retention)) {
+      return this._logByRetention(list);
+    }
+
+    if (!this.chain) {
+      return this._log(entries);
+    }
+    // Chained records must reach the file in chain order
+    const run = this._chainQueue.then(() => this._log(entries));
+    this._chainQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Send classified entries to their file families, the rest to this file
+   * @private
+   */
+  async _logByRetention(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = entry?.retention ?? null;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(entry);
+    }
+
+    await Promise.all(
+      [...groups].map(([retention, group]) =>
+        retention ? this._family(retention).log(group) : this.log(group)
+      )
+    );
+  }
+
+  /**
+   * Transport of a retention class's file family, created on first use
+   * @private
+   */
+  _family(retention) {
+    let family = this._families.get(retention);
+    if (!family) {
+      const ext = path.extname(this.filePath);
+      const filePath = path.join(
+        path.dirname(this.filePath),
+        `${path.basename(this.filePath, ext)}.${retention}${ext}`
+      );
+      family = new RotatingFileTransport({ ...this._options, filePath, retentionClass: retention });
+      this._families.set(retention, family);
+    }
+    return family;
+  }
+
+  /**
+   *
+   * @private
+   */
+  async _log(entries) {
     try {
       if (!this._initialized) {
         await this.initialize();
@@ -137,10 +268,13 @@ class RotatingFileTransport extends BaseTransport {
       // Check if rotation needed before writing
       await this._checkAndRotateIfNeeded();
 
-      // Format and write entries
-      const content = entries.map((entry) => entry.toString()).join('\n') + '\n';
-
-      await this._writeToFile(content);
+      if (this.chain) {
+        await this._writeChained(entries);
+      } else {
+        // Format and write entries
+        const content = entries.map((entry) => entry.toString()).join('\n') + '\n';
+        await this._writeToFile(content);
+      }
 
       // Check again after writing (in case this write triggered size limit)
       await this._checkAndRotateIfNeeded();
@@ -154,6 +288,29 @@ class RotatingFileTransport extends BaseTransport {
     }
   }
 
+  /**
+   * Link entries to the chain, write them and persist the new head
+   * @private
+   * @async
+   * @param {LogEntry[]} entries - Entries to write
+   * @returns {Promise<void>}
+   */
+  async _writeChained(entries) {
+    const previousHead = this._hashChain.getHead();
+    const content = entries
+      .map((entry) => JSON.stringify(this._hashChain.append(entry)))
+      .join('\n');
+
+    try {
+      await this._writeToFile(content + '\n');
+    } catch (error) {
+      // Nothing was written, so the next batch links to the old head again
+      this._hashChain.head = previousHead;
+      throw error;
+    }
+    await HashChain.saveHead(this._headFile, this._hashChain.getHead());
+  }
+
   /**
    * Check if rotation is needed and perform if necessary
    * @private
@@ -222,11 +379,34 @@ class RotatingFileTransport extends BaseTransport {
       const ext = path.extname(this.filePath);
       const basename = path.basename(this.filePath, ext);
       const dirname = path.dirname(this.filePath);
-      const rotatedPath = path.join(dirname, `${basename}.${timestamp}${ext}`);
+      // Two rotations within a second must not replace a rotated file; numbers
+      // follow the highest one taken, so a name freed by cleanup is not reused
+      const sameSecond = new RegExp(
+        `^${escapeRegExp(`${basename}.${timestamp}`)}(?:\\.(\\d{3,}))?${escapeRegExp(ext)}$`
+      );
+      const taken = fs
+        .readdirSync(dirname)
+        .map((name) => sameSecond.exec(name))
+        .filter(Boolean)
+        .map((match) => Number(match[1] ?? 0));
+      const rotatedPath = path.join(
+        dirname,
+        taken.length === 0
+          ? `${basename}.${timestamp}${ext}`
+          : `${basename}.${timestamp}.${String(Math.max(...taken) + 1).padStart(3, '0')}${ext}`
+      );
 
       // Rename current file to rotated name
       await this._renameFile(this.filePath, rotatedPath);
 
+      // The rotated file is final: record its Merkle roots
+      if (this.checkpoint) {
+        await MerkleCheckpoint.create(rotatedPath, { period: this.checkpoint });
+      }
+      if (this.worm) {
+        await this.worm.seal(rotatedPath);
+      }
+
       // Clean up old files (keep only maxFiles)
       await this._cleanupOldFiles(dirname, basename, ext);
     } catch (error) {
@@ -254,26 +434,47 @@ class RotatingFileTransport extends BaseTransport {
 
       const files = fs.readdirSync(dirname);
 
-      // Filter for rotated files with same basename
+      // Rotated files with same basename: <basename>.<timestamp>[.NNN]<ext>
+      const pattern = new RegExp(
+        `^${escapeRegExp(basename)}\\.(\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2})(?:\\.(\\d{3,}))?${escapeRegExp(ext)}$`
+      );
       const rotatedFiles = files
-        .filter((f) => {
-          const pattern = new RegExp(
-            `^${basename}\\.\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}${ext}$`
-          );
-          return pattern.test(f);
-        })
-        .map((f) => ({
-          name: f,
-          path: path.join(dirname, f),
-          mtime: fs.statSync(path.join(dirname, f)).mtime,
+        .map((f) => ({ name: f, match: pattern.exec(f) }))
+        .filter(({ match }) => match)
+        .map(({ name, match }) => ({
+          name,
+          path: path.join(dirname, name),
+          mtime: fs.statSync(path.join(dirname, name)).mtime,
+          // Rotation order within the same mtime: timestamp, then counter
+          order: `${match[1]}.${match[2] ?? '000'}`,
         }))
-        .sort((a, b) => b.mtime - a.mtime); // Sort newest first
+        .sort((a, b) => b.mtime - a.mtime || b.order.localeCompare(a.order)); // Newest first
 
-      // Delete files beyond maxFiles limit
-      for (let i = this.maxFiles - 1; i < rotatedFiles.length; i++) {
-        const filePath = rotatedFiles[i].path;
+      // Delete files beyond maxFiles limit (class families: beyond the class's age and size)
+      const expired = this.retentionClass
+        ? this._expiredByClass(rotatedFiles)
+        : rotatedFiles.slice(this.maxFiles - 1);
+      for (const { path: filePath } of expired) {
         try {
+          // Held files are kept beyond maxFiles
+          // eslint-disable-next-line no-await-in-loop
+          if (this.legalHold && (await this.legalHold.holdsFor(filePath)).length > 0) {
+            continue;
+          }
+          if (this.worm) {
+            // Retained files are kept beyond maxFiles
+            // eslint-disable-next-line no-await-in-loop
+            if (await this.worm.isDeletable(filePath)) {
+              // eslint-disable-next-line no-await-in-loop
+              await this.worm.remove(filePath);
+              // eslint-disable-next-line no-await-in-loop
+              await MerkleCheckpoint.removeFor(filePath);
+            }
+            continue;
+          }
           fs.unlinkSync(filePath);
+          // eslint-disable-next-line no-await-in-loop
+          await MerkleCheckpoint.removeFor(filePath);
         } catch (error) {
           // Log but don't throw - cleanup failure shouldn't block logging
           console.warn(`Failed to delete old log file: ${filePath}`, error);
@@ -285,6 +486,33 @@ class RotatingFileTransport extends BaseTransport {
     }
   }
 
+  /**
+   * Rotated files of a class family past the class's maxAge, or beyond its
+   * maxTotalSize (oldest first, the current file counts towards the size)
+   * @private
+   * @param {Array<Object>} rotatedFiles - Rotated files, newest first
+   * @returns {Array<Object>} Files to delete
+   */
+  _expiredByClass(rotatedFiles) {
+    let definition;
+    try {
+      definition = (this.retention ?? new RetentionPolicy()).resolve(this.retentionClass);
+    } catch {
+      // A class defined only in a policy this transport was not given: keep everything
+      return [];
+    }
+
+    const now = Date.now();
+    let total = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+    return rotatedFiles.filter((file) => {
+      total += fs.statSync(file.path).size;
+      return (
+        now - file.mtime.getTime() > definition.maxAge ||
+        (definition.maxTotalSize !== null && total > definition.maxTotalSize)
+      );
+    });
+  }
+
   /**
    * Write content to file
    * @private
@@ -357,6 +585,12 @@ class RotatingFileTransport extends BaseTransport {
       maxFiles: this.maxFiles,
       rotationStrategy: this.rotationStrategy,
       compress: this.compress,
+      chain: this.chain,
+      chainHead: this._hashChain?.getHead() ?? null,
+      checkpoint: this.checkpoint,
+      worm: this.worm ? { retention: this.worm.retention } : null,
+      families: [...this._families.keys()],
+      legalHold: this.legalHold !== null,
       initialized: this._initialized,
     };
   }
@@ -367,6 +601,8 @@ class RotatingFileTransport extends BaseTransport {
    * @returns {Promise<void>}
    */
   async shutdown() {
+    await this._chainQueue;
+    await Promise.all([...this._families.values()].map((family) => family.shutdown()));
     this._initialized = false;
   }
 }
@@ -0,0 +1,528 @@
+/**
+ * Syslog Transport - RFC 5424 / RFC 3164 messages over UDP, TCP, TLS or a Unix socket
+ *
+ * - LogLevel => syslog severity (FATAL 2, ERROR 3, WARN 4, INFO 6, DEBUG and
+ *   TRACE 7; other registered levels 5 unless `severities` maps them), with a
+ *   configurable facility
+ * - RFC 5424: context fields become structured data: scalar fields go into one
+ *   element (`sdId`, default `context@32473`), plain-object fields named like an
+ *   SD-ID (`origin`, `meta`, `timeQuality` or `name@<enterprise number>`) become
+ *   their own elements; RFC 3164 (and `sdId: null`) appends the context as JSON
+ * - TCP and TLS use octet-counting framing (RFC 6587) unless `framing` is
+ *   'newline'; Unix sockets use newline framing
+ * - Stream connections are opened on first write and re-opened with
+ *   exponential backoff; messages written while disconnected are buffered
+ *   (oldest dropped beyond maxBufferSize) and sent in order on reconnect
+ *
+ * Node has no Unix datagram sockets: `protocol: 'unix'` connects a stream
+ * socket, so the listener at `path` must accept streams (e.g. syslog-ng
+ * unix-stream("/dev/log")).
+ *
+ * USAGE EXAMPLE:
+ * const syslog = new SyslogTransport({
+ *   protocol: 'tls',
+ *   host: 'logs.example.com',
+ *   facility: 'local0',
+ *   appName: 'billing',
+ *   tls: { ca: fs.readFileSync('./ca.pem') },
+ * });
+ * const logger = new CoreLogger({ name: 'api', transports: [syslog] });
+ * logger.warn('Slow query', { durationMs: 812 });
+ * // => <132>1 2026-10-19T18:25:20.279Z web-1 billing 4711 api [context@32473 durationMs="812"] Slow query
+ */
+
+import dgram from 'dgram';
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+import { BaseTransport } from './base-transport.js';
+import { LoggingError } from '../error-handling/errors.js';
+import { LevelRegistry } from '../utils/level-registry.js';
+
+export const SyslogFacility = {
+  kern: 0,
+  user: 1,
+  mail: 2,
+  daemon: 3,
+  auth: 4,
+  syslog: 5,
+  lpr: 6,
+  news: 7,
+  uucp: 8,
+  cron: 9,
+  authpriv: 10,
+  ftp: 11,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23,
+};
+
+// Severity by level name (RFC 5424 section 6.2.1)
+const SEVERITIES = { FATAL: 2, ERROR: 3, WARN: 4, INFO: 6, DEBUG: 7, TRACE: 7 };
+const DEFAULT_SEVERITY = 5; // notice
+
+const DEFAULT_PORTS = { udp: 514, tcp: 514, tls: 6514 };
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// SD-IDs registered with IANA; others need an enterprise number (name@12345)
+const IANA_SD_IDS = new Set(['timeQuality', 'origin', 'meta']);
+
+// RFC 5424 header fields: printable US-ASCII only, limited length, '-' when empty
+function headerField(value, maxLength) {
+  const field = String(value ?? '')
+    .replace(/[^\x21-\x7e]/g, '_')
+    .slice(0, maxLength);
+  return field || '-';
+}
+
+function sdName(name) {
+  return headerField(name, 32).replace(/[= \]"]/g, '_');
+}
+
+function sdValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return String(text).replace(/["\\\]]/g, '\\$&');
+}
+
+function isSdId(name) {
+  return IANA_SD_IDS.has(name) || /^[^@= \]"]+@\d+(\.\d+)*$/.test(name);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export class SyslogTransport extends BaseTransport {
+  /**
+   * @param {Object} [config={}] - Transport configuration
+   * @param {string} [config.protocol='udp'] - 'udp' | 'tcp' | 'tls' | 'unix'
+   * @param {string} [config.host='localhost'] - Syslog host (udp, tcp, tls)
+   * @param {number} [config.port] - Port (default: 514, 6514 for tls)
+   * @param {string} [config.path='/dev/log'] - Socket path (unix)
+   * @param {string} [config.format='rfc5424'] - 'rfc5424' | 'rfc3164'
+   * @param {string|number} [config.facility='user'] - Facility name (see SyslogFacility) or code
+   * @param {Object} [config.severities] - Severity by level name, merged over the defaults
+   *   (e.g. { AUDIT: 5 })
+   * @param {string} [config.appName] - APP-NAME / TAG (default: the entry's module)
+   * @param {string} [config.hostname=os.hostname()] - HOSTNAME field
+   * @param {string|null} [config.sdId='context@32473'] - SD-ID of the context element;
+   *   null appends the context to the message as JSON
+   * @param {string} [config.framing] - 'octet-counting' | 'newline' (default: octet-counting
+   *   for tcp and tls, newline for unix)
+   * @param {number} [config.maxMessageSize=2048] - Max UDP datagram size in bytes (longer
+   *   messages are truncated)
+   * @param {Object} [config.tls] - tls.connect() options (ca, cert, key, servername, ...)
+   * @param {Object} [config.reconnect] - { initialDelay = 500, maxDelay = 30000, factor = 2 } ms
+   * @param {number} [config.maxBufferSize=10000] - Messages kept while disconnected
+   * @throws {LoggingError} If configuration is invalid
+   */
+  constructor(config = {}) {
+    super(config);
+    this.protocol = config.protocol ?? 'udp';
+    this.format = config.format ?? 'rfc5424';
+    this.facility =
+      typeof config.facility === 'number'
+        ? config.facility
+        : SyslogFacility[config.facility ?? 'user'];
+    this._validateConfig(config);
+
+    this.host = config.host ?? 'localhost';
+    this.port = config.port ?? DEFAULT_PORTS[this.protocol] ?? null;
+    this.path = config.path ?? '/dev/log';
+    this.severities = { ...SEVERITIES, ...config.severities };
+    this.appName = config.appName ?? null;
+    this.hostname = config.hostname ?? os.hostname();
+    this.sdId = config.sdId === undefined ? 'context@32473' : config.sdId;
+    this.framing = config.framing ?? (this.protocol === 'unix' ? 'newline' : 'octet-counting');
+    this.maxMessageSize = config.maxMessageSize ?? 2048;
+    this.tlsOptions = config.tls ?? {};
+    this.reconnect = { initialDelay: 500, maxDelay: 30000, factor: 2, ...config.reconnect };
+    this.maxBufferSize = config.maxBufferSize ?? 10000;
+
+    // Framed messages waiting for a connection, oldest first
+    this._buffer = [];
+    this._socket = null;
+    this._connected = false;
+    this._reconnectTimer = null;
+    this._attempt = 0;
+    this._closed = false;
+
+    this.stats = {
+      sent: 0,
+      buffered: 0, // Messages that waited for a connection
+      dropped: 0, // Oldest buffered messages dropped at maxBufferSize
+      failed: 0,
+      connects: 0,
+      reconnects: 0,
+      lastError: null,
+    };
+  }
+
+  /**
+   *
+   * @private
+   */
+  _validateConfig(config) {
+    if (!['udp', 'tcp', 'tls', 'unix'].includes(this.protocol)) {
+      throw new LoggingError('INVALID_CONFIG', 'protocol must be one of: udp, tcp, tls, unix', {
+        receivedProtocol: config.protocol,
+      });
+    }
+    if (!['rfc5424', 'rfc3164'].includes(this.format)) {
+      throw new LoggingError('INVALID_CONFIG', 'format must be rfc5424 or rfc3164', {
+        receivedFormat: config.format,
+      });
+    }
+    if (!Number.isInteger(this.facility) || this.facility < 0 || this.facility > 23) {
+      throw new LoggingError('INVALID_CONFIG', 'facility must be a syslog facility (0-23)', {
+        receivedFacility: config.facility,
+      });
+    }
+    if (config.framing !== undefined && !['octet-counting', 'newline'].includes(config.framing)) {
+      throw new LoggingError('INVALID_CONFIG', 'framing must be octet-counting or newline', {
+        receivedFraming: config.framing,
+      });
+    }
+    if (config.sdId !== undefined && config.sdId !== null && !isSdId(config.sdId)) {
+      throw new LoggingError('INVALID_CONFIG', 'sdId must be name@<enterprise number>', {
+        receivedSdId: config.sdId,
+      });
+    }
+    for (const key of ['maxMessageSize', 'maxBufferSize']) {
+      const value = config[key];
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        throw new LoggingError('INVALID_CONFIG', `${key} must be a positive integer`, {
+          [key]: value,
+        });
+      }
+    }
+  }
+
+  /**
+   * Send entries to syslog
+   *
+   * Resolves once the messages were handed to the socket, or buffered while the
+   * connection is down.
+   *
+   * @param {LogEntry|LogEntry[]} entries - Entries to send
+   * @returns {Promise<void>}
+   */
+  async write(entries) {
+    const list = Array.isArray(entries) ? entries : [entries];
+    if (list.length === 0 || this._closed) {
+      return;
+    }
+    const messages = list.map((entry) => this.formatMessage(entry));
+
+    if (this.protocol === 'udp') {
+      await this._sendDatagrams(messages, list);
+      return;
+    }
+
+    const frames = messages.map((message) => this._frame(message));
+    if (!this._connected) {
+      this._bufferFrames(frames);
+      this._connect();
+      return;
+    }
+    await this._writeFrames(frames, list);
+  }
+
+  /**
+   * Send one entry
+   *
+   * @param {LogEntry} entry - Entry to send
+   * @returns {Promise<void>}
+   */
+  log(entry) {
+    return this.write([entry]);
+  }
+
+  /**
+   * Syslog message for an entry (without framing)
+   *
+   * @param {LogEntry} entry - Entry to format
+   * @returns {string} RFC 5424 or RFC 3164 message
+   */
+  formatMessage(entry) {
+    const pri = `<${this.facility * 8 + this.severityOf(entry.level)}>`;
+    const timestamp = entry.timestamp instanceof Date ? entry.timestamp : new Date();
+    const appName = this.appName ?? entry.moduleName;
+
+    if (this.format === 'rfc3164') {
+      const tag = String(appName ?? 'audit-core')
+        .replace(/[^A-Za-z0-9_.-]/g, '_')
+        .slice(0, 32);
+      return `${pri}${this._legacyTimestamp(timestamp)} ${headerField(this.hostname, 255)} ${tag}[${process.pid}]: ${this._text(entry, true)}`;
+    }
+
+    const header = [
+      `${pri}1`,
+      timestamp.toISOString(),
+      headerField(this.hostname, 255),
+      headerField(appName, 48),
+      headerField(process.pid, 128),
+      headerField(entry.moduleName, 32),
+    ].join(' ');
+    const structuredData = this.sdId ? this._structuredData(entry.context) : '-';
+    return `${header} ${structuredData} ${this._text(entry, !this.sdId)}`;
+  }
+
+  /**
+   * Syslog severity of a level
+   *
+   * @param {number} level - Entry level
+   * @returns {number} Severity 0-7
+   */
+  severityOf(level) {
+    const name = LevelRegistry.isValid(level) ? LevelRegistry.getName(level) : null;
+    return this.severities[name] ?? DEFAULT_SEVERITY;
+  }
+
+  /**
+   * Messages buffered until the connection is back
+   * @returns {number}
+   */
+  getPendingCount() {
+    return this._buffer.length;
+  }
+
+  /**
+   * Get transport statistics
+   * @returns {Object} { ...stats, pending, connected }
+   */
+  getStatistics() {
+    return { ...this.stats, pending: this._buffer.length, connected: this._connected };
+  }
+
+  /**
+   * Close the connection after the buffered messages were written
+   * (messages still buffered while disconnected stay in getPendingCount())
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this._closed) {
+      return;
+    }
+    this._closed = true;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+
+    const socket = this._socket;
+    if (!socket) {
+      return;
+    }
+    await new Promise((resolve) => {
+      socket.once('close', resolve);
+      if (this.protocol === 'udp') {
+        socket.close();
+      } else {
+        // Written data is flushed before the socket goes away
+        socket.end(() => socket.destroy());
+      }
+    });
+  }
+
+  /**
+   * Message text: the entry message, plus its context as JSON when the context
+   * is not sent as structured data
+   * @private
+   */
+  _text(entry, withContext) {
+    const context =
+      withContext && entry.context && Object.keys(entry.context).length > 0
+        ? ` - ${JSON.stringify(entry.context)}`
+        : '';
+    const text = `${entry.message}${context}`;
+    // Newline framing ends a message at the first LF
+    return this.protocol !== 'udp' && this.framing === 'newline'
+      ? text.replace(/\r?\n/g, ' ')
+      : text;
+  }
+
+  /**
+   *
+   * @private
+   */
+  _structuredData(context) {
+    if (!isPlainObject(context)) {
+      return '-';
+    }
+    const element = (id, fields) => {
+      const params = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => ` ${sdName(name)}="${sdValue(value)}"`);
+      return params.length > 0 ? `[${id}${params.join('')}]` : '';
+    };
+
+    const scalars = {};
+    const elements = [];
+    for (const [key, value] of Object.entries(context)) {
+      if (isSdId(key) && isPlainObject(value)) {
+        elements.push(element(key, value));
+      } else {
+        scalars[key] = value;
+      }
+    }
+    const sd = element(this.sdId, scalars) + elements.join('');
+    return sd || '-';
+  }
+
+  /**
+   * RFC 3164 timestamp: "Mmm dd hh:mm:ss" in local time
+   * @private
+   */
+  _legacyTimestamp(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, ' ');
+    return `${MONTHS[date.getMonth()]} ${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  /**
+   *
+   * @private
+   */
+  _frame(message) {
+    if (this.framing === 'newline') {
+      return `${message}\n`;
+    }
+    return `${Buffer.byteLength(message)} ${message}`;
+  }
+
+  /**
+   *
+   * @private
+   */
+  async _sendDatagrams(messages, entries) {
+    if (!this._socket) {
+      this._socket = dgram.createSocket(net.isIPv6(this.host) ? 'udp6' : 'udp4');
+      this._socket.on('error', (error) => {
+        this.stats.lastError = error.message;
+      });
+      this._socket.unref();
+    }
+
+    await Promise.all(
+      messages.map(
+        (message, index) =>
+          new Promise((resolve) => {
+            let data = Buffer.from(message);
+            if (data.length > this.maxMessageSize) {
+              data = data.subarray(0, this.maxMessageSize);
+            }
+            this._socket.send(data, this.port, this.host, (error) => {
+              if (error) {
+                this.stats.failed++;
+                this.stats.lastError = error.message;
+                this.handleError(error, entries[index]);
+              } else {
+                this.stats.sent++;
+              }
+              resolve();
+            });
+          })
+      )
+    );
+  }
+
+  /**
+   *
+   * @private
+   */
+  _writeFrames(frames, entries) {
+    return new Promise((resolve) => {
+      this._socket.write(frames.join(''), (error) => {
+        if (error) {
+          this.stats.failed += frames.length;
+          this.stats.lastError = error.message;
+          this.handleError(error, entries?.[0]);
+        } else {
+          this.stats.sent += frames.length;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   *
+   * @private
+   */
+  _bufferFrames(frames) {
+    this._buffer.push(...frames);
+    this.stats.buffered += frames.length;
+    const overflow = this._buffer.length - this.maxBufferSize;
+    if (overflow > 0) {
+      this._buffer.splice(0, overflow);
+      this.stats.dropped += overflow;
+    }
+  }
+
+  /**
+   * Open the stream connection (no-op while connecting or connected)
+   * @private
+   */
+  _connect() {
+    if (this._socket || this._reconnectTimer || this._closed) {
+      return;
+    }
+
+    let socket;
+    if (this.protocol === 'tls') {
+      socket = tls.connect({ host: this.host, port: this.port, ...this.tlsOptions });
+    } else if (this.protocol === 'unix') {
+      socket = net.createConnection({ path: this.path });
+    } else {
+      socket = net.createConnection({ host: this.host, port: this.port });
+    }
+    this._socket = socket;
+    // Like the flush timers elsewhere: close() (or ShutdownManager) ends the connection
+    socket.unref();
+
+    socket.once(this.protocol === 'tls' ? 'secureConnect' : 'connect', () => {
+      this._connected = true;
+      this.stats.connects++;
+      if (this._attempt > 0) {
+        this.stats.reconnects++;
+      }
+      this._attempt = 0;
+      if (this._buffer.length > 0) {
+        const frames = this._buffer.splice(0);
+        this._writeFrames(frames);
+      }
+    });
+    socket.on('error', (error) => {
+      this.stats.lastError = error.message;
+    });
+    socket.once('close', () => {
+      this._socket = null;
+      this._connected = false;
+      this._scheduleReconnect();
+    });
+  }
+
+  /**
+   *
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this._closed || this._reconnectTimer) {
+      return;
+    }
+    const { initialDelay, maxDelay, factor } = this.reconnect;
+    const delay = Math.min(maxDelay, initialDelay * factor ** this._attempt);
+    this._attempt++;
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._connect();
+    }, delay);
+    this._reconnectTimer.unref?.();
+  }
+}
+
+export default SyslogTransport;
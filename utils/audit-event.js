@@ -0,0 +1,164 @@
+/**
+ * Audit Event helpers
+ *
+ * The pieces of an audit entry shared by AuditLogger (core) and the
+ * components below it that audit on their own (WormPolicy in transports):
+ * - resolveAuditLevel(): the AUDIT level, registered on first use
+ * - auditMessage(): "<actor> <action> <type>:<resource> (<outcome>)"
+ * - splitAuditEvent() / mergeAuditEvent(): only the actor and resource
+ *   { id, type }, the action and the outcome bypass the sanitizer (key-based
+ *   redaction would mask `id`); every other field, including other actor and
+ *   resource fields, is sanitized
+ * - TransportAuditSink: writes events straight to a transport, for
+ *   transports that audit into themselves without depending on core/
+ *
+ * USAGE EXAMPLE:
+ * const sink = new TransportAuditSink({ name: 'worm', transport });
+ * await sink.audit({
+ *   actor: { id: 'audit-core', type: 'system' },
+ *   action: 'log.delete',
+ *   resource: { type: 'log-file', id: './logs/app.log' },
+ *   outcome: 'denied',
+ * });
+ * // => "[…] [worm] [AUDIT]: audit-core log.delete log-file:./logs/app.log (denied)"
+ */
+
+import { LevelRegistry } from './level-registry.js';
+import { LogLevel } from './types.js';
+import { LogEntry } from './log-entry.js';
+import { LoggingError } from '../error-handling/errors.js';
+
+// Registered on first use unless the application already defines an AUDIT level. Without
+// a convenience method: CoreLogger.audit() would log audit entries through the filtered,
+// sampled and rate limited path that AuditLogger.audit() bypasses
+const DEFAULT_AUDIT_LEVEL = { name: 'AUDIT', value: 1.5 };
+
+/**
+ * Level value for audit entries, registering the default AUDIT level if needed
+ *
+ * @param {number|string} [level] - Level value or name (default: AUDIT)
+ * @returns {number} Level value
+ * @throws {LoggingError} If the level is unknown
+ */
+export function resolveAuditLevel(level) {
+  if (level === undefined) {
+    const { name, value } = DEFAULT_AUDIT_LEVEL;
+    return name in LogLevel
+      ? LogLevel[name]
+      : LevelRegistry.register(name, value, { method: false });
+  }
+
+  const value = LevelRegistry.toValue(level);
+  if (value === undefined) {
+    throw new LoggingError(`Unknown audit level: ${level}`);
+  }
+  return value;
+}
+
+/**
+ * Message of an audit entry
+ *
+ * An actor without an id (e.g. an encrypted one) is named by its type, if any.
+ *
+ * @param {Object} event - Event with actor { id, type }, action, resource { type, id }, outcome
+ * @returns {string}
+ */
+export function auditMessage({ actor, action, resource, outcome }) {
+  const target = resource.type ? `${resource.type}:${resource.id}` : resource.id;
+  const who = actor.id ?? actor.type;
+  return `${who === undefined ? '' : `${who} `}${action} ${target} (${outcome})`;
+}
+
+/**
+ * Split an audit event into its identity and the details to sanitize
+ *
+ * @param {Object} event - Event with actor and resource objects
+ * @returns {{identity: Object, details: Object}} identity: actor { id, type }, action,
+ *   resource { type, id } and outcome; details: everything else (other actor and
+ *   resource fields under actor and resource)
+ */
+export function splitAuditEvent({ actor, action, resource, outcome, ...details }) {
+  const { id: actorId, type: actorType, ...actorDetails } = actor;
+  const { id: resourceId, type: resourceType, ...resourceDetails } = resource;
+  if (Object.keys(actorDetails).length > 0) {
+    details.actor = actorDetails;
+  }
+  if (Object.keys(resourceDetails).length > 0) {
+    details.resource = resourceDetails;
+  }
+  return {
+    identity: {
+      actor: definedFields({ id: actorId, type: actorType }),
+      action,
+      resource: definedFields({ type: resourceType, id: resourceId }),
+      outcome,
+    },
+    details,
+  };
+}
+
+/**
+ * Audit context from an identity and its sanitized details (see splitAuditEvent)
+ *
+ * @param {Object} identity - Identity fields, written as given
+ * @param {Object} [details={}] - Sanitized details
+ * @returns {Object} { actor, action, resource, outcome, ...details }
+ */
+export function mergeAuditEvent(identity, details = {}) {
+  const { actor, resource, ...rest } = details;
+  return {
+    actor: { ...identity.actor, ...actor },
+    action: identity.action,
+    resource: { ...identity.resource, ...resource },
+    outcome: identity.outcome,
+    ...rest,
+  };
+}
+
+function definedFields(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+export class TransportAuditSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {Object} options.transport - Transport with write(entries) or log(entry)
+   * @param {string} [options.name='audit'] - Module name of the entries
+   * @param {number|string} [options.level] - Level of the entries (default: AUDIT)
+   */
+  constructor(options = {}) {
+    this.transport = options.transport;
+    this.name = options.name ?? 'audit';
+    this.level = resolveAuditLevel(options.level);
+  }
+
+  /**
+   * Write an audit event
+   *
+   * @param {Object} event - { actor, action, resource, outcome, reason, metadata, ... }
+   * @returns {Promise<boolean>} true once written
+   */
+  async audit(event) {
+    const { identity, details } = splitAuditEvent(event);
+    const entry = new LogEntry(this.level, this.name, auditMessage(identity), {
+      audit: details,
+    });
+    // Identity fields are added after sanitization, as AuditLogger does
+    entry.context = { audit: mergeAuditEvent(identity, entry.context.audit) };
+
+    if (typeof this.transport.write === 'function') {
+      await this.transport.write([entry]);
+    } else {
+      await this.transport.log(entry);
+    }
+    return true;
+  }
+
+  /**
+   * Flush the transport, if it can
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.transport.flush?.();
+  }
+}
@@ -0,0 +1,507 @@
+/**
+ * Batch Signer
+ *
+ * Signs the batches CoreLogger flushes so shipped and stored logs can be
+ * proven authentic offline:
+ * - 'hmac-sha256' (shared secret) or 'ed25519' (private key), via node:crypto
+ * - Every flush gets a sequence number from BatchSequencer
+ * - Entries are signed per module (FileTransport writes one file per module);
+ *   each signature block follows its entries as a LogEntry with the message
+ *   'Batch signature' and context { signature: block }
+ * - block = { keyId, algorithm, sequence, prev, stream, moduleName, count, from, to,
+ *   digest, signature } where prev is the sequence of the previous block of the
+ *   same stream (transport) and module (null for the first), digest is the
+ *   SHA-256 of the entries' lines (LogEntry.toString() joined with '\n'),
+ *   from/to is the time range of the entries and the signature covers the
+ *   canonical JSON of the block without `signature`
+ * - With options.stateFile the sequence and the last block of every stream
+ *   survive restarts, so blocks keep linking up (saveState() writes it once per
+ *   batch, after the batch is signed for every stream)
+ *
+ * verifySignedLog() checks files written this way (plain or hash-chained
+ * lines, rotated and .gz files) against keys by key id, including that no
+ * block is missing between two blocks of a stream; HTTP receivers can check
+ * a received batch with BatchSigner.verifyBatch().
+ *
+ * USAGE EXAMPLE:
+ * const logger = new CoreLogger({
+ *   transports: [fileTransport],
+ *   signing: { keyId: 'logs-2026', algorithm: 'ed25519', privateKey },
+ * });
+ *
+ * const report = await verifySignedLog('./logs', { keys: { 'logs-2026': publicKey } });
+ * // => { valid: true, files: 4, entries: 1200, batches: 37, keyIds: ['logs-2026'], brokenAt: null }
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { BatchSequencer } from '../internal/transports/batch-sequencer.js';
+import { LogEntry } from './log-entry.js';
+import { LogLevel } from './types.js';
+import { canonicalJson, readLogFile } from './hash-chain.js';
+import { LoggingError } from '../error-handling/errors.js';
+
+export const SIGNATURE_MESSAGE = 'Batch signature';
+
+const ALGORITHMS = ['hmac-sha256', 'ed25519'];
+
+// "[timestamp] [module] [LEVEL]: message" (LogEntry.toString())
+const TEXT_LINE = /^\[[^\]]*\] \[([^\]]*)\] \[[^\]]*\]: /;
+
+// BatchSequencer only numbers the batches here; its progress messages are not wanted
+const SILENT = { log() {} };
+
+export class BatchSigner {
+  /**
+   * @param {Object} options - Signing options
+   * @param {string} options.keyId - Id verifiers use to look up the key
+   * @param {string} [options.algorithm='hmac-sha256'] - 'hmac-sha256' | 'ed25519'
+   * @param {string|Buffer} [options.secret] - Shared secret (hmac-sha256)
+   * @param {crypto.KeyObject|string} [options.privateKey] - Private key or PEM (ed25519)
+   * @param {BatchSequencer} [options.sequencer] - Sequencer to number batches with
+   * @param {string} [options.stateFile] - File keeping the sequence and the last block of
+   *   every stream across restarts (written by saveState())
+   * @throws {LoggingError} If options are invalid
+   */
+  constructor(options = {}) {
+    if (typeof options.keyId !== 'string' || !options.keyId.trim()) {
+      throw new LoggingError('Signing keyId must be a non-empty string');
+    }
+    this.keyId = options.keyId;
+    this.algorithm = options.algorithm ?? 'hmac-sha256';
+    if (!ALGORITHMS.includes(this.algorithm)) {
+      throw new LoggingError(`Signing algorithm must be one of: ${ALGORITHMS.join(', ')}`);
+    }
+
+    if (this.algorithm === 'hmac-sha256') {
+      if (
+        !options.secret ||
+        !(typeof options.secret === 'string' || Buffer.isBuffer(options.secret))
+      ) {
+        throw new LoggingError('hmac-sha256 signing needs a secret (string or Buffer)');
+      }
+      this._key = options.secret;
+    } else {
+      try {
+        this._key =
+          options.privateKey instanceof crypto.KeyObject
+            ? options.privateKey
+            : crypto.createPrivateKey(options.privateKey);
+      } catch (error) {
+        throw new LoggingError(`Invalid ed25519 privateKey: ${error.message}`);
+      }
+      if (this._key.asymmetricKeyType !== 'ed25519') {
+        throw new LoggingError(`Expected an ed25519 key, got ${this._key.asymmetricKeyType}`);
+      }
+    }
+
+    this.sequencer = options.sequencer ?? new BatchSequencer({ logger: SILENT });
+
+    // "<stream>:<moduleName>" => sequence of the last block signed for it
+    this.streams = new Map();
+    this.stateFile = options.stateFile ?? null;
+    this._saving = Promise.resolve();
+    this._loadState();
+  }
+
+  /**
+   * Number the next batch
+   *
+   * @param {LogEntry[]} entries - Flushed entries
+   * @returns {number} Batch sequence
+   */
+  nextSequence(entries) {
+    const sequence = this.sequencer.queueBatch(entries);
+    // Delivery is not driven through the sequencer, so it must not hold the batch
+    this.sequencer.pendingBatches.delete(sequence);
+    return sequence;
+  }
+
+  /**
+   * Sign entries, one block per module
+   *
+   * @param {LogEntry[]} entries - Entries delivered to one transport
+   * @param {number} sequence - Batch sequence (see nextSequence())
+   * @param {number|string} [stream=0] - Transport the entries go to (CoreLogger: its
+   *   signing stream id); blocks of the same stream and module are linked through prev
+   * @returns {LogEntry[]} Signature entries, to be written after the entries
+   */
+  sign(entries, sequence, stream = 0) {
+    const groups = new Map(); // moduleName => entries, in logging order
+    for (const entry of entries) {
+      if (!groups.has(entry.moduleName)) {
+        groups.set(entry.moduleName, []);
+      }
+      groups.get(entry.moduleName).push(entry);
+    }
+
+    const signatures = [...groups].map(([moduleName, group]) => {
+      const times = group.map((entry) => entry.timestamp.getTime());
+      const streamKey = `${stream}:${moduleName}`;
+      const block = {
+        keyId: this.keyId,
+        algorithm: this.algorithm,
+        sequence,
+        prev: this.streams.get(streamKey) ?? null,
+        stream,
+        moduleName,
+        count: group.length,
+        from: new Date(Math.min(...times)).toISOString(),
+        to: new Date(Math.max(...times)).toISOString(),
+        digest: BatchSigner.digest(group.map((entry) => entry.toString())),
+      };
+      block.signature = this._signPayload(canonicalJson(block));
+      this.streams.set(streamKey, sequence);
+
+      const signatureEntry = new LogEntry(LogLevel.INFO, moduleName, SIGNATURE_MESSAGE);
+      // Assigned after construction: context redaction must not alter the block
+      signatureEntry.context = { signature: block };
+      return signatureEntry;
+    });
+    return signatures;
+  }
+
+  /**
+   * SHA-256 of entry lines
+   *
+   * @param {string[]} lines - Lines as written (LogEntry.toString())
+   * @returns {string} Hex digest
+   */
+  static digest(lines) {
+    return crypto.createHash('sha256').update(lines.join('\n')).digest('hex');
+  }
+
+  /**
+   * Verify a received batch against its signature block
+   *
+   * @param {Array<LogEntry|string>} entries - Entries (or their lines) the block covers
+   * @param {Object} block - Signature block
+   * @param {Object<string, *>} keys - Secret (hmac-sha256) or public key / PEM (ed25519)
+   *   by key id
+   * @returns {{valid: boolean, reason: string|null}} reason is 'unknown-key',
+   *   'digest-mismatch' or 'bad-signature'
+   */
+  static verifyBatch(entries, block, keys) {
+    const lines = entries.map((entry) => (typeof entry === 'string' ? entry : entry.toString()));
+    const reason = this._check(block, lines, keys);
+    return { valid: reason === null, reason };
+  }
+
+  /**
+   * Verify signed log files
+   *
+   * Every entry line must be covered by a valid signature block of its
+   * module later in the same file, and the blocks of each stream and module
+   * must link up (prev) without a gap, starting at the stream's first block.
+   * Lines that do not start an entry continue the previous one (multi-line
+   * messages).
+   *
+   * @param {string|string[]} target - A log file, a directory (its .log and .log.gz files
+   *   and those of its subdirectories, in name order) or a list of files
+   * @param {Object} options - Verify options
+   * @param {Object<string, *>} options.keys - Secret (hmac-sha256) or public key / PEM
+   *   (ed25519) by key id
+   * @param {boolean} [options.partial=false] - Accept streams whose first block follows
+   *   blocks that are not in the target (e.g. a single rotated file)
+   * @returns {Promise<Object>} { valid, files, entries, batches, keyIds, brokenAt } where
+   *   brokenAt is null or { file, line, sequence, reason } and reason is 'malformed',
+   *   'unknown-key', 'digest-mismatch', 'bad-signature', 'unsigned' or 'sequence-gap'
+   */
+  static async verifyLog(target, options = {}) {
+    if (!options.keys || typeof options.keys !== 'object') {
+      throw new LoggingError('verifySignedLog needs keys by key id');
+    }
+
+    const files = Array.isArray(target) ? target : await this._collectFiles(target);
+    const report = {
+      valid: true,
+      files: files.length,
+      entries: 0,
+      batches: 0,
+      keyIds: [],
+      brokenAt: null,
+    };
+    const fail = (brokenAt) => ({ ...report, valid: false, brokenAt });
+    const keyIds = new Set();
+    const streams = new Map(); // "<stream>:<moduleName>" => sequence of its last block
+
+    for (const file of files) {
+      // eslint-disable-next-line no-await-in-loop
+      const lines = (await readLogFile(file)).replace(/\n$/, '').split('\n');
+      const chained = lines[0].startsWith('{');
+      const pending = new Map(); // moduleName => [{ line, text }] not yet covered by a block
+      let current = null; // Entry the next continuation line belongs to
+
+      for (let i = 0; i < lines.length; i++) {
+        const parsed = lines[i].trim() ? this._parseLine(lines[i], chained) : null;
+        if (!parsed && current) {
+          // A newline inside a message (text lines only)
+          current.text += `\n${lines[i]}`;
+          continue;
+        }
+        if (!parsed) {
+          if (!lines[i].trim()) {
+            continue;
+          }
+          return fail({ file, line: i + 1, sequence: null, reason: 'malformed' });
+        }
+
+        if (!parsed.block) {
+          if (!pending.has(parsed.moduleName)) {
+            pending.set(parsed.moduleName, []);
+          }
+          const item = { line: i + 1, text: parsed.text };
+          pending.get(parsed.moduleName).push(item);
+          // Hash-chained records keep their newlines escaped
+          current = chained ? null : item;
+          continue;
+        }
+        current = null;
+
+        const { block } = parsed;
+        const covered = pending.get(block.moduleName) ?? [];
+        pending.delete(block.moduleName);
+        if (covered.length > block.count) {
+          // Lines the block does not account for were added before it
+          return fail({
+            file,
+            line: covered[0].line,
+            sequence: block.sequence,
+            reason: 'unsigned',
+          });
+        }
+        const reason = this._check(
+          block,
+          covered.map((item) => item.text),
+          options.keys
+        );
+        if (reason) {
+          return fail({ file, line: i + 1, sequence: block.sequence, reason });
+        }
+
+        // A missing block (and its entries) breaks the link to the previous one
+        const streamKey = `${block.stream}:${block.moduleName}`;
+        const linked = streams.has(streamKey)
+          ? block.prev === streams.get(streamKey)
+          : block.prev === null || options.partial === true;
+        if (!linked) {
+          return fail({ file, line: i + 1, sequence: block.sequence, reason: 'sequence-gap' });
+        }
+        streams.set(streamKey, block.sequence);
+
+        keyIds.add(block.keyId);
+        report.batches++;
+        report.entries += covered.length;
+        report.keyIds = [...keyIds];
+      }
+
+      // Entries after the last block of their module
+      const unsigned = [...pending.values()].flat().sort((a, b) => a.line - b.line);
+      if (unsigned.length > 0) {
+        return fail({ file, line: unsigned[0].line, sequence: null, reason: 'unsigned' });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Seed the sequence and the streams from options.stateFile
+   * @private
+   */
+  _loadState() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+      return;
+    }
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (error) {
+      throw new LoggingError(
+        'SIGNING_STATE_INVALID',
+        `Cannot read signing state: ${error.message}`,
+        {
+          file: this.stateFile,
+        }
+      );
+    }
+    this.sequencer.sequenceNumber = Math.max(this.sequencer.sequenceNumber, state.sequence ?? 0);
+    this.streams = new Map(Object.entries(state.streams ?? {}));
+  }
+
+  /**
+   * Write the sequence and the streams to options.stateFile
+   *
+   * Call it once per batch, after signing the batch for every stream (CoreLogger
+   * does so before delivering it). Writes are queued, each one writing the
+   * latest state.
+   *
+   * @returns {Promise<void>}
+   */
+  saveState() {
+    if (!this.stateFile) {
+      return Promise.resolve();
+    }
+    const run = this._saving.then(async () => {
+      const state = {
+        sequence: this.sequencer.sequenceNumber,
+        streams: Object.fromEntries(this.streams),
+      };
+      await fs.promises.mkdir(path.dirname(this.stateFile), { recursive: true });
+      const tmp = `${this.stateFile}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(state, null, 2));
+      await fs.promises.rename(tmp, this.stateFile);
+    });
+    this._saving = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   *
+   * @private
+   */
+  _signPayload(payload) {
+    if (this.algorithm === 'hmac-sha256') {
+      return crypto.createHmac('sha256', this._key).update(payload).digest('base64');
+    }
+    return crypto.sign(null, Buffer.from(payload), this._key).toString('base64');
+  }
+
+  /**
+   * @private
+   * @returns {string|null} Failure reason, or null if the block is valid for the lines
+   */
+  static _check(block, lines, keys) {
+    const key = Object.hasOwn(keys, block.keyId) ? keys[block.keyId] : undefined;
+    if (key === undefined) {
+      return 'unknown-key';
+    }
+    if (lines.length !== block.count || this.digest(lines) !== block.digest) {
+      return 'digest-mismatch';
+    }
+
+    const { signature, ...signed } = block;
+    const payload = Buffer.from(canonicalJson(signed));
+    let signatureBytes;
+    try {
+      signatureBytes = Buffer.from(signature, 'base64');
+    } catch {
+      return 'bad-signature';
+    }
+
+    // The key decides the algorithm, never the block: a public key used as an
+    // HMAC secret would let anyone forge blocks
+    const publicKey = this._publicKey(key);
+    if (publicKey) {
+      return block.algorithm === 'ed25519' &&
+        crypto.verify(null, payload, publicKey, signatureBytes)
+        ? null
+        : 'bad-signature';
+    }
+    if (block.algorithm !== 'hmac-sha256') {
+      return 'bad-signature';
+    }
+    const expected = crypto.createHmac('sha256', key).update(payload).digest();
+    return expected.length === signatureBytes.length &&
+      crypto.timingSafeEqual(expected, signatureBytes)
+      ? null
+      : 'bad-signature';
+  }
+
+  /**
+   * Public key for ed25519 key material, null for an HMAC secret
+   * @private
+   */
+  static _publicKey(key) {
+    if (key instanceof crypto.KeyObject) {
+      if (key.type === 'secret') {
+        return null;
+      }
+      return key.type === 'public' ? key : crypto.createPublicKey(key);
+    }
+    if (typeof key === 'string' && key.includes('-----BEGIN')) {
+      return crypto.createPublicKey(key);
+    }
+    return null;
+  }
+
+  /**
+   * Entry text (as signed) or signature block of a written line
+   * @private
+   * @param {string} line - Written line
+   * @param {boolean} chained - Whether the file holds hash-chained records
+   * @returns {{moduleName: string, text?: string, block?: Object}|null}
+   */
+  static _parseLine(line, chained) {
+    if (chained) {
+      // Hash-chained record (FileTransport / RotatingFileTransport with chain: true)
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        return null;
+      }
+      if (record.message === SIGNATURE_MESSAGE && record.context?.signature) {
+        return { moduleName: record.moduleName, block: record.context.signature };
+      }
+      const context = record.context ? ` - ${JSON.stringify(record.context)}` : '';
+      return {
+        moduleName: record.moduleName,
+        text: `[${record.timestamp}] [${record.moduleName}] [${LogLevel[record.level]}]: ${record.message}${context}`,
+      };
+    }
+
+    const match = TEXT_LINE.exec(line);
+    if (!match) {
+      return null;
+    }
+    const body = line.slice(match[0].length);
+    if (body.startsWith(`${SIGNATURE_MESSAGE} - `)) {
+      try {
+        const { signature } = JSON.parse(body.slice(SIGNATURE_MESSAGE.length + 3));
+        return signature ? { moduleName: match[1], block: signature } : null;
+      } catch {
+        return null;
+      }
+    }
+    return { moduleName: match[1], text: line };
+  }
+
+  /**
+   *
+   * @private
+   */
+  static async _collectFiles(target) {
+    if (!(await fs.promises.stat(target)).isDirectory()) {
+      return [target];
+    }
+
+    const files = [];
+    const names = (await fs.promises.readdir(target)).sort();
+    for (const name of names) {
+      const fullPath = path.join(target, name);
+      // eslint-disable-next-line no-await-in-loop
+      if ((await fs.promises.stat(fullPath)).isDirectory()) {
+        // eslint-disable-next-line no-await-in-loop
+        files.push(...(await this._collectFiles(fullPath)));
+      } else if (/\.log(\.gz)?$/.test(name)) {
+        files.push(fullPath);
+      }
+    }
+    return files;
+  }
+}
+
+/**
+ * Verify signed log files
+ *
+ * @param {string|string[]} target - See BatchSigner.verifyLog()
+ * @param {Object} options - { keys, partial } (see BatchSigner.verifyLog())
+ * @returns {Promise<Object>} Verification report
+ */
+export function verifySignedLog(target, options) {
+  return BatchSigner.verifyLog(target, options);
+}
+
+export default BatchSigner;
@@ -0,0 +1,200 @@
+/**
+ * Error Serializer
+ *
+ * Turns Error instances into plain, log-safe objects:
+ * - { type, message, code, stack, cause, errors, context }
+ * - stack is a list of frames parsed by StackTraceExtractor (via ErrorContext)
+ * - cause and AggregateError.errors are serialized recursively up to maxDepth
+ * - secrets inside messages are redacted (DataSanitizer patterns and
+ *   "password=..." style assignments)
+ * - LoggingError.code and LoggingError.context are preserved
+ *
+ * Error properties are not enumerable, so without this DataSanitizer (and
+ * JSON.stringify) would drop the message, stack and cause of logged errors.
+ *
+ * USAGE EXAMPLE:
+ * const err = new Error('Checkout failed', { cause: dbError });
+ * ErrorSerializer.serialize(err);
+ * // => { type: 'Error', message: 'Checkout failed', code: null, stack: [...],
+ * //      cause: { type: 'DbError', message: '...', code: 'ECONNRESET', stack: [...] } }
+ */
+
+import { ErrorContext } from '../internal/utils/stack-trace.js';
+import { DataSanitizer } from '../sanitizer/data-sanitizer.js';
+
+const DEFAULT_MAX_DEPTH = 5;
+const DEFAULT_MAX_FRAMES = 10;
+
+// How deep serializeErrors() looks for errors inside plain objects and arrays
+const MAX_WALK_DEPTH = 8;
+
+// "password=hunter2", "token: abc", "apiKey='...'"
+const SECRET_ASSIGNMENT =
+  /\b(password|passwd|pwd|secret|token|api[_-]?key|authorization)(\s*[:=]\s*)("[^"]*"|'[^']*'|\S+)/gi;
+
+const sanitizer = new DataSanitizer();
+
+export class ErrorSerializer {
+  /**
+   * Serialize an error (or any thrown value)
+   *
+   * @param {*} error - Error instance or thrown value
+   * @param {Object} [options={}] - Serializer options
+   * @param {number} [options.maxDepth=5] - Levels of cause/errors nesting to include;
+   *   deeper levels are omitted and the last level is marked `truncated: true`
+   * @param {number} [options.maxFrames=10] - Stack frames per error
+   * @returns {Object} { type, message, code, stack, cause?, errors?, context?, truncated? }
+   */
+  static serialize(error, options = {}) {
+    const maxDepth = options.maxDepth ?? DEFAULT_MAX_DEPTH;
+    const maxFrames = options.maxFrames ?? DEFAULT_MAX_FRAMES;
+    return this._serialize(error, maxDepth, maxFrames, new Set());
+  }
+
+  /**
+   * Replace Error instances found in a value with their serialized form
+   *
+   * Walks plain objects and arrays (up to a fixed depth) and copies only the
+   * containers that hold an error; anything else is returned as-is.
+   *
+   * @param {*} value - Value to scan (e.g. log entry context)
+   * @param {Object} [options={}] - Options passed to serialize()
+   * @returns {*} Value with errors serialized
+   */
+  static serializeErrors(value, options = {}) {
+    return this._walk(value, options, 0);
+  }
+
+  /**
+   * Redact secrets from an error message
+   *
+   * @param {string} message - Message to redact
+   * @returns {string} Redacted message
+   */
+  static redactMessage(message) {
+    const redacted = String(message).replace(SECRET_ASSIGNMENT, '$1$2[REDACTED]');
+    return sanitizer.sanitize(redacted, false);
+  }
+
+  /**
+   *
+   * @private
+   */
+  static _serialize(error, depthLeft, maxFrames, seen) {
+    if (!(error instanceof Error)) {
+      return {
+        type: error === null ? 'null' : typeof error,
+        message: this.redactMessage(this._stringify(error)),
+        code: null,
+        stack: [],
+      };
+    }
+
+    if (seen.has(error)) {
+      return { type: this._typeOf(error), message: '[Circular]', code: null, stack: [] };
+    }
+    seen.add(error);
+
+    const details = new ErrorContext(error);
+    const serialized = {
+      type: this._typeOf(error),
+      message: this.redactMessage(details.message),
+      code: details.code,
+      stack: details.stack.slice(0, maxFrames).map((frame) => frame.toJSON()),
+    };
+
+    if (error.context && typeof error.context === 'object') {
+      serialized.context = this._walk(error.context, {}, 0);
+    }
+
+    const hasCause = error.cause !== undefined;
+    const hasErrors = Array.isArray(error.errors) && error.errors.length > 0;
+    if (depthLeft <= 0) {
+      if (hasCause || hasErrors) {
+        serialized.truncated = true;
+      }
+    } else {
+      if (hasCause) {
+        serialized.cause = this._serialize(error.cause, depthLeft - 1, maxFrames, seen);
+      }
+      if (hasErrors) {
+        serialized.errors = error.errors.map((inner) =>
+          this._serialize(inner, depthLeft - 1, maxFrames, seen)
+        );
+      }
+    }
+
+    // Only ancestors count as circular; the same error may appear in sibling branches
+    seen.delete(error);
+    return serialized;
+  }
+
+  /**
+   *
+   * @private
+   */
+  static _walk(value, options, depth) {
+    if (value instanceof Error) {
+      return this.serialize(value, options);
+    }
+    if (value === null || typeof value !== 'object' || depth >= MAX_WALK_DEPTH) {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      let copy = null;
+      value.forEach((item, i) => {
+        const walked = this._walk(item, options, depth + 1);
+        if (walked !== item) {
+          copy ??= [...value];
+          copy[i] = walked;
+        }
+      });
+      return copy ?? value;
+    }
+
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) {
+      return value;
+    }
+
+    let copy = null;
+    for (const [key, item] of Object.entries(value)) {
+      const walked = this._walk(item, options, depth + 1);
+      if (walked !== item) {
+        copy ??= { ...value };
+        copy[key] = walked;
+      }
+    }
+    return copy ?? value;
+  }
+
+  /**
+   * Prefer the subclass name when a custom error keeps name = 'Error'
+   * @private
+   */
+  static _typeOf(error) {
+    const constructorName = error.constructor?.name;
+    if (error.name === 'Error' && constructorName && constructorName !== 'Error') {
+      return constructorName;
+    }
+    return error.name || constructorName || 'Error';
+  }
+
+  /**
+   *
+   * @private
+   */
+  static _stringify(value) {
+    if (typeof value === 'string') {
+      return value;
+    }
+    try {
+      return JSON.stringify(value) ?? String(value);
+    } catch {
+      return String(value);
+    }
+  }
+}
+
+export default ErrorSerializer;
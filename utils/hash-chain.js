@@ -0,0 +1,346 @@
+/**
+ * Hash Chain
+ *
+ * Tamper-evident chaining for log files:
+ * - Every written record carries `seq`, `prevHash` and `hash`
+ * - hash = SHA-256 (hex) of the canonical JSON of the record without `hash`
+ *   (object keys sorted, no whitespace)
+ * - The first record (seq 0) links to GENESIS_HASH
+ * - The head { seq, hash } is the link for the next record; transports
+ *   persist it next to the log so the chain continues across rotations
+ *   and restarts
+ *
+ * Editing a record breaks its hash, deleting or reordering records breaks
+ * the next link, deleting the first records leaves the chain without its
+ * genesis record, and cutting off the tail leaves the file behind the
+ * persisted head. verifyChain() reports the first such broken link.
+ *
+ * USAGE EXAMPLE:
+ * const chain = new HashChain();
+ * const record = chain.append(entry); // { seq: 0, prevHash: '000…', timestamp, …, hash }
+ * fs.appendFileSync('audit.log', JSON.stringify(record) + '\n');
+ *
+ * const report = await verifyChain('./logs/audit.log');
+ * // => { valid: false, entries: 41, brokenAt: { file, line: 42, seq: 41, reason: 'hash-mismatch' } }
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { LoggingError } from '../error-handling/errors.js';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Name of the head file kept in a chained directory (FileTransport)
+export const CHAIN_HEAD_FILE = 'chain-head.json';
+
+/**
+ * Serialize a JSON value with sorted object keys and no whitespace
+ *
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+export function canonicalJson(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (typeof value.toJSON === 'function') {
+    return canonicalJson(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+
+  const members = Object.keys(value)
+    .filter((key) => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+  return `{${members.join(',')}}`;
+}
+
+/**
+ * Read a log file as text (.gz files are decompressed)
+ *
+ * @param {string} file - Log file path
+ * @returns {Promise<string>} File content
+ */
+export async function readLogFile(file) {
+  const data = await fs.promises.readFile(file);
+  return file.endsWith('.gz') ? zlib.gunzipSync(data).toString('utf8') : data.toString('utf8');
+}
+
+export class HashChain {
+  /**
+   * @param {Object} [options={}] - Chain options
+   * @param {{seq: number, hash: string}|null} [options.head=null] - Head to continue from
+   *   (null starts a new chain at seq 0)
+   */
+  constructor(options = {}) {
+    this.head = options.head ?? null;
+  }
+
+  /**
+   * Link a log entry to the chain
+   *
+   * @param {LogEntry} entry - Entry to chain
+   * @returns {Object} Record { seq, prevHash, timestamp, level, moduleName, message, context,
+   *   hash } to be written as one JSON line
+   */
+  append(entry) {
+    const record = {
+      seq: this.head ? this.head.seq + 1 : 0,
+      prevHash: this.head ? this.head.hash : GENESIS_HASH,
+      timestamp: entry.timestamp instanceof Date ? entry.timestamp.toISOString() : entry.timestamp,
+      level: entry.level,
+      moduleName: entry.moduleName,
+      message: entry.message,
+      // Hash what a reader will parse back, not the in-memory objects
+      context: entry.context == null ? null : JSON.parse(JSON.stringify(entry.context)),
+    };
+    record.hash = HashChain.hashRecord(record);
+
+    this.head = { seq: record.seq, hash: record.hash };
+    return record;
+  }
+
+  /**
+   * Current head, or null for an empty chain
+   *
+   * @returns {{seq: number, hash: string}|null} Head
+   */
+  getHead() {
+    return this.head ? { ...this.head } : null;
+  }
+
+  /**
+   * Hash a record (its `hash` field is ignored)
+   *
+   * @param {Object} record - Chained record
+   * @returns {string} SHA-256 hex digest of the canonical JSON
+   */
+  static hashRecord(record) {
+    const { hash: _ignored, ...rest } = record;
+    return crypto.createHash('sha256').update(canonicalJson(rest)).digest('hex');
+  }
+
+  /**
+   * Load the head to continue a chain from
+   *
+   * Uses the persisted head file, or the last record of `logFile` when that
+   * is further ahead (the process stopped between writing records and
+   * persisting the head).
+   *
+   * @param {string} headFile - Persisted head file
+   * @param {string} [logFile] - Log file the chain was last written to
+   * @returns {Promise<{seq: number, hash: string}|null>} Head, or null for a new chain
+   * @throws {LoggingError} If the head file is unreadable
+   */
+  static async resumeHead(headFile, logFile) {
+    let head = null;
+    try {
+      head = JSON.parse(await fs.promises.readFile(headFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new LoggingError('CHAIN_HEAD_INVALID', `Cannot read chain head: ${error.message}`, {
+          headFile,
+        });
+      }
+    }
+
+    const last = logFile ? await this._lastRecord(logFile) : null;
+    if (last && (!head || last.seq > head.seq)) {
+      head = { seq: last.seq, hash: last.hash };
+    }
+    return head;
+  }
+
+  /**
+   * Persist a head (written to a temp file, then renamed)
+   *
+   * @param {string} headFile - Head file path
+   * @param {{seq: number, hash: string}} head - Head to persist
+   * @returns {Promise<void>}
+   */
+  static async saveHead(headFile, head) {
+    const tmp = `${headFile}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(head), 'utf8');
+    await fs.promises.rename(tmp, headFile);
+  }
+
+  /**
+   * Verify a chained log
+   *
+   * @param {string|string[]} target - A log file, a directory holding one chain (its .log and
+   *   .log.gz files are checked in the order of their first record's seq), or files in order
+   * @param {Object} [options={}] - Verify options
+   * @param {string|null} [options.headFile] - Persisted head to compare the end of the chain
+   *   with (default: `<file>.chain-head.json`, or the only head file in a directory, if present)
+   * @param {boolean} [options.partial=false] - Accept a chain that starts after the genesis
+   *   record (older files removed on purpose, or one file out of several); firstSeq tells where
+   * @returns {Promise<Object>} { valid, entries, files, firstSeq, lastSeq, head, brokenAt } where
+   *   brokenAt is null or { file, line, seq, reason } and reason is 'malformed', 'unchained',
+   *   'missing-genesis', 'hash-mismatch', 'seq-gap', 'prev-mismatch' or 'truncated'
+   */
+  static async verify(target, options = {}) {
+    const { files, headFile } = await this._resolveTarget(target, options);
+    const report = {
+      valid: true,
+      entries: 0,
+      files: files.length,
+      firstSeq: null,
+      lastSeq: null,
+      head: null,
+      brokenAt: null,
+    };
+    const fail = (brokenAt) => ({ ...report, valid: false, brokenAt });
+
+    let previous = null;
+    for (const file of files) {
+      // eslint-disable-next-line no-await-in-loop
+      const lines = (await readLogFile(file)).split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].trim()) {
+          continue;
+        }
+        const at = { file, line: i + 1 };
+
+        let record;
+        try {
+          record = JSON.parse(lines[i]);
+        } catch {
+          return fail({ ...at, seq: previous ? previous.seq + 1 : null, reason: 'malformed' });
+        }
+        if (!Number.isInteger(record?.seq) || !record.prevHash || !record.hash) {
+          return fail({ ...at, seq: record?.seq ?? null, reason: 'unchained' });
+        }
+        if (this.hashRecord(record) !== record.hash) {
+          return fail({ ...at, seq: record.seq, reason: 'hash-mismatch' });
+        }
+        if (!previous && record.seq !== 0 && !options.partial) {
+          return fail({ ...at, seq: 0, reason: 'missing-genesis' });
+        }
+        if (previous && record.seq !== previous.seq + 1) {
+          return fail({ ...at, seq: previous.seq + 1, reason: 'seq-gap' });
+        }
+        // Without a previous record only the genesis link can be checked
+        const expectedPrev = previous ? previous.hash : record.seq === 0 ? GENESIS_HASH : null;
+        if (expectedPrev && record.prevHash !== expectedPrev) {
+          return fail({ ...at, seq: record.seq, reason: 'prev-mismatch' });
+        }
+
+        previous = record;
+        report.entries++;
+        report.firstSeq ??= record.seq;
+        report.lastSeq = record.seq;
+        report.head = record.hash;
+      }
+    }
+
+    if (headFile) {
+      const head = await this.resumeHead(headFile);
+      if (head && (report.lastSeq === null || head.seq > report.lastSeq)) {
+        return fail({
+          file: files.at(-1) ?? null,
+          line: null,
+          seq: (report.lastSeq ?? -1) + 1,
+          reason: 'truncated',
+        });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   *
+   * @private
+   */
+  static async _resolveTarget(target, options) {
+    let files;
+    let headFile = options.headFile;
+
+    if (Array.isArray(target)) {
+      files = target;
+      headFile ??= `${target.at(-1)}.chain-head.json`;
+    } else if ((await fs.promises.stat(target)).isDirectory()) {
+      const names = (await fs.promises.readdir(target)).filter((name) =>
+        /\.log(\.gz)?$/.test(name)
+      );
+      // Chain order, whatever the names (rotations within one second, ...)
+      const first = new Map();
+      for (const name of names) {
+        // eslint-disable-next-line no-await-in-loop
+        first.set(name, (await this._firstRecord(path.join(target, name)))?.seq ?? Infinity);
+      }
+      files = names
+        .sort()
+        .sort((a, b) => first.get(a) - first.get(b))
+        .map((name) => path.join(target, name));
+      // FileTransport keeps chain-head.json; RotatingFileTransport <file>.chain-head.json
+      const heads = (await fs.promises.readdir(target)).filter(
+        (name) => name === CHAIN_HEAD_FILE || name.endsWith('.chain-head.json')
+      );
+      headFile ??= heads.length === 1 ? path.join(target, heads[0]) : null;
+    } else {
+      files = [target];
+      headFile ??= `${target}.chain-head.json`;
+    }
+
+    if (headFile && !fs.existsSync(headFile)) {
+      headFile = null;
+    }
+    return { files, headFile };
+  }
+
+  /**
+   *
+   * @private
+   */
+  static async _firstRecord(file) {
+    const line = (await readLogFile(file)).split('\n').find((text) => text.trim());
+    try {
+      const record = JSON.parse(line);
+      return Number.isInteger(record?.seq) ? record : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   *
+   * @private
+   */
+  static async _lastRecord(file) {
+    let content;
+    try {
+      content = await readLogFile(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const lines = content.trimEnd().split('\n');
+    try {
+      const record = JSON.parse(lines.at(-1));
+      return Number.isInteger(record?.seq) && record.hash ? record : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Verify a chained log file, directory or ordered list of files
+ *
+ * @param {string|string[]} target - See HashChain.verify()
+ * @param {Object} [options] - See HashChain.verify()
+ * @returns {Promise<Object>} Verification report
+ */
+export function verifyChain(target, options) {
+  return HashChain.verify(target, options);
+}
+
+export default HashChain;
@@ -4,6 +4,14 @@
  */
 
 export { LogLevel } from './types.js';
+export { LevelRegistry } from './level-registry.js';
+export { ErrorSerializer } from './error-serializer.js';
+export { HashChain, verifyChain } from './hash-chain.js';
+export { BatchSigner, verifySignedLog } from './batch-signer.js';
+export { MerkleCheckpoint, verifyInclusionProof } from './merkle-checkpoint.js';
+export { WormPolicy } from './worm-policy.js';
+export { LegalHoldRegistry } from './legal-hold.js';
+export { SubjectKeyStore, readShreddedLog } from './subject-keystore.js';
 export { LogEntry } from './log-entry.js';
 export { StackTrace } from './stack-trace.js';
 export { LogFormatter } from './log-formatter.js';
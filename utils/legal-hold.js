@@ -0,0 +1,295 @@
+/**
+ * Legal Hold Registry
+ *
+ * Freezes log files and archives that may hold evidence:
+ * - A hold selects entries by time range (from / to), modules (names or
+ *   patterns) and correlation IDs; all given criteria must match one line
+ * - Files with at least one matching line (text, hash-chained or .gz) are
+ *   held: LogCleanupPolicy, LogRotator, AdvancedLogRotator and LogArchiver
+ *   given the registry keep them until every hold on them is released
+ * - Holds are stored in a JSON file (mode 0600) that is re-read before every
+ *   check, so holds placed by another process apply at once
+ * - place() and release() are audit events (legal-hold.place /
+ *   legal-hold.release) on the registry's AuditLogger
+ *
+ * USAGE EXAMPLE:
+ * const legalHold = new LegalHoldRegistry({
+ *   file: './holds/legal-holds.json',
+ *   audit: new AuditLogger({ transports: [new FileTransport({ logDirectory: './audit' })] }),
+ * });
+ * const hold = await legalHold.place({
+ *   reason: 'INC-1042 customer dispute',
+ *   from: '2026-10-01T00:00:00Z',
+ *   to: '2026-10-07T00:00:00Z',
+ *   modules: ['payments*'],
+ *   actor: { id: 'legal@example.com', type: 'user' },
+ * });
+ * const cleanup = new LogCleanupPolicy({ maxAge: 30 * 86400000, legalHold });
+ * await cleanup.cleanup('./logs'); // result.heldFiles lists the kept files
+ * await legalHold.release(hold.id, { actor: { id: 'legal@example.com', type: 'user' } });
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { readLogFile } from './hash-chain.js';
+import { ModulePatternMatcher } from '../internal/utils/module-pattern-matcher.js';
+import { LoggingError } from '../error-handling/errors.js';
+
+// First timestamp of a line, and its module in text ("] [module] [") or JSON form
+const TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/;
+const TEXT_MODULE = /\] \[([^\]]+)\] \[/;
+const JSON_MODULE = /"(?:moduleName|module)":"([^"]+)"/;
+
+export class LegalHoldRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string} options.file - Registry file (created with mode 0600)
+   * @param {Object} options.audit - AuditLogger (anything with audit(event)) for hold changes
+   * @param {Object} [options.actor={ id: 'audit-core', type: 'system' }] - Default actor
+   * @throws {LoggingError} If configuration is invalid or the file cannot be read
+   */
+  constructor(options = {}) {
+    if (!options.file || typeof options.file !== 'string') {
+      throw new LoggingError('INVALID_CONFIG', 'legal hold registry needs a file', {
+        receivedFile: options.file,
+      });
+    }
+    if (typeof options.audit?.audit !== 'function') {
+      throw new LoggingError('INVALID_CONFIG', 'legal hold registry needs an audit logger', {});
+    }
+
+    this.file = options.file;
+    this.audit = options.audit;
+    this.actor = options.actor ?? { id: 'audit-core', type: 'system' };
+    // id => hold (released holds are kept for the record)
+    this.holds = new Map();
+    this._load();
+  }
+
+  /**
+   * Place a hold
+   *
+   * @param {Object} hold - Hold criteria
+   * @param {string} hold.reason - Why the hold exists (case, incident)
+   * @param {string|Date} [hold.from] - Earliest entry time held
+   * @param {string|Date} [hold.to] - Latest entry time held
+   * @param {string[]} [hold.modules] - Module names or patterns (e.g. 'payments*')
+   * @param {string[]} [hold.correlationIds] - Correlation IDs
+   * @param {string} [hold.id] - Hold id (default: random)
+   * @param {Object} [hold.actor] - Who places the hold (default: the registry's actor)
+   * @returns {Promise<Object>} Stored hold
+   * @throws {LoggingError} LEGAL_HOLD_INVALID if the hold has no criteria or its id is taken
+   */
+  async place(hold = {}) {
+    this._load();
+    const stored = this._normalize(hold);
+    if (this.holds.has(stored.id)) {
+      throw new LoggingError('LEGAL_HOLD_INVALID', `Legal hold ${stored.id} already exists`, {
+        holdId: stored.id,
+      });
+    }
+
+    this.holds.set(stored.id, stored);
+    this._save();
+    await this._audit('place', stored, hold.actor, { after: stored });
+    return stored;
+  }
+
+  /**
+   * Release a hold (the files it held may be deleted again)
+   *
+   * @param {string} id - Hold id
+   * @param {Object} [options={}] - Release options
+   * @param {Object} [options.actor] - Who releases the hold
+   * @param {string} [options.reason] - Why the hold is released
+   * @returns {Promise<Object>} Released hold
+   * @throws {LoggingError} LEGAL_HOLD_NOT_FOUND if there is no active hold with that id
+   */
+  async release(id, options = {}) {
+    this._load();
+    const hold = this.holds.get(id);
+    if (!hold || hold.releasedAt) {
+      throw new LoggingError('LEGAL_HOLD_NOT_FOUND', `No active legal hold ${id}`, {
+        holdId: id,
+      });
+    }
+
+    const actor = options.actor ?? this.actor;
+    const released = { ...hold, releasedAt: new Date().toISOString(), releasedBy: actor.id };
+    this.holds.set(id, released);
+    this._save();
+    await this._audit('release', released, actor, {
+      before: hold,
+      after: released,
+      reason: options.reason ?? hold.reason,
+    });
+    return released;
+  }
+
+  /**
+   * Holds in the registry
+   *
+   * @param {Object} [options={}] - List options
+   * @param {boolean} [options.includeReleased=false] - Include released holds
+   * @returns {Object[]}
+   */
+  list(options = {}) {
+    this._load();
+    return [...this.holds.values()].filter((hold) => options.includeReleased || !hold.releasedAt);
+  }
+
+  /**
+   * Active holds covering a file
+   *
+   * @param {string} file - Log file or archive
+   * @returns {Promise<string[]>} Ids of the holds (empty if the file is not held)
+   */
+  async holdsFor(file) {
+    const active = this.list();
+    if (active.length === 0) {
+      return [];
+    }
+
+    // Nothing in a file is newer than its last write
+    const { mtimeMs } = await fs.promises.stat(file);
+    const candidates = active.filter((hold) => !hold.from || mtimeMs >= Date.parse(hold.from));
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const lines = (await readLogFile(file)).split('\n').filter((line) => line.trim());
+    return candidates
+      .filter((hold) => lines.some((line) => this._matchesLine(hold, line)))
+      .map((hold) => hold.id);
+  }
+
+  /**
+   * Whether one line falls under a hold
+   * @private
+   */
+  _matchesLine(hold, line) {
+    if (hold.from || hold.to) {
+      const timestamp = TIMESTAMP.exec(line);
+      const time = timestamp ? Date.parse(timestamp[0]) : NaN;
+      if (
+        Number.isNaN(time) ||
+        (hold.from && time < Date.parse(hold.from)) ||
+        (hold.to && time > Date.parse(hold.to))
+      ) {
+        return false;
+      }
+    }
+    if (hold.modules.length > 0) {
+      const moduleName = (TEXT_MODULE.exec(line) ?? JSON_MODULE.exec(line))?.[1];
+      if (
+        !moduleName ||
+        !hold.modules.some((pattern) => ModulePatternMatcher.matches(moduleName, pattern))
+      ) {
+        return false;
+      }
+    }
+    return hold.correlationIds.length === 0 || hold.correlationIds.some((id) => line.includes(id));
+  }
+
+  /**
+   *
+   * @private
+   */
+  _normalize(hold) {
+    const toIso = (value, key) => {
+      if (value === undefined || value === null) {
+        return null;
+      }
+      const time = value instanceof Date ? value.getTime() : Date.parse(value);
+      if (Number.isNaN(time)) {
+        throw new LoggingError('LEGAL_HOLD_INVALID', `Legal hold ${key} must be a date`, {
+          [key]: value,
+        });
+      }
+      return new Date(time).toISOString();
+    };
+    const from = toIso(hold.from, 'from');
+    const to = toIso(hold.to, 'to');
+    const modules = hold.modules ?? [];
+    const correlationIds = hold.correlationIds ?? [];
+
+    if (!hold.reason || typeof hold.reason !== 'string') {
+      throw new LoggingError('LEGAL_HOLD_INVALID', 'Legal hold needs a reason', {});
+    }
+    if (!Array.isArray(modules) || !Array.isArray(correlationIds)) {
+      throw new LoggingError('LEGAL_HOLD_INVALID', 'modules and correlationIds must be arrays', {});
+    }
+    if (!from && !to && modules.length === 0 && correlationIds.length === 0) {
+      throw new LoggingError(
+        'LEGAL_HOLD_INVALID',
+        'Legal hold needs a time range, modules or correlation IDs',
+        {}
+      );
+    }
+    if (from && to && from > to) {
+      throw new LoggingError('LEGAL_HOLD_INVALID', 'Legal hold from is after to', { from, to });
+    }
+
+    return {
+      id: hold.id ?? `hold-${crypto.randomBytes(6).toString('hex')}`,
+      reason: hold.reason,
+      from,
+      to,
+      modules: [...modules],
+      correlationIds: [...correlationIds],
+      placedAt: new Date().toISOString(),
+      placedBy: (hold.actor ?? this.actor).id,
+      releasedAt: null,
+      releasedBy: null,
+    };
+  }
+
+  /**
+   *
+   * @private
+   */
+  async _audit(operation, hold, actor, fields) {
+    await this.audit.audit({
+      actor: actor ?? this.actor,
+      action: `legal-hold.${operation}`,
+      resource: { type: 'legal-hold', id: hold.id },
+      outcome: 'success',
+      reason: hold.reason,
+      ...fields,
+    });
+    await this.audit.flush?.();
+  }
+
+  /**
+   *
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.holds = new Map((stored.holds ?? []).map((hold) => [hold.id, hold]));
+    } catch (error) {
+      throw new LoggingError('LEGAL_HOLD_INVALID', `Cannot read legal holds: ${error.message}`, {
+        file: this.file,
+      });
+    }
+  }
+
+  /**
+   *
+   * @private
+   */
+  _save() {
+    const stored = { version: 1, holds: [...this.holds.values()] };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(stored, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+export default LegalHoldRegistry;
@@ -0,0 +1,205 @@
+/**
+ * Level Registry
+ *
+ * Single source of truth for log level names and values:
+ * - Built-in levels from LogLevel (FATAL, ERROR, WARN, INFO, DEBUG, TRACE)
+ * - Custom numeric levels (e.g. AUDIT, SECURITY) registered at runtime
+ * - Name <-> value lookups used by formatters, presets, sampling and transports
+ *
+ * Registered levels are added to the LogLevel enum itself, so existing
+ * `level in LogLevel` validation (ModuleConfig, CoreLoggerConfig, ...) and
+ * `LogLevel[value]` name lookups work for custom levels too.
+ *
+ * USAGE EXAMPLE:
+ * LevelRegistry.register('SECURITY', 0.5, { color: ANSIColors.MAGENTA });
+ * LevelRegistry.getName(0.5); // => 'SECURITY'
+ * LevelRegistry.toValue('security'); // => 0.5
+ */
+
+import { LogLevel } from './types.js';
+import { LoggingError } from '../error-handling/errors.js';
+import { ColorConfig } from '../config/color-config.js';
+
+const BUILT_IN_LEVELS = new Set(['FATAL', 'ERROR', 'WARN', 'INFO', 'DEBUG', 'TRACE']);
+
+export class LevelRegistry {
+  static #custom = new Map(); // name => value
+  static #withoutMethod = new Set(); // names registered with { method: false }
+  static #listeners = [];
+
+  /**
+   * Register a custom log level
+   *
+   * Lower values are more severe (FATAL = -1, ERROR = 0 ... TRACE = 4), so the
+   * value decides where the level sits for filtering and sampling.
+   *
+   * @param {string} name - Level name (stored upper-case, e.g. 'AUDIT')
+   * @param {number} value - Numeric severity, must not be used by another level
+   * @param {Object} [options={}] - Level options
+   * @param {string} [options.color] - ANSI color registered in ColorConfig
+   * @param {boolean} [options.method=true] - false: no logger.<name>() convenience method
+   *   (the level is only used through log(level, ...))
+   * @throws {LoggingError} If the name or value is invalid or already taken
+   * @returns {number} The registered value
+   *
+   * @example
+   * LevelRegistry.register('AUDIT', 1.5, { color: ANSIColors.BRIGHT_MAGENTA });
+   */
+  static register(name, value, options = {}) {
+    if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+      throw new LoggingError(`Invalid level name: ${name}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new LoggingError(`Invalid level value for ${name}: ${value}`);
+    }
+
+    const upper = name.toUpperCase();
+    if (upper in LogLevel) {
+      throw new LoggingError(`Log level ${upper} is already registered`);
+    }
+    if (value in LogLevel) {
+      throw new LoggingError(`Log level value ${value} is already used by ${LogLevel[value]}`);
+    }
+
+    LogLevel[(LogLevel[upper] = value)] = upper;
+    this.#custom.set(upper, value);
+    const method = options.method !== false;
+    if (!method) {
+      this.#withoutMethod.add(upper);
+    }
+
+    if (options.color) {
+      ColorConfig.setLevelColor(value, options.color);
+    }
+
+    this._notifyListeners({ type: 'registered', name: upper, value, method });
+    return value;
+  }
+
+  /**
+   * Remove a custom log level (built-in levels cannot be removed)
+   *
+   * @param {string} name - Level name
+   * @returns {boolean} true if the level existed and was removed
+   */
+  static unregister(name) {
+    const upper = String(name).toUpperCase();
+    if (!this.#custom.has(upper)) {
+      return false;
+    }
+
+    const value = this.#custom.get(upper);
+    this.#custom.delete(upper);
+    this.#withoutMethod.delete(upper);
+    delete LogLevel[upper];
+    delete LogLevel[value];
+    ColorConfig.removeLevelColor(value);
+
+    this._notifyListeners({ type: 'unregistered', name: upper, value });
+    return true;
+  }
+
+  /**
+   * Get the name of a level value
+   *
+   * @param {number} level - Level value
+   * @returns {string} Level name, or 'UNKNOWN'
+   */
+  static getName(level) {
+    return typeof level === 'number' && level in LogLevel ? LogLevel[level] : 'UNKNOWN';
+  }
+
+  /**
+   * Normalize a level given as value or (case-insensitive) name
+   *
+   * @param {number|string} level - Level value or name
+   * @returns {number|undefined} Level value, or undefined if unknown
+   */
+  static toValue(level) {
+    if (typeof level === 'number') {
+      return level in LogLevel ? level : undefined;
+    }
+    if (typeof level === 'string') {
+      const value = LogLevel[level.toUpperCase()];
+      return typeof value === 'number' ? value : undefined;
+    }
+    return undefined;
+  }
+
+  /**
+   * Check whether a value is a known level
+   *
+   * @param {number} level - Level value
+   * @returns {boolean} true if built-in or registered
+   */
+  static isValid(level) {
+    return typeof level === 'number' && level in LogLevel;
+  }
+
+  /**
+   * Check whether a level was registered at runtime
+   *
+   * @param {number|string} level - Level value or name
+   * @returns {boolean} true for custom levels
+   */
+  static isCustom(level) {
+    const value = this.toValue(level);
+    return value !== undefined && !BUILT_IN_LEVELS.has(LogLevel[value]);
+  }
+
+  /**
+   * List all levels, most severe first
+   *
+   * @returns {Array<{name: string, value: number, custom: boolean, method: boolean}>} Levels
+   *   (method: whether loggers get a convenience method for it)
+   */
+  static getLevels() {
+    return Object.keys(LogLevel)
+      .filter((key) => typeof LogLevel[key] === 'number')
+      .map((name) => ({
+        name,
+        value: LogLevel[name],
+        custom: !BUILT_IN_LEVELS.has(name),
+        method: !this.#withoutMethod.has(name),
+      }))
+      .sort((a, b) => a.value - b.value);
+  }
+
+  /**
+   * Subscribe to level registrations and removals
+   *
+   * @param {Function} callback - Receives { type, name, value }, plus method (see
+   *   register()) for registrations
+   * @returns {Function} Unsubscribe function
+   */
+  static onChange(callback) {
+    if (typeof callback !== 'function') {
+      throw new LoggingError('Callback must be a function');
+    }
+
+    this.#listeners.push(callback);
+
+    return () => {
+      const index = this.#listeners.indexOf(callback);
+      if (index > -1) {
+        this.#listeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   *
+   * @private
+   */
+  static _notifyListeners(change) {
+    for (const listener of this.#listeners) {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('Error in LevelRegistry listener:', error);
+      }
+    }
+  }
+}
+
+export default LevelRegistry;
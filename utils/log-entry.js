@@ -1,6 +1,7 @@
 import { LoggingError } from '../error-handling/errors.js';
 import { LogLevel } from './types.js';
 import { DataSanitizer } from '../sanitizer/data-sanitizer.js';
+import { ErrorSerializer } from './error-serializer.js';
 
 /**
  * Sanitizes an object by redacting sensitive values using DataSanitizer.
@@ -30,13 +31,19 @@ const sanitizer = new DataSanitizer({
   maskPhones: true,
 });
 
-function sanitizeContext(obj) {
+function sanitizeContext(obj, activeSanitizer = sanitizer) {
   if (!obj || typeof obj !== 'object') {
     return obj;
   }
 
+  // Errors keep their non-enumerable message, stack and cause (see ErrorSerializer)
+  const serialized = ErrorSerializer.serializeErrors(obj);
+
+  // Fields selected for crypto-shredding become envelopes, which sanitize() keeps
+  const encrypted = activeSanitizer.encryptFields(serialized);
+
   // Use EnhancedSanitizer to sanitize all data
-  return sanitizer.sanitize(obj, false); // trackStats=false for performance
+  return activeSanitizer.sanitize(encrypted, false); // trackStats=false for performance
 }
 /**
  * Represents a single log entry with all necessary metadata.
@@ -45,6 +52,10 @@ function sanitizeContext(obj) {
  * SECURITY: Context objects are automatically sanitized to remove sensitive values
  * (passwords, tokens, API keys, etc.) before storing. This prevents accidental
  * exposure of secrets in log files.
+ *
+ * With a DataSanitizer configured for encryption, selected fields are stored as
+ * encrypted envelopes { $enc, kid, iv, tag, data } (see SubjectKeyStore); use
+ * revealContext() to read them back.
  */
 export class LogEntry {
   /**
@@ -54,14 +65,22 @@ export class LogEntry {
    * @param message - The main log message.
    * @param context - Optional additional structured context data.
    *                  Sensitive keys (password, token, secret, etc.) will be automatically redacted.
+   *                  Error values are serialized; an Error passed as the context becomes { error }.
+   * @param options - Optional { sanitizer, retention }: DataSanitizer to use instead of the
+   *                  default one, and the retention class (see RetentionPolicy).
    */
-  constructor(level, moduleName, message, context) {
+  constructor(level, moduleName, message, context, options = {}) {
     this.level = level;
     this.moduleName = moduleName;
     this.message = message;
     // SECURITY: Sanitize context to redact sensitive values
-    this.context = sanitizeContext(context);
+    this.context = sanitizeContext(
+      context instanceof Error ? { error: context } : context,
+      options.sanitizer
+    );
     this.timestamp = new Date();
+    // Retention class (e.g. 'audit-7y'); null = the unclassified file family
+    this.retention = options.retention ?? null;
     this.validate();
   }
   /**
@@ -79,6 +98,15 @@ export class LogEntry {
       throw new LoggingError('Log context must be a plain object');
     }
   }
+  /**
+   * Context with its encrypted fields decrypted, or '[ERASED]' where the subject key
+   * was destroyed.
+   * @param keystore - SubjectKeyStore holding the subject keys.
+   * @returns Revealed copy of the context (the entry is not changed).
+   */
+  revealContext(keystore) {
+    return this.context ? keystore.reveal(this.context) : this.context;
+  }
   /**
    * Creates a formatted string representation of the log entry.
    * @returns Formatted log string.
@@ -0,0 +1,355 @@
+/**
+ * Merkle Checkpoint
+ *
+ * Checkpoints for finished log files (e.g. rotated by RotatingFileTransport):
+ * - Every non-empty line is a leaf; lines are grouped into one Merkle tree
+ *   per file, or per hour of their timestamps ('hour')
+ * - The roots are stored in `<file>.checkpoint.json` (`.gz` is ignored in
+ *   the name, so a checkpoint still applies after LogArchiver compressed the file);
+ *   log cleanup leaves checkpoints alone and deletes them with their log file
+ *   (isCheckpoint(), removeFor())
+ * - prove() returns an inclusion proof for one line: the line, its position
+ *   and the sibling hashes up to the root
+ * - verifyInclusionProof() needs nothing but the proof and a trusted root, so
+ *   an auditor can check a disputed entry offline without the file
+ *
+ * Hashing follows RFC 6962: leaf = SHA-256(0x00 || line),
+ * node = SHA-256(0x01 || left || right); a level with an odd number of nodes
+ * moves its last node up unchanged.
+ *
+ * USAGE EXAMPLE:
+ * await MerkleCheckpoint.create('./logs/app.2026-10-19T17-50-12.log', { period: 'hour' });
+ * const proof = await MerkleCheckpoint.prove('./logs/app.2026-10-19T17-50-12.log', 42);
+ * // => { file, line: 42, entry: '[2026-10-19T17:03:11.000Z] [api] [INFO]: ...', period,
+ * //      leafIndex, treeSize, path: ['9f2c…', …], root: 'c0de…' }
+ * verifyInclusionProof(proof, rootFromCheckpoint); // => true
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { readLogFile } from './hash-chain.js';
+import { LoggingError } from '../error-handling/errors.js';
+
+const LEAF_PREFIX = Buffer.from([0]);
+const NODE_PREFIX = Buffer.from([1]);
+
+const PERIODS = ['file', 'hour'];
+
+const CHECKPOINT_SUFFIX = '.checkpoint.json';
+
+// "[2026-10-19T17:03:11.000Z] ..." (LogEntry.toString()) or {"timestamp":"..."} (JSON lines)
+const TEXT_TIMESTAMP = /^\[(\d{4}-\d{2}-\d{2}T\d{2})/;
+const JSON_TIMESTAMP = /"timestamp":"(\d{4}-\d{2}-\d{2}T\d{2})/;
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) {
+    hash.update(part);
+  }
+  return hash.digest();
+}
+
+/**
+ * Hash of a leaf (one log line)
+ *
+ * @param {string} line - Line without its newline
+ * @returns {string} Hex hash
+ */
+export function hashLeaf(line) {
+  return sha256(LEAF_PREFIX, Buffer.from(line, 'utf8')).toString('hex');
+}
+
+function hashNode(left, right) {
+  return sha256(NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex')).toString('hex');
+}
+
+/**
+ * All levels of a tree, leaves first
+ * @private
+ */
+function buildLevels(leaves) {
+  const levels = [leaves];
+  while (levels.at(-1).length > 1) {
+    const level = levels.at(-1);
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+/**
+ * Verify an inclusion proof offline
+ *
+ * @param {Object} proof - Proof from MerkleCheckpoint.prove()
+ * @param {string} root - Trusted root (from the checkpoint file, not from the proof)
+ * @returns {boolean} true if proof.entry is leaf proof.leafIndex of the tree with that root
+ * @throws {LoggingError} If no root is given
+ */
+export function verifyInclusionProof(proof, root) {
+  if (typeof root !== 'string' || !root) {
+    throw new LoggingError('verifyInclusionProof needs the trusted root to compare with');
+  }
+  const { entry, leafIndex, treeSize, path: siblings } = proof ?? {};
+  if (
+    typeof entry !== 'string' ||
+    !Array.isArray(siblings) ||
+    !Number.isInteger(leafIndex) ||
+    !Number.isInteger(treeSize) ||
+    leafIndex < 0 ||
+    leafIndex >= treeSize
+  ) {
+    return false;
+  }
+
+  // Replay the tree shape, so a sibling can only be used where one exists
+  let hash = hashLeaf(entry);
+  let index = leafIndex;
+  let size = treeSize;
+  let used = 0;
+  while (size > 1) {
+    if ((index ^ 1) < size) {
+      const sibling = siblings[used++];
+      if (typeof sibling !== 'string') {
+        return false;
+      }
+      hash = index % 2 === 1 ? hashNode(sibling, hash) : hashNode(hash, sibling);
+    }
+    index = Math.floor(index / 2);
+    size = Math.ceil(size / 2);
+  }
+  return used === siblings.length && hash === root;
+}
+
+export class MerkleCheckpoint {
+  /**
+   * Build the trees of a log file and write its checkpoint file
+   *
+   * @param {string} file - Finished log file (.log or .log.gz)
+   * @param {Object} [options={}] - Checkpoint options
+   * @param {string} [options.period='file'] - 'file' (one tree) | 'hour' (one tree per hour
+   *   of the line timestamps; lines without one join the previous line's hour)
+   * @param {string} [options.checkpointFile] - Where to write (default: checkpointPath(file))
+   * @returns {Promise<Object>} Checkpoint { version, algorithm, file, period, createdAt,
+   *   entries, trees: [{ period, firstLine, lastLine, count, root }] }
+   * @throws {LoggingError} If the period is unknown or the file cannot be read
+   */
+  static async create(file, options = {}) {
+    const period = options.period ?? 'file';
+    if (!PERIODS.includes(period)) {
+      throw new LoggingError(`Checkpoint period must be one of: ${PERIODS.join(', ')}`);
+    }
+
+    const groups = await this._group(file, period);
+    const checkpoint = {
+      version: 1,
+      algorithm: 'sha256',
+      file: path.basename(file).replace(/\.gz$/, ''),
+      period,
+      createdAt: new Date().toISOString(),
+      entries: groups.reduce((sum, group) => sum + group.lines.length, 0),
+      trees: groups.map((group) => ({
+        period: group.period,
+        firstLine: group.lines[0].line,
+        lastLine: group.lines.at(-1).line,
+        count: group.lines.length,
+        root: buildLevels(group.lines.map((item) => hashLeaf(item.text))).at(-1)[0],
+      })),
+    };
+
+    const target = options.checkpointFile ?? this.checkpointPath(file);
+    const tmp = `${target}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(checkpoint, null, 2), 'utf8');
+    await fs.promises.rename(tmp, target);
+    return checkpoint;
+  }
+
+  /**
+   * Inclusion proof for one line of a checkpointed file
+   *
+   * @param {string} file - Log file (.log or .log.gz)
+   * @param {number} line - 1-based line number
+   * @param {Object} [options={}] - Proof options
+   * @param {string} [options.checkpointFile] - Checkpoint to use (default: checkpointPath(file))
+   * @returns {Promise<Object>} { file, line, entry, period, leafIndex, treeSize, path, root }
+   * @throws {LoggingError} CHECKPOINT_NOT_FOUND, CHECKPOINT_MISMATCH (the file no longer
+   *   matches its checkpoint) or if the line is empty or out of range
+   */
+  static async prove(file, line, options = {}) {
+    const checkpoint = await this.load(file, options);
+    const groups = await this._group(file, checkpoint.period);
+
+    const treeIndex = groups.findIndex(
+      (group) => line >= group.lines[0].line && line <= group.lines.at(-1).line
+    );
+    const group = groups[treeIndex];
+    const leafIndex = group ? group.lines.findIndex((item) => item.line === line) : -1;
+    if (leafIndex === -1) {
+      throw new LoggingError(`Line ${line} of ${file} is not a log entry`);
+    }
+
+    const levels = buildLevels(group.lines.map((item) => hashLeaf(item.text)));
+    const root = levels.at(-1)[0];
+    if (checkpoint.trees[treeIndex]?.root !== root) {
+      throw new LoggingError(
+        'CHECKPOINT_MISMATCH',
+        `${file} does not match its checkpoint (tree ${treeIndex})`,
+        { file, period: group.period }
+      );
+    }
+
+    const siblings = [];
+    let index = leafIndex;
+    for (const level of levels.slice(0, -1)) {
+      if ((index ^ 1) < level.length) {
+        siblings.push(level[index ^ 1]);
+      }
+      index = Math.floor(index / 2);
+    }
+
+    return {
+      file: checkpoint.file,
+      line,
+      entry: group.lines[leafIndex].text,
+      period: group.period,
+      leafIndex,
+      treeSize: group.lines.length,
+      path: siblings,
+      root,
+    };
+  }
+
+  /**
+   * Recompute the roots of a file and compare them with its checkpoint
+   *
+   * @param {string} file - Log file (.log or .log.gz)
+   * @param {Object} [options={}] - { checkpointFile }
+   * @returns {Promise<{valid: boolean, trees: number, mismatched: Array<Object>}>} mismatched
+   *   lists { period, firstLine, expected, actual } per differing tree
+   * @throws {LoggingError} CHECKPOINT_NOT_FOUND
+   */
+  static async verifyFile(file, options = {}) {
+    const checkpoint = await this.load(file, options);
+    const groups = await this._group(file, checkpoint.period);
+    const count = Math.max(groups.length, checkpoint.trees.length);
+
+    const mismatched = [];
+    for (let i = 0; i < count; i++) {
+      const expected = checkpoint.trees[i]?.root ?? null;
+      const group = groups[i];
+      const actual = group
+        ? buildLevels(group.lines.map((item) => hashLeaf(item.text))).at(-1)[0]
+        : null;
+      if (expected !== actual) {
+        mismatched.push({
+          period: group?.period ?? checkpoint.trees[i].period,
+          firstLine: group?.lines[0].line ?? checkpoint.trees[i].firstLine,
+          expected,
+          actual,
+        });
+      }
+    }
+    return { valid: mismatched.length === 0, trees: checkpoint.trees.length, mismatched };
+  }
+
+  /**
+   * Read the checkpoint of a file
+   *
+   * @param {string} file - Log file (.log or .log.gz)
+   * @param {Object} [options={}] - { checkpointFile }
+   * @returns {Promise<Object>} Checkpoint
+   * @throws {LoggingError} CHECKPOINT_NOT_FOUND
+   */
+  static async load(file, options = {}) {
+    const checkpointFile = options.checkpointFile ?? this.checkpointPath(file);
+    try {
+      return JSON.parse(await fs.promises.readFile(checkpointFile, 'utf8'));
+    } catch (error) {
+      throw new LoggingError('CHECKPOINT_NOT_FOUND', `Cannot read checkpoint: ${error.message}`, {
+        file,
+        checkpointFile,
+      });
+    }
+  }
+
+  /**
+   * Checkpoint file of a log file
+   *
+   * @param {string} file - Log file (.log or .log.gz)
+   * @returns {string} `<file without .gz>.checkpoint.json`
+   */
+  static checkpointPath(file) {
+    return `${file.replace(/\.gz$/, '')}${CHECKPOINT_SUFFIX}`;
+  }
+
+  /**
+   * Whether a file name is a checkpoint (deleted only together with its log file)
+   *
+   * @param {string} name - File name or path
+   * @returns {boolean}
+   */
+  static isCheckpoint(name) {
+    return name.endsWith(CHECKPOINT_SUFFIX);
+  }
+
+  /**
+   * Delete the checkpoint of a deleted log file, once neither the file nor its
+   * .gz remains
+   *
+   * @param {string} file - Deleted log file (.log or .log.gz)
+   * @returns {Promise<boolean>} true if a checkpoint was deleted
+   */
+  static async removeFor(file) {
+    const plain = file.replace(/\.gz$/, '');
+    if (fs.existsSync(plain) || fs.existsSync(`${plain}.gz`)) {
+      return false;
+    }
+    try {
+      await fs.promises.unlink(this.checkpointPath(file));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Non-empty lines of a file grouped into trees
+   * @private
+   */
+  static async _group(file, period) {
+    let content;
+    try {
+      content = await readLogFile(file);
+    } catch (error) {
+      throw new LoggingError('CHECKPOINT_FAILED', `Cannot read ${file}: ${error.message}`, {
+        file,
+      });
+    }
+
+    const groups = [];
+    let current = null;
+    content.split('\n').forEach((text, i) => {
+      if (!text.trim()) {
+        return;
+      }
+      const hour =
+        period === 'hour'
+          ? ((TEXT_TIMESTAMP.exec(text) ?? JSON_TIMESTAMP.exec(text))?.[1] ?? current?.period)
+          : 'file';
+      if (!current || hour !== current.period) {
+        current = { period: hour ?? null, lines: [] };
+        groups.push(current);
+      }
+      current.lines.push({ line: i + 1, text });
+    });
+    return groups;
+  }
+}
+
+export default MerkleCheckpoint;
@@ -0,0 +1,440 @@
+/**
+ * Subject Key Store
+ *
+ * Crypto-shredding for per-subject right to erasure:
+ * - One random secret per data subject (e.g. a user id), kept in a local
+ *   keystore file; the subject itself is stored only as a SHA-256 hash
+ * - Field values are encrypted with AES-256-GCM under a data key derived
+ *   from that secret (HKDF-SHA256) into envelopes
+ *   { $enc: 'aes-256-gcm', kid, iv, tag, data } that name the key, not the subject
+ * - erase(subject) destroys the secret: every envelope written for the subject,
+ *   in live files and immutable archives alike, reads as '[ERASED]' from then on
+ * - Keystores sharing the file (several processes) update it under a lock
+ *   file (`<file>.lock`): each re-reads and merges the file, then writes it,
+ *   before the next one starts, and erased key ids are kept as tombstones, so
+ *   no keystore writes an erased key back
+ *
+ * DataSanitizer (config.encryption) decides which context fields are encrypted;
+ * reveal() and readShreddedLog() are the reader side.
+ *
+ * USAGE EXAMPLE:
+ * const keystore = new SubjectKeyStore({ file: './keys/subjects.json' });
+ * const logger = new CoreLogger({
+ *   sanitizer: new DataSanitizer({
+ *     encryption: { keystore, fields: ['userId', 'email'], subject: 'userId' },
+ *   }),
+ *   transports: [new FileTransport({ logDirectory: './logs' })],
+ * });
+ * logger.info('Signed in', { userId: 'u-42', email: 'jane@example.com' });
+ *
+ * keystore.erase('u-42');
+ * await readShreddedLog('./logs/app/2026-10-19.log', { keystore });
+ * // => ['[…] [app] [INFO]: Signed in - {"userId":"[ERASED]","email":"[ERASED]"}']
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { readLogFile } from './hash-chain.js';
+import { LoggingError } from '../error-handling/errors.js';
+
+export const ERASED = '[ERASED]';
+
+const CIPHER = 'aes-256-gcm';
+const KEY_INFO = 'audit-core subject data key';
+
+// Envelopes as LogEntry.toString() / JSON.stringify() write them
+const ENVELOPE_JSON =
+  /\{"\$enc":"aes-256-gcm","kid":"([0-9a-f]+)","iv":"([^"]*)","tag":"([^"]*)","data":"([^"]*)"\}/g;
+
+function hashSubject(subject) {
+  return crypto.createHash('sha256').update(String(subject)).digest('hex');
+}
+
+// Whether the process that wrote a lock file (its pid) has exited
+function isAbandoned(content) {
+  const pid = Number(content);
+  // Empty while its owner is still writing it
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+export class SubjectKeyStore {
+  /**
+   * @param {Object} [options={}] - Keystore options
+   * @param {string|null} [options.file=null] - Keystore file (created with mode 0600);
+   *   null keeps the keys in memory only
+   * @param {number} [options.lockTimeout=5000] - ms to wait for the lock file (a lock
+   *   whose process is gone is removed right away)
+   * @throws {LoggingError} KEYSTORE_INVALID if the file cannot be read
+   */
+  constructor(options = {}) {
+    this.file = options.file ?? null;
+    this.lockTimeout = options.lockTimeout ?? 5000;
+    if (typeof this.lockTimeout !== 'number' || !(this.lockTimeout > 0)) {
+      throw new LoggingError(`Invalid keystore lockTimeout: ${this.lockTimeout}`);
+    }
+    // kid => { secret, createdAt, subject }; subject hash => kid; erased kid => erasedAt
+    this.keys = new Map();
+    this.subjects = new Map();
+    this.erased = new Map();
+    this._loadedStat = null;
+    this._load();
+  }
+
+  /**
+   * Encrypt a value for a subject (creates the subject's key on first use)
+   *
+   * @param {string|number} subject - Data subject id
+   * @param {*} value - JSON-compatible value
+   * @returns {Object} Envelope { $enc, kid, iv, tag, data }
+   */
+  encrypt(subject, value) {
+    const kid = this._kidFor(subject);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this._dataKey(kid), iv);
+    cipher.setAAD(Buffer.from(kid));
+    const data = Buffer.concat([cipher.update(JSON.stringify(value) ?? 'null'), cipher.final()]);
+
+    return {
+      $enc: CIPHER,
+      kid,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  /**
+   * Decrypt an envelope
+   *
+   * @param {Object} envelope - Envelope from encrypt()
+   * @returns {*} The value, or ERASED if its key was destroyed
+   * @throws {LoggingError} DECRYPT_FAILED if the envelope was altered
+   */
+  decrypt(envelope) {
+    this._load();
+    if (!this.keys.has(envelope.kid)) {
+      return ERASED;
+    }
+    try {
+      const decipher = crypto.createDecipheriv(
+        CIPHER,
+        this._dataKey(envelope.kid),
+        Buffer.from(envelope.iv, 'base64')
+      );
+      decipher.setAAD(Buffer.from(envelope.kid));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plain = Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, 'base64')),
+        decipher.final(),
+      ]);
+      return JSON.parse(plain.toString('utf8'));
+    } catch (error) {
+      throw new LoggingError('DECRYPT_FAILED', `Cannot decrypt field: ${error.message}`, {
+        kid: envelope.kid,
+      });
+    }
+  }
+
+  /**
+   * Copy of a value with every envelope decrypted (or ERASED)
+   *
+   * @param {*} value - Context or any part of it
+   * @returns {*} Revealed copy
+   */
+  reveal(value) {
+    if (SubjectKeyStore.isEnvelope(value)) {
+      return this.decrypt(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.reveal(item));
+    }
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.reveal(item)])
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Destroy the keys of a subject (right to erasure)
+   *
+   * Later entries for the same subject get a new key.
+   *
+   * @param {string|number} subject - Data subject id
+   * @returns {boolean} true if the subject had a key
+   * @throws {LoggingError} KEYSTORE_LOCKED if the lock file stays taken
+   */
+  erase(subject) {
+    const hash = hashSubject(subject);
+    return this._update(() => {
+      // Every key of the subject, including ones another keystore created concurrently
+      const kids = new Set(
+        [...this.keys].filter(([, key]) => key.subject === hash).map(([kid]) => kid)
+      );
+      if (this.subjects.has(hash)) {
+        kids.add(this.subjects.get(hash));
+      }
+      if (kids.size === 0) {
+        return false;
+      }
+      const erasedAt = new Date().toISOString();
+      for (const kid of kids) {
+        this.erased.set(kid, erasedAt);
+      }
+      this._dropErased();
+      return true;
+    });
+  }
+
+  /**
+   * Whether a subject currently has a key
+   *
+   * @param {string|number} subject - Data subject id
+   * @returns {boolean}
+   */
+  has(subject) {
+    this._load();
+    return this.subjects.has(hashSubject(subject));
+  }
+
+  /**
+   * Whether a value is an encrypted envelope
+   *
+   * @param {*} value - Value to check
+   * @returns {boolean}
+   */
+  static isEnvelope(value) {
+    return (
+      value !== null &&
+      typeof value === 'object' &&
+      value.$enc === CIPHER &&
+      typeof value.kid === 'string' &&
+      typeof value.data === 'string'
+    );
+  }
+
+  /**
+   * Key id of a subject, created on first use
+   * @private
+   */
+  _kidFor(subject) {
+    // Pick up erasures (and keys) written by other keystores sharing the file
+    this._load();
+    const hash = hashSubject(subject);
+    let kid = this.subjects.get(hash);
+    if (!kid) {
+      this._update(() => {
+        // Another keystore may have created it since
+        kid = this.subjects.get(hash);
+        if (kid) {
+          return false;
+        }
+        kid = crypto.randomBytes(8).toString('hex');
+        this.keys.set(kid, {
+          secret: crypto.randomBytes(32).toString('base64'),
+          createdAt: new Date().toISOString(),
+          subject: hash,
+        });
+        this.subjects.set(hash, kid);
+        return true;
+      });
+    }
+    return kid;
+  }
+
+  /**
+   *
+   * @private
+   */
+  _dataKey(kid) {
+    const secret = Buffer.from(this.keys.get(kid).secret, 'base64');
+    return Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.from(kid), KEY_INFO, 32));
+  }
+
+  /**
+   * Merge the keystore file into memory if it changed since the last read
+   *
+   * Keys and subjects are unioned (the file's subject mapping wins), tombstones
+   * from either side remove their keys.
+   *
+   * @private
+   * @param {boolean} [force=false] - Read even if the file looks unchanged
+   */
+  _load(force = false) {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return;
+    }
+    try {
+      const { mtimeMs, size, ino } = fs.statSync(this.file);
+      const stat = `${ino}:${mtimeMs}:${size}`;
+      if (!force && stat === this._loadedStat) {
+        return;
+      }
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const [kid, erasedAt] of Object.entries(stored.erased ?? {})) {
+        this.erased.set(kid, erasedAt);
+      }
+      for (const [kid, key] of Object.entries(stored.keys ?? {})) {
+        if (!this.keys.has(kid)) {
+          this.keys.set(kid, key);
+        }
+      }
+      for (const [hash, kid] of Object.entries(stored.subjects ?? {})) {
+        this.subjects.set(hash, kid);
+      }
+      this._dropErased();
+      this._loadedStat = stat;
+    } catch (error) {
+      throw new LoggingError('KEYSTORE_INVALID', `Cannot read keystore: ${error.message}`, {
+        file: this.file,
+      });
+    }
+  }
+
+  /**
+   * Remove tombstoned keys and the subjects pointing at them
+   * @private
+   */
+  _dropErased() {
+    for (const kid of this.erased.keys()) {
+      this.keys.delete(kid);
+    }
+    for (const [hash, kid] of this.subjects) {
+      if (this.erased.has(kid)) {
+        this.subjects.delete(hash);
+      }
+    }
+  }
+
+  /**
+   * Change the keys under the lock file: merge the file, apply the change,
+   * write the file if it changed (synchronously: encrypt() runs while a
+   * LogEntry is built)
+   *
+   * Holding the lock from the read to the rename keeps changes other
+   * keystores make in between (an erase()) from being overwritten.
+   *
+   * @private
+   * @param {Function} change - Returns true if it changed the keys
+   * @returns {boolean} What change returned
+   * @throws {LoggingError} KEYSTORE_LOCKED if the lock file stays taken
+   */
+  _update(change) {
+    if (!this.file) {
+      return change();
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const lock = this._lock();
+    try {
+      this._load(true);
+      const changed = change();
+      if (changed) {
+        this._save();
+      }
+      return changed;
+    } finally {
+      fs.closeSync(lock);
+      fs.rmSync(`${this.file}.lock`, { force: true });
+    }
+  }
+
+  /**
+   * Create the lock file, waiting while another keystore holds it
+   * @private
+   * @returns {number} File descriptor of the lock file
+   */
+  _lock() {
+    const lockFile = `${this.file}.lock`;
+    const deadline = Date.now() + this.lockTimeout;
+    for (;;) {
+      try {
+        const fd = fs.openSync(lockFile, 'wx', 0o600);
+        fs.writeSync(fd, String(process.pid));
+        return fd;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+      try {
+        if (isAbandoned(fs.readFileSync(lockFile, 'utf8'))) {
+          fs.rmSync(lockFile, { force: true });
+          continue;
+        }
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue; // Released meanwhile
+        }
+        throw error;
+      }
+      if (Date.now() >= deadline) {
+        throw new LoggingError('KEYSTORE_LOCKED', `Keystore lock is taken: ${lockFile}`, {
+          file: this.file,
+        });
+      }
+      // Synchronous wait: the lock is only held for one read and write
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 10);
+    }
+  }
+
+  /**
+   * Write the keystore; only called by _update(), under the lock
+   *
+   * @private
+   */
+  _save() {
+    const stored = {
+      version: 1,
+      keys: Object.fromEntries(this.keys),
+      subjects: Object.fromEntries(this.subjects),
+      erased: Object.fromEntries(this.erased),
+    };
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(stored, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+    const { mtimeMs, size, ino } = fs.statSync(this.file);
+    this._loadedStat = `${ino}:${mtimeMs}:${size}`;
+  }
+}
+
+/**
+ * Read a log file with its encrypted fields revealed
+ *
+ * Works on text lines and hash-chained JSON records (.gz included); the
+ * file itself is not changed.
+ *
+ * @param {string} file - Log file
+ * @param {Object} options - Reader options
+ * @param {SubjectKeyStore} options.keystore - Keystore holding the subject keys
+ * @returns {Promise<string[]>} Non-empty lines, envelopes replaced by their JSON value
+ *   or "[ERASED]"
+ * @throws {LoggingError} DECRYPT_FAILED if an envelope was altered
+ */
+export async function readShreddedLog(file, options = {}) {
+  if (!(options.keystore instanceof SubjectKeyStore)) {
+    throw new LoggingError('readShreddedLog needs a SubjectKeyStore');
+  }
+  const { keystore } = options;
+  const content = await readLogFile(file);
+
+  return content
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) =>
+      line.replace(ENVELOPE_JSON, (_match, kid, iv, tag, data) =>
+        JSON.stringify(keystore.decrypt({ $enc: CIPHER, kid, iv, tag, data }))
+      )
+    );
+}
+
+export default SubjectKeyStore;
@@ -1,13 +1,18 @@
 /**
  * Enum representing the severity levels for logging.
- * Levels are ordered from most severe (ERROR) to least severe (DEBUG).
+ * Levels are ordered from most severe (FATAL) to least severe (TRACE); lower values
+ * are more severe. The original four levels keep their historical values, so FATAL
+ * sits above ERROR at -1 and TRACE below DEBUG at 4. Custom levels are added to this
+ * enum through LevelRegistry.register().
  */
 export var LogLevel;
 (function (LogLevel) {
+  LogLevel[(LogLevel['FATAL'] = -1)] = 'FATAL';
   LogLevel[(LogLevel['ERROR'] = 0)] = 'ERROR';
   LogLevel[(LogLevel['WARN'] = 1)] = 'WARN';
   LogLevel[(LogLevel['INFO'] = 2)] = 'INFO';
   LogLevel[(LogLevel['DEBUG'] = 3)] = 'DEBUG';
+  LogLevel[(LogLevel['TRACE'] = 4)] = 'TRACE';
 })(LogLevel || (LogLevel = {}));
 /**
  * Enum representing the types of available transports.
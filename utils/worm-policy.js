@@ -0,0 +1,230 @@
+/**
+ * WORM Policy
+ *
+ * Write-once rules for log files (FileTransport, RotatingFileTransport with
+ * `worm`, and LogCleanupPolicy / LogRotator given the same policy):
+ * - seal(file) makes a finished file read-only and writes a sidecar manifest
+ *   `<file>.worm.json` { version, file, sealedAt, retainUntil, size, sha256 }
+ *   that is itself read-only and never rewritten
+ * - remove(file) is the only way a policy-aware component deletes a log file;
+ *   it refuses unsealed files and files whose retainUntil has not passed
+ * - Sealed files cannot be written again (assertAppendable)
+ *
+ * A refused operation throws LoggingError WORM_VIOLATION after an audit event
+ * { action: 'log.delete' | 'log.write', resource: { type: 'log-file', id },
+ * outcome: 'denied' } went to the policy's AuditLogger.
+ *
+ * USAGE EXAMPLE:
+ * const transport = new RotatingFileTransport({
+ *   filePath: './logs/app.log',
+ *   worm: { retention: 7 * 365 * 24 * 60 * 60 * 1000 },
+ * });
+ * const cleanup = new LogCleanupPolicy({ maxAge: 90 * 86400000, worm: transport.worm });
+ * await cleanup.cleanup('./logs'); // throws WORM_VIOLATION, files stay
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { LoggingError } from '../error-handling/errors.js';
+
+const MANIFEST_SUFFIX = '.worm.json';
+
+export class WormPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {number} options.retention - Time in ms a sealed file must be kept
+   * @param {Object} options.audit - AuditLogger (anything with audit(event)) for violations
+   * @param {Object} [options.actor={ id: 'audit-core', type: 'system' }] - Actor of audit events
+   * @throws {LoggingError} If configuration is invalid
+   */
+  constructor(options = {}) {
+    if (typeof options.retention !== 'number' || !(options.retention > 0)) {
+      throw new LoggingError('INVALID_CONFIG', 'worm retention must be a positive number (ms)', {
+        receivedRetention: options.retention,
+      });
+    }
+    if (typeof options.audit?.audit !== 'function') {
+      throw new LoggingError('INVALID_CONFIG', 'worm needs an audit logger for violations', {});
+    }
+
+    this.retention = options.retention;
+    this.audit = options.audit;
+    this.actor = options.actor ?? { id: 'audit-core', type: 'system' };
+  }
+
+  /**
+   * Policy from a WormPolicy or its options (transports audit into themselves by default)
+   *
+   * @param {WormPolicy|Object} worm - Policy or options
+   * @param {Function} createAudit - Returns the AuditLogger to use when options have none
+   * @returns {WormPolicy}
+   */
+  static from(worm, createAudit) {
+    if (worm instanceof WormPolicy) {
+      return worm;
+    }
+    return new WormPolicy({ ...worm, audit: worm.audit ?? createAudit() });
+  }
+
+  /**
+   * Make a finished file read-only and record its retention
+   *
+   * Sealing an already sealed file returns its manifest unchanged.
+   *
+   * @param {string} file - Log file
+   * @returns {Promise<Object>} Manifest { version, file, sealedAt, retainUntil, size, sha256 }
+   */
+  async seal(file) {
+    const existing = await WormPolicy.readManifest(file);
+    if (existing) {
+      return existing;
+    }
+
+    const data = await fs.promises.readFile(file);
+    const sealedAt = Date.now();
+    const manifest = {
+      version: 1,
+      file: path.basename(file),
+      sealedAt: new Date(sealedAt).toISOString(),
+      retainUntil: new Date(sealedAt + this.retention).toISOString(),
+      size: data.length,
+      sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    };
+
+    const manifestFile = WormPolicy.manifestPath(file);
+    // 'wx': a manifest is created once and never replaced
+    await fs.promises.writeFile(manifestFile, JSON.stringify(manifest, null, 2), {
+      flag: 'wx',
+      mode: 0o444,
+    });
+    await fs.promises.chmod(file, 0o444);
+    return manifest;
+  }
+
+  /**
+   * Whether a file may be deleted (sealed and past its retention date)
+   *
+   * @param {string} file - Log file
+   * @returns {Promise<boolean>}
+   */
+  async isDeletable(file) {
+    const manifest = await WormPolicy.readManifest(file);
+    return manifest !== null && Date.now() >= Date.parse(manifest.retainUntil);
+  }
+
+  /**
+   * Refuse writing to a sealed file
+   *
+   * @param {string} file - Log file about to be opened for appending
+   * @returns {Promise<void>}
+   * @throws {LoggingError} WORM_VIOLATION
+   */
+  async assertAppendable(file) {
+    const manifest = await WormPolicy.readManifest(file);
+    if (manifest) {
+      await this._violation('write', file, `${file} is sealed (write-once)`, manifest);
+    }
+  }
+
+  /**
+   * Delete a sealed file and its manifest once the retention date has passed
+   *
+   * @param {string} file - Log file
+   * @returns {Promise<void>}
+   * @throws {LoggingError} WORM_VIOLATION if the file is unsealed or still retained
+   */
+  async remove(file) {
+    const manifest = await WormPolicy.readManifest(file);
+    if (!manifest) {
+      await this._violation('delete', file, `${file} is not sealed and cannot be deleted`, null);
+    } else if (Date.now() < Date.parse(manifest.retainUntil)) {
+      await this._violation(
+        'delete',
+        file,
+        `${file} is retained until ${manifest.retainUntil}`,
+        manifest
+      );
+    }
+
+    const manifestFile = WormPolicy.manifestPath(file);
+    for (const target of [file, manifestFile]) {
+      // eslint-disable-next-line no-await-in-loop
+      await fs.promises.chmod(target, 0o644).catch(() => {});
+      // eslint-disable-next-line no-await-in-loop
+      await fs.promises.unlink(target).catch((error) => {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      });
+    }
+  }
+
+  /**
+   * Manifest of a file, or null if it is not sealed
+   *
+   * @param {string} file - Log file
+   * @returns {Promise<Object|null>}
+   * @throws {LoggingError} WORM_MANIFEST_INVALID if the manifest cannot be parsed
+   */
+  static async readManifest(file) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.manifestPath(file), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new LoggingError('WORM_MANIFEST_INVALID', `Invalid WORM manifest: ${error.message}`, {
+        file,
+      });
+    }
+  }
+
+  /**
+   * Manifest file of a log file
+   *
+   * @param {string} file - Log file
+   * @returns {string} `<file>.worm.json`
+   */
+  static manifestPath(file) {
+    return `${file}${MANIFEST_SUFFIX}`;
+  }
+
+  /**
+   * Whether a file name is a WORM manifest (deleted only together with its file)
+   *
+   * @param {string} name - File name or path
+   * @returns {boolean}
+   */
+  static isManifest(name) {
+    return name.endsWith(MANIFEST_SUFFIX);
+  }
+
+  /**
+   * Audit a refused operation, then throw
+   * @private
+   */
+  async _violation(operation, file, reason, manifest) {
+    const retainUntil = manifest?.retainUntil ?? null;
+    // Recorded before the caller sees the error
+    await this.audit.audit({
+      actor: this.actor,
+      action: `log.${operation}`,
+      resource: { type: 'log-file', id: file },
+      outcome: 'denied',
+      reason,
+      metadata: { retainUntil },
+    });
+    await this.audit.flush?.();
+
+    throw new LoggingError('WORM_VIOLATION', reason, { file, operation, retainUntil });
+  }
+}
+
+export default WormPolicy;